@@ -0,0 +1,82 @@
+/**
+ * HL7 Test Harness
+ * Sends sample ORU^R01 messages to the MLLP listener and prints each ACK
+ *
+ * Usage: node scripts/hl7-harness.js [patientId] [host] [port]
+ * Defaults: P001, localhost, MLLP_PORT or 2575
+ */
+
+require("dotenv").config();
+const {
+  formatTimestamp,
+  parseAck,
+  sendMessage,
+} = require("../src/services/hl7");
+
+/**
+ * Build an ORU^R01 message like a bedside monitor sends
+ * Vitals use LOINC codes; temperature can be sent in degF
+ */
+function sampleOru({
+  patientId = "P001",
+  controlId = `MSG${Date.now()}`,
+  timestamp = new Date(),
+  heartRate = 72,
+  systolic = 128,
+  diastolic = 82,
+  spo2 = 97,
+  temperature = 36.8,
+  temperatureUnits = "Cel",
+  equipment = "BEDSIDE-01",
+  messageType = "ORU^R01^ORU_R01",
+} = {}) {
+  const at = formatTimestamp(timestamp);
+  const obx = (setId, code, text, value, units) =>
+    `OBX|${setId}|NM|${code}^${text}^LN||${value}|${units}|||||F|||${at}||||${equipment}`;
+
+  return [
+    `MSH|^~\\&|BEDSIDE|WARD3|HEALTH-MONITOR|HOSPITAL|${at}||${messageType}|${controlId}|P|2.5.1`,
+    `PID|1||${patientId}^^^HOSPITAL^MR||Patient^Test`,
+    `OBR|1|||85353-1^Vital signs panel^LN|||${at}`,
+    obx(1, "8867-4", "Heart rate", heartRate, "/min^/min^UCUM"),
+    obx(2, "8480-6", "Systolic blood pressure", systolic, "mm[Hg]"),
+    obx(3, "8462-4", "Diastolic blood pressure", diastolic, "mm[Hg]"),
+    obx(4, "59408-5", "SpO2", spo2, "%"),
+    obx(5, "8310-5", "Body temperature", temperature, temperatureUnits),
+  ].join("\r");
+}
+
+async function main() {
+  const [patientId = "P001", host = "localhost", port] = process.argv.slice(2);
+  const mllpPort = parseInt(port || process.env.MLLP_PORT) || 2575;
+
+  const samples = [
+    ["Normal reading", sampleOru({ patientId })],
+    [
+      "Critical reading (SpO2 85%, fever in degF)",
+      sampleOru({
+        patientId,
+        spo2: 85,
+        temperature: 102.2,
+        temperatureUnits: "[degF]",
+      }),
+    ],
+    ["Unknown patient", sampleOru({ patientId: "UNKNOWN" })],
+    ["Unsupported message", sampleOru({ messageType: "ADT^A01^ADT_A01" })],
+  ];
+
+  for (const [label, message] of samples) {
+    try {
+      const ack = parseAck(await sendMessage(host, mllpPort, message));
+      console.log(`${label}: ${ack.code} ${ack.text}`);
+    } catch (error) {
+      console.error(`${label}: ${error.message}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { sampleOru };
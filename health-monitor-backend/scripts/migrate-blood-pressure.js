@@ -0,0 +1,37 @@
+/**
+ * Blood Pressure Migration
+ * Splits bloodPressure into systolic/diastolic on records stored by older
+ * versions. Run once after upgrading; running it again is harmless
+ *
+ * Usage: node scripts/migrate-blood-pressure.js
+ * Connects with MONGODB_URI (and DB_PASSWORD) like the server
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const {
+  backfillBloodPressure,
+} = require("../src/services/bloodPressureBackfill");
+
+async function main() {
+  const mongoUri =
+    process.env.MONGODB_URI?.replace(
+      "${DB_PASSWORD}",
+      process.env.DB_PASSWORD || "",
+    ) || "mongodb://localhost:27017/health-monitor";
+
+  await mongoose.connect(mongoUri);
+  try {
+    const updated = await backfillBloodPressure();
+    console.log(`🩺 Parsed blood pressure on ${updated} older records`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Blood pressure migration failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -1,6 +1,7 @@
 /**
  * Patient Profiles - Realistic Elderly Patient Database
- * Represents patients with common age-related health conditions
+ * Seed data inserted into MongoDB on first start; manage patients through
+ * the /api/patients endpoints afterwards
  */
 
 const PATIENTS = [
@@ -22,6 +23,9 @@ const PATIENTS = [
       hrCritical: [45, 130],
       bpCritical: [180, 90],
       spo2Critical: 92,
+      diastolicCritical: [110, 50],
+      pulsePressureCritical: [25, 90],
+      mapCritical: [65, 130],
     },
   },
   {
@@ -42,6 +46,9 @@ const PATIENTS = [
       hrCritical: [50, 120],
       bpCritical: [160, 100],
       spo2Critical: 93,
+      diastolicCritical: [100, 50],
+      pulsePressureCritical: [25, 80],
+      mapCritical: [65, 125],
     },
   },
   {
@@ -62,6 +69,9 @@ const PATIENTS = [
       hrCritical: [55, 125],
       bpCritical: [170, 95],
       spo2Critical: 91, // Lower threshold due to COPD
+      diastolicCritical: [100, 50],
+      pulsePressureCritical: [25, 80],
+      mapCritical: [65, 125],
     },
   },
   {
@@ -82,6 +92,9 @@ const PATIENTS = [
       hrCritical: [40, 140],
       bpCritical: [180, 90],
       spo2Critical: 94,
+      diastolicCritical: [110, 50],
+      pulsePressureCritical: [25, 90],
+      mapCritical: [65, 130],
     },
   },
   {
@@ -102,6 +115,9 @@ const PATIENTS = [
       hrCritical: [50, 115],
       bpCritical: [160, 95],
       spo2Critical: 94,
+      diastolicCritical: [100, 50],
+      pulsePressureCritical: [25, 80],
+      mapCritical: [65, 125],
     },
   },
 ];
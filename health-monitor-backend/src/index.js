@@ -10,8 +10,12 @@ const socketIo = require("socket.io");
 const cors = require("cors");
 const mongoose = require("mongoose");
 const apiRoutes = require("./routes/api");
-const anomaliesRoutes = require("./routes/anomalies");
+const { authenticateSocket, CARE_STAFF } = require("./middleware/auth");
+const { ensureAdminUser } = require("./services/authService");
+const { canAccessPatient, roomsForUser } = require("./services/careTeam");
+const { acknowledgeAnomaly } = require("./services/anomalyWorkflow");
 const HealthMonitoringService = require("./services/healthMonitoringService");
+const MllpServer = require("./services/mllpServer");
 
 const app = express();
 const server = http.createServer(app);
@@ -24,7 +28,7 @@ const io = socketIo(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "5mb" })); // Room for buffered batch uploads
 
 // MongoDB Connection
 // Replace ${DB_PASSWORD} in connection string with actual password from env
@@ -41,6 +45,7 @@ mongoose
   })
   .then(() => {
     console.log("✅ Connected to MongoDB");
+    return ensureAdminUser();
   })
   .catch((error) => {
     console.error("❌ MongoDB connection error:", error);
@@ -49,14 +54,23 @@ mongoose
 
 // Initialize Health Monitoring Service
 const healthService = new HealthMonitoringService(io);
+app.locals.healthService = healthService; // Shared with routes that feed the pipeline
+
+// HL7 v2 listener for bedside monitors, enabled by MLLP_PORT
+const mllpServer = new MllpServer(healthService);
 
 // Routes
 app.use("/api", apiRoutes);
-app.use("/api/anomalies", anomaliesRoutes);
 
 // WebSocket Events
+io.use(authenticateSocket); // Reject connections without a valid token
+
 io.on("connection", (socket) => {
-  console.log(`👤 Client connected: ${socket.id}`);
+  const { user } = socket.data;
+  console.log(`👤 Client connected: ${socket.id} (${user.username})`);
+
+  // Live events for assigned patients are delivered to these rooms
+  socket.join(roomsForUser(user));
 
   // Send welcome message
   socket.emit("welcome", {
@@ -65,16 +79,61 @@ io.on("connection", (socket) => {
   });
 
   // Join patient-specific room
-  socket.on("subscribe_patient", (patientId) => {
+  socket.on("subscribe_patient", async (patientId) => {
+    if (!(await canAccessPatient(user, patientId))) {
+      socket.emit("subscribe_error", {
+        patientId,
+        error: "Patient not assigned to you",
+      });
+      return;
+    }
     socket.join(`patient_${patientId}`);
     console.log(`📌 ${socket.id} subscribed to patient_${patientId}`);
     socket.emit("subscribed", { patientId });
   });
 
-  // Acknowledge anomaly
-  socket.on("acknowledge_alert", async (data) => {
-    console.log(`✅ Alert acknowledged: ${data.anomalyId}`);
-    socket.broadcast.emit("alert_acknowledged", data);
+  // Receive dashboard_summary pushes for the user's patients, starting
+  // with the current summary
+  socket.on("subscribe_dashboard", async () => {
+    try {
+      const payload = await healthService.dashboardPublisher.subscribe(
+        socket,
+        user,
+      );
+      socket.emit("dashboard_summary", payload);
+    } catch (error) {
+      socket.emit("subscribe_error", {
+        dashboard: true,
+        error: error.message,
+      });
+    }
+  });
+
+  socket.on("unsubscribe_dashboard", () => {
+    healthService.dashboardPublisher.unsubscribe(socket);
+  });
+
+  // Acknowledge anomaly; replies through the ack callback when given,
+  // otherwise with an acknowledge_result event
+  socket.on("acknowledge_alert", async (data, callback) => {
+    const reply =
+      typeof callback === "function"
+        ? callback
+        : (result) => socket.emit("acknowledge_result", result);
+
+    if (!CARE_STAFF.includes(user.role)) {
+      reply({ success: false, error: "Insufficient permissions" });
+      return;
+    }
+
+    try {
+      const anomaly = await acknowledgeAnomaly(data?.anomalyId, user);
+      await healthService.broadcastAcknowledgement(anomaly);
+      console.log(`✅ Alert acknowledged: ${anomaly._id} by ${user.username}`);
+      reply({ success: true, anomaly });
+    } catch (error) {
+      reply({ success: false, error: error.message });
+    }
   });
 
   socket.on("disconnect", () => {
@@ -103,12 +162,25 @@ server.listen(PORT, async () => {
 
   // Start health monitoring
   await healthService.startMonitoring();
+
+  if (process.env.MLLP_PORT) {
+    try {
+      await mllpServer.listen(
+        parseInt(process.env.MLLP_PORT),
+        process.env.MLLP_HOST,
+      );
+    } catch (error) {
+      console.error("❌ MLLP listener not started:", error.message);
+    }
+  }
 });
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
   console.log("\n🛑 Shutting down...");
   healthService.stopMonitoring();
+  await healthService.notificationService.idle();
+  await mllpServer.close();
   await mongoose.connection.close();
   process.exit(0);
 });
@@ -0,0 +1,131 @@
+/**
+ * Authentication & Authorization Middleware
+ * Bearer-token authentication for REST routes and Socket.IO handshakes,
+ * plus role and care-team checks
+ */
+
+const crypto = require("crypto");
+const { resolveToken } = require("../services/authService");
+const { canAccessPatient } = require("../services/careTeam");
+const { Sensor, User } = require("../models");
+
+// Role groups used by route guards
+const ALL_ROLES = User.ROLES;
+const CARE_STAFF = ["nurse", "physician", "admin"];
+const CLINICIANS = ["physician", "admin"];
+const ADMINS = ["admin"];
+
+function bearerToken(header) {
+  const [scheme, token] = (header || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * Require a valid token; sets req.user
+ */
+async function authenticate(req, res, next) {
+  try {
+    const user = await resolveToken(bearerToken(req.headers.authorization));
+    if (!user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Allow only the given roles (use after authenticate)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+/**
+ * Allow only users assigned to req.params.patientId (admins always pass)
+ */
+async function requirePatientAccess(req, res, next) {
+  try {
+    if (!(await canAccessPatient(req.user, req.params.patientId))) {
+      return res.status(403).json({ error: "Patient not assigned to you" });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Hash a sensor API key for storage and comparison
+ */
+function hashSensorKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+/**
+ * Devices authenticate with the API key issued at sensor registration
+ * Sent as "X-Sensor-Key"; sets req.sensor
+ */
+async function authenticateSensor(req, res, next) {
+  try {
+    const apiKey = req.headers["x-sensor-key"];
+    if (!apiKey) {
+      return res.status(401).json({ error: "Sensor key required" });
+    }
+
+    const sensor = await Sensor.findOne({
+      apiKeyHash: hashSensorKey(apiKey),
+      isActive: true,
+    });
+    if (!sensor) {
+      return res.status(401).json({ error: "Invalid sensor key" });
+    }
+    req.sensor = sensor;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Socket.IO handshake authentication
+ * Clients connect with io(url, { auth: { token } }); sets socket.data.user
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const user = await resolveToken(
+      socket.handshake.auth?.token ||
+        bearerToken(socket.handshake.headers?.authorization),
+    );
+    if (!user) {
+      return next(new Error("Authentication required"));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  ALL_ROLES,
+  CARE_STAFF,
+  CLINICIANS,
+  ADMINS,
+  authenticate,
+  requireRole,
+  requirePatientAccess,
+  hashSensorKey,
+  authenticateSensor,
+  authenticateSocket,
+};
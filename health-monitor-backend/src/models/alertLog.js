@@ -12,6 +12,13 @@ const alertLogSchema = new mongoose.Schema(
     message: String,
     severity: String,
     actionTaken: String,
+    anomalyId: { type: mongoose.Schema.Types.ObjectId, index: true }, // Anomaly the entry belongs to
+    performedBy: String, // User behind manual actions such as acknowledgement
+    // Outbound notification deliveries (actionTaken notification_*)
+    channel: String, // email, sms, webhook or pager
+    recipient: String, // Username
+    deliveryStatus: { type: String, enum: ["sent", "failed", "skipped"] },
+    deliveryReference: String, // Message ID returned by the transport
     timestamp: { type: Date, default: Date.now, index: true },
   },
   { timestamps: true },
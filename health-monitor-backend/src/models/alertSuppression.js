@@ -0,0 +1,41 @@
+/**
+ * Alert Suppression Schema
+ * Snoozes alert categories for a patient over a time range, e.g. expected
+ * tachycardia after physiotherapy or a planned procedure
+ * Matching anomalies are still recorded but marked suppressed
+ */
+
+const mongoose = require("mongoose");
+
+const alertSuppressionSchema = new mongoose.Schema(
+  {
+    patientId: { type: String, required: true, index: true },
+    categories: {
+      type: [String],
+      validate: {
+        validator: (categories) => categories.length > 0,
+        message: "At least one alert category is required",
+      },
+    },
+    startsAt: { type: Date, default: Date.now },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (endsAt) {
+          return endsAt > this.startsAt;
+        },
+        message: "endsAt must be after startsAt",
+      },
+    },
+    reason: { type: String, required: true, trim: true },
+    createdBy: { type: String, required: true }, // Username
+    cancelledAt: Date, // Set when ended early
+    cancelledBy: String,
+  },
+  { timestamps: true },
+);
+
+alertSuppressionSchema.index({ patientId: 1, endsAt: 1 });
+
+module.exports = mongoose.model("AlertSuppression", alertSuppressionSchema);
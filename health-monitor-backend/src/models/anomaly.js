@@ -5,6 +5,26 @@
 
 const mongoose = require("mongoose");
 
+// open -> acknowledged -> in_progress -> resolved | dismissed (false positive)
+const STATUSES = [
+  "open",
+  "acknowledged",
+  "in_progress",
+  "resolved",
+  "dismissed",
+];
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: { type: String, enum: STATUSES, required: true },
+    by: { type: String, required: true }, // Username
+    at: { type: Date, default: Date.now },
+    note: String,
+  },
+  { _id: false },
+);
+
 const anomalySchema = new mongoose.Schema(
   {
     patientId: { type: String, required: true, index: true },
@@ -19,16 +39,40 @@ const anomalySchema = new mongoose.Schema(
         category: String,
         message: String,
         value: mongoose.Schema.Types.Mixed,
+        suppressed: Boolean, // Category snoozed for the patient
+        suppressionId: mongoose.Schema.Types.ObjectId,
       },
     ],
     anomalyScore: Number,
+    thresholds: mongoose.Schema.Types.Mixed, // Alert thresholds in force at detection
     recordId: mongoose.Schema.Types.ObjectId, // Reference to health record
     acknowledged: { type: Boolean, default: false },
     acknowledgedBy: String,
     acknowledgedAt: Date,
-    detectedAt: { type: Date, default: Date.now, index: true },
+    status: { type: String, enum: STATUSES, default: "open", index: true },
+    assignedTo: String, // Username working on it while in_progress
+    resolutionNote: String,
+    clinicalAction: String, // What was done for the patient
+    resolvedBy: String,
+    resolvedAt: Date, // Set for resolved and dismissed
+    statusHistory: [statusChangeSchema],
+    escalationLevel: { type: Number, default: 1 }, // 1 = initial alert
+    nextEscalationAt: { type: Date, index: true }, // Unset when nothing is pending
+    late: { type: Boolean, default: false }, // Detected from a reading uploaded after the fact
+    suppressed: { type: Boolean, default: false, index: true }, // Every alert snoozed; not paged or counted
+    detectedAt: { type: Date, default: Date.now, index: true }, // Episode start
+    // Episode: consecutive readings showing the same alert categories
+    categories: [String], // Alert categories seen during the episode
+    lastSeenAt: Date, // Latest reading that still showed the condition
+    endedAt: { type: Date, default: null }, // First reading without it; null while ongoing
+    occurrences: { type: Number, default: 1 }, // Readings grouped into the episode
+    lastNotifiedAt: Date, // Last time the care team was alerted
   },
   { timestamps: true },
 );
 
+anomalySchema.index({ patientId: 1, endedAt: 1, categories: 1 });
+
+anomalySchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model("Anomaly", anomalySchema);
@@ -0,0 +1,25 @@
+/**
+ * Care Team Assignment Schema
+ * Links a user (staff or family) to a patient they look after
+ * Non-admin users only see patients they are assigned to
+ */
+
+const mongoose = require("mongoose");
+
+const careTeamAssignmentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    patientId: { type: String, required: true, index: true },
+    assignedBy: String,
+  },
+  { timestamps: true },
+);
+
+careTeamAssignmentSchema.index({ userId: 1, patientId: 1 }, { unique: true });
+
+module.exports = mongoose.model("CareTeamAssignment", careTeamAssignmentSchema);
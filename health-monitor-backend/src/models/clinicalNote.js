@@ -0,0 +1,21 @@
+/**
+ * Clinical Note Schema
+ * Timestamped notes written by staff about a patient or one of their anomalies
+ */
+
+const mongoose = require("mongoose");
+
+const clinicalNoteSchema = new mongoose.Schema(
+  {
+    patientId: { type: String, required: true, index: true },
+    anomalyId: { type: mongoose.Schema.Types.ObjectId, index: true }, // Unset for patient notes
+    author: { type: String, required: true }, // Username
+    authorRole: String,
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+  },
+  { timestamps: true },
+);
+
+clinicalNoteSchema.index({ patientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ClinicalNote", clinicalNoteSchema);
@@ -1,20 +1,36 @@
 /**
  * Dashboard Summary Schema
- * Stores real-time statistics for the monitoring dashboard
+ * Cached snapshot of the dashboard statistics for one patient scope:
+ * every patient (admins) or one set of care team assignments
  */
 
 const mongoose = require("mongoose");
 
+// Scope keys change with care team assignments; snapshots of scopes nobody
+// has viewed for this long are removed
+const SNAPSHOT_TTL_HOURS = 24;
+
 const dashboardSummarySchema = new mongoose.Schema(
   {
+    scope: { type: String, required: true, unique: true }, // "all" or a hash of the patient ids
     totalPatients: Number,
     activeAlerts: Number,
     criticalCount: Number,
     warningCount: Number,
     recentAnomalies: [mongoose.Schema.Types.Mixed],
-    lastUpdate: { type: Date, default: Date.now },
+    latestVitals: [mongoose.Schema.Types.Mixed], // Latest reading per patient
+    vitalsLast24Hours: mongoose.Schema.Types.Mixed, // Rollup summary per patient
+    lastUpdate: { type: Date, default: Date.now }, // When the snapshot was computed
   },
-  { timestamps: true },
+  { timestamps: true, minimize: false },
+);
+
+// MongoDB removes snapshots SNAPSHOT_TTL_HOURS after they were last computed
+dashboardSummarySchema.index(
+  { lastUpdate: 1 },
+  { expireAfterSeconds: SNAPSHOT_TTL_HOURS * 60 * 60 },
 );
 
+dashboardSummarySchema.statics.SNAPSHOT_TTL_HOURS = SNAPSHOT_TTL_HOURS;
+
 module.exports = mongoose.model("DashboardSummary", dashboardSummarySchema);
@@ -0,0 +1,22 @@
+/**
+ * Detection Profile Schema
+ * Overrides for the anomaly detector's fixed limits
+ * scope "default" applies to every patient; a patientId scope overrides it
+ * Unset fields inherit from the next level (patient -> default -> built-in)
+ */
+
+const mongoose = require("mongoose");
+
+const detectionProfileSchema = new mongoose.Schema(
+  {
+    scope: { type: String, unique: true, required: true, index: true },
+    feverAbove: { type: Number, min: 37, max: 42 }, // °C
+    hypothermiaBelow: { type: Number, min: 30, max: 36.5 }, // °C
+    fallRiskAbove: { type: Number, min: 0, max: 100 }, // fallRiskScore
+    zScoreLimit: { type: Number, min: 1, max: 6 }, // |z| for hr_anomaly
+    updatedBy: String,
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("DetectionProfile", detectionProfileSchema);
@@ -0,0 +1,58 @@
+/**
+ * Escalation Policy Schema
+ * Who is notified, and when, while an anomaly stays unacknowledged
+ * A policy applies to a severity, optionally narrowed to one alert category
+ */
+
+const mongoose = require("mongoose");
+
+// One step after the initial alert; level 2 is the first step
+const escalationLevelSchema = new mongoose.Schema(
+  {
+    afterMinutes: { type: Number, required: true, min: 1 }, // Since detection
+    notifyCareTeam: { type: Boolean, default: false }, // Re-notify assigned users
+    roles: [String], // e.g. physicians on the patient's care team
+    usernames: [String], // e.g. the charge nurse or physician on call
+  },
+  { _id: false },
+);
+
+const escalationPolicySchema = new mongoose.Schema(
+  {
+    severity: { type: String, enum: ["warning", "critical"], required: true },
+    category: { type: String, default: null }, // null = any category
+    levels: {
+      type: [escalationLevelSchema],
+      validate: [
+        {
+          validator: (levels) => levels.length > 0,
+          message: "levels must contain at least one step",
+        },
+        {
+          validator: (levels) =>
+            levels.every(
+              (l, i) => i === 0 || l.afterMinutes > levels[i - 1].afterMinutes,
+            ),
+          message: "levels must have increasing afterMinutes",
+        },
+        {
+          validator: (levels) =>
+            levels.every(
+              (l) =>
+                l.notifyCareTeam ||
+                l.roles.length > 0 ||
+                l.usernames.length > 0,
+            ),
+          message: "each level must notify someone",
+        },
+      ],
+    },
+    isActive: { type: Boolean, default: true },
+    updatedBy: String,
+  },
+  { timestamps: true },
+);
+
+escalationPolicySchema.index({ severity: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model("EscalationPolicy", escalationPolicySchema);
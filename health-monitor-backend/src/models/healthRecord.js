@@ -10,6 +10,8 @@ const healthRecordSchema = new mongoose.Schema(
     patientId: { type: String, required: true, index: true },
     heartRate: Number,
     bloodPressure: String,
+    systolic: Number, // Parsed from bloodPressure for querying and charting
+    diastolic: Number,
     spo2: Number,
     bodyTemperature: Number,
     motionLevel: Number,
@@ -21,4 +23,21 @@ const healthRecordSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+// Keep numeric systolic/diastolic in sync with the "S/D" string
+healthRecordSchema.pre("validate", function (next) {
+  if (this.bloodPressure && this.isModified("bloodPressure")) {
+    const [systolic, diastolic] = this.bloodPressure
+      .split("/")
+      .map((x) => parseInt(x));
+    this.systolic = Number.isFinite(systolic) ? systolic : undefined;
+    this.diastolic = Number.isFinite(diastolic) ? diastolic : undefined;
+  }
+  next();
+});
+
+// De-duplication of buffered device uploads
+healthRecordSchema.index({ sensorId: 1, recordedAt: 1 });
+// Per-patient time range queries
+healthRecordSchema.index({ patientId: 1, recordedAt: -1 });
+
 module.exports = mongoose.model("HealthRecord", healthRecordSchema);
@@ -8,6 +8,18 @@ const HealthRecord = require("./healthRecord");
 const Anomaly = require("./anomaly");
 const AlertLog = require("./alertLog");
 const DashboardSummary = require("./dashboardSummary");
+const Sensor = require("./sensor");
+const ThresholdRevision = require("./thresholdRevision");
+const DetectionProfile = require("./detectionProfile");
+const User = require("./user");
+const CareTeamAssignment = require("./careTeamAssignment");
+const EscalationPolicy = require("./escalationPolicy");
+const ClinicalNote = require("./clinicalNote");
+const AlertSuppression = require("./alertSuppression");
+const WebhookSubscription = require("./webhookSubscription");
+const WebhookDelivery = require("./webhookDelivery");
+const VitalRollup = require("./vitalRollup");
+const RecordArchive = require("./recordArchive");
 
 module.exports = {
   Patient,
@@ -15,4 +27,16 @@ module.exports = {
   Anomaly,
   AlertLog,
   DashboardSummary,
+  Sensor,
+  ThresholdRevision,
+  DetectionProfile,
+  User,
+  CareTeamAssignment,
+  EscalationPolicy,
+  ClinicalNote,
+  AlertSuppression,
+  WebhookSubscription,
+  WebhookDelivery,
+  VitalRollup,
+  RecordArchive,
 };
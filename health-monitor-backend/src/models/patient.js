@@ -5,17 +5,103 @@
 
 const mongoose = require("mongoose");
 
+// Baseline range for a single vital sign: { min, max, normal }
+const vitalRangeSchema = new mongoose.Schema(
+  {
+    min: { type: Number, required: true },
+    max: { type: Number, required: true },
+    normal: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+const rangeValidator = {
+  validator: (range) => range.min <= range.normal && range.normal <= range.max,
+  message: (props) => `${props.path} must satisfy min <= normal <= max`,
+};
+
+const baselineVitalsSchema = new mongoose.Schema(
+  {
+    hr: { type: vitalRangeSchema, required: true, validate: rangeValidator },
+    systolic: {
+      type: vitalRangeSchema,
+      required: true,
+      validate: rangeValidator,
+    },
+    diastolic: {
+      type: vitalRangeSchema,
+      required: true,
+      validate: rangeValidator,
+    },
+    spo2: { type: vitalRangeSchema, required: true, validate: rangeValidator },
+    temp: { type: vitalRangeSchema, required: true, validate: rangeValidator },
+  },
+  { _id: false },
+);
+
+const alertThresholdsSchema = new mongoose.Schema(
+  {
+    // [low, high] heart rate limits
+    hrCritical: {
+      type: [Number],
+      validate: {
+        validator: (v) => v.length === 2 && v[0] < v[1],
+        message: "hrCritical must be [low, high] with low < high",
+      },
+    },
+    // [high, low] systolic limits
+    bpCritical: {
+      type: [Number],
+      validate: {
+        validator: (v) => v.length === 2 && v[0] > v[1],
+        message: "bpCritical must be [high, low] with high > low",
+      },
+    },
+    spo2Critical: { type: Number, required: true, min: 50, max: 100 },
+    // Optional: checks are skipped when not set
+    // [high, low] diastolic limits
+    diastolicCritical: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (v) => v.length === 2 && v[0] > v[1],
+        message: "diastolicCritical must be [high, low] with high > low",
+      },
+    },
+    // [low, high] pulse pressure (systolic - diastolic) limits
+    pulsePressureCritical: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (v) => v.length === 2 && v[0] < v[1],
+        message: "pulsePressureCritical must be [low, high] with low < high",
+      },
+    },
+    // [low, high] mean arterial pressure limits
+    mapCritical: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (v) => v.length === 2 && v[0] < v[1],
+        message: "mapCritical must be [low, high] with low < high",
+      },
+    },
+  },
+  { _id: false },
+);
+
 const patientSchema = new mongoose.Schema(
   {
     patientId: { type: String, unique: true, required: true, index: true },
     name: { type: String, required: true },
-    age: Number,
+    age: { type: Number, min: 0, max: 130 },
     conditions: [String],
     medications: [String],
     riskFactors: [String],
-    baselineVitals: mongoose.Schema.Types.Mixed,
-    alertThresholds: mongoose.Schema.Types.Mixed,
+    baselineVitals: { type: baselineVitalsSchema, required: true },
+    alertThresholds: { type: alertThresholdsSchema, required: true },
     isActive: { type: Boolean, default: true },
+    simulatorEnabled: { type: Boolean, default: true }, // Generate simulated vitals each cycle
   },
   { timestamps: true },
 );
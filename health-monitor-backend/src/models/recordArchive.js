@@ -0,0 +1,25 @@
+/**
+ * Record Archive Schema
+ * One compressed NDJSON file of a patient's raw health records moved out of
+ * the database by the retention job; lists the record ids so anomalies that
+ * reference archived records can still be resolved
+ */
+
+const mongoose = require("mongoose");
+
+const recordArchiveSchema = new mongoose.Schema(
+  {
+    patientId: { type: String, required: true },
+    day: { type: Date, required: true }, // Start of the UTC day archived
+    file: { type: String, required: true }, // Relative to ARCHIVE_DIR
+    count: { type: Number, required: true },
+    bytes: Number,
+    recordIds: { type: [mongoose.Schema.Types.ObjectId], index: true },
+    restoredAt: Date, // Last time the records were restored on demand
+  },
+  { timestamps: true },
+);
+
+recordArchiveSchema.index({ patientId: 1, day: 1 });
+
+module.exports = mongoose.model("RecordArchive", recordArchiveSchema);
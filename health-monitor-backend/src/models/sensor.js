@@ -0,0 +1,20 @@
+/**
+ * Sensor Registration Schema
+ * Links a wearable or bedside device to the patient it reports for
+ */
+
+const mongoose = require("mongoose");
+
+const sensorSchema = new mongoose.Schema(
+  {
+    sensorId: { type: String, unique: true, required: true, index: true },
+    patientId: { type: String, required: true, index: true },
+    deviceType: { type: String, default: "wearable-health-sensor" },
+    apiKeyHash: { type: String, index: true, select: false }, // SHA-256 of the device key
+    isActive: { type: Boolean, default: true },
+    lastSeenAt: Date,
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("Sensor", sensorSchema);
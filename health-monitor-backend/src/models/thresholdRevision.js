@@ -0,0 +1,21 @@
+/**
+ * Threshold Revision Schema
+ * Audit trail of alert threshold changes per patient
+ * Used to evaluate readings against the thresholds in force at the time
+ */
+
+const mongoose = require("mongoose");
+
+const thresholdRevisionSchema = new mongoose.Schema(
+  {
+    patientId: { type: String, required: true, index: true },
+    alertThresholds: { type: mongoose.Schema.Types.Mixed, required: true },
+    previousThresholds: mongoose.Schema.Types.Mixed,
+    changedBy: { type: String, required: true },
+    reason: { type: String, required: true },
+    effectiveFrom: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("ThresholdRevision", thresholdRevisionSchema);
@@ -0,0 +1,68 @@
+/**
+ * User Account Schema
+ * Staff and family accounts for the REST API and Socket.IO
+ */
+
+const mongoose = require("mongoose");
+const { isTimeZone } = require("../utils/timeZone");
+
+const ROLES = ["nurse", "physician", "admin", "family"];
+const CHANNEL_TYPES = ["email", "sms", "webhook", "pager"];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 24-hour
+
+const notificationChannelSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: CHANNEL_TYPES, required: true },
+    address: { type: String, required: true, trim: true }, // Email, phone number, URL or pager ID
+    minSeverity: {
+      type: String,
+      enum: ["warning", "critical"],
+      default: "warning",
+    },
+    enabled: { type: Boolean, default: true },
+  },
+  { _id: false },
+);
+
+// Only critical alerts get through during quiet hours (unless allowCritical is off)
+const quietHoursSchema = new mongoose.Schema(
+  {
+    start: { type: String, match: TIME_OF_DAY, required: true }, // e.g. "22:00"
+    end: { type: String, match: TIME_OF_DAY, required: true }, // e.g. "07:00"
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: { validator: isTimeZone, message: "Unknown timezone" },
+    },
+    allowCritical: { type: Boolean, default: true },
+  },
+  { _id: false },
+);
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      unique: true,
+      required: true,
+      index: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: { type: String, required: true },
+    role: { type: String, enum: ROLES, required: true },
+    passwordHash: { type: String, required: true, select: false },
+    isActive: { type: Boolean, default: true },
+    lastLoginAt: Date,
+    notifications: {
+      channels: [notificationChannelSchema],
+      quietHours: { type: quietHoursSchema, default: null },
+    },
+  },
+  { timestamps: true },
+);
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.CHANNEL_TYPES = CHANNEL_TYPES;
+
+module.exports = mongoose.model("User", userSchema);
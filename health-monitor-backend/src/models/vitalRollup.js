@@ -0,0 +1,50 @@
+/**
+ * Vital Rollup Schema
+ * Hourly and daily aggregates of a patient's readings, kept up to date as
+ * readings arrive; raw sums are stored so buckets can be combined
+ * Fields have no defaults: they are written with $inc, which starts at 0
+ */
+
+const mongoose = require("mongoose");
+
+const PERIODS = ["hour", "day"];
+
+const vitalStatsSchema = new mongoose.Schema(
+  {
+    count: Number,
+    sum: Number,
+    sumSquares: Number, // For the standard deviation
+    min: Number,
+    max: Number,
+    outOfRange: Number, // Readings outside the baseline range
+    minutesOutOfRange: Number,
+  },
+  { _id: false },
+);
+
+const vitalRollupSchema = new mongoose.Schema(
+  {
+    patientId: { type: String, required: true },
+    period: { type: String, enum: PERIODS, required: true },
+    start: { type: Date, required: true }, // Start of the UTC hour or day
+    readings: Number,
+    minutes: Number, // Time covered by the readings
+    vitals: {
+      heartRate: vitalStatsSchema,
+      systolic: vitalStatsSchema,
+      diastolic: vitalStatsSchema,
+      spo2: vitalStatsSchema,
+      bodyTemperature: vitalStatsSchema,
+    },
+  },
+  { timestamps: true },
+);
+
+vitalRollupSchema.index(
+  { patientId: 1, period: 1, start: 1 },
+  { unique: true },
+);
+
+vitalRollupSchema.statics.PERIODS = PERIODS;
+
+module.exports = mongoose.model("VitalRollup", vitalRollupSchema);
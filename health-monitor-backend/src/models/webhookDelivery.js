@@ -0,0 +1,50 @@
+/**
+ * Webhook Delivery Schema
+ * One event sent to one subscription, with every attempt made
+ */
+
+const mongoose = require("mongoose");
+
+const STATUSES = ["pending", "retrying", "succeeded", "failed", "cancelled"];
+// Delivery history is kept this long; retries finish well within it
+const RETENTION_DAYS = 30;
+
+const attemptSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    at: { type: Date, required: true },
+    statusCode: Number, // Unset when no response was received
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false },
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    event: { type: String, required: true },
+    patientId: String,
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Sent unchanged on every attempt
+    status: { type: String, enum: STATUSES, default: "pending", index: true },
+    attempts: [attemptSchema],
+    deliveredAt: Date,
+  },
+  { timestamps: true },
+);
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+// MongoDB removes deliveries RETENTION_DAYS after they were created
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+webhookDeliverySchema.statics.STATUSES = STATUSES;
+webhookDeliverySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
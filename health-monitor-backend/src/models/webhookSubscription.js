@@ -0,0 +1,74 @@
+/**
+ * Webhook Subscription Schema
+ * An external system (e.g. the EHR) that receives signed event pushes
+ */
+
+const mongoose = require("mongoose");
+const { isPrivateHost, parseOrigins } = require("../utils/network");
+
+const EVENTS = [
+  "anomaly.created",
+  "anomaly.acknowledged",
+  "anomaly.status_changed",
+  "vital.recorded",
+];
+
+/**
+ * http(s) URL without credentials, off private networks unless its origin
+ * is listed in WEBHOOK_INTERNAL_ORIGINS (e.g. an on-premises EHR)
+ */
+function isWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return false;
+  }
+  if (url.username || url.password) {
+    return false;
+  }
+  return (
+    !isPrivateHost(url.hostname) ||
+    parseOrigins(process.env.WEBHOOK_INTERNAL_ORIGINS).includes(url.origin)
+  );
+}
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: isWebhookUrl,
+        message:
+          "url must be http(s) and not on a private network (see WEBHOOK_INTERNAL_ORIGINS)",
+      },
+    },
+    events: {
+      type: [{ type: String, enum: EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event type is required",
+      },
+    },
+    patientIds: [String], // Empty = every patient
+    secret: { type: String, required: true, select: false }, // HMAC signing key
+    description: String,
+    isActive: { type: Boolean, default: true },
+    createdBy: String,
+  },
+  { timestamps: true },
+);
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+webhookSubscriptionSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema,
+);
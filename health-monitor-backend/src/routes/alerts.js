@@ -6,20 +6,17 @@
 const express = require("express");
 const router = express.Router();
 const { AlertLog } = require("../models");
+const { patientFilter } = require("../services/careTeam");
 
 /**
  * GET /api/alerts/history
- * Get alert log history
+ * Get alert log history for the user's patients
  * Query params: ?limit=50&patientId=P001
  */
 router.get("/history", async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
-    const query = {};
-
-    if (req.query.patientId) {
-      query.patientId = req.query.patientId;
-    }
+    const query = await patientFilter(req.user, req.query.patientId);
 
     const alerts = await AlertLog.find(query)
       .sort({ timestamp: -1 })
@@ -4,8 +4,26 @@
  */
 
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
-const { Anomaly } = require("../models");
+const { Anomaly, ClinicalNote } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  ADMINS,
+  CARE_STAFF,
+  CLINICIANS,
+} = require("../middleware/auth");
+const { canAccessPatient, patientFilter } = require("../services/careTeam");
+const {
+  WorkflowError,
+  findAnomalyForUser,
+  acknowledgeAnomaly,
+  assignAnomaly,
+  resolveAnomaly,
+  dismissAnomaly,
+} = require("../services/anomalyWorkflow");
+const { findRecord } = require("../services/retention");
 const AnomalyDetector = require("../services/anomalyDetector");
 const { HealthRecord } = require("../models");
 
@@ -13,12 +31,22 @@ const { HealthRecord } = require("../models");
 const retrospectiveDetector = new AnomalyDetector();
 retrospectiveDetector.setHealthRecordModel(HealthRecord);
 
+/**
+ * Respond with the status carried by a WorkflowError, or 500
+ */
+function sendWorkflowError(res, error) {
+  if (error instanceof WorkflowError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
 /**
  * GET /api/anomalies/patient/:patientId
  * Get anomalies for a patient
- * Query params: ?limit=20&severity=critical
+ * Query params: ?limit=20&severity=critical&status=open,in_progress
  */
-router.get("/patient/:patientId", async (req, res) => {
+router.get("/patient/:patientId", requirePatientAccess, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const severity = req.query.severity;
@@ -27,6 +55,16 @@ router.get("/patient/:patientId", async (req, res) => {
     if (severity) {
       query.severity = severity;
     }
+    if (req.query.status) {
+      const statuses = req.query.status.split(",");
+      const invalid = statuses.filter((s) => !Anomaly.STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res
+          .status(400)
+          .json({ error: `Unknown status: ${invalid.join(", ")}` });
+      }
+      query.status = { $in: statuses };
+    }
 
     const anomalies = await Anomaly.find(query)
       .sort({ detectedAt: -1 })
@@ -41,11 +79,16 @@ router.get("/patient/:patientId", async (req, res) => {
 
 /**
  * GET /api/anomalies/active
- * Get all currently active (unacknowledged) anomalies
+ * Get active (unacknowledged, unsuppressed) anomalies for the user's patients
  */
 router.get("/active", async (req, res) => {
   try {
-    const anomalies = await Anomaly.find({ acknowledged: false })
+    const query = await patientFilter(req.user);
+    const anomalies = await Anomaly.find({
+      ...query,
+      acknowledged: false,
+      suppressed: { $ne: true },
+    })
       .sort({ detectedAt: -1 })
       .lean();
 
@@ -57,32 +100,182 @@ router.get("/active", async (req, res) => {
 
 /**
  * POST /api/anomalies/:anomalyId/acknowledge
- * Acknowledge an anomaly (mark as reviewed)
+ * Acknowledge an anomaly (mark as reviewed) as the signed-in user
+ * Notifies subscribed clients with alert_acknowledged
  */
-router.post("/:anomalyId/acknowledge", async (req, res) => {
+router.post(
+  "/:anomalyId/acknowledge",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const anomaly = await acknowledgeAnomaly(req.params.anomalyId, req.user);
+      await req.app.locals.healthService?.broadcastAcknowledgement(anomaly);
+
+      res.json(anomaly);
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  },
+);
+
+/**
+ * POST /api/anomalies/:anomalyId/assign
+ * Mark an anomaly in progress and assign it to a staff member
+ * Request body: { assignee: "nurse.jones" } (optional - defaults to caller)
+ */
+router.post(
+  "/:anomalyId/assign",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const anomaly = await assignAnomaly(
+        req.params.anomalyId,
+        req.user,
+        req.body.assignee,
+      );
+      await req.app.locals.healthService?.broadcastStatusChange(anomaly);
+
+      res.json(anomaly);
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  },
+);
+
+/**
+ * POST /api/anomalies/:anomalyId/resolve
+ * Close an anomaly after clinical follow-up
+ * Request body: { resolutionNote: "...", clinicalAction: "Oxygen started at 2L" }
+ */
+router.post(
+  "/:anomalyId/resolve",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const anomaly = await resolveAnomaly(
+        req.params.anomalyId,
+        req.user,
+        req.body,
+      );
+      await req.app.locals.healthService?.broadcastStatusChange(anomaly);
+
+      res.json(anomaly);
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  },
+);
+
+/**
+ * POST /api/anomalies/:anomalyId/dismiss
+ * Close an anomaly as a false positive
+ * Request body: { resolutionNote: "Sensor displaced during wash" }
+ */
+router.post(
+  "/:anomalyId/dismiss",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const anomaly = await dismissAnomaly(
+        req.params.anomalyId,
+        req.user,
+        req.body,
+      );
+      await req.app.locals.healthService?.broadcastStatusChange(anomaly);
+
+      res.json(anomaly);
+    } catch (error) {
+      sendWorkflowError(res, error);
+    }
+  },
+);
+
+/**
+ * GET /api/anomalies/:anomalyId
+ * Get one anomaly including its statusHistory
+ */
+router.get("/:anomalyId", async (req, res) => {
   try {
-    const { acknowledgedBy = "system" } = req.body;
-
-    const anomaly = await Anomaly.findByIdAndUpdate(
-      req.params.anomalyId,
-      {
-        acknowledged: true,
-        acknowledgedBy,
-        acknowledgedAt: new Date(),
-      },
-      { new: true },
-    );
+    if (!mongoose.isValidObjectId(req.params.anomalyId)) {
+      return res.status(404).json({ error: "Anomaly not found" });
+    }
 
+    const anomaly = await Anomaly.findById(req.params.anomalyId).lean();
     if (!anomaly) {
       return res.status(404).json({ error: "Anomaly not found" });
     }
-
+    if (!(await canAccessPatient(req.user, anomaly.patientId))) {
+      return res.status(403).json({ error: "Patient not assigned to you" });
+    }
     res.json(anomaly);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/anomalies/:anomalyId/record
+ * The health record that last showed the anomaly, also once archived
+ */
+router.get("/:anomalyId/record", async (req, res) => {
+  try {
+    const anomaly = await findAnomalyForUser(req.params.anomalyId, req.user);
+    const record = anomaly.recordId && (await findRecord(anomaly.recordId));
+    if (!record) {
+      return res.status(404).json({ error: "Health record not found" });
+    }
+    res.json(record);
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+/**
+ * GET /api/anomalies/:anomalyId/notes
+ * List notes on an anomaly, oldest first
+ */
+router.get("/:anomalyId/notes", async (req, res) => {
+  try {
+    const anomaly = await findAnomalyForUser(req.params.anomalyId, req.user);
+    const notes = await ClinicalNote.find({ anomalyId: anomaly._id })
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json(notes);
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+/**
+ * POST /api/anomalies/:anomalyId/notes
+ * Record what was done for an anomaly
+ * Request body: { body: "Repositioned patient, SpO2 recovered to 95%" }
+ */
+router.post(
+  "/:anomalyId/notes",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const anomaly = await findAnomalyForUser(req.params.anomalyId, req.user);
+      const note = await ClinicalNote.create({
+        patientId: anomaly.patientId,
+        anomalyId: anomaly._id,
+        author: req.user.username,
+        authorRole: req.user.role,
+        body: req.body.body,
+      });
+      req.app.locals.healthService?.broadcastNote(note);
+
+      res.status(201).json(note);
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      sendWorkflowError(res, error);
+    }
+  },
+);
+
 /**
  * POST /api/anomalies/retrospective
  * Run retrospective anomaly detection on historical health records
@@ -90,13 +283,14 @@ router.post("/:anomalyId/acknowledge", async (req, res) => {
  *
  * Request body:
  * {
- *   patientId: "P001" (optional - specific patient or null for all),
+ *   patientId: "P001" (optional - specific patient or null for all; only
+ *              admins may scan all patients),
  *   startDate: "2024-01-01" (optional - ISO date string),
  *   endDate: "2024-12-31" (optional - ISO date string),
  *   updateDatabase: true (optional - default true, whether to save detected anomalies)
  * }
  */
-router.post("/retrospective", async (req, res) => {
+router.post("/retrospective", requireRole(...CLINICIANS), async (req, res) => {
   try {
     const {
       patientId = null,
@@ -105,6 +299,17 @@ router.post("/retrospective", async (req, res) => {
       updateDatabase = true,
     } = req.body;
 
+    // Clinicians may only scan patients on their care team
+    if (patientId === null) {
+      if (!ADMINS.includes(req.user.role)) {
+        return res.status(403).json({
+          error: "patientId is required; only admins can scan all patients",
+        });
+      }
+    } else if (!(await canAccessPatient(req.user, String(patientId)))) {
+      return res.status(403).json({ error: "Patient not assigned to you" });
+    }
+
     // Validate and parse dates
     const options = {
       patientId,
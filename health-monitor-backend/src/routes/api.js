@@ -5,20 +5,30 @@
 
 const express = require("express");
 const router = express.Router();
+const { authenticate } = require("../middleware/auth");
 
 // Import route modules
+const authRouter = require("./auth");
+const usersRouter = require("./users");
+const ingestRouter = require("./ingest");
 const patientsRouter = require("./patients");
 const vitalsRouter = require("./vitals");
 const anomaliesRouter = require("./anomalies");
 const dashboardRouter = require("./dashboard");
 const alertsRouter = require("./alerts");
-
-// Mount route modules
-router.use("/patients", patientsRouter);
-router.use("/vitals", vitalsRouter);
-router.use("/anomalies", anomaliesRouter);
-router.use("/dashboard", dashboardRouter);
-router.use("/alerts", alertsRouter);
+const sensorsRouter = require("./sensors");
+const thresholdsRouter = require("./thresholds");
+const careTeamRouter = require("./careTeam");
+const notesRouter = require("./notes");
+const suppressionsRouter = require("./suppressions");
+const exportsRouter = require("./exports");
+const reportsRouter = require("./reports");
+const escalationPoliciesRouter = require("./escalationPolicies");
+const notificationsRouter = require("./notifications");
+const webhooksRouter = require("./webhooks");
+const fhirRouter = require("./fhir");
+const detectionProfilesRouter = require("./detectionProfiles");
+const archivesRouter = require("./archives");
 
 /**
  * GET /api/health
@@ -31,4 +41,32 @@ router.get("/health", (req, res) => {
   });
 });
 
+// Public / device-authenticated routes
+router.use("/auth", authRouter);
+router.use("/vitals/ingest", ingestRouter);
+
+// Everything below requires a user token
+router.use(authenticate);
+
+// Mount route modules
+router.use("/users", usersRouter);
+router.use("/patients", patientsRouter);
+router.use("/patients/:patientId/thresholds", thresholdsRouter);
+router.use("/patients/:patientId/care-team", careTeamRouter);
+router.use("/patients/:patientId/notes", notesRouter);
+router.use("/patients/:patientId/suppressions", suppressionsRouter);
+router.use("/patients/:patientId/export", exportsRouter);
+router.use("/patients/:patientId/report", reportsRouter);
+router.use("/vitals", vitalsRouter);
+router.use("/anomalies", anomaliesRouter);
+router.use("/dashboard", dashboardRouter);
+router.use("/alerts", alertsRouter);
+router.use("/sensors", sensorsRouter);
+router.use("/detection-profiles", detectionProfilesRouter);
+router.use("/escalation-policies", escalationPoliciesRouter);
+router.use("/notifications", notificationsRouter);
+router.use("/webhooks", webhooksRouter);
+router.use("/fhir", fhirRouter);
+router.use("/archives", archivesRouter);
+
 module.exports = router;
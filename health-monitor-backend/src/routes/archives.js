@@ -0,0 +1,93 @@
+/**
+ * Archive Routes
+ * Endpoints for raw health records moved to archive files by the retention
+ * policy: listing, restoring on demand and running retention now (admins)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { Patient, RecordArchive } = require("../models");
+const { requireRole, ADMINS } = require("../middleware/auth");
+const {
+  restoreRecords,
+  retentionSettings,
+  runRetention,
+} = require("../services/retention");
+
+router.use(requireRole(...ADMINS));
+
+/**
+ * GET /api/archives
+ * List archive files, newest day first
+ * Query params: ?patientId=P001&limit=100
+ */
+router.get("/", async (req, res) => {
+  try {
+    const filter = req.query.patientId
+      ? { patientId: String(req.query.patientId) }
+      : {};
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const archives = await RecordArchive.find(filter)
+      .select("-recordIds")
+      .sort({ day: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ retention: retentionSettings(), archives });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/archives/restore
+ * Put a patient's archived records back into the database
+ * Request body: { patientId: "P001", from: "2026-01-01", to: "2026-01-02" }
+ */
+router.post("/restore", async (req, res) => {
+  try {
+    const { patientId } = req.body || {};
+    const from = new Date(req.body?.from);
+    const to = new Date(req.body?.to);
+
+    if (!patientId || !req.body.from || !req.body.to) {
+      return res
+        .status(400)
+        .json({ error: "patientId, from and to are required" });
+    }
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res
+        .status(400)
+        .json({ error: "from and to must be valid dates, from before to" });
+    }
+    if (!(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const result = await restoreRecords({ patientId, from, to });
+    res.json({ patientId, from, to, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/archives/run
+ * Apply the retention policy now instead of waiting for the daily run
+ */
+router.post("/run", async (req, res) => {
+  try {
+    const result = await runRetention();
+    if (!result) {
+      return res
+        .status(409)
+        .json({ error: "Retention is disabled; set RETENTION_RAW_DAYS" });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
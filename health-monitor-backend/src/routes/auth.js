@@ -0,0 +1,53 @@
+/**
+ * Auth Routes
+ * Token login and current-user lookup
+ */
+
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateCredentials,
+  issueToken,
+} = require("../services/authService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * POST /api/auth/login
+ * Exchange username/password for a bearer token
+ * Request body: { username: "nurse.jones", password: "..." }
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await authenticateCredentials(username, password);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      token: issueToken(user),
+      user: {
+        id: user._id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user
+ */
+router.get("/me", authenticate, (req, res) => {
+  const { _id, username, name, role } = req.user;
+  res.json({ id: _id, username, name, role });
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * Care Team Routes
+ * Endpoints for assigning staff and family accounts to a patient
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { CareTeamAssignment, Patient, User } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  ADMINS,
+} = require("../middleware/auth");
+
+/**
+ * GET /api/patients/:patientId/care-team
+ * List users assigned to a patient
+ */
+router.get("/", requirePatientAccess, async (req, res) => {
+  try {
+    const assignments = await CareTeamAssignment.find({
+      patientId: req.params.patientId,
+    })
+      .populate("userId", "username name role")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json(
+      assignments
+        .filter((a) => a.userId)
+        .map((a) => ({
+          username: a.userId.username,
+          name: a.userId.name,
+          role: a.userId.role,
+          assignedBy: a.assignedBy,
+          assignedAt: a.createdAt,
+        })),
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/patients/:patientId/care-team
+ * Assign a user to a patient
+ * Request body: { username: "nurse.jones" }
+ */
+router.post("/", requireRole(...ADMINS), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ error: "username is required" });
+    }
+
+    if (!(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const user = await User.findOne({
+      username: String(username).toLowerCase(),
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (await CareTeamAssignment.exists({ userId: user._id, patientId })) {
+      return res.status(409).json({ error: "User already assigned" });
+    }
+
+    const assignment = await CareTeamAssignment.create({
+      userId: user._id,
+      patientId,
+      assignedBy: req.user.username,
+    });
+    await req.app.locals.healthService?.careTeamChanged(user, patientId);
+    res.status(201).json(assignment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/patients/:patientId/care-team/:username
+ * Remove a user from a patient's care team
+ */
+router.delete("/:username", requireRole(...ADMINS), async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username.toLowerCase(),
+    });
+    if (!user) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const result = await CareTeamAssignment.deleteOne({
+      userId: user._id,
+      patientId: req.params.patientId,
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+    await req.app.locals.healthService?.careTeamChanged(
+      user,
+      req.params.patientId,
+      { removed: true },
+    );
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * Detection Profile Routes
+ * Endpoints for editing temperature, fall and z-score detection limits
+ * The default profile applies to all patients; a patient's profile overrides it
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { DetectionProfile, Patient } = require("../models");
+const {
+  requirePatientAccess,
+  requireRole,
+  CLINICIANS,
+} = require("../middleware/auth");
+const AnomalyDetector = require("../services/anomalyDetector");
+const {
+  DEFAULT_SCOPE,
+  LIMIT_FIELDS,
+  pickLimits,
+  loadDetectionProfile,
+} = require("../services/detectionProfiles");
+
+/**
+ * Build the response for a scope: stored overrides plus the effective limits
+ */
+async function describeScope(scope) {
+  const doc = await DetectionProfile.findOne({ scope }).lean();
+  const applied =
+    scope === DEFAULT_SCOPE
+      ? pickLimits(doc)
+      : await loadDetectionProfile(scope);
+
+  return {
+    scope,
+    overrides: pickLimits(doc),
+    effective: { ...AnomalyDetector.DEFAULT_DETECTION_PROFILE, ...applied },
+    updatedBy: doc?.updatedBy,
+    updatedAt: doc?.updatedAt,
+  };
+}
+
+/**
+ * Reject unknown patients with 404
+ */
+async function requirePatient(req, res, next) {
+  try {
+    if (!(await Patient.exists({ patientId: req.params.patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Respond with a scope's overrides and effective limits
+ */
+async function getScope(scope, res) {
+  try {
+    res.json(await describeScope(scope));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Apply a PUT body to a scope's overrides
+ * The schema ranges keep any hypothermia limit below any fever limit
+ */
+async function updateScope(scope, req, res) {
+  try {
+    const doc =
+      (await DetectionProfile.findOne({ scope })) ||
+      new DetectionProfile({ scope });
+
+    for (const field of LIMIT_FIELDS) {
+      if (req.body[field] === null) {
+        doc[field] = undefined;
+      } else if (req.body[field] !== undefined) {
+        doc[field] = req.body[field];
+      }
+    }
+    doc.updatedBy = req.user.username;
+
+    await doc.save();
+    res.json(await describeScope(scope));
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        error: "Invalid detection profile",
+        details: Object.values(error.errors).map((e) => ({
+          field: e.path,
+          message: e.message,
+        })),
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Remove all overrides of a scope
+ */
+async function clearScope(scope, res) {
+  try {
+    await DetectionProfile.deleteOne({ scope });
+    res.json(await describeScope(scope));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * GET /api/detection-profiles/default
+ * Get the limits that apply to every patient without overrides
+ */
+router.get("/default", (req, res) => getScope(DEFAULT_SCOPE, res));
+
+/**
+ * PUT /api/detection-profiles/default
+ * Set default detection limits; send null for a field to use the built-in one
+ *
+ * Request body:
+ * {
+ *   feverAbove: 38.0,
+ *   hypothermiaBelow: 35.5,
+ *   fallRiskAbove: 70,
+ *   zScoreLimit: 3.0
+ * }
+ */
+router.put("/default", requireRole(...CLINICIANS), (req, res) =>
+  updateScope(DEFAULT_SCOPE, req, res),
+);
+
+/**
+ * DELETE /api/detection-profiles/default
+ * Remove all default overrides
+ */
+router.delete("/default", requireRole(...CLINICIANS), (req, res) =>
+  clearScope(DEFAULT_SCOPE, res),
+);
+
+/**
+ * GET /api/detection-profiles/patients/:patientId
+ * Get a patient's overrides and effective limits
+ */
+router.get(
+  "/patients/:patientId",
+  requirePatientAccess,
+  requirePatient,
+  (req, res) => getScope(req.params.patientId, res),
+);
+
+/**
+ * PUT /api/detection-profiles/patients/:patientId
+ * Set a patient's limits; send null for a field to inherit the default
+ * Same body as the default profile
+ */
+router.put(
+  "/patients/:patientId",
+  requireRole(...CLINICIANS),
+  requirePatientAccess,
+  requirePatient,
+  (req, res) => updateScope(req.params.patientId, req, res),
+);
+
+/**
+ * DELETE /api/detection-profiles/patients/:patientId
+ * Remove all of a patient's overrides
+ */
+router.delete(
+  "/patients/:patientId",
+  requireRole(...CLINICIANS),
+  requirePatientAccess,
+  requirePatient,
+  (req, res) => clearScope(req.params.patientId, res),
+);
+
+module.exports = router;
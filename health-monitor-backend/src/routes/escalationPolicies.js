@@ -0,0 +1,136 @@
+/**
+ * Escalation Policy Routes
+ * Endpoints for configuring how unacknowledged anomalies escalate
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { EscalationPolicy } = require("../models");
+const { requireRole, ADMINS } = require("../middleware/auth");
+
+const EDITABLE_FIELDS = ["severity", "category", "levels", "isActive"];
+
+/**
+ * Convert a Mongoose validation error into a 400 response body
+ */
+function validationErrorBody(error) {
+  return {
+    error: "Invalid escalation policy",
+    details: Object.values(error.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    })),
+  };
+}
+
+/**
+ * Save a policy, mapping validation and duplicate errors to responses
+ */
+async function savePolicy(policy, res, status) {
+  try {
+    await policy.save();
+    res.status(status).json(policy);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A policy for this severity and category exists" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * GET /api/escalation-policies
+ * List escalation policies
+ */
+router.get("/", async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find({})
+      .sort({ severity: 1, category: 1 })
+      .lean();
+    res.json(policies);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/escalation-policies
+ * Create a policy for a severity, optionally limited to one alert category
+ *
+ * Request body:
+ * {
+ *   severity: "critical",
+ *   category: "hypoxemia" (optional - omit for all categories),
+ *   levels: [
+ *     { afterMinutes: 5, notifyCareTeam: true },
+ *     { afterMinutes: 15, usernames: ["charge.nurse"] },
+ *     { afterMinutes: 30, roles: ["physician"] }
+ *   ]
+ * }
+ */
+router.post("/", requireRole(...ADMINS), async (req, res) => {
+  const policy = new EscalationPolicy({ updatedBy: req.user.username });
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      policy[field] = req.body[field];
+    }
+  }
+  await savePolicy(policy, res, 201);
+});
+
+/**
+ * PUT /api/escalation-policies/:policyId
+ * Update a policy; pending escalations follow the new levels
+ */
+router.put("/:policyId", requireRole(...ADMINS), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.policyId)) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+
+    const policy = await EscalationPolicy.findById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    }
+    policy.updatedBy = req.user.username;
+    await savePolicy(policy, res, 200);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/escalation-policies/:policyId
+ * Remove a policy
+ */
+router.delete("/:policyId", requireRole(...ADMINS), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.policyId)) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+
+    const policy = await EscalationPolicy.findByIdAndDelete(
+      req.params.policyId,
+    );
+    if (!policy) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+/**
+ * Export Routes
+ * CSV downloads of a patient's vitals, anomalies and alert log
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Patient } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  CARE_STAFF,
+} = require("../middleware/auth");
+const { DATASETS, selectColumns, streamCsv } = require("../services/csvExport");
+const { archivedDays } = require("../services/retention");
+const { isTimeZone } = require("../utils/timeZone");
+
+router.use(requireRole(...CARE_STAFF), requirePatientAccess);
+
+function parseDate(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function fileDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/patients/:patientId/export/:dataset
+ * Download vitals, anomalies or alerts as CSV, oldest first
+ * Query params: ?from=...&to=...&columns=recordedAt,heartRate
+ *               &timezone=Europe/London&format=csv|excel
+ * Vitals of archived days are not exported; the 409 lists the days to
+ * restore first
+ * Defaults to the last 24 hours, every column, UTC and plain CSV;
+ * format=excel adds a byte order mark so Excel reads the file as UTF-8
+ */
+router.get("/:dataset", async (req, res) => {
+  const { patientId, dataset: name } = req.params;
+  const dataset = Object.hasOwn(DATASETS, name) ? DATASETS[name] : null;
+  if (!dataset) {
+    return res.status(404).json({
+      error: `Unknown dataset; expected one of: ${Object.keys(DATASETS).join(", ")}`,
+    });
+  }
+
+  const to = parseDate(req.query.to, new Date());
+  const from = parseDate(
+    req.query.from,
+    to && new Date(to.getTime() - 24 * 60 * 60 * 1000),
+  );
+  if (!from || !to) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from must be before to" });
+  }
+
+  const keys = String(req.query.columns || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const { columns, unknown } = selectColumns(dataset, keys);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown columns: ${unknown.join(", ")}`,
+      columns: dataset.columns.map((c) => c.key),
+    });
+  }
+
+  const timezone = req.query.timezone || "UTC";
+  if (!isTimeZone(timezone)) {
+    return res.status(400).json({ error: "Unknown timezone" });
+  }
+
+  const format = req.query.format || "csv";
+  if (!["csv", "excel"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or excel" });
+  }
+
+  try {
+    if (!(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+    if (name === "vitals") {
+      const days = await archivedDays(patientId, from, to);
+      if (days.length > 0) {
+        return res.status(409).json({
+          error:
+            "Some readings in this period are archived; restore them with POST /api/archives/restore first",
+          archivedDays: days,
+        });
+      }
+    }
+
+    const filename = `${patientId}-${name}-${fileDate(from)}-${fileDate(to)}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${encodeURIComponent(filename)}"`,
+    );
+
+    await streamCsv(res, dataset, {
+      filter: { patientId, [dataset.dateField]: { $gte: from, $lte: to } },
+      columns,
+      timezone,
+      bom: format === "excel",
+    });
+    res.end();
+  } catch (error) {
+    // Once rows have been sent the status can no longer change
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
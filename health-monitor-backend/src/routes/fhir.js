@@ -0,0 +1,369 @@
+/**
+ * FHIR Routes
+ * Read-only FHIR R4 API for hospital systems
+ * Patients, vital-sign Observations and DetectedIssues (anomalies), with
+ * _since and patient search for incremental sync
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { Anomaly, HealthRecord, Patient } = require("../models");
+const {
+  accessiblePatientIds,
+  canAccessPatient,
+} = require("../services/careTeam");
+const {
+  VITAL_SIGNS,
+  operationOutcome,
+  searchBundle,
+  toFhirDetectedIssue,
+  toFhirObservations,
+  toFhirPatient,
+} = require("../services/fhir");
+const { findRecord } = require("../services/retention");
+
+const DEFAULT_COUNT = 100;
+const MAX_COUNT = 1000;
+
+class FhirError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendResource(res, resource, status = 200) {
+  res.status(status).type("application/fhir+json").json(resource);
+}
+
+function sendError(res, error) {
+  if (error instanceof FhirError) {
+    return sendResource(
+      res,
+      operationOutcome(error.code, error.message),
+      error.status,
+    );
+  }
+  sendResource(res, operationOutcome("exception", error.message), 500);
+}
+
+function notFound(type, id) {
+  return new FhirError(404, "not-found", `${type}/${id} not found`);
+}
+
+function fhirBase(req) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+}
+
+/**
+ * Split a comma-separated search value ("a,b" means a OR b)
+ */
+function searchValues(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Query filter for the `patient` parameter ("Patient/P001" or "P001"),
+ * limited to the patients the signed-in user can see
+ */
+async function patientScope(user, patientParam) {
+  const allowed = await accessiblePatientIds(user);
+  let patientIds = searchValues(patientParam)?.map((v) =>
+    v.replace(/^Patient\//, ""),
+  );
+
+  if (patientIds && allowed) {
+    patientIds = patientIds.filter((id) => allowed.includes(id));
+  } else if (!patientIds) {
+    patientIds = allowed;
+  }
+  return patientIds === null ? {} : { patientId: { $in: patientIds } };
+}
+
+/**
+ * Filter on last update for incremental sync: _since=2026-01-15T00:00:00Z
+ */
+function sinceFilter(query) {
+  if (query._since === undefined) {
+    return {};
+  }
+  const since = new Date(query._since);
+  if (isNaN(since.getTime())) {
+    throw new FhirError(400, "invalid", "_since must be a valid instant");
+  }
+  return { updatedAt: { $gte: since } };
+}
+
+function paging(query) {
+  const count = Math.min(parseInt(query._count) || DEFAULT_COUNT, MAX_COUNT);
+  const offset = Math.max(parseInt(query._offset) || 0, 0);
+  return { count, offset };
+}
+
+/**
+ * Self and next links; results are ordered by last update, so a client
+ * can follow `next` and then resume later with _since
+ */
+function pageLinks(req, type, { count, offset }, hasMore) {
+  const url = (params) =>
+    `${fhirBase(req)}/${type}?${new URLSearchParams({ ...req.query, ...params })}`;
+
+  const links = [{ relation: "self", url: url({}) }];
+  if (hasMore) {
+    links.push({
+      relation: "next",
+      url: url({ _count: count, _offset: offset + count }),
+    });
+  }
+  return links;
+}
+
+/**
+ * Run a paged search ordered by last update
+ */
+async function pagedFind(Model, filter, page) {
+  const [docs, total] = await Promise.all([
+    Model.find(filter)
+      .sort({ updatedAt: 1, _id: 1 })
+      .skip(page.offset)
+      .limit(page.count)
+      .lean(),
+    Model.countDocuments(filter),
+  ]);
+  return { docs, total, hasMore: page.offset + docs.length < total };
+}
+
+/**
+ * GET /api/fhir/metadata
+ * CapabilityStatement describing the supported resources and searches
+ */
+router.get("/metadata", (req, res) => {
+  const searchParam = (name, type) => ({ name, type });
+  const common = [
+    searchParam("_since", "date"),
+    searchParam("_count", "number"),
+  ];
+
+  sendResource(res, {
+    resourceType: "CapabilityStatement",
+    status: "active",
+    date: new Date().toISOString(),
+    kind: "instance",
+    fhirVersion: "4.0.1",
+    format: ["json"],
+    implementation: {
+      description: "Elderly patient health monitor",
+      url: fhirBase(req),
+    },
+    rest: [
+      {
+        mode: "server",
+        resource: [
+          {
+            type: "Patient",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: [
+              searchParam("_id", "token"),
+              searchParam("identifier", "token"),
+              ...common,
+            ],
+          },
+          {
+            type: "Observation",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: [
+              searchParam("patient", "reference"),
+              searchParam("code", "token"),
+              ...common,
+            ],
+          },
+          {
+            type: "DetectedIssue",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: [searchParam("patient", "reference"), ...common],
+          },
+        ],
+      },
+    ],
+  });
+});
+
+/**
+ * GET /api/fhir/Patient
+ * Search patients
+ * Query params: _id, identifier, _since, _count, _offset
+ */
+router.get("/Patient", async (req, res) => {
+  try {
+    const ids = searchValues(req.query._id || req.query.identifier)?.map(
+      (v) => v.split("|").pop(), // identifier may be system|value
+    );
+    const filter = {
+      ...(await patientScope(req.user, ids?.join(","))),
+      ...sinceFilter(req.query),
+    };
+
+    const page = paging(req.query);
+    const { docs, total, hasMore } = await pagedFind(Patient, filter, page);
+    sendResource(
+      res,
+      searchBundle(docs.map(toFhirPatient), {
+        baseUrl: fhirBase(req),
+        total,
+        links: pageLinks(req, "Patient", page, hasMore),
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/fhir/Patient/:id
+ * Read one patient by patientId
+ */
+router.get("/Patient/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const patient = (await canAccessPatient(req.user, id))
+      ? await Patient.findOne({ patientId: id }).lean()
+      : null;
+    if (!patient) {
+      throw notFound("Patient", id);
+    }
+    sendResource(res, toFhirPatient(patient));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/fhir/Observation
+ * Search vital-sign observations; each health record yields one
+ * Observation per vital sign, and _count limits the number of records
+ * Query params: patient, code (LOINC, e.g. 8867-4), _since, _count, _offset
+ */
+router.get("/Observation", async (req, res) => {
+  try {
+    let vitals = VITAL_SIGNS;
+    const codes = searchValues(req.query.code)?.map((v) => v.split("|").pop());
+    if (codes) {
+      vitals = VITAL_SIGNS.filter(
+        (vital) =>
+          codes.includes(vital.code) ||
+          (vital.extraCodes || []).some((c) => codes.includes(c.code)),
+      );
+    }
+
+    // Only records carrying at least one of the requested vital signs
+    const filter = {
+      ...(await patientScope(req.user, req.query.patient)),
+      ...sinceFilter(req.query),
+      $or: vitals.map((vital) => ({
+        [vital.field || vital.components[0].field]: { $type: "number" },
+      })),
+    };
+    if (vitals.length === 0) {
+      filter.$or = [{ _id: null }];
+    }
+
+    const page = paging(req.query);
+    const { docs, hasMore } = await pagedFind(HealthRecord, filter, page);
+    const suffixes = new Set(vitals.map((vital) => vital.suffix));
+    const observations = docs
+      .flatMap(toFhirObservations)
+      .filter((o) => suffixes.has(o.id.split("-").pop()));
+
+    sendResource(
+      res,
+      searchBundle(observations, {
+        baseUrl: fhirBase(req),
+        links: pageLinks(req, "Observation", page, hasMore),
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/fhir/Observation/:id
+ * Read one observation: <health record id>-<hr|bp|spo2|temp>
+ */
+router.get("/Observation/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [recordId, suffix] = id.split("-");
+
+    // Archived records still resolve, e.g. as anomaly evidence
+    const record = mongoose.isValidObjectId(recordId)
+      ? await findRecord(recordId)
+      : null;
+    const observation =
+      record && (await canAccessPatient(req.user, record.patientId))
+        ? toFhirObservations(record).find((o) => o.id.endsWith(`-${suffix}`))
+        : null;
+    if (!observation) {
+      throw notFound("Observation", id);
+    }
+    sendResource(res, observation);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/fhir/DetectedIssue
+ * Search anomalies
+ * Query params: patient, _since, _count, _offset
+ */
+router.get("/DetectedIssue", async (req, res) => {
+  try {
+    const filter = {
+      ...(await patientScope(req.user, req.query.patient)),
+      ...sinceFilter(req.query),
+    };
+
+    const page = paging(req.query);
+    const { docs, total, hasMore } = await pagedFind(Anomaly, filter, page);
+    sendResource(
+      res,
+      searchBundle(docs.map(toFhirDetectedIssue), {
+        baseUrl: fhirBase(req),
+        total,
+        links: pageLinks(req, "DetectedIssue", page, hasMore),
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/fhir/DetectedIssue/:id
+ * Read one anomaly
+ */
+router.get("/DetectedIssue/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const anomaly = mongoose.isValidObjectId(id)
+      ? await Anomaly.findById(id).lean()
+      : null;
+    if (!anomaly || !(await canAccessPatient(req.user, anomaly.patientId))) {
+      throw notFound("DetectedIssue", id);
+    }
+    sendResource(res, toFhirDetectedIssue(anomaly));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
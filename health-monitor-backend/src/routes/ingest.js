@@ -0,0 +1,196 @@
+/**
+ * Device Ingestion Routes
+ * Endpoints sensors use to push vitals; authenticated by sensor API key
+ * rather than user tokens
+ */
+
+const express = require("express");
+const router = express.Router();
+const { Patient, Sensor } = require("../models");
+const { validateReading, toVitals } = require("../services/vitalsValidator");
+const { authenticateSensor } = require("../middleware/auth");
+
+// Upper bound on readings accepted in one offline upload
+const MAX_BATCH_SIZE = 5000;
+
+router.use(authenticateSensor);
+
+/**
+ * POST /api/vitals/ingest
+ * Accept a reading pushed by a registered sensor
+ * Runs the same store/detect/broadcast pipeline as the simulated loop
+ * Headers: X-Sensor-Key (issued at registration, must belong to sensorId)
+ *
+ * Request body:
+ * {
+ *   sensorId: "sensor-P001",
+ *   heartRate: 72,
+ *   bloodPressure: "138/86",
+ *   spo2: 97,
+ *   bodyTemperature: 36.8,
+ *   motionLevel: 0.3 (optional),
+ *   fallRiskScore: 12 (optional),
+ *   timestamp: "2024-01-15T10:30:00.000Z" (optional - defaults to now)
+ * }
+ *
+ * Readings older than the late threshold go through the batch path, so
+ * they are logged as late instead of paging the care team; the response
+ * then has { late: true, duplicates, anomalies } instead of recordId/anomaly
+ */
+router.post("/", async (req, res) => {
+  try {
+    const errors = validateReading(req.body);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid reading", details: errors });
+    }
+
+    const { sensor } = req;
+    if (req.body.sensorId !== sensor.sensorId) {
+      return res
+        .status(403)
+        .json({ error: "Sensor key does not match sensorId" });
+    }
+
+    const patient = await Patient.findOne({
+      patientId: sensor.patientId,
+      isActive: true,
+    }).lean();
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const healthService = req.app.locals.healthService;
+    if (!healthService) {
+      return res
+        .status(503)
+        .json({ error: "Health monitoring service unavailable" });
+    }
+
+    const vitals = toVitals(patient.patientId, req.body);
+    if (healthService.isLate(vitals.timestamp)) {
+      const { duplicates, anomalies } = await healthService.processBatch(
+        patient.patientId,
+        patient,
+        [vitals],
+      );
+      sensor.lastSeenAt = new Date();
+      await sensor.save();
+      return res
+        .status(201)
+        .json({ success: true, late: true, duplicates, anomalies });
+    }
+
+    const { healthRecord, anomalyResult, anomaly } =
+      await healthService.processVitals(patient.patientId, patient, vitals);
+
+    sensor.lastSeenAt = new Date();
+    await sensor.save();
+
+    res.status(201).json({
+      success: true,
+      recordId: healthRecord._id,
+      anomaly: anomalyResult.isAnomaly
+        ? {
+          anomalyId: anomaly?._id,
+          severity: anomalyResult.severity,
+          alerts: anomalyResult.alerts,
+          score: anomalyResult.normalizedScore,
+        }
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/vitals/ingest/batch
+ * Accept buffered readings uploaded by a device after being offline
+ * Readings are de-duplicated, stored in time order and replayed through
+ * anomaly detection; readings older than the late threshold are logged
+ * as late instead of firing live alerts
+ * Headers: X-Sensor-Key (any active sensor registered to the patient)
+ *
+ * Request body:
+ * {
+ *   patientId: "P001",
+ *   readings: [{ sensorId, heartRate, bloodPressure, spo2, bodyTemperature, timestamp }, ...]
+ * }
+ */
+router.post("/batch", async (req, res) => {
+  try {
+    const { patientId, readings } = req.body;
+
+    if (!patientId) {
+      return res.status(400).json({ error: "patientId is required" });
+    }
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "readings must be a non-empty array" });
+    }
+    if (readings.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        error: `Batch cannot exceed ${MAX_BATCH_SIZE} readings`,
+      });
+    }
+
+    if (patientId !== req.sensor.patientId) {
+      return res
+        .status(403)
+        .json({ error: "Sensor is not registered to this patient" });
+    }
+
+    const patient = await Patient.findOne({ patientId, isActive: true }).lean();
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const sensors = await Sensor.find({ patientId, isActive: true }).lean();
+    const sensorIds = new Set(sensors.map((s) => s.sensorId));
+
+    // Invalid readings are reported back; the rest of the batch is kept
+    const rejected = [];
+    const vitalsList = [];
+    readings.forEach((reading, index) => {
+      const errors = validateReading(reading);
+      if (reading && reading.timestamp === undefined) {
+        errors.push("timestamp is required for batch readings");
+      }
+      if (errors.length === 0 && !sensorIds.has(reading.sensorId)) {
+        errors.push("Sensor not registered for this patient");
+      }
+
+      if (errors.length > 0) {
+        rejected.push({ index, errors });
+      } else {
+        vitalsList.push(toVitals(patientId, reading));
+      }
+    });
+
+    const healthService = req.app.locals.healthService;
+    if (!healthService) {
+      return res
+        .status(503)
+        .json({ error: "Health monitoring service unavailable" });
+    }
+
+    const summary =
+      vitalsList.length > 0
+        ? await healthService.processBatch(patientId, patient, vitalsList)
+        : { received: 0, inserted: 0, duplicates: 0, late: 0, anomalies: 0 };
+
+    res.status(rejected.length === readings.length ? 400 : 201).json({
+      success: rejected.length < readings.length,
+      ...summary,
+      received: readings.length,
+      rejected,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Clinical Note Routes
+ * Endpoints for notes on a patient; anomaly notes live under /api/anomalies
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router({ mergeParams: true });
+const { ClinicalNote, Patient } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  CARE_STAFF,
+} = require("../middleware/auth");
+
+router.use(requirePatientAccess);
+
+/**
+ * GET /api/patients/:patientId/notes
+ * List notes for a patient, including notes on their anomalies, newest first
+ * Query params: ?limit=50&anomalyId=...
+ */
+router.get("/", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { patientId: req.params.patientId };
+
+    if (req.query.anomalyId) {
+      if (!mongoose.isValidObjectId(req.query.anomalyId)) {
+        return res.status(400).json({ error: "Invalid anomalyId" });
+      }
+      query.anomalyId = req.query.anomalyId;
+    }
+
+    const notes = await ClinicalNote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json(notes);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/patients/:patientId/notes
+ * Add a note to a patient
+ * Request body: { body: "Family informed about medication change" }
+ */
+router.post("/", requireRole(...CARE_STAFF), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const note = await ClinicalNote.create({
+      patientId,
+      author: req.user.username,
+      authorRole: req.user.role,
+      body: req.body.body,
+    });
+    req.app.locals.healthService?.broadcastNote(note);
+
+    res.status(201).json(note);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+/**
+ * Notification Routes
+ * Endpoints for the signed-in user's outbound notification preferences
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { User } = require("../models");
+const NotificationService = require("../services/notificationService");
+const { WebhookChannel, webhookOrigins } = require("../services/channels");
+
+/**
+ * Webhook channels are for staff, on an origin an administrator allowed
+ * Returns: error message, or null when the channels are acceptable
+ */
+function webhookError(user, channels) {
+  const webhooks = channels.filter((c) => c?.type === "webhook");
+  if (webhooks.length === 0) {
+    return null;
+  }
+  if (!NotificationService.WEBHOOK_ROLES.includes(user.role)) {
+    return "Webhook channels are limited to staff";
+  }
+
+  const transport = new WebhookChannel({ allowedOrigins: webhookOrigins() });
+  const refused = webhooks.find((c) => !transport.accepts(c.address));
+  return refused
+    ? "Webhook URL must be on an origin allowed by NOTIFICATION_WEBHOOK_ORIGINS"
+    : null;
+}
+
+/**
+ * GET /api/notifications/preferences
+ * Get the signed-in user's channels and quiet hours
+ */
+router.get("/preferences", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      channels: user.notifications?.channels || [],
+      quietHours: user.notifications?.quietHours || null,
+      channelTypes: User.CHANNEL_TYPES,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Replace the signed-in user's channels and/or quiet hours
+ *
+ * Request body:
+ * {
+ *   channels: [
+ *     { type: "email", address: "nurse@example.org" },
+ *     { type: "pager", address: "4411", minSeverity: "critical" }
+ *   ],
+ *   quietHours: { start: "22:00", end: "07:00", timezone: "Europe/London" }
+ * }
+ * quietHours: null turns quiet hours off
+ * Webhook channels are staff-only and limited to NOTIFICATION_WEBHOOK_ORIGINS
+ */
+router.put("/preferences", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { channels, quietHours } = req.body;
+    const invalidWebhook = Array.isArray(channels)
+      ? webhookError(req.user, channels)
+      : null;
+    if (invalidWebhook) {
+      return res.status(400).json({ error: invalidWebhook });
+    }
+    if (channels !== undefined) {
+      user.notifications.channels = channels;
+    }
+    if (quietHours !== undefined) {
+      user.notifications.quietHours = quietHours;
+    }
+    await user.save();
+
+    res.json({
+      channels: user.notifications.channels,
+      quietHours: user.notifications.quietHours,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/test
+ * Send a test message to each of the signed-in user's enabled channels
+ * Sent as a critical alert, so critical-only channels receive it too
+ */
+router.post("/test", async (req, res) => {
+  try {
+    const notificationService =
+      req.app.locals.healthService?.notificationService;
+    if (!notificationService) {
+      return res.status(503).json({ error: "Notifications are unavailable" });
+    }
+
+    const user = await User.findById(req.user._id).lean();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const subject = "[TEST] Health monitor notification";
+    const message = {
+      event: "test",
+      severity: "critical",
+      subject,
+      text: `${subject}\n\nSent by ${user.username} to check delivery.`,
+      short: subject,
+      data: { event: "test", username: user.username, timestamp: new Date() },
+    };
+
+    const channels = notificationService.wantedChannels(user, "critical");
+    const deliveries = [];
+    for (const channel of channels) {
+      deliveries.push(
+        await notificationService.deliver(user, channel, message),
+      );
+    }
+    res.json({ deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
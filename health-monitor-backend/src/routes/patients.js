@@ -4,27 +4,119 @@
  */
 
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { Patient } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  ADMINS,
+  CLINICIANS,
+} = require("../middleware/auth");
+const { patientFilter } = require("../services/careTeam");
+
+// Fields clients may set on update; patientId is immutable after create
+// and alertThresholds changes go through /thresholds so they are audited
+const EDITABLE_FIELDS = [
+  "name",
+  "age",
+  "conditions",
+  "medications",
+  "riskFactors",
+  "baselineVitals",
+  "simulatorEnabled",
+];
+
+const CREATE_FIELDS = [...EDITABLE_FIELDS, "alertThresholds"];
+
+function pickFields(body, allowed) {
+  const fields = {};
+  for (const key of allowed) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Convert a Mongoose validation error into a 400 response body
+ */
+function validationErrorBody(error) {
+  return {
+    error: "Invalid patient data",
+    details: Object.values(error.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    })),
+  };
+}
+
+/**
+ * Set isActive on a patient and return the updated document (or null)
+ */
+async function setActive(patientId, isActive) {
+  return Patient.findOneAndUpdate({ patientId }, { isActive }, { new: true });
+}
 
 /**
  * GET /api/patients
- * List all patients
+ * List patients assigned to the user (all patients for admins)
+ * Query params: ?includeInactive=true
  */
 router.get("/", async (req, res) => {
   try {
-    const patients = await Patient.find({ isActive: true }).lean();
+    const query = await patientFilter(req.user);
+    if (req.query.includeInactive !== "true") {
+      query.isActive = true;
+    }
+    const patients = await Patient.find(query).lean();
     res.json(patients);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * POST /api/patients
+ * Create a patient profile
+ * Request body: { patientId, name, age, conditions, medications, riskFactors,
+ *   baselineVitals, alertThresholds, simulatorEnabled }
+ */
+router.post("/", requireRole(...ADMINS), async (req, res) => {
+  try {
+    const { patientId } = req.body;
+    if (!patientId) {
+      return res.status(400).json({ error: "patientId is required" });
+    }
+
+    const existing = await Patient.findOne({ patientId });
+    if (existing) {
+      return res.status(409).json({ error: "Patient already exists" });
+    }
+
+    const patient = await Patient.create({
+      patientId,
+      ...pickFields(req.body, CREATE_FIELDS),
+    });
+    req.app.locals.healthService?.dashboardPublisher.patientChanged(
+      patientId,
+      "patient_activated",
+    );
+    res.status(201).json(patient);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/patients/:patientId
  * Get specific patient details
  */
-router.get("/:patientId", async (req, res) => {
+router.get("/:patientId", requirePatientAccess, async (req, res) => {
   try {
     const patient = await Patient.findOne({ patientId: req.params.patientId });
     if (!patient) {
@@ -36,4 +128,129 @@ router.get("/:patientId", async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/patients/:patientId
+ * Update a patient profile; only the top-level fields sent are replaced
+ */
+router.put(
+  "/:patientId",
+  requireRole(...CLINICIANS),
+  requirePatientAccess,
+  async (req, res) => {
+    try {
+      if (
+        req.body.patientId !== undefined &&
+        req.body.patientId !== req.params.patientId
+      ) {
+        return res.status(400).json({ error: "patientId cannot be changed" });
+      }
+      if (req.body.alertThresholds !== undefined) {
+        return res.status(400).json({
+          error:
+            "Use PUT /api/patients/:patientId/thresholds to change thresholds",
+        });
+      }
+
+      const patient = await Patient.findOne({
+        patientId: req.params.patientId,
+      });
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      patient.set(pickFields(req.body, EDITABLE_FIELDS));
+      await patient.save();
+      if (req.body.baselineVitals !== undefined) {
+        await req.app.locals.healthService?.resetPatientState(
+          patient.patientId,
+        );
+      }
+      res.json(patient);
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json(validationErrorBody(error));
+      }
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/patients/:patientId/deactivate
+ * Stop monitoring a patient (record is kept)
+ */
+router.post(
+  "/:patientId/deactivate",
+  requireRole(...ADMINS),
+  async (req, res) => {
+    try {
+      const patient = await setActive(req.params.patientId, false);
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+      req.app.locals.healthService?.dashboardPublisher.patientChanged(
+        patient.patientId,
+        "patient_deactivated",
+      );
+      res.json(patient);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/patients/:patientId/reactivate
+ * Resume monitoring a deactivated patient
+ */
+router.post(
+  "/:patientId/reactivate",
+  requireRole(...ADMINS),
+  async (req, res) => {
+    try {
+      const patient = await setActive(req.params.patientId, true);
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+      req.app.locals.healthService?.dashboardPublisher.patientChanged(
+        patient.patientId,
+        "patient_activated",
+      );
+      res.json(patient);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * PUT /api/patients/:patientId/simulator
+ * Switch the simulated data source on or off for a patient
+ * Request body: { enabled: false }
+ */
+router.put(
+  "/:patientId/simulator",
+  requireRole(...ADMINS),
+  async (req, res) => {
+    try {
+      const { enabled } = req.body;
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be a boolean" });
+      }
+
+      const patient = await Patient.findOneAndUpdate(
+        { patientId: req.params.patientId },
+        { simulatorEnabled: enabled },
+        { new: true },
+      );
+      if (!patient) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+      res.json(patient);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * Patient Report Routes
+ * Clinical summary of a patient over a period, as JSON or a printable PDF
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { requirePatientAccess } = require("../middleware/auth");
+const { isTimeZone } = require("../utils/timeZone");
+const { renderPatientReport } = require("../services/patientReport");
+
+// Longest period a report can cover
+const MAX_PERIOD_DAYS = 366;
+
+router.use(requirePatientAccess);
+
+/**
+ * Validate ?from&to (default last 24 hours) and ?timezone
+ * Returns: { from, to, timezone } or { error }
+ */
+function parsePeriod(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  const timezone = query.timezone || "UTC";
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (from > to) {
+    return { error: "from must be before to" };
+  }
+  if (to - from > MAX_PERIOD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Period cannot exceed ${MAX_PERIOD_DAYS} days` };
+  }
+  if (!isTimeZone(timezone)) {
+    return { error: "Unknown timezone" };
+  }
+  return { from, to, timezone };
+}
+
+/**
+ * GET /api/patients/:patientId/report
+ * Summary for a period: demographics, vitals min/max/mean and trend,
+ * anomaly counts by severity and category, acknowledgement trail
+ * Query params: ?from=...&to=... (default last 24 hours)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const summary = await req.app.locals.healthService.getPatientSummary(
+      req.params.patientId,
+      period,
+    );
+    if (!summary) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/patients/:patientId/report/pdf
+ * The same summary as a printable PDF with trend charts
+ * Query params: ?from=...&to=...&timezone=Europe/London
+ */
+router.get("/pdf", async (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const { patientId } = req.params;
+    const summary = await req.app.locals.healthService.getPatientSummary(
+      patientId,
+      period,
+    );
+    if (!summary) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const day = (date) => date.toISOString().slice(0, 10);
+    const filename = `${patientId}-summary-${day(period.from)}-${day(period.to)}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${encodeURIComponent(filename)}"`,
+    );
+    renderPatientReport(summary, { timezone: period.timezone }).pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/**
+ * Sensor Routes
+ * Endpoints for registering the devices allowed to push vitals
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const { Sensor, Patient } = require("../models");
+const {
+  requireRole,
+  hashSensorKey,
+  CARE_STAFF,
+} = require("../middleware/auth");
+
+function generateApiKey() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * GET /api/sensors
+ * List registered sensors
+ * Query params: ?patientId=P001
+ */
+router.get("/", requireRole(...CARE_STAFF), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.patientId) {
+      query.patientId = req.query.patientId;
+    }
+
+    const sensors = await Sensor.find(query).sort({ createdAt: -1 }).lean();
+    res.json(sensors);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sensors
+ * Register a sensor for a patient
+ * The response includes the device's API key; it is not retrievable later
+ * Request body: { sensorId: "watch-123", patientId: "P001", deviceType: "smartwatch" }
+ */
+router.post("/", requireRole(...CARE_STAFF), async (req, res) => {
+  try {
+    const { sensorId, patientId, deviceType } = req.body;
+
+    if (!sensorId || !patientId) {
+      return res
+        .status(400)
+        .json({ error: "sensorId and patientId are required" });
+    }
+
+    const patient = await Patient.findOne({ patientId });
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const existing = await Sensor.findOne({ sensorId });
+    if (existing) {
+      return res.status(409).json({ error: "Sensor already registered" });
+    }
+
+    const apiKey = generateApiKey();
+    const sensor = await Sensor.create({
+      sensorId,
+      patientId,
+      deviceType,
+      apiKeyHash: hashSensorKey(apiKey),
+    });
+
+    const { apiKeyHash: _hash, ...created } = sensor.toObject();
+    res.status(201).json({ ...created, apiKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/sensors/:sensorId/rotate-key
+ * Issue a new API key; the previous key stops working immediately
+ */
+router.post(
+  "/:sensorId/rotate-key",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const apiKey = generateApiKey();
+      const sensor = await Sensor.findOneAndUpdate(
+        { sensorId: req.params.sensorId },
+        { apiKeyHash: hashSensorKey(apiKey) },
+        { new: true },
+      ).lean();
+
+      if (!sensor) {
+        return res.status(404).json({ error: "Sensor not found" });
+      }
+
+      res.json({ ...sensor, apiKey });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/sensors/:sensorId
+ * Deactivate a sensor so its readings are rejected
+ */
+router.delete("/:sensorId", requireRole(...CARE_STAFF), async (req, res) => {
+  try {
+    const sensor = await Sensor.findOneAndUpdate(
+      { sensorId: req.params.sensorId },
+      { isActive: false },
+      { new: true },
+    );
+
+    if (!sensor) {
+      return res.status(404).json({ error: "Sensor not found" });
+    }
+
+    res.json(sensor);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
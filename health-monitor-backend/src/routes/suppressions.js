@@ -0,0 +1,122 @@
+/**
+ * Alert Suppression Routes
+ * Endpoints for snoozing alert categories for a patient over a time range
+ * Suppressed anomalies are recorded but not paged or counted
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router({ mergeParams: true });
+const { AlertSuppression, Patient } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  CARE_STAFF,
+  CLINICIANS,
+} = require("../middleware/auth");
+const { ALERT_CATEGORIES } = require("../services/anomalyDetector");
+
+router.use(requirePatientAccess);
+
+/**
+ * GET /api/patients/:patientId/suppressions
+ * List suppressions that have not ended, or all of them with ?all=true
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = { patientId: req.params.patientId };
+    if (req.query.all !== "true") {
+      query.cancelledAt = null;
+      query.endsAt = { $gt: new Date() };
+    }
+
+    const suppressions = await AlertSuppression.find(query)
+      .sort({ startsAt: -1 })
+      .lean();
+    res.json(suppressions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/patients/:patientId/suppressions
+ * Snooze alert categories for a patient
+ *
+ * Request body:
+ * {
+ *   categories: ["tachycardia"],
+ *   startsAt: "2026-01-15T14:00:00Z",  // Optional, defaults to now
+ *   endsAt: "2026-01-15T15:00:00Z",
+ *   reason: "Physiotherapy session"
+ * }
+ * The signed-in user is recorded as createdBy
+ */
+router.post("/", requireRole(...CLINICIANS), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const { categories, startsAt, endsAt, reason } = req.body;
+    // A misspelt category would never match an alert
+    const unknown = Array.isArray(categories)
+      ? categories.filter((c) => !ALERT_CATEGORIES.includes(c))
+      : [];
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown alert categories: ${unknown.join(", ")}`,
+        categories: ALERT_CATEGORIES,
+      });
+    }
+
+    const suppression = await AlertSuppression.create({
+      patientId,
+      categories,
+      startsAt,
+      endsAt,
+      reason,
+      createdBy: req.user.username,
+    });
+
+    res.status(201).json(suppression);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/patients/:patientId/suppressions/:suppressionId
+ * End a suppression early; the record is kept for the audit trail
+ */
+router.delete(
+  "/:suppressionId",
+  requireRole(...CARE_STAFF),
+  async (req, res) => {
+    try {
+      const { patientId, suppressionId } = req.params;
+      if (!mongoose.isValidObjectId(suppressionId)) {
+        return res.status(404).json({ error: "Suppression not found" });
+      }
+
+      const suppression = await AlertSuppression.findOneAndUpdate(
+        { _id: suppressionId, patientId, cancelledAt: null },
+        { cancelledAt: new Date(), cancelledBy: req.user.username },
+        { new: true },
+      ).lean();
+      if (!suppression) {
+        return res.status(404).json({ error: "Suppression not found" });
+      }
+
+      res.json(suppression);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+module.exports = router;
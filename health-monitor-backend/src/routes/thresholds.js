@@ -0,0 +1,131 @@
+/**
+ * Alert Threshold Routes
+ * Endpoints for reading and revising a patient's alert thresholds
+ * Every change is stored as a ThresholdRevision
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router({ mergeParams: true });
+const { Patient, ThresholdRevision } = require("../models");
+const {
+  requireRole,
+  requirePatientAccess,
+  CLINICIANS,
+} = require("../middleware/auth");
+
+router.use(requirePatientAccess);
+
+/**
+ * GET /api/patients/:patientId/thresholds
+ * Get the thresholds currently in force
+ */
+router.get("/", async (req, res) => {
+  try {
+    const patient = await Patient.findOne(
+      { patientId: req.params.patientId },
+      { patientId: 1, alertThresholds: 1 },
+    ).lean();
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const lastRevision = await ThresholdRevision.findOne({
+      patientId: req.params.patientId,
+    })
+      .sort({ effectiveFrom: -1 })
+      .lean();
+
+    res.json({
+      patientId: patient.patientId,
+      alertThresholds: patient.alertThresholds,
+      lastRevision,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/patients/:patientId/thresholds/history
+ * Get all threshold revisions, newest first
+ * Query params: ?limit=50
+ */
+router.get("/history", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+
+    const revisions = await ThresholdRevision.find({
+      patientId: req.params.patientId,
+    })
+      .sort({ effectiveFrom: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/patients/:patientId/thresholds
+ * Change a patient's alert thresholds
+ *
+ * Request body:
+ * {
+ *   alertThresholds: { hrCritical: [45, 130], bpCritical: [180, 90], spo2Critical: 92 },
+ *   reason: "Beta blocker dose increased"
+ * }
+ * The signed-in user is recorded as changedBy
+ */
+router.put("/", requireRole(...CLINICIANS), async (req, res) => {
+  try {
+    const { alertThresholds, reason } = req.body;
+
+    if (!alertThresholds || typeof alertThresholds !== "object") {
+      return res.status(400).json({ error: "alertThresholds is required" });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    const patient = await Patient.findOne({ patientId: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const previousThresholds = patient.toObject().alertThresholds;
+    patient.alertThresholds = alertThresholds;
+    await patient.validate();
+
+    const revision = await ThresholdRevision.create({
+      patientId: patient.patientId,
+      alertThresholds: patient.toObject().alertThresholds,
+      previousThresholds,
+      changedBy: req.user.username,
+      reason,
+      effectiveFrom: new Date(),
+    });
+    await patient.save();
+
+    res.json({
+      patientId: patient.patientId,
+      alertThresholds: patient.alertThresholds,
+      revision,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        error: "Invalid alert thresholds",
+        details: Object.values(error.errors).map((e) => ({
+          field: e.path,
+          message: e.message,
+        })),
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
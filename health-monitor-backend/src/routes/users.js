@@ -0,0 +1,125 @@
+/**
+ * User Routes
+ * Admin endpoints for managing staff and family accounts
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { User } = require("../models");
+const { hashPassword } = require("../services/authService");
+const { requireRole, ADMINS } = require("../middleware/auth");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Reject passwords that are not strings or are too short
+ * Returns: error message, or null when the password is acceptable
+ */
+function passwordError(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be a string of at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+router.use(requireRole(...ADMINS));
+
+/**
+ * GET /api/users
+ * List user accounts
+ * Query params: ?role=nurse
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+
+    const users = await User.find(query).sort({ username: 1 }).lean();
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user account
+ * Request body: { username, name, role, password }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { username, name, role, password } = req.body;
+
+    const invalidPassword = passwordError(password);
+    if (invalidPassword) {
+      return res.status(400).json({ error: invalidPassword });
+    }
+    if (username && (await User.exists({ username: username.toLowerCase() }))) {
+      return res.status(409).json({ error: "Username already exists" });
+    }
+
+    const user = await User.create({
+      username,
+      name,
+      role,
+      passwordHash: await hashPassword(password),
+    });
+
+    const { passwordHash: _hash, ...created } = user.toObject();
+    res.status(201).json(created);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/users/:userId
+ * Update name, role, active flag or password
+ */
+router.put("/:userId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { name, role, isActive, password } = req.body;
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (isActive !== undefined) {
+      user.isActive = isActive;
+    }
+    if (password !== undefined) {
+      const invalidPassword = passwordError(password);
+      if (invalidPassword) {
+        return res.status(400).json({ error: invalidPassword });
+      }
+      user.passwordHash = await hashPassword(password);
+    }
+
+    await user.save();
+    const { passwordHash: _hash, ...updated } = user.toObject();
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
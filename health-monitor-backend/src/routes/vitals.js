@@ -4,14 +4,84 @@
  */
 
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
-const { HealthRecord } = require("../models");
+const { HealthRecord, Patient, VitalRollup } = require("../models");
+const {
+  requirePatientAccess,
+  requireRole,
+  ADMINS,
+} = require("../middleware/auth");
+const { isTimeZone } = require("../utils/timeZone");
+const {
+  BUCKETS,
+  DEFAULT_PERCENTILES,
+  MAX_BUCKETS,
+  aggregateVitals,
+} = require("../services/vitalsAggregation");
+const {
+  PERIODS,
+  bucketStart,
+  rebuildRollups,
+  summarizeRollup,
+} = require("../services/rollups");
+const { archivedDays } = require("../services/retention");
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 10000;
+
+/**
+ * Positive integer query param, or the fallback when missing or invalid
+ */
+function positiveInt(value, fallback) {
+  const number = parseInt(value);
+  return number > 0 ? number : fallback;
+}
+
+/**
+ * Period from ?from&to, falling back to the last `hours` hours
+ * Returns: { from, to } or { error }
+ */
+function parseRange(query, hours) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (from > to) {
+    return { error: "from must be before to" };
+  }
+  return { from, to };
+}
+
+/**
+ * Opaque page cursor: position of the oldest record already returned
+ */
+function encodeCursor(record) {
+  return Buffer.from(
+    `${record.recordedAt.toISOString()}|${record._id}`,
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const [at, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("|");
+  const recordedAt = new Date(at);
+  if (isNaN(recordedAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { recordedAt, _id: new mongoose.Types.ObjectId(id) };
+}
 
 /**
  * GET /api/vitals/:patientId/latest
  * Get latest vital signs for a patient
  */
-router.get("/:patientId/latest", async (req, res) => {
+router.get("/:patientId/latest", requirePatientAccess, async (req, res) => {
   try {
     const record = await HealthRecord.findOne({
       patientId: req.params.patientId,
@@ -30,32 +100,206 @@ router.get("/:patientId/latest", async (req, res) => {
 
 /**
  * GET /api/vitals/:patientId/history
- * Get vital signs history (last 24 hours or specified period)
- * Query params: ?limit=100&hours=24
+ * Get raw vital signs, oldest first
+ * Query params: ?hours=24 or ?from=...&to=...
+ * Without limit or cursor the whole period is returned. With either, pages
+ * run newest first: &limit=100 (max 10000), &cursor=... (nextCursor of the
+ * previous page, for older records)
  */
-router.get("/:patientId/history", async (req, res) => {
+router.get("/:patientId/history", requirePatientAccess, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100000;
-    const hours = parseInt(req.query.hours) || 24;
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const paged =
+      req.query.limit !== undefined || req.query.cursor !== undefined;
+    const pageSize = Math.min(
+      positiveInt(req.query.limit, DEFAULT_HISTORY_LIMIT),
+      MAX_HISTORY_LIMIT,
+    );
+    const limit = paged ? pageSize : Infinity;
+    const hours = positiveInt(req.query.hours, 24);
+    const range = parseRange(req.query, hours);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
 
-    const records = await HealthRecord.find({
+    const query = {
       patientId: req.params.patientId,
-      recordedAt: { $gte: since },
-    })
-      .sort({ recordedAt: -1 })
-      .limit(limit)
-      .lean();
+      recordedAt: { $gte: range.from, $lte: range.to },
+    };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      query.$or = [
+        { recordedAt: { $lt: cursor.recordedAt } },
+        { recordedAt: cursor.recordedAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    // One extra record tells whether an older page exists
+    const find = HealthRecord.find(query).sort({ recordedAt: -1, _id: -1 });
+    const newest = await (paged ? find.limit(limit + 1) : find).lean();
+    const records = newest.slice(0, limit).reverse();
+    const hasMore = newest.length > limit;
 
     res.json({
       patientId: req.params.patientId,
-      period: `Last ${hours} hours`,
+      period:
+        req.query.from || req.query.to
+          ? `${range.from.toISOString()} to ${range.to.toISOString()}`
+          : `Last ${hours} hours`,
+      from: range.from,
+      to: range.to,
       count: records.length,
       records,
+      nextCursor: hasMore ? encodeCursor(records[0]) : null,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/vitals/:patientId/aggregate
+ * Vitals downsampled into time buckets, oldest first; each vital has
+ * count, min, max, mean and the requested percentiles (nearest rank)
+ * Query params: ?from=...&to=... (default last 24 hours), &bucket=15m|1h|1d,
+ *               &percentiles=5,50,95 (integers 1-100), &timezone=Europe/London
+ * archivedDays lists days whose readings are archived and left out
+ */
+router.get("/:patientId/aggregate", requirePatientAccess, async (req, res) => {
+  try {
+    const range = parseRange(req.query, 24);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const bucket = req.query.bucket || "1h";
+    if (!Object.hasOwn(BUCKETS, bucket)) {
+      return res.status(400).json({
+        error: `bucket must be one of: ${Object.keys(BUCKETS).join(", ")}`,
+      });
+    }
+    if ((range.to - range.from) / BUCKETS[bucket].ms > MAX_BUCKETS) {
+      return res.status(400).json({
+        error: `Range has more than ${MAX_BUCKETS} buckets; use a larger bucket`,
+      });
+    }
+
+    const timezone = req.query.timezone || "UTC";
+    if (!isTimeZone(timezone)) {
+      return res.status(400).json({ error: "Unknown timezone" });
+    }
+
+    let percentiles = DEFAULT_PERCENTILES;
+    if (req.query.percentiles !== undefined) {
+      percentiles = String(req.query.percentiles)
+        .split(",")
+        .filter(Boolean)
+        .map(Number);
+      if (
+        !percentiles.every((p) => Number.isInteger(p) && p >= 1 && p <= 100)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "percentiles must be integers from 1 to 100" });
+      }
+      percentiles = [...new Set(percentiles)].sort((a, b) => a - b);
+    }
+
+    const buckets = await aggregateVitals(req.params.patientId, {
+      ...range,
+      bucket,
+      timezone,
+      percentiles,
+    });
+
+    res.json({
+      patientId: req.params.patientId,
+      from: range.from,
+      to: range.to,
+      bucket,
+      timezone,
+      percentiles,
+      archivedDays: await archivedDays(
+        req.params.patientId,
+        range.from,
+        range.to,
+      ),
+      count: buckets.length,
+      buckets,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/vitals/:patientId/rollups
+ * Hourly or daily vitals rollups, oldest first; each vital has count, min,
+ * max, mean, std and time outside the baseline range
+ * Query params: ?period=hour|day, &from=...&to=... (default last 24 hours)
+ */
+router.get("/:patientId/rollups", requirePatientAccess, async (req, res) => {
+  try {
+    const period = req.query.period || "hour";
+    if (!PERIODS.includes(period)) {
+      return res
+        .status(400)
+        .json({ error: `period must be one of: ${PERIODS.join(", ")}` });
+    }
+    const range = parseRange(req.query, 24);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const rollups = await VitalRollup.find({
+      patientId: req.params.patientId,
+      period,
+      start: { $gte: bucketStart(range.from, period), $lte: range.to },
+    })
+      .sort({ start: 1 })
+      .lean();
+
+    res.json({
+      patientId: req.params.patientId,
+      period,
+      from: range.from,
+      to: range.to,
+      count: rollups.length,
+      rollups: rollups.map(summarizeRollup),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/vitals/rollups/rebuild
+ * Recompute rollups from the stored readings (admin only)
+ * Body: { from, to, patientId? } - whole UTC days covering from..to,
+ * for one patient or all of them; days whose readings are archived are
+ * skipped and the returned from is the first day rebuilt
+ */
+router.post("/rollups/rebuild", requireRole(...ADMINS), async (req, res) => {
+  try {
+    const { from, to, patientId } = req.body || {};
+    if (!from || !to) {
+      return res.status(400).json({ error: "from and to are required" });
+    }
+    const range = parseRange({ from, to }, 24);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (patientId && !(await Patient.exists({ patientId }))) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    const result = await rebuildRollups({ ...range, patientId });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
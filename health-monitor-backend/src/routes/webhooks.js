@@ -0,0 +1,217 @@
+/**
+ * Webhook Routes
+ * Endpoints for managing webhook subscriptions and inspecting deliveries
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { WebhookDelivery, WebhookSubscription } = require("../models");
+const WebhookService = require("../services/webhookService");
+const { requireRole, ADMINS } = require("../middleware/auth");
+
+const EDITABLE_FIELDS = ["url", "events", "patientIds", "description"];
+
+router.use(requireRole(...ADMINS));
+
+/**
+ * Load a subscription from the route, or send a 404
+ */
+async function findSubscription(req, res) {
+  const { subscriptionId } = req.params;
+  const subscription = mongoose.isValidObjectId(subscriptionId)
+    ? await WebhookSubscription.findById(subscriptionId)
+    : null;
+  if (!subscription) {
+    res.status(404).json({ error: "Subscription not found" });
+  }
+  return subscription;
+}
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions (secrets are never returned)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({})
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ subscriptions, events: WebhookSubscription.EVENTS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events; the signing secret is returned only here
+ *
+ * Request body:
+ * {
+ *   url: "https://ehr.example.org/hooks/health-monitor",
+ *   events: ["anomaly.created", "anomaly.acknowledged"],
+ *   patientIds: ["P001"] (optional - omit for every patient),
+ *   description: "EHR integration"
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const subscription = new WebhookSubscription({
+      secret: WebhookService.generateSecret(),
+      createdBy: req.user.username,
+    });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    }
+    await subscription.save();
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:subscriptionId
+ * Update a subscription's URL, events, patients, description or isActive
+ */
+router.put("/:subscriptionId", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    for (const field of [...EDITABLE_FIELDS, "isActive"]) {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    }
+    await subscription.save();
+
+    res.json(subscription);
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:subscriptionId
+ * Deactivate a subscription; queued deliveries are cancelled and the
+ * delivery history is kept
+ */
+router.delete("/:subscriptionId", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.isActive = false;
+    await subscription.save();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:subscriptionId/rotate-secret
+ * Replace the signing secret and return the new one
+ */
+router.post("/:subscriptionId/rotate-secret", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.secret = WebhookService.generateSecret();
+    await subscription.save();
+    res.json({ secret: subscription.secret });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:subscriptionId/deliveries
+ * List deliveries with every attempt, newest first
+ *
+ * Query params:
+ * - status: pending | retrying | succeeded | failed | cancelled
+ * - limit: number of deliveries to return (default 50)
+ */
+router.get("/:subscriptionId/deliveries", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    const query = { subscriptionId: subscription._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .lean();
+    res.json(deliveries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver
+ * Queue a delivery again with the same payload and a fresh set of retries
+ */
+router.post(
+  "/:subscriptionId/deliveries/:deliveryId/redeliver",
+  async (req, res) => {
+    try {
+      const webhookService = req.app.locals.healthService?.webhookService;
+      if (!webhookService?.queue) {
+        return res.status(503).json({ error: "Webhooks are unavailable" });
+      }
+
+      const subscription = await findSubscription(req, res);
+      if (!subscription) {
+        return;
+      }
+      if (!subscription.isActive) {
+        return res.status(409).json({ error: "Subscription is inactive" });
+      }
+
+      const { deliveryId } = req.params;
+      let delivery = null;
+      if (mongoose.isValidObjectId(deliveryId)) {
+        delivery = await WebhookDelivery.findOne({
+          _id: deliveryId,
+          subscriptionId: subscription._id,
+        });
+      }
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      await webhookService.redeliver(delivery);
+      res.status(202).json(delivery);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+module.exports = router;
@@ -4,6 +4,36 @@
  * Detects: Critical vitals, falls, abnormal patterns, behavioral changes
  */
 
+// Built-in limits, overridable per patient through a detection profile
+const DEFAULT_DETECTION_PROFILE = {
+  feverAbove: 38.5, // °C
+  hypothermiaBelow: 35.0, // °C
+  fallRiskAbove: 80, // fallRiskScore
+  zScoreLimit: 2.5, // |z| for heart rate
+};
+
+// Every alert category the detector can raise
+const ALERT_CATEGORIES = [
+  "bradycardia",
+  "diastolic_hypertension",
+  "diastolic_hypotension",
+  "fall_detected",
+  "fever",
+  "high_map",
+  "hr_anomaly",
+  "hypertensive_crisis",
+  "hypotension",
+  "hypothermia",
+  "hypoxemia",
+  "low_map",
+  "narrow_pulse_pressure",
+  "nocturnal_activity",
+  "spo2_declining",
+  "sustained_inactivity",
+  "tachycardia",
+  "wide_pulse_pressure",
+];
+
 class AnomalyDetector {
   constructor() {
     this.dataWindow = {}; // 24-hour rolling window of vitals per patient
@@ -91,11 +121,12 @@ class AnomalyDetector {
 
   /**
    * Detect anomalies in vital signs
-   * Returns: { isAnomaly, severity, alerts[] }
+   * Returns: { isAnomaly, severity, alerts[], suppressed }
    */
   detectAnomalies(patientId, vitals, patientProfile) {
     const alerts = [];
     let severity = "normal"; // normal, warning, critical
+    const limits = this.resolveDetectionProfile(patientProfile);
 
     // 1. Critical Vitals (immediate alerts)
     const criticalAlerts = this.checkCriticalVitals(vitals, patientProfile);
@@ -105,7 +136,7 @@ class AnomalyDetector {
     }
 
     // 2. Fall Detection
-    if (vitals.fallRiskScore > 80) {
+    if (vitals.fallRiskScore > limits.fallRiskAbove) {
       alerts.push({
         type: "critical",
         category: "fall_detected",
@@ -116,7 +147,11 @@ class AnomalyDetector {
     }
 
     // 3. Statistical Anomalies (z-score)
-    const statAlerts = this.checkStatisticalAnomalies(patientId, vitals);
+    const statAlerts = this.checkStatisticalAnomalies(
+      patientId,
+      vitals,
+      limits.zScoreLimit,
+    );
     alerts.push(...statAlerts);
     if (statAlerts.some((a) => a.type === "critical")) {
       severity = "critical";
@@ -131,6 +166,13 @@ class AnomalyDetector {
       severity = "critical";
     }
 
+    // 5. Alert categories snoozed for this patient (recorded, not paged)
+    const suppressed = this.applySuppressions(
+      alerts,
+      patientProfile?.suppressions,
+      vitals.timestamp,
+    );
+
     // Store anomaly history
     if (alerts.length > 0) {
       if (!this.anomalyHistory[patientId]) {
@@ -155,6 +197,83 @@ class AnomalyDetector {
       severity,
       alerts,
       normalizedScore: this.calculateAnomalyScore(alerts),
+      thresholds: patientProfile.alertThresholds,
+      detectionProfile: limits,
+      suppressed,
+    };
+  }
+
+  /**
+   * Mark alerts whose category is snoozed at the reading's time
+   * Returns: true when every alert is suppressed
+   */
+  applySuppressions(alerts, suppressions, timestamp) {
+    if (!suppressions || suppressions.length === 0 || alerts.length === 0) {
+      return false;
+    }
+
+    const time = new Date(timestamp || Date.now()).getTime();
+    for (const alert of alerts) {
+      const suppression = suppressions.find(
+        (s) =>
+          !s.cancelledAt &&
+          s.categories.includes(alert.category) &&
+          new Date(s.startsAt).getTime() <= time &&
+          time < new Date(s.endsAt).getTime(),
+      );
+      if (suppression) {
+        alert.suppressed = true;
+        alert.suppressionId = suppression._id;
+      }
+    }
+    return alerts.every((a) => a.suppressed);
+  }
+
+  /**
+   * Merge a patient's detection profile overrides over the built-in limits
+   */
+  resolveDetectionProfile(patientProfile) {
+    return {
+      ...DEFAULT_DETECTION_PROFILE,
+      ...(patientProfile?.detectionProfile || {}),
+    };
+  }
+
+  /**
+   * Resolve the alert thresholds in force at a given time
+   * Revisions must be sorted by effectiveFrom (oldest first)
+   * Falls back to the profile's thresholds when there is no history
+   */
+  resolveThresholdsAt(revisions, timestamp, fallback) {
+    if (!revisions || revisions.length === 0) {
+      return fallback;
+    }
+
+    const time = new Date(timestamp).getTime();
+    let thresholds = revisions[0].previousThresholds || fallback;
+    for (const revision of revisions) {
+      if (new Date(revision.effectiveFrom).getTime() > time) {
+        break;
+      }
+      thresholds = revision.alertThresholds;
+    }
+    return thresholds;
+  }
+
+  /**
+   * Patient profile with the thresholds in force at the reading's time
+   */
+  profileAt(patientProfile, revisions, timestamp) {
+    if (!revisions || revisions.length === 0) {
+      return patientProfile;
+    }
+    return {
+      ...patientProfile,
+      alertThresholds: this.resolveThresholdsAt(
+        revisions,
+        timestamp,
+        patientProfile.alertThresholds,
+      ),
     };
   }
 
@@ -164,6 +283,7 @@ class AnomalyDetector {
   checkCriticalVitals(vitals, patient) {
     const alerts = [];
     const { alertThresholds } = patient;
+    const limits = this.resolveDetectionProfile(patient);
     // baselineVitals available if needed for future use
 
     // Heart Rate
@@ -184,9 +304,8 @@ class AnomalyDetector {
     }
 
     // Blood Pressure
-    const [systolic, _diastolic] = vitals.bloodPressure
-      .split("/")
-      .map((x) => parseInt(x));
+    const { systolic, diastolic, pulsePressure, meanArterialPressure } =
+      this.parseBloodPressure(vitals.bloodPressure);
 
     if (systolic > alertThresholds.bpCritical[0]) {
       alerts.push({
@@ -204,6 +323,66 @@ class AnomalyDetector {
       });
     }
 
+    // Diastolic Pressure
+    const diastolicLimits = alertThresholds.diastolicCritical;
+    if (diastolicLimits?.length === 2) {
+      if (diastolic > diastolicLimits[0]) {
+        alerts.push({
+          type: "critical",
+          category: "diastolic_hypertension",
+          message: `🔴 DIASTOLIC HYPERTENSION: BP ${vitals.bloodPressure} (Diastolic > ${diastolicLimits[0]})`,
+          value: diastolic,
+        });
+      } else if (diastolic < diastolicLimits[1]) {
+        alerts.push({
+          type: "warning",
+          category: "diastolic_hypotension",
+          message: `⚠️ LOW DIASTOLIC: BP ${vitals.bloodPressure} (Diastolic < ${diastolicLimits[1]})`,
+          value: diastolic,
+        });
+      }
+    }
+
+    // Pulse Pressure (systolic - diastolic)
+    const ppLimits = alertThresholds.pulsePressureCritical;
+    if (ppLimits?.length === 2) {
+      if (pulsePressure < ppLimits[0]) {
+        alerts.push({
+          type: "warning",
+          category: "narrow_pulse_pressure",
+          message: `⚠️ NARROW PULSE PRESSURE: ${pulsePressure} mmHg (< ${ppLimits[0]})`,
+          value: pulsePressure,
+        });
+      } else if (pulsePressure > ppLimits[1]) {
+        alerts.push({
+          type: "warning",
+          category: "wide_pulse_pressure",
+          message: `⚠️ WIDE PULSE PRESSURE: ${pulsePressure} mmHg (> ${ppLimits[1]})`,
+          value: pulsePressure,
+        });
+      }
+    }
+
+    // Mean Arterial Pressure
+    const mapLimits = alertThresholds.mapCritical;
+    if (mapLimits?.length === 2) {
+      if (meanArterialPressure < mapLimits[0]) {
+        alerts.push({
+          type: "critical",
+          category: "low_map",
+          message: `🔴 LOW MAP: ${meanArterialPressure} mmHg (< ${mapLimits[0]}) - organ perfusion risk`,
+          value: meanArterialPressure,
+        });
+      } else if (meanArterialPressure > mapLimits[1]) {
+        alerts.push({
+          type: "critical",
+          category: "high_map",
+          message: `🔴 HIGH MAP: ${meanArterialPressure} mmHg (> ${mapLimits[1]})`,
+          value: meanArterialPressure,
+        });
+      }
+    }
+
     // SpO2 (Oxygen Saturation)
     if (vitals.spo2 < alertThresholds.spo2Critical) {
       alerts.push({
@@ -215,18 +394,18 @@ class AnomalyDetector {
     }
 
     // Temperature (fever/hypothermia)
-    if (vitals.bodyTemperature > 38.5) {
+    if (vitals.bodyTemperature > limits.feverAbove) {
       alerts.push({
         type: "warning",
         category: "fever",
-        message: `🌡️ FEVER: Temperature ${vitals.bodyTemperature}°C`,
+        message: `🌡️ FEVER: Temperature ${vitals.bodyTemperature}°C (> ${limits.feverAbove}°C)`,
         value: vitals.bodyTemperature,
       });
-    } else if (vitals.bodyTemperature < 35.0) {
+    } else if (vitals.bodyTemperature < limits.hypothermiaBelow) {
       alerts.push({
         type: "critical",
         category: "hypothermia",
-        message: `❄️ HYPOTHERMIA: Temperature ${vitals.bodyTemperature}°C`,
+        message: `❄️ HYPOTHERMIA: Temperature ${vitals.bodyTemperature}°C (< ${limits.hypothermiaBelow}°C)`,
         value: vitals.bodyTemperature,
       });
     }
@@ -234,10 +413,32 @@ class AnomalyDetector {
     return alerts;
   }
 
+  /**
+   * Split "S/D" blood pressure and derive pulse pressure and MAP
+   * MAP = diastolic + (systolic - diastolic) / 3
+   */
+  parseBloodPressure(bloodPressure) {
+    const [systolic, diastolic] = String(bloodPressure)
+      .split("/")
+      .map((x) => parseInt(x));
+    const pulsePressure = systolic - diastolic;
+
+    return {
+      systolic,
+      diastolic,
+      pulsePressure,
+      meanArterialPressure: Math.round(diastolic + pulsePressure / 3),
+    };
+  }
+
   /**
    * 2. Statistical anomalies (z-score analysis)
    */
-  checkStatisticalAnomalies(patientId, currentVitals) {
+  checkStatisticalAnomalies(
+    patientId,
+    currentVitals,
+    zScoreLimit = DEFAULT_DETECTION_PROFILE.zScoreLimit,
+  ) {
     const alerts = [];
     const window = this.dataWindow[patientId];
 
@@ -254,7 +455,7 @@ class AnomalyDetector {
     );
     const hrZScore = (currentVitals.heartRate - hrMean) / (hrStd || 1);
 
-    if (Math.abs(hrZScore) > 2.5) {
+    if (Math.abs(hrZScore) > zScoreLimit) {
       alerts.push({
         type: hrZScore > 0 ? "warning" : "warning",
         category: "hr_anomaly",
@@ -297,7 +498,8 @@ class AnomalyDetector {
     const recentMotion = window.slice(-6).map((v) => v.motionLevel);
     const avgRecentMotion =
       recentMotion.reduce((a, b) => a + b) / recentMotion.length;
-    const currentHour = new Date().getHours();
+    // Use the reading's own time so replayed readings are judged correctly
+    const currentHour = new Date(vitals.timestamp || Date.now()).getHours();
     const isNight = currentHour >= 22 || currentHour <= 6;
 
     // Sustained inactivity during day hours
@@ -350,6 +552,50 @@ class AnomalyDetector {
     return Math.min(100, criticalCount * 30 + warningCount * 10);
   }
 
+  /**
+   * Replay readings through the rolling window in chronological order
+   * Used when buffered readings arrive late and must slot in between
+   * readings the window has already seen
+   *
+   * @param {string} patientId - Patient ID
+   * @param {Array} contextVitals - Readings preceding the timeline, oldest first
+   * @param {Array} timeline - Readings from the earliest new one onward, oldest first,
+   *   each as { vitals, isNew }; only new readings are run through detection
+   * @param {Object} patientProfile - Patient profile with alert thresholds
+   * @param {Array} revisions - Threshold revisions (oldest first) to apply by reading time
+   * @returns {Array} Detection results for new readings, in timeline order
+   */
+  replayReadings(
+    patientId,
+    contextVitals,
+    timeline,
+    patientProfile,
+    revisions = [],
+  ) {
+    const results = [];
+
+    // Rebuild the window as it was just before the earliest new reading
+    this.dataWindow[patientId] = [];
+    contextVitals.forEach((vitals) => this.addToWindow(patientId, vitals));
+
+    for (const entry of timeline) {
+      if (entry.isNew) {
+        results.push({
+          vitals: entry.vitals,
+          detection: this.detectAnomalies(
+            patientId,
+            entry.vitals,
+            this.profileAt(patientProfile, revisions, entry.vitals.timestamp),
+          ),
+        });
+      } else {
+        this.addToWindow(patientId, entry.vitals);
+      }
+    }
+
+    return results;
+  }
+
   getAnomalyHistory(patientId, limit = 20) {
     return (this.anomalyHistory[patientId] || []).slice(-limit);
   }
@@ -383,7 +629,13 @@ class AnomalyDetector {
       throw new Error("HealthRecord model not injected");
     }
 
-    const { Patient, Anomaly, AlertLog } = require("../models");
+    const {
+      Patient,
+      Anomaly,
+      AlertLog,
+      ThresholdRevision,
+    } = require("../models");
+    const { loadDetectionProfile } = require("./detectionProfiles");
     const results = {
       processed: 0,
       newAnomaliesDetected: 0,
@@ -478,6 +730,12 @@ class AnomalyDetector {
         // Reset detector state for this patient
         this.resetPatient(pid);
 
+        // Threshold history, so each record is judged by the limits in force then
+        const revisions = await ThresholdRevision.find({ patientId: pid })
+          .sort({ effectiveFrom: 1 })
+          .lean();
+        const detectionProfile = await loadDetectionProfile(pid);
+
         // Load some historical context (if available)
         const contextRecords = await this.HealthRecord.find({
           patientId: pid,
@@ -514,8 +772,16 @@ class AnomalyDetector {
             timestamp: record.recordedAt,
           };
 
-          // Detect anomalies using current thresholds
-          const detection = this.detectAnomalies(pid, vitals, patient);
+          // Detect anomalies using the thresholds in force at the time
+          const detection = this.detectAnomalies(
+            pid,
+            vitals,
+            this.profileAt(
+              { ...patient, detectionProfile },
+              revisions,
+              record.recordedAt,
+            ),
+          );
 
           if (detection.isAnomaly) {
             // Check if this anomaly already exists
@@ -543,6 +809,7 @@ class AnomalyDetector {
                     severity: detection.severity,
                     detectedAt: record.recordedAt,
                     alerts: detection.alerts,
+                    thresholds: detection.thresholds,
                     acknowledged: false,
                     metadata: {
                       retrospective: true,
@@ -558,7 +825,7 @@ class AnomalyDetector {
                     category: alert.category,
                     message: alert.message,
                     value: alert.value,
-                    threshold: patient.alertThresholds,
+                    threshold: detection.thresholds,
                     timestamp: record.recordedAt,
                     metadata: {
                       retrospective: true,
@@ -598,4 +865,7 @@ class AnomalyDetector {
   }
 }
 
+AnomalyDetector.DEFAULT_DETECTION_PROFILE = DEFAULT_DETECTION_PROFILE;
+AnomalyDetector.ALERT_CATEGORIES = ALERT_CATEGORIES;
+
 module.exports = AnomalyDetector;
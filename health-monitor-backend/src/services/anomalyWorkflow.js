@@ -0,0 +1,212 @@
+/**
+ * Anomaly Workflow
+ * Status changes made by staff on an anomaly, shared by the REST routes
+ * and the Socket.IO handlers so both paths persist and log the same way
+ *
+ * open -> acknowledged -> in_progress -> resolved
+ *                                     -> dismissed (false positive)
+ */
+
+const mongoose = require("mongoose");
+const { Anomaly, AlertLog, User } = require("../models");
+const { canAccessPatient } = require("./careTeam");
+
+// Statuses each status can be reached from
+const TRANSITIONS = {
+  acknowledged: ["open"],
+  in_progress: ["open", "acknowledged", "in_progress"], // Reassignment allowed
+  resolved: ["open", "acknowledged", "in_progress"],
+  dismissed: ["open", "acknowledged", "in_progress"],
+};
+
+// AlertLog entry for each status change
+const LOG_ENTRIES = {
+  acknowledged: { action: "acknowledged", message: "Anomaly acknowledged" },
+  in_progress: { action: "assigned", message: "Anomaly assigned" },
+  resolved: { action: "resolved", message: "Anomaly resolved" },
+  dismissed: {
+    action: "dismissed_false_positive",
+    message: "Anomaly dismissed as false positive",
+  },
+};
+
+/**
+ * Error carrying the HTTP status to report
+ */
+class WorkflowError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "WorkflowError";
+    this.status = status;
+  }
+}
+
+/**
+ * Load an anomaly the user is allowed to act on
+ */
+async function findAnomalyForUser(anomalyId, user) {
+  if (!mongoose.isValidObjectId(anomalyId)) {
+    throw new WorkflowError(404, "Anomaly not found");
+  }
+
+  const anomaly = await Anomaly.findById(anomalyId).lean();
+  if (!anomaly) {
+    throw new WorkflowError(404, "Anomaly not found");
+  }
+  if (!(await canAccessPatient(user, anomaly.patientId))) {
+    throw new WorkflowError(403, "Patient not assigned to you");
+  }
+  return anomaly;
+}
+
+/**
+ * Move an anomaly to a new status, record the change and log it
+ * Leaving "open" also marks the anomaly acknowledged and stops escalation
+ * Returns: updated anomaly
+ */
+async function transitionAnomaly(anomalyId, user, to, options = {}) {
+  const { fields = {}, note } = options;
+  const existing = await findAnomalyForUser(anomalyId, user);
+  const from =
+    existing.status || (existing.acknowledged ? "acknowledged" : "open");
+
+  if (!TRANSITIONS[to].includes(from)) {
+    throw new WorkflowError(409, `Cannot change anomaly from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const update = {
+    ...fields,
+    status: to,
+    $push: { statusHistory: { from, to, by: user.username, at: now, note } },
+    $unset: { nextEscalationAt: 1 }, // Stop pending escalations
+  };
+  if (!existing.acknowledged) {
+    update.acknowledged = true;
+    update.acknowledgedBy = user.username;
+    update.acknowledgedAt = now;
+  }
+
+  // Guard on the current status so concurrent changes cannot both apply
+  const anomaly = await Anomaly.findOneAndUpdate(
+    { _id: existing._id, status: existing.status ?? null },
+    update,
+    { new: true },
+  ).lean();
+  if (!anomaly) {
+    throw new WorkflowError(409, "Anomaly was changed by someone else");
+  }
+
+  await new AlertLog({
+    patientId: anomaly.patientId,
+    alertType: anomaly.alerts[0]?.category,
+    message: `${LOG_ENTRIES[to].message} by ${user.username}${
+      note ? `: ${note}` : ""
+    }`,
+    severity: anomaly.severity,
+    actionTaken: LOG_ENTRIES[to].action,
+    anomalyId: anomaly._id,
+    performedBy: user.username,
+  }).save();
+
+  return anomaly;
+}
+
+/**
+ * Acknowledge an anomaly as the given user
+ */
+async function acknowledgeAnomaly(anomalyId, user) {
+  return transitionAnomaly(anomalyId, user, "acknowledged");
+}
+
+/**
+ * Mark an anomaly in progress and assign it (defaults to the caller)
+ * The assignee must be active staff on the patient's care team
+ */
+async function assignAnomaly(anomalyId, user, assignee) {
+  const username = String(assignee || user.username).toLowerCase();
+  const assigneeUser = await User.findOne({ username, isActive: true }).lean();
+  if (!assigneeUser || assigneeUser.role === "family") {
+    throw new WorkflowError(400, "Assignee must be an active staff user");
+  }
+
+  const anomaly = await findAnomalyForUser(anomalyId, user);
+  if (!(await canAccessPatient(assigneeUser, anomaly.patientId))) {
+    throw new WorkflowError(400, "Assignee is not on the patient's care team");
+  }
+
+  return transitionAnomaly(anomalyId, user, "in_progress", {
+    fields: { assignedTo: username },
+    note: `Assigned to ${username}`,
+  });
+}
+
+/**
+ * Close an anomaly that needed clinical follow-up
+ */
+async function resolveAnomaly(anomalyId, user, resolution = {}) {
+  const { resolutionNote, clinicalAction } = resolution;
+  if (!resolutionNote || !clinicalAction) {
+    throw new WorkflowError(
+      400,
+      "resolutionNote and clinicalAction are required",
+    );
+  }
+
+  return transitionAnomaly(anomalyId, user, "resolved", {
+    fields: {
+      resolutionNote,
+      clinicalAction,
+      resolvedBy: user.username,
+      resolvedAt: new Date(),
+    },
+    note: resolutionNote,
+  });
+}
+
+/**
+ * Close an anomaly as a false positive (sensor artefact, known condition)
+ */
+async function dismissAnomaly(anomalyId, user, resolution = {}) {
+  const { resolutionNote } = resolution;
+  if (!resolutionNote) {
+    throw new WorkflowError(400, "resolutionNote is required");
+  }
+
+  return transitionAnomaly(anomalyId, user, "dismissed", {
+    fields: {
+      resolutionNote,
+      resolvedBy: user.username,
+      resolvedAt: new Date(),
+    },
+    note: resolutionNote,
+  });
+}
+
+/**
+ * Give anomalies stored before statuses existed a status
+ */
+async function backfillAnomalyStatus() {
+  try {
+    await Anomaly.updateMany(
+      { status: { $exists: false }, acknowledged: true },
+      { status: "acknowledged" },
+    );
+    await Anomaly.updateMany(
+      { status: { $exists: false } },
+      { status: "open" },
+    );
+  } catch (error) {
+    console.error("Error backfilling anomaly status:", error.message);
+  }
+}
+
+module.exports = {
+  WorkflowError,
+  findAnomalyForUser,
+  acknowledgeAnomaly,
+  assignAnomaly,
+  resolveAnomaly,
+  dismissAnomaly,
+  backfillAnomalyStatus,
+};
@@ -0,0 +1,132 @@
+/**
+ * Authentication Service
+ * Password hashing (scrypt), token issuing/verification (JWT) and
+ * the bootstrap admin account
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const { User } = require("../models");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Tests sign with a random per-process secret; everywhere else the server
+// refuses to start without one, since a known secret lets anyone forge tokens
+const JWT_SECRET =
+  process.env.JWT_SECRET ||
+  (process.env.NODE_ENV === "test"
+    ? crypto.randomBytes(32).toString("hex")
+    : null);
+const TOKEN_TTL = process.env.TOKEN_TTL || "12h";
+
+if (!JWT_SECRET) {
+  throw new Error("JWT_SECRET must be set");
+}
+
+/**
+ * Hash a password as "salt:hash" (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [salt, stored] = (passwordHash || "").split(":");
+  if (!salt || !stored) {
+    return false;
+  }
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const storedBuffer = Buffer.from(stored, "hex");
+  return (
+    storedBuffer.length === hash.length &&
+    crypto.timingSafeEqual(storedBuffer, hash)
+  );
+}
+
+function issueToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), username: user.username, role: user.role },
+    JWT_SECRET,
+    { expiresIn: TOKEN_TTL },
+  );
+}
+
+/**
+ * Verify a token and load the active user it belongs to
+ * Returns: user as a plain object, or null if invalid/expired/inactive
+ */
+async function resolveToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (_error) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: payload.sub, isActive: true }).lean();
+  return user || null;
+}
+
+/**
+ * Check a username/password pair
+ * Returns: user document or null
+ */
+async function authenticateCredentials(username, password) {
+  if (!username || typeof password !== "string" || !password) {
+    return null;
+  }
+
+  const user = await User.findOne({
+    username: String(username).toLowerCase(),
+    isActive: true,
+  }).select("+passwordHash");
+
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ * Only runs when no users exist yet
+ */
+async function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    return;
+  }
+
+  try {
+    if ((await User.estimatedDocumentCount()) > 0) {
+      return;
+    }
+
+    await User.create({
+      username: ADMIN_USERNAME,
+      name: "Administrator",
+      role: "admin",
+      passwordHash: await hashPassword(ADMIN_PASSWORD),
+    });
+    console.log(`🔑 Created admin user: ${ADMIN_USERNAME}`);
+  } catch (error) {
+    console.error("Error creating admin user:", error.message);
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  resolveToken,
+  authenticateCredentials,
+  ensureAdminUser,
+};
@@ -0,0 +1,31 @@
+/**
+ * Blood Pressure Backfill
+ * One-off migration that splits bloodPressure into systolic/diastolic on
+ * records stored before those fields existed, so charts, rollups and FHIR
+ * cover older history
+ *
+ * Run once after upgrading: npm run migrate:blood-pressure
+ * Safe to run again; only records without systolic are touched
+ */
+
+const { HealthRecord } = require("../models");
+
+/**
+ * Parse "120/80" readings that have no systolic yet
+ * Returns: number of records updated
+ */
+async function backfillBloodPressure() {
+  const part = (index) => ({
+    $toInt: { $arrayElemAt: [{ $split: ["$bloodPressure", "/"] }, index] },
+  });
+  const result = await HealthRecord.updateMany(
+    {
+      systolic: { $exists: false },
+      bloodPressure: { $regex: /^\d+\/\d+$/ },
+    },
+    [{ $set: { systolic: part(0), diastolic: part(1) } }],
+  );
+  return result.modifiedCount;
+}
+
+module.exports = { backfillBloodPressure };
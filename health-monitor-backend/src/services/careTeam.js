@@ -0,0 +1,101 @@
+/**
+ * Care Team Access
+ * Resolves which patients a user may see and which socket rooms and
+ * users receive a patient's live events
+ */
+
+const { CareTeamAssignment, User } = require("../models");
+
+function userRoom(userId) {
+  return `user_${userId}`;
+}
+
+function roleRoom(role) {
+  return `role_${role}`;
+}
+
+// Admins see every patient and receive every patient's events
+const ADMIN_ROOM = roleRoom("admin");
+
+/**
+ * Patient IDs assigned to a user
+ * Returns: array of patientIds, or null when the user can see all patients
+ */
+async function accessiblePatientIds(user) {
+  if (user.role === "admin") {
+    return null;
+  }
+
+  const assignments = await CareTeamAssignment.find(
+    { userId: user._id },
+    { patientId: 1 },
+  ).lean();
+  return assignments.map((a) => a.patientId);
+}
+
+async function canAccessPatient(user, patientId) {
+  const patientIds = await accessiblePatientIds(user);
+  return patientIds === null || patientIds.includes(patientId);
+}
+
+/**
+ * Build a query filter restricting results to the user's patients
+ * An explicit patientId outside the assignment matches nothing
+ */
+async function patientFilter(user, patientId) {
+  const patientIds = await accessiblePatientIds(user);
+
+  if (patientId) {
+    return patientIds === null || patientIds.includes(patientId)
+      ? { patientId }
+      : { patientId: { $in: [] } };
+  }
+  return patientIds === null ? {} : { patientId: { $in: patientIds } };
+}
+
+/**
+ * Socket rooms to notify for a patient: each assigned user plus admins
+ */
+async function roomsForPatient(patientId) {
+  const assignments = await CareTeamAssignment.find(
+    { patientId },
+    { userId: 1 },
+  ).lean();
+  return [ADMIN_ROOM, ...assignments.map((a) => userRoom(a.userId))];
+}
+
+/**
+ * Active users to notify for a patient: each assigned user plus admins
+ */
+async function usersForPatient(patientId) {
+  const assignments = await CareTeamAssignment.find(
+    { patientId },
+    { userId: 1 },
+  ).lean();
+  return User.find({
+    isActive: true,
+    $or: [
+      { _id: { $in: assignments.map((a) => a.userId) } },
+      { role: "admin" },
+    ],
+  }).lean();
+}
+
+/**
+ * Rooms a connected socket joins for its user
+ */
+function roomsForUser(user) {
+  return [userRoom(user._id), roleRoom(user.role)];
+}
+
+module.exports = {
+  ADMIN_ROOM,
+  accessiblePatientIds,
+  canAccessPatient,
+  patientFilter,
+  roomsForPatient,
+  roomsForUser,
+  roleRoom,
+  userRoom,
+  usersForPatient,
+};
@@ -0,0 +1,47 @@
+/**
+ * Email Channel
+ * Sends notifications over SMTP (a local sink such as MailHog works for testing)
+ */
+
+const nodemailer = require("nodemailer");
+
+class EmailChannel {
+  constructor(options = {}) {
+    this.from = options.from || "health-monitor@localhost";
+    this.transporter = null;
+
+    if (options.host) {
+      this.transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port || 587,
+        secure: options.secure || false,
+        auth: options.user
+          ? { user: options.user, pass: options.pass }
+          : undefined,
+        connectionTimeout: options.timeout,
+        greetingTimeout: options.timeout,
+        socketTimeout: options.timeout,
+      });
+    }
+  }
+
+  isConfigured() {
+    return this.transporter !== null;
+  }
+
+  /**
+   * Send a message to an email address
+   * Returns: { reference } with the SMTP message ID
+   */
+  async send(address, message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: address,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { reference: info.messageId };
+  }
+}
+
+module.exports = EmailChannel;
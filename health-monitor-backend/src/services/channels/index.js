@@ -0,0 +1,65 @@
+/**
+ * Notification Channels
+ * Builds the outbound transports from environment configuration
+ *
+ * Each channel implements:
+ *   isConfigured() -> boolean
+ *   send(address, message) -> Promise<{ reference }>
+ *   accepts(address) -> boolean (optional; addresses it refuses are skipped)
+ * where message is { event, severity, subject, text, short, data }
+ */
+
+const EmailChannel = require("./email");
+const SmsChannel = require("./sms");
+const WebhookChannel = require("./webhook");
+const PagerChannel = require("./pager");
+
+/**
+ * Origins webhook channels may post to, from NOTIFICATION_WEBHOOK_ORIGINS
+ * (comma-separated, e.g. "https://hooks.example.org")
+ */
+function webhookOrigins(env = process.env) {
+  return (env.NOTIFICATION_WEBHOOK_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+}
+
+function createChannels(env = process.env) {
+  const timeout = parseInt(env.NOTIFICATION_TIMEOUT) || 10000; // 10 seconds default
+
+  return {
+    email: new EmailChannel({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || undefined,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.NOTIFICATION_FROM,
+      timeout,
+    }),
+    sms: new SmsChannel({
+      gatewayUrl: env.SMS_GATEWAY_URL,
+      token: env.SMS_GATEWAY_TOKEN,
+      timeout,
+    }),
+    webhook: new WebhookChannel({
+      timeout,
+      allowedOrigins: webhookOrigins(env),
+    }),
+    pager: new PagerChannel({
+      gatewayUrl: env.PAGER_GATEWAY_URL,
+      token: env.PAGER_GATEWAY_TOKEN,
+      timeout,
+    }),
+  };
+}
+
+module.exports = {
+  EmailChannel,
+  SmsChannel,
+  WebhookChannel,
+  PagerChannel,
+  createChannels,
+  webhookOrigins,
+};
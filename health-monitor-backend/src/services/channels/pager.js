@@ -0,0 +1,41 @@
+/**
+ * Pager Channel
+ * Posts pages to an HTTP paging gateway
+ * Gateway request body: { pagerId, priority, message }
+ */
+
+const axios = require("axios");
+
+class PagerChannel {
+  constructor(options = {}) {
+    this.gatewayUrl = options.gatewayUrl;
+    this.token = options.token;
+    this.timeout = options.timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.gatewayUrl);
+  }
+
+  /**
+   * Page a pager ID; critical alerts go out at high priority
+   * Returns: { reference } with the gateway's page ID, if any
+   */
+  async send(address, message) {
+    const response = await axios.post(
+      this.gatewayUrl,
+      {
+        pagerId: address,
+        priority: message.severity === "critical" ? "high" : "normal",
+        message: message.short,
+      },
+      {
+        timeout: this.timeout,
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      },
+    );
+    return { reference: response.data?.id };
+  }
+}
+
+module.exports = PagerChannel;
@@ -0,0 +1,37 @@
+/**
+ * SMS Channel
+ * Posts short notifications to an HTTP SMS gateway
+ * Gateway request body: { to, message }
+ */
+
+const axios = require("axios");
+
+class SmsChannel {
+  constructor(options = {}) {
+    this.gatewayUrl = options.gatewayUrl;
+    this.token = options.token;
+    this.timeout = options.timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.gatewayUrl);
+  }
+
+  /**
+   * Send a message to a phone number
+   * Returns: { reference } with the gateway's message ID, if any
+   */
+  async send(address, message) {
+    const response = await axios.post(
+      this.gatewayUrl,
+      { to: address, message: message.short },
+      {
+        timeout: this.timeout,
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      },
+    );
+    return { reference: response.data?.id };
+  }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,66 @@
+/**
+ * Webhook Channel
+ * Posts the notification as JSON to the URL in the user's preferences
+ * URLs must be on an origin listed in NOTIFICATION_WEBHOOK_ORIGINS, so
+ * users cannot point the server at arbitrary or internal hosts
+ */
+
+const axios = require("axios");
+
+class WebhookChannel {
+  constructor(options = {}) {
+    this.timeout = options.timeout;
+    // e.g. ["https://hooks.example.org"]; normalized so "https://x/" matches
+    this.allowedOrigins = (options.allowedOrigins || []).map(
+      (origin) => new URL(origin).origin,
+    );
+  }
+
+  // Off until an administrator allows at least one origin
+  isConfigured() {
+    return this.allowedOrigins.length > 0;
+  }
+
+  /**
+   * Whether a URL is on an allowed origin (scheme, host and port)
+   */
+  accepts(address) {
+    let url;
+    try {
+      url = new URL(address);
+    } catch {
+      return false;
+    }
+    return (
+      ["http:", "https:"].includes(url.protocol) &&
+      !url.username &&
+      !url.password &&
+      this.allowedOrigins.includes(url.origin)
+    );
+  }
+
+  /**
+   * POST the notification payload to a URL
+   * Redirects are not followed and failures are reported without the
+   * remote status or network error, so deliveries cannot probe hosts
+   * Returns: {} (no reference)
+   */
+  async send(address, message) {
+    if (!this.accepts(address)) {
+      throw new Error("Webhook URL is not on an allowed origin");
+    }
+
+    try {
+      await axios.post(address, message.data, {
+        timeout: this.timeout,
+        maxRedirects: 0,
+      });
+    } catch (error) {
+      console.warn(`Webhook delivery to ${address} failed:`, error.message);
+      throw new Error("Webhook delivery failed");
+    }
+    return {};
+  }
+}
+
+module.exports = WebhookChannel;
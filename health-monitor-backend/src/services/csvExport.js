@@ -0,0 +1,215 @@
+/**
+ * CSV Export
+ * Streams a patient's vitals, anomalies or alert log as CSV straight from
+ * a MongoDB cursor, so long ranges are never held in memory
+ */
+
+const { AlertLog, Anomaly, HealthRecord } = require("../models");
+
+// Rows are buffered up to this size before each write
+const WRITE_CHUNK_SIZE = 64 * 1024;
+
+// Excel detects UTF-8 from the byte order mark
+const UTF8_BOM = "\ufeff";
+
+const column = (key, value = (doc) => doc[key]) => ({ key, value });
+
+/**
+ * Exportable datasets: the model, the date field the range applies to,
+ * and every available column (in default order)
+ */
+const DATASETS = {
+  vitals: {
+    model: HealthRecord,
+    dateField: "recordedAt",
+    columns: [
+      column("recordedAt"),
+      column("heartRate"),
+      column("bloodPressure"),
+      column("systolic"),
+      column("diastolic"),
+      column("spo2"),
+      column("bodyTemperature"),
+      column("motionLevel"),
+      column("fallRiskScore"),
+      column("sensorId"),
+    ],
+  },
+  anomalies: {
+    model: Anomaly,
+    dateField: "detectedAt",
+    columns: [
+      column("detectedAt"),
+      column("anomalyId", (doc) => doc._id),
+      column("severity"),
+      column("status"),
+      column("categories"),
+      column("alerts", (doc) => (doc.alerts || []).map((a) => a.message)),
+      column("anomalyScore"),
+      column("occurrences"),
+      column("lastSeenAt"),
+      column("endedAt"),
+      column("late"),
+      column("suppressed"),
+      column("acknowledgedBy"),
+      column("acknowledgedAt"),
+      column("assignedTo"),
+      column("resolvedBy"),
+      column("resolvedAt"),
+      column("resolutionNote"),
+      column("clinicalAction"),
+      column("escalationLevel"),
+    ],
+  },
+  alerts: {
+    model: AlertLog,
+    dateField: "timestamp",
+    columns: [
+      column("timestamp"),
+      column("alertType"),
+      column("severity"),
+      column("message"),
+      column("actionTaken"),
+      column("performedBy"),
+      column("anomalyId"),
+      column("channel"),
+      column("recipient"),
+      column("deliveryStatus"),
+    ],
+  },
+};
+
+/**
+ * Pick columns by key, in the requested order
+ * Returns: { columns, unknown } where unknown lists keys not available
+ */
+function selectColumns(dataset, keys) {
+  if (!keys || keys.length === 0) {
+    return { columns: dataset.columns, unknown: [] };
+  }
+  const byKey = new Map(dataset.columns.map((c) => [c.key, c]));
+  return {
+    columns: keys.filter((key) => byKey.has(key)).map((key) => byKey.get(key)),
+    unknown: keys.filter((key) => !byKey.has(key)),
+  };
+}
+
+/**
+ * Date formatter producing "YYYY-MM-DD HH:mm:ss" in a timezone,
+ * a format spreadsheets read as a date and time
+ */
+function dateFormatter(timezone) {
+  const format = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  });
+
+  return (date) => {
+    const parts = Object.fromEntries(
+      format.formatToParts(date).map((p) => [p.type, p.value]),
+    );
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  };
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * Text starting with = + - @ is prefixed with ' so spreadsheets do not
+ * run it as a formula
+ */
+function csvValue(value, formatDate) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+  if (Array.isArray(value)) {
+    return csvValue(value.join("; "), formatDate);
+  }
+  if (typeof value !== "string") {
+    return String(value);
+  }
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.join(",")}\r\n`;
+}
+
+/**
+ * Resolves once a full stream drains, or closes because the client left
+ */
+function drainedOrClosed(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+}
+
+/**
+ * Write rows to a writable stream, waiting for it to drain when full
+ * Stops early if the client disconnects; the cursor is always closed
+ * Returns: number of rows written
+ */
+async function streamCsv(stream, dataset, options) {
+  const { filter, columns, timezone = "UTC", bom = false } = options;
+  const formatDate = dateFormatter(timezone);
+
+  let chunk = `${bom ? UTF8_BOM : ""}${csvRow(columns.map((c) => c.key))}`;
+  let rows = 0;
+
+  const flush = async () => {
+    if (!stream.write(chunk) && !stream.destroyed) {
+      await drainedOrClosed(stream);
+    }
+    chunk = "";
+  };
+
+  const cursor = dataset.model
+    .find(filter)
+    .sort({ [dataset.dateField]: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  try {
+    for await (const doc of cursor) {
+      if (stream.destroyed) {
+        break;
+      }
+      chunk += csvRow(columns.map((c) => csvValue(c.value(doc), formatDate)));
+      rows++;
+      if (chunk.length >= WRITE_CHUNK_SIZE) {
+        await flush();
+      }
+    }
+
+    if (!stream.destroyed) {
+      await flush();
+    }
+  } finally {
+    await cursor.close();
+  }
+  return rows;
+}
+
+module.exports = {
+  DATASETS,
+  csvValue,
+  dateFormatter,
+  selectColumns,
+  streamCsv,
+};
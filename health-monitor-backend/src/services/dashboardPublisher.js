@@ -0,0 +1,214 @@
+/**
+ * Dashboard Publisher
+ * Pushes dashboard_summary events to sockets that sent subscribe_dashboard
+ * whenever the counts for their patients change: a new anomaly, an
+ * acknowledgement or status change, or a patient (de)activated
+ * A user whose care team changes is moved to the scope of their new
+ * patients
+ *
+ * Subscribers share one room per patient scope (see dashboardSummary).
+ * Changes are coalesced for DASHBOARD_PUSH_DELAY, so a burst such as a
+ * batch upload costs one recompute and at most one push per scope.
+ */
+
+const { accessiblePatientIds, userRoom } = require("./careTeam");
+const {
+  getDashboardSummary,
+  refreshDashboardSummary,
+  scopeKey,
+  toSummaryResponse,
+} = require("./dashboardSummary");
+
+const COUNT_FIELDS = [
+  "totalPatients",
+  "activeAnomalies",
+  "criticalCount",
+  "warningCount",
+];
+
+function dashboardRoom(key) {
+  return `dashboard_${key}`;
+}
+
+class DashboardPublisher {
+  constructor(io) {
+    this.io = io; // Socket.io instance; pushes are skipped without one
+    this.pushDelay = parseInt(process.env.DASHBOARD_PUSH_DELAY) || 1000; // 1 second default
+    this.scopes = new Map(); // scope key -> { patientIds, sequence, last }
+    this.pending = new Map(); // scope key -> Set of change reasons
+    this.timer = null;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Count fields that differ between two summaries: { field: { from, to } }
+   */
+  static summaryChanges(previous, current) {
+    const changes = {};
+    for (const field of COUNT_FIELDS) {
+      const from = previous?.[field] ?? null;
+      if (from !== current[field]) {
+        changes[field] = { from, to: current[field] };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Event payload: flat counts, the fields that changed since the previous
+   * push and a per-scope sequence so clients can spot a missed push
+   */
+  static payload(scope, response, reasons, changes) {
+    return {
+      sequence: scope.sequence,
+      timestamp: response.timestamp,
+      reasons,
+      summary: response.summary,
+      changes,
+      recentAnomalies: response.recentAnomalies,
+    };
+  }
+
+  /**
+   * Join a socket to its user's dashboard room
+   * Returns: the current dashboard_summary payload
+   */
+  async subscribe(socket, user, reason = "subscribed") {
+    const patientIds = await accessiblePatientIds(user);
+    const key = scopeKey(patientIds);
+    if (socket.data.dashboardScope && socket.data.dashboardScope !== key) {
+      socket.leave(dashboardRoom(socket.data.dashboardScope));
+    }
+    socket.join(dashboardRoom(key));
+    socket.data.dashboardScope = key;
+
+    if (!this.scopes.has(key)) {
+      this.scopes.set(key, { patientIds, sequence: 0, last: null });
+    }
+    const scope = this.scopes.get(key);
+    const response = await getDashboardSummary(user);
+    scope.last ||= response;
+    return DashboardPublisher.payload(scope, response, [reason], {});
+  }
+
+  /**
+   * Re-subscribe a user's dashboard sockets after they were added to or
+   * removed from a care team, pushing the summary of their new scope
+   * Never throws, so the assignment itself cannot fail on it
+   */
+  async careTeamChanged(userId) {
+    if (!this.io) {
+      return;
+    }
+
+    try {
+      const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+      for (const socket of sockets) {
+        if (!socket.data.dashboardScope) {
+          continue;
+        }
+        const payload = await this.subscribe(
+          socket,
+          socket.data.user,
+          "care_team_changed",
+        );
+        socket.emit("dashboard_summary", payload);
+      }
+    } catch (error) {
+      console.error("Error updating dashboard scope:", error.message);
+    }
+  }
+
+  unsubscribe(socket) {
+    if (socket.data.dashboardScope) {
+      socket.leave(dashboardRoom(socket.data.dashboardScope));
+      delete socket.data.dashboardScope;
+    }
+  }
+
+  /**
+   * Note a change affecting a patient's counts
+   * reason: e.g. "anomaly_created", "anomaly_acknowledged", "patient_deactivated"
+   */
+  patientChanged(patientId, reason) {
+    if (!this.io) {
+      return;
+    }
+
+    for (const [key, scope] of this.scopes) {
+      if (scope.patientIds === null || scope.patientIds.includes(patientId)) {
+        if (!this.pending.has(key)) {
+          this.pending.set(key, new Set());
+        }
+        this.pending.get(key).add(reason);
+      }
+    }
+    if (this.pending.size > 0 && !this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.pushDelay);
+    }
+  }
+
+  hasSubscribers(key) {
+    return this.io.sockets.adapter.rooms.get(dashboardRoom(key))?.size > 0;
+  }
+
+  async refresh(scope) {
+    return toSummaryResponse(
+      await refreshDashboardSummary(scope.patientIds),
+      false,
+    );
+  }
+
+  /**
+   * Recompute each changed scope and push when its counts or recent
+   * anomalies differ from the previous push
+   */
+  async flush() {
+    this.timer = null;
+    const pending = this.pending;
+    this.pending = new Map();
+
+    for (const [key, reasons] of pending) {
+      const scope = this.scopes.get(key);
+      if (!scope || !this.hasSubscribers(key)) {
+        this.scopes.delete(key); // Every dashboard view has gone
+        continue;
+      }
+
+      try {
+        const response = await this.refresh(scope);
+        const changes = DashboardPublisher.summaryChanges(
+          scope.last?.summary,
+          response.summary,
+        );
+        const recentIds = (view) =>
+          (view?.recentAnomalies || []).map((a) => String(a._id)).join();
+        if (
+          Object.keys(changes).length === 0 &&
+          recentIds(scope.last) === recentIds(response)
+        ) {
+          continue;
+        }
+
+        scope.sequence += 1;
+        scope.last = response;
+        this.io
+          .to(dashboardRoom(key))
+          .emit(
+            "dashboard_summary",
+            DashboardPublisher.payload(scope, response, [...reasons], changes),
+          );
+      } catch (error) {
+        console.error("Error pushing dashboard summary:", error.message);
+      }
+    }
+  }
+}
+
+module.exports = DashboardPublisher;
@@ -0,0 +1,164 @@
+/**
+ * Dashboard Summary
+ * Builds the dashboard statistics with one aggregation per collection
+ * instead of a query per patient, and caches them in DashboardSummary
+ * snapshots shared by every user with the same patient scope
+ */
+
+const crypto = require("crypto");
+const {
+  Anomaly,
+  DashboardSummary,
+  HealthRecord,
+  Patient,
+} = require("../models");
+const { accessiblePatientIds } = require("./careTeam");
+const { last24Hours } = require("./rollups");
+
+// Snapshots younger than this are served without recomputing
+const maxAge = () => parseInt(process.env.DASHBOARD_CACHE_TTL) || 15000; // 15 seconds default
+
+/**
+ * Snapshot key for a set of patients; null (admins) means every patient
+ */
+function scopeKey(patientIds) {
+  if (patientIds === null) {
+    return "all";
+  }
+  const hash = crypto
+    .createHash("sha1")
+    .update([...patientIds].sort().join(","))
+    .digest("hex");
+  return `patients:${hash}`;
+}
+
+/**
+ * Active patients in scope with their latest reading, in one query
+ */
+async function patientsWithLatestVitals(scope) {
+  return Patient.aggregate([
+    { $match: { ...scope, isActive: true } },
+    { $sort: { patientId: 1 } },
+    {
+      $lookup: {
+        from: HealthRecord.collection.name,
+        localField: "patientId",
+        foreignField: "patientId",
+        pipeline: [
+          { $sort: { recordedAt: -1 } },
+          { $limit: 1 },
+          { $project: { httpbinResponse: 0 } },
+        ],
+        as: "latest",
+      },
+    },
+    { $project: { patientId: 1, name: 1, latest: { $first: "$latest" } } },
+  ]);
+}
+
+/**
+ * Counts by severity and the newest unacknowledged anomalies, in one query
+ * Suppressed anomalies are expected and left out
+ */
+async function activeAnomalyStats(scope) {
+  const [stats] = await Anomaly.aggregate([
+    { $match: { ...scope, acknowledged: false, suppressed: { $ne: true } } },
+    {
+      $facet: {
+        bySeverity: [{ $group: { _id: "$severity", count: { $sum: 1 } } }],
+        recent: [{ $sort: { detectedAt: -1 } }, { $limit: 5 }],
+      },
+    },
+  ]);
+  const counts = Object.fromEntries(
+    stats.bySeverity.map(({ _id, count }) => [_id, count]),
+  );
+  return {
+    active: stats.bySeverity.reduce((sum, { count }) => sum + count, 0),
+    critical: counts.critical || 0,
+    warning: counts.warning || 0,
+    recent: stats.recent,
+  };
+}
+
+/**
+ * Compute and store the snapshot for a set of patients
+ * patientIds: array, or null for every patient
+ */
+async function refreshDashboardSummary(patientIds) {
+  const scope = patientIds === null ? {} : { patientId: { $in: patientIds } };
+  const [patients, anomalies] = await Promise.all([
+    patientsWithLatestVitals(scope),
+    activeAnomalyStats(scope),
+  ]);
+
+  const snapshot = {
+    scope: scopeKey(patientIds),
+    totalPatients: patients.length,
+    activeAlerts: anomalies.active,
+    criticalCount: anomalies.critical,
+    warningCount: anomalies.warning,
+    recentAnomalies: anomalies.recent,
+    latestVitals: patients
+      .filter((patient) => patient.latest)
+      .map((patient) => ({
+        patientId: patient.patientId,
+        patientName: patient.name,
+        ...patient.latest,
+      })),
+    vitalsLast24Hours: await last24Hours(patients.map((p) => p.patientId)),
+    lastUpdate: new Date(),
+  };
+
+  await DashboardSummary.updateOne({ scope: snapshot.scope }, snapshot, {
+    upsert: true,
+  });
+  return snapshot;
+}
+
+/**
+ * API view of a snapshot; timestamp is when its data was computed
+ */
+function toSummaryResponse(snapshot, cached) {
+  return {
+    summary: {
+      totalPatients: snapshot.totalPatients,
+      activeAnomalies: snapshot.activeAlerts,
+      criticalCount: snapshot.criticalCount,
+      warningCount: snapshot.warningCount,
+    },
+    recentAnomalies: snapshot.recentAnomalies,
+    latestVitals: snapshot.latestVitals,
+    vitalsLast24Hours: snapshot.vitalsLast24Hours,
+    timestamp: snapshot.lastUpdate.toISOString(),
+    cached,
+  };
+}
+
+/**
+ * Dashboard summary for a user's patients
+ * Serves the cached snapshot while it is younger than DASHBOARD_CACHE_TTL
+ * options: { refresh } to recompute regardless
+ */
+async function getDashboardSummary(user, options = {}) {
+  const patientIds = await accessiblePatientIds(user);
+
+  if (!options.refresh) {
+    const snapshot = await DashboardSummary.findOne({
+      scope: scopeKey(patientIds),
+      lastUpdate: { $gte: new Date(Date.now() - maxAge()) },
+    }).lean();
+    if (snapshot) {
+      return toSummaryResponse(snapshot, true);
+    }
+  }
+
+  return toSummaryResponse(await refreshDashboardSummary(patientIds), false);
+}
+
+module.exports = {
+  getDashboardSummary,
+  refreshDashboardSummary,
+  scopeKey,
+  toSummaryResponse,
+};
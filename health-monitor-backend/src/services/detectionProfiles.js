@@ -0,0 +1,49 @@
+/**
+ * Detection Profile Loader
+ * Resolves the stored detection limit overrides for a patient
+ */
+
+const { DetectionProfile } = require("../models");
+
+const DEFAULT_SCOPE = "default";
+const LIMIT_FIELDS = [
+  "feverAbove",
+  "hypothermiaBelow",
+  "fallRiskAbove",
+  "zScoreLimit",
+];
+
+/**
+ * Copy only the limit fields that are set
+ */
+function pickLimits(doc) {
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    if (doc && doc[field] !== undefined && doc[field] !== null) {
+      limits[field] = doc[field];
+    }
+  }
+  return limits;
+}
+
+/**
+ * Load the overrides that apply to a patient (default scope, then patient scope)
+ * The detector fills anything missing from its built-in defaults
+ */
+async function loadDetectionProfile(patientId) {
+  const docs = await DetectionProfile.find({
+    scope: { $in: [DEFAULT_SCOPE, patientId] },
+  }).lean();
+
+  const defaults = docs.find((d) => d.scope === DEFAULT_SCOPE);
+  const patient = docs.find((d) => d.scope === patientId);
+
+  return { ...pickLimits(defaults), ...pickLimits(patient) };
+}
+
+module.exports = {
+  DEFAULT_SCOPE,
+  LIMIT_FIELDS,
+  pickLimits,
+  loadDetectionProfile,
+};
@@ -0,0 +1,267 @@
+/**
+ * Escalation Service
+ * Re-notifies and escalates anomalies that are not acknowledged in time
+ * Progress is stored on each Anomaly (escalationLevel, nextEscalationAt)
+ * so pending escalations survive a restart
+ */
+
+const {
+  Anomaly,
+  AlertLog,
+  CareTeamAssignment,
+  EscalationPolicy,
+  Patient,
+  User,
+} = require("../models");
+const { roomsForPatient, userRoom, usersForPatient } = require("./careTeam");
+
+// Seeded on startup when no policies exist yet
+// Role targets are limited to the patient's care team (admins see everyone)
+const DEFAULT_POLICIES = [
+  {
+    severity: "critical",
+    category: null,
+    levels: [
+      { afterMinutes: 5, notifyCareTeam: true },
+      { afterMinutes: 15, notifyCareTeam: true, roles: ["physician"] },
+      { afterMinutes: 30, roles: ["physician", "admin"] },
+    ],
+  },
+];
+
+class EscalationService {
+  constructor(io, notificationService = null) {
+    this.io = io; // Socket.io instance for escalation notices
+    this.notificationService = notificationService; // Outbound channels
+    this.checkInterval =
+      parseInt(process.env.ESCALATION_CHECK_INTERVAL) || 60000; // 1 minute default
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.checkEscalations();
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+  }
+
+  /**
+   * Seed the default policies when none exist
+   */
+  async ensureDefaultPolicies() {
+    try {
+      if ((await EscalationPolicy.estimatedDocumentCount()) === 0) {
+        await EscalationPolicy.insertMany(DEFAULT_POLICIES);
+        console.log("➕ Created default escalation policies");
+      }
+    } catch (error) {
+      console.error("Error creating escalation policies:", error.message);
+    }
+  }
+
+  /**
+   * Pick the policy for an anomaly
+   * A policy for one of its alert categories wins over a severity-wide one
+   */
+  selectPolicy(policies, anomaly) {
+    const candidates = policies.filter(
+      (p) => p.isActive !== false && p.severity === anomaly.severity,
+    );
+    const categories = (anomaly.alerts || []).map((a) => a.category);
+
+    return (
+      candidates.find((p) => p.category && categories.includes(p.category)) ||
+      candidates.find((p) => !p.category) ||
+      null
+    );
+  }
+
+  /**
+   * When the step after `level` is due, or null if there is none
+   * Step times are measured from detection
+   */
+  escalationTimeFor(policy, detectedAt, level) {
+    const step = policy?.levels[level - 1];
+    if (!step) {
+      return null;
+    }
+    return new Date(new Date(detectedAt).getTime() + step.afterMinutes * 60000);
+  }
+
+  async loadPolicy(anomaly) {
+    const policies = await EscalationPolicy.find({
+      severity: anomaly.severity,
+      isActive: true,
+    }).lean();
+    return this.selectPolicy(policies, anomaly);
+  }
+
+  /**
+   * First escalation time for a newly detected anomaly
+   */
+  async firstEscalationAt(anomaly) {
+    const policy = await this.loadPolicy(anomaly);
+    return this.escalationTimeFor(policy, anomaly.detectedAt || new Date(), 1);
+  }
+
+  /**
+   * Escalate every unacknowledged anomaly whose next step is due
+   */
+  async checkEscalations(now = new Date()) {
+    try {
+      const due = await Anomaly.find({
+        acknowledged: false,
+        nextEscalationAt: { $lte: now },
+      }).lean();
+
+      for (const anomaly of due) {
+        await this.escalate(anomaly);
+      }
+      return due.length;
+    } catch (error) {
+      console.error("❌ Error checking escalations:", error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Move an anomaly to its next level, notify and log
+   */
+  async escalate(anomaly) {
+    const policy = await this.loadPolicy(anomaly);
+    const level = anomaly.escalationLevel + 1;
+    const step = policy?.levels[level - 2];
+
+    if (!step) {
+      // Policy removed or shortened since this step was scheduled
+      await Anomaly.updateOne(
+        { _id: anomaly._id },
+        { $unset: { nextEscalationAt: 1 } },
+      );
+      return null;
+    }
+
+    // Claim the step so a concurrent check cannot send it twice
+    const claimed = await Anomaly.findOneAndUpdate(
+      {
+        _id: anomaly._id,
+        acknowledged: false,
+        escalationLevel: anomaly.escalationLevel,
+      },
+      {
+        escalationLevel: level,
+        nextEscalationAt: this.escalationTimeFor(
+          policy,
+          anomaly.detectedAt,
+          level,
+        ),
+      },
+      { new: true },
+    ).lean();
+    if (!claimed) {
+      return null;
+    }
+
+    const rooms = await this.roomsForStep(anomaly.patientId, step);
+    await new AlertLog({
+      patientId: anomaly.patientId,
+      alertType: anomaly.alerts[0]?.category,
+      message: `Unacknowledged ${anomaly.severity} anomaly escalated to level ${level}`,
+      severity: anomaly.severity,
+      actionTaken: `escalated_level_${level}`,
+      anomalyId: anomaly._id,
+    }).save();
+
+    await this.broadcastEscalation(claimed, rooms);
+    if (this.notificationService) {
+      this.notificationService.dispatch(
+        this.usersForStep(anomaly.patientId, step),
+        "anomaly_escalated",
+        claimed,
+      );
+    }
+    return claimed;
+  }
+
+  /**
+   * Users a step's roles and usernames point at
+   * Roles only reach users who may see the patient: those on its care team,
+   * plus admins when "admin" is listed; usernames name on-call users directly
+   */
+  async stepTargets(patientId, step) {
+    const targets = [];
+    if (step.roles?.length > 0) {
+      const assignments = await CareTeamAssignment.find(
+        { patientId },
+        { userId: 1 },
+      ).lean();
+      const scope = [{ _id: { $in: assignments.map((a) => a.userId) } }];
+      if (step.roles.includes("admin")) {
+        scope.push({ role: "admin" });
+      }
+      targets.push({ role: { $in: step.roles }, $or: scope });
+    }
+    if (step.usernames?.length > 0) {
+      targets.push({ username: { $in: step.usernames } });
+    }
+    if (targets.length === 0) {
+      return [];
+    }
+    return User.find({ isActive: true, $or: targets }).lean();
+  }
+
+  /**
+   * Socket rooms to notify for one escalation step
+   */
+  async roomsForStep(patientId, step) {
+    const rooms = step.notifyCareTeam ? await roomsForPatient(patientId) : [];
+    const users = await this.stepTargets(patientId, step);
+    rooms.push(...users.map((u) => userRoom(u._id)));
+    return [...new Set(rooms)];
+  }
+
+  /**
+   * Users to notify on their own channels for one escalation step
+   */
+  async usersForStep(patientId, step) {
+    const users = step.notifyCareTeam ? await usersForPatient(patientId) : [];
+    const seen = new Set(users.map((u) => String(u._id)));
+    for (const user of await this.stepTargets(patientId, step)) {
+      if (!seen.has(String(user._id))) {
+        seen.add(String(user._id));
+        users.push(user);
+      }
+    }
+    return users;
+  }
+
+  async broadcastEscalation(anomaly, rooms) {
+    if (!this.io || rooms.length === 0) {
+      return;
+    }
+
+    const patient = await Patient.findOne(
+      { patientId: anomaly.patientId },
+      { name: 1 },
+    ).lean();
+
+    this.io.to(rooms).emit("anomaly_escalated", {
+      anomalyId: anomaly._id,
+      patientId: anomaly.patientId,
+      patientName: patient?.name || "Unknown",
+      severity: anomaly.severity,
+      alerts: anomaly.alerts,
+      level: anomaly.escalationLevel,
+      detectedAt: anomaly.detectedAt,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+EscalationService.DEFAULT_POLICIES = DEFAULT_POLICIES;
+
+module.exports = EscalationService;
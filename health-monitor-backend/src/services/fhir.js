@@ -0,0 +1,283 @@
+/**
+ * FHIR R4 Mapping
+ * Converts patients, health records and anomalies into FHIR resources
+ * for hospital systems: Patient, vital-sign Observations (LOINC coded)
+ * and DetectedIssue
+ */
+
+const SYSTEMS = {
+  loinc: "http://loinc.org",
+  ucum: "http://unitsofmeasure.org",
+  observationCategory:
+    "http://terminology.hl7.org/CodeSystem/observation-category",
+  patientId: "urn:health-monitor:patient",
+  sensorId: "urn:health-monitor:sensor",
+  alertCategory: "urn:health-monitor:alert-category",
+};
+
+/**
+ * Vital signs exported as Observations
+ * The suffix is appended to the health record id to form the Observation id
+ */
+const VITAL_SIGNS = [
+  {
+    suffix: "hr",
+    code: "8867-4",
+    display: "Heart rate",
+    field: "heartRate",
+    unit: "/min",
+    unitText: "beats/minute",
+  },
+  {
+    suffix: "bp",
+    code: "85354-9",
+    display: "Blood pressure panel with all children optional",
+    components: [
+      {
+        code: "8480-6",
+        display: "Systolic blood pressure",
+        field: "systolic",
+      },
+      {
+        code: "8462-4",
+        display: "Diastolic blood pressure",
+        field: "diastolic",
+      },
+    ],
+    unit: "mm[Hg]",
+    unitText: "mmHg",
+  },
+  {
+    suffix: "spo2",
+    code: "59408-5",
+    display: "Oxygen saturation in Arterial blood by Pulse oximetry",
+    // Vital signs profile code, so generic consumers recognise it too
+    extraCodes: [
+      { code: "2708-6", display: "Oxygen saturation in Arterial blood" },
+    ],
+    field: "spo2",
+    unit: "%",
+    unitText: "%",
+  },
+  {
+    suffix: "temp",
+    code: "8310-5",
+    display: "Body temperature",
+    field: "bodyTemperature",
+    unit: "Cel",
+    unitText: "C",
+  },
+];
+
+// Anomaly severity -> DetectedIssue.severity
+const ISSUE_SEVERITY = { critical: "high", warning: "moderate", normal: "low" };
+
+// Anomaly workflow status -> DetectedIssue.status
+const ISSUE_STATUS = {
+  open: "preliminary",
+  acknowledged: "preliminary",
+  in_progress: "preliminary",
+  resolved: "final",
+  dismissed: "cancelled",
+};
+
+function patientReference(patientId) {
+  return { reference: `Patient/${patientId}` };
+}
+
+function quantity(value, vital) {
+  return {
+    value,
+    unit: vital.unitText,
+    system: SYSTEMS.ucum,
+    code: vital.unit,
+  };
+}
+
+function meta(doc) {
+  return doc.updatedAt
+    ? { lastUpdated: new Date(doc.updatedAt).toISOString() }
+    : undefined;
+}
+
+function toFhirPatient(patient) {
+  return {
+    resourceType: "Patient",
+    id: patient.patientId,
+    meta: meta(patient),
+    identifier: [{ system: SYSTEMS.patientId, value: patient.patientId }],
+    active: patient.isActive !== false,
+    name: [{ text: patient.name }],
+  };
+}
+
+/**
+ * One Observation per vital sign present in the record
+ * Blood pressure is a panel with systolic and diastolic components
+ */
+function toFhirObservations(record) {
+  const observations = [];
+
+  for (const vital of VITAL_SIGNS) {
+    const observation = {
+      resourceType: "Observation",
+      id: `${record._id}-${vital.suffix}`,
+      meta: meta(record),
+      status: "final",
+      category: [
+        {
+          coding: [
+            {
+              system: SYSTEMS.observationCategory,
+              code: "vital-signs",
+              display: "Vital Signs",
+            },
+          ],
+        },
+      ],
+      code: {
+        coding: [
+          { system: SYSTEMS.loinc, code: vital.code, display: vital.display },
+          ...(vital.extraCodes || []).map((c) => ({
+            system: SYSTEMS.loinc,
+            ...c,
+          })),
+        ],
+        text: vital.display,
+      },
+      subject: patientReference(record.patientId),
+      effectiveDateTime: new Date(record.recordedAt).toISOString(),
+    };
+
+    if (vital.components) {
+      const components = vital.components
+        .filter((c) => Number.isFinite(record[c.field]))
+        .map((c) => ({
+          code: {
+            coding: [
+              { system: SYSTEMS.loinc, code: c.code, display: c.display },
+            ],
+          },
+          valueQuantity: quantity(record[c.field], vital),
+        }));
+      if (components.length === 0) {
+        continue;
+      }
+      observation.component = components;
+    } else {
+      if (!Number.isFinite(record[vital.field])) {
+        continue;
+      }
+      observation.valueQuantity = quantity(record[vital.field], vital);
+    }
+
+    if (record.sensorId) {
+      observation.device = {
+        identifier: { system: SYSTEMS.sensorId, value: record.sensorId },
+      };
+    }
+    observations.push(observation);
+  }
+
+  return observations;
+}
+
+/**
+ * Anomaly as a DetectedIssue; acknowledgement and resolution are
+ * reported as mitigations
+ */
+function toFhirDetectedIssue(anomaly) {
+  const categories = anomaly.categories?.length
+    ? anomaly.categories
+    : [...new Set((anomaly.alerts || []).map((a) => a.category))];
+
+  const issue = {
+    resourceType: "DetectedIssue",
+    id: String(anomaly._id),
+    meta: meta(anomaly),
+    status: ISSUE_STATUS[anomaly.status] || "preliminary",
+    code: {
+      coding: categories.map((category) => ({
+        system: SYSTEMS.alertCategory,
+        code: category,
+      })),
+      text: categories.join(", "),
+    },
+    severity: ISSUE_SEVERITY[anomaly.severity],
+    patient: patientReference(anomaly.patientId),
+    identifiedDateTime: new Date(anomaly.detectedAt).toISOString(),
+    detail: (anomaly.alerts || []).map((a) => a.message).join("; "),
+  };
+
+  if (anomaly.recordId) {
+    issue.evidence = [
+      {
+        detail: VITAL_SIGNS.map((vital) => ({
+          reference: `Observation/${anomaly.recordId}-${vital.suffix}`,
+        })),
+      },
+    ];
+  }
+
+  const mitigation = [];
+  if (anomaly.acknowledgedAt) {
+    mitigation.push({
+      action: { text: "Acknowledged" },
+      date: new Date(anomaly.acknowledgedAt).toISOString(),
+      author: { display: anomaly.acknowledgedBy },
+    });
+  }
+  if (anomaly.resolvedAt) {
+    mitigation.push({
+      action: {
+        text:
+          anomaly.clinicalAction || anomaly.resolutionNote || anomaly.status,
+      },
+      date: new Date(anomaly.resolvedAt).toISOString(),
+      author: { display: anomaly.resolvedBy },
+    });
+  }
+  if (mitigation.length > 0) {
+    issue.mitigation = mitigation;
+  }
+
+  return issue;
+}
+
+/**
+ * Wrap resources in a searchset Bundle
+ * `baseUrl` is the FHIR base, used for fullUrl and paging links
+ */
+function searchBundle(resources, { baseUrl, total, links = [] }) {
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    total,
+    link: links,
+    entry: resources.map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: "match" },
+    })),
+  };
+}
+
+/**
+ * FHIR error body
+ */
+function operationOutcome(code, diagnostics) {
+  return {
+    resourceType: "OperationOutcome",
+    issue: [{ severity: "error", code, diagnostics }],
+  };
+}
+
+module.exports = {
+  SYSTEMS,
+  VITAL_SIGNS,
+  operationOutcome,
+  searchBundle,
+  toFhirDetectedIssue,
+  toFhirObservations,
+  toFhirPatient,
+};
@@ -3,33 +3,44 @@
  * Simulates wearable device data for elderly patients with realistic patterns
  */
 
-const PATIENTS = require("../config/patients");
-
 class HealthDataGenerator {
   constructor() {
     this.lastValues = {}; // Track last vital signs for smooth transitions
     this.activityPatterns = {}; // Track daily activity patterns
-    this.initPatientState();
   }
 
-  initPatientState() {
-    PATIENTS.forEach((patient) => {
-      this.lastValues[patient.id] = {
-        hr: patient.baselineVitals.hr.normal,
-        systolic: patient.baselineVitals.systolic.normal,
-        diastolic: patient.baselineVitals.diastolic.normal,
-        spo2: patient.baselineVitals.spo2.normal,
-        temp: patient.baselineVitals.temp.normal,
-        motionLevel: 0.2,
-        isFalling: false,
-      };
-
-      this.activityPatterns[patient.id] = {
-        lastActivityTime: Date.now(),
-        sleepMode: this.isNightTime(),
-        activityTrend: "normal",
-      };
-    });
+  /**
+   * Seed per-patient state from baseline vitals the first time a patient is seen
+   */
+  ensurePatientState(patient) {
+    if (this.lastValues[patient.patientId]) {
+      return;
+    }
+
+    this.lastValues[patient.patientId] = {
+      hr: patient.baselineVitals.hr.normal,
+      systolic: patient.baselineVitals.systolic.normal,
+      diastolic: patient.baselineVitals.diastolic.normal,
+      spo2: patient.baselineVitals.spo2.normal,
+      temp: patient.baselineVitals.temp.normal,
+      motionLevel: 0.2,
+      isFalling: false,
+    };
+
+    this.activityPatterns[patient.patientId] = {
+      lastActivityTime: Date.now(),
+      sleepMode: this.isNightTime(),
+      activityTrend: "normal",
+    };
+  }
+
+  /**
+   * Drop state for a patient so it is reseeded from the current baseline
+   * Called when baseline vitals are updated
+   */
+  resetPatient(patientId) {
+    delete this.lastValues[patientId];
+    delete this.activityPatterns[patientId];
   }
 
   isNightTime() {
@@ -41,12 +52,14 @@ class HealthDataGenerator {
    * Generate realistic vital signs with temporal coherence
    * Mimics real wearable sensors with gradual changes
    */
-  generateVitals(patientId) {
-    const patient = PATIENTS.find((p) => p.id === patientId);
-    if (!patient) {
-      throw new Error(`Patient ${patientId} not found`);
+  generateVitals(patient) {
+    if (!patient?.baselineVitals) {
+      throw new Error(`Patient ${patient?.patientId} has no baseline vitals`);
     }
 
+    const { patientId } = patient;
+    this.ensurePatientState(patient);
+
     const lastVitals = this.lastValues[patientId];
     const baseline = patient.baselineVitals;
 
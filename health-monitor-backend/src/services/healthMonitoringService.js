@@ -6,9 +6,37 @@
 const axios = require("axios");
 const HealthDataGenerator = require("./healthDataGenerator");
 const AnomalyDetector = require("./anomalyDetector");
-const { HealthRecord, Anomaly, AlertLog, Patient } = require("../models");
+const EscalationService = require("./escalationService");
+const DashboardPublisher = require("./dashboardPublisher");
+const NotificationService = require("./notificationService");
+const WebhookService = require("./webhookService");
+const { loadDetectionProfile } = require("./detectionProfiles");
+const { roomsForPatient, userRoom, usersForPatient } = require("./careTeam");
+const { backfillAnomalyStatus } = require("./anomalyWorkflow");
+const { recordReadings } = require("./rollups");
+const {
+  archivedDays,
+  retentionSettings,
+  runRetention,
+} = require("./retention");
+const {
+  acknowledgementTrail,
+  anomalyCounts,
+  vitalStatistics,
+  vitalTrends,
+} = require("./patientSummary");
+const {
+  HealthRecord,
+  Anomaly,
+  AlertLog,
+  AlertSuppression,
+  Patient,
+  ThresholdRevision,
+} = require("../models");
 const PATIENTS = require("../config/patients");
 
+const SEVERITY_RANK = { normal: 0, warning: 1, critical: 2 };
+
 class HealthMonitoringService {
   constructor(io) {
     this.io = io; // Socket.io instance for real-time broadcasting
@@ -16,9 +44,24 @@ class HealthMonitoringService {
     this.anomalyDetector = new AnomalyDetector();
     // Inject database model for historical data loading
     this.anomalyDetector.setHealthRecordModel(HealthRecord);
+    this.notificationService = new NotificationService();
+    this.escalationService = new EscalationService(
+      io,
+      this.notificationService,
+    );
+    this.webhookService = new WebhookService();
+    this.dashboardPublisher = new DashboardPublisher(io);
     this.httpbinEndpoint =
       process.env.HTTPBIN_ENDPOINT || "https://httpbin.org/anything";
     this.isMonitoring = false;
+    // Readings older than this when received are treated as late uploads
+    this.lateReadingThreshold =
+      parseInt(process.env.LATE_READING_THRESHOLD) || 600000; // 10 minutes default
+    // Ongoing episodes alert again after this long without a severity change
+    this.realertInterval = parseInt(process.env.REALERT_INTERVAL) || 1800000; // 30 minutes default
+    // How often expired raw records are archived (when retention is enabled)
+    this.retentionInterval =
+      parseInt(process.env.RETENTION_INTERVAL) || 86400000; // 1 day default
   }
 
   /**
@@ -32,6 +75,20 @@ class HealthMonitoringService {
     // Initialize patients in database
     await this.initializePatients();
 
+    // Resume escalations for anomalies left unacknowledged
+    await backfillAnomalyStatus();
+    await this.escalationService.ensureDefaultPolicies();
+    this.escalationService.start();
+    this.webhookService.start();
+
+    // Archive expired raw records daily when retention is configured
+    if (retentionSettings().rawDays) {
+      this.retentionTimer = setInterval(() => {
+        this.applyRetention();
+      }, this.retentionInterval);
+      this.applyRetention();
+    }
+
     // Run health check every 5 minutes
     this.monitoringInterval = setInterval(() => {
       this.performHealthCheck();
@@ -45,12 +102,34 @@ class HealthMonitoringService {
     if (this.monitoringInterval) {
       clearInterval(this.monitoringInterval);
     }
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+    }
+    this.escalationService.stop();
+    this.webhookService.stop();
+    this.dashboardPublisher.stop();
     this.isMonitoring = false;
     console.log("🛑 Health Monitoring Service Stopped");
   }
 
   /**
-   * Initialize patient profiles in database
+   * Archive raw records past retention and prune old rollups
+   */
+  async applyRetention() {
+    try {
+      const result = await runRetention();
+      if (result && (result.deleted || result.rollupsDeleted)) {
+        console.log(
+          `🗄️ Retention: archived ${result.archived} records to ${result.files} files, removed ${result.deleted} records and ${result.rollupsDeleted} rollups before ${result.cutoff.toISOString()}`,
+        );
+      }
+    } catch (error) {
+      console.error("Error applying retention:", error.message);
+    }
+  }
+
+  /**
+   * Seed patient profiles from the static config into the database
    * Only inserts patients if they don't exist, preserves existing data
    * Also loads historical health records for anomaly detection
    */
@@ -59,22 +138,25 @@ class HealthMonitoringService {
       let newPatients = 0;
       let existingPatients = 0;
 
-      for (const patientData of PATIENTS) {
+      for (const { id, ...profile } of PATIENTS) {
         // Check if patient exists
-        const existingPatient = await Patient.findOne({ patientId: patientData.id });
+        const existingPatient = await Patient.findOne({ patientId: id });
 
         if (!existingPatient) {
           // Create new patient
-          await Patient.create(patientData);
+          await Patient.create({ ...profile, patientId: id });
           newPatients++;
-          console.log(`➕ Created new patient: ${patientData.id} (${patientData.name})`);
+          console.log(`➕ Created new patient: ${id} (${profile.name})`);
         } else {
           existingPatients++;
-          console.log(`✓ Patient exists: ${patientData.id} (${existingPatient.name})`);
+          console.log(`✓ Patient exists: ${id} (${existingPatient.name})`);
         }
+      }
 
-        // Load historical data for anomaly detection
-        await this.anomalyDetector.loadHistoricalData(patientData.id);
+      // Load historical data for anomaly detection
+      const activePatients = await this.getActivePatients();
+      for (const patient of activePatients) {
+        await this.anomalyDetector.loadHistoricalData(patient.patientId);
       }
 
       console.log(`✅ Patient initialization complete: ${newPatients} new, ${existingPatients} existing`);
@@ -84,7 +166,15 @@ class HealthMonitoringService {
   }
 
   /**
-   * Perform health check for all patients
+   * Load the active patient list from the database
+   * Read every cycle so new or deactivated patients apply without a restart
+   */
+  async getActivePatients() {
+    return Patient.find({ isActive: true }).lean();
+  }
+
+  /**
+   * Perform health check for all active patients with the simulator enabled
    * 1. Generate realistic vitals
    * 2. POST to httpbin
    * 3. Store in database
@@ -92,57 +182,48 @@ class HealthMonitoringService {
    * 5. Broadcast to clients
    */
   async performHealthCheck() {
+    let patients;
+    try {
+      // Patients with the simulator switched off report through their sensors
+      patients = (await this.getActivePatients()).filter(
+        (p) => p.simulatorEnabled !== false,
+      );
+    } catch (error) {
+      console.error("❌ Error loading active patients:", error.message);
+      return;
+    }
+
     console.log(
       `📊 [${new Date().toISOString()}] Performing health check for ${
-        PATIENTS.length
+        patients.length
       } patients...`,
     );
 
-    for (const patient of PATIENTS) {
+    for (const patient of patients) {
+      const { patientId } = patient;
+
       try {
+        // Patients added since startup have no rolling window yet
+        if (!this.anomalyDetector.dataWindow[patientId]) {
+          await this.anomalyDetector.loadHistoricalData(patientId);
+        }
+
         // 1. Generate health data
-        const vitals = this.dataGenerator.generateVitals(patient.id);
+        const vitals = this.dataGenerator.generateVitals(patient);
 
         // 2. POST to httpbin (simulate wearable device upload)
-        const httpbinResponse = await this.postToHttpbin(patient.id, vitals);
+        const httpbinResponse = await this.postToHttpbin(patientId, vitals);
 
-        // 3. Store health record
-        const healthRecord = await this.saveHealthRecord(
+        // 3. Store, detect anomalies and broadcast
+        const { anomalyResult } = await this.processVitals(
+          patientId,
           patient,
           vitals,
           httpbinResponse,
         );
 
-        // 4. Detect anomalies (with error handling for insufficient data)
-        let anomalyResult;
-        try {
-          anomalyResult = this.anomalyDetector.detectAnomalies(
-            patient.id,
-            vitals,
-            patient,
-          );
-        } catch (anomalyError) {
-          console.warn(
-            `⚠️ Anomaly detection skipped for ${patient.id}: ${anomalyError.message}`,
-          );
-          anomalyResult = {
-            isAnomaly: false,
-            alerts: [],
-            severity: "normal",
-            normalizedScore: 0,
-          };
-        }
-
-        // 5. Handle anomalies
-        if (anomalyResult.isAnomaly) {
-          await this.handleAnomaly(patient.id, healthRecord._id, anomalyResult);
-        }
-
-        // 6. Broadcast to connected clients
-        this.broadcastVitalUpdate(patient.id, vitals, anomalyResult);
-
         console.log(
-          `✅ ${patient.id} (${patient.name}): HR=${vitals.heartRate}, BP=${
+          `✅ ${patientId} (${patient.name}): HR=${vitals.heartRate}, BP=${
             vitals.bloodPressure
           }, SpO₂=${vitals.spo2}%${
             anomalyResult.isAnomaly ? " ⚠️ ANOMALY DETECTED" : ""
@@ -150,13 +231,74 @@ class HealthMonitoringService {
         );
       } catch (error) {
         console.error(
-          `❌ Error processing patient ${patient.id}:`,
+          `❌ Error processing patient ${patientId}:`,
           error.message,
         );
       }
     }
   }
 
+  /**
+   * Run a single reading through the monitoring pipeline
+   * Shared by the simulator loop and device ingestion
+   * 1. Store in database
+   * 2. Detect anomalies
+   * 3. Handle anomalies
+   * 4. Broadcast to clients
+   */
+  async processVitals(patientId, patient, vitals, httpbinResponse) {
+    const profile = await this.withDetectionProfile(patientId, patient);
+
+    // 1. Store health record
+    const healthRecord = await this.saveHealthRecord(
+      patientId,
+      vitals,
+      httpbinResponse,
+    );
+    await recordReadings(patientId, patient?.baselineVitals, [healthRecord]);
+    await this.webhookService.publish(
+      "vital.recorded",
+      patientId,
+      WebhookService.vitalPayload(healthRecord),
+    );
+
+    // 2. Detect anomalies (with error handling for insufficient data)
+    let anomalyResult;
+    try {
+      anomalyResult = this.anomalyDetector.detectAnomalies(
+        patientId,
+        vitals,
+        profile,
+      );
+    } catch (anomalyError) {
+      console.warn(
+        `⚠️ Anomaly detection skipped for ${patientId}: ${anomalyError.message}`,
+      );
+      anomalyResult = {
+        isAnomaly: false,
+        alerts: [],
+        severity: "normal",
+        normalizedScore: 0,
+      };
+    }
+
+    // 3. Handle anomalies, ending episodes whose condition has cleared
+    await this.endEpisodes(patientId, anomalyResult.alerts, new Date());
+    let anomaly = null;
+    if (anomalyResult.isAnomaly) {
+      anomaly = await this.handleAnomaly(
+        patientId,
+        healthRecord._id,
+        anomalyResult,
+      );
+    }
+
+    // 4. Broadcast to the patient's care team
+    await this.broadcastVitalUpdate(patientId, vitals, anomalyResult);
+
+    return { healthRecord, anomalyResult, anomaly };
+  }
+
   /**
    * POST patient vitals to httpbin
    * Simulates wearable device sending data to cloud
@@ -185,57 +327,311 @@ class HealthMonitoringService {
   /**
    * Save health record to MongoDB
    */
-  async saveHealthRecord(patient, vitals, httpbinResponse) {
+  async saveHealthRecord(patientId, vitals, httpbinResponse) {
     try {
-      const record = new HealthRecord({
-        patientId: patient.id,
-        heartRate: vitals.heartRate,
-        bloodPressure: vitals.bloodPressure,
-        spo2: vitals.spo2,
-        bodyTemperature: vitals.bodyTemperature,
-        motionLevel: vitals.motionLevel,
-        fallRiskScore: vitals.fallRiskScore,
-        sensorId: vitals.sensorId,
-        httpbinResponse,
-        recordedAt: new Date(vitals.timestamp),
-      });
+      const record = new HealthRecord(
+        this.toHealthRecord(patientId, vitals, httpbinResponse),
+      );
 
       return await record.save();
     } catch (error) {
-      console.error(`Database error for ${patient.id}:`, error.message);
+      console.error(`Database error for ${patientId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Process a buffered batch of device readings for one patient
+   * 1. De-duplicate by sensorId + recordedAt
+   * 2. Store in time order
+   * 3. Replay through the rolling window in chronological order
+   * 4. Handle anomalies (late readings are logged, not paged)
+   */
+  async processBatch(patientId, patient, vitalsList) {
+    // 1. De-duplicate within the batch and against stored records
+    const seen = new Set();
+    const unique = [];
+    for (const vitals of vitalsList) {
+      const key = `${vitals.sensorId}|${new Date(vitals.timestamp).getTime()}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        unique.push(vitals);
+      }
+    }
+
+    const existing = await HealthRecord.find(
+      {
+        sensorId: { $in: [...new Set(unique.map((v) => v.sensorId))] },
+        recordedAt: { $in: unique.map((v) => new Date(v.timestamp)) },
+      },
+      { sensorId: 1, recordedAt: 1 },
+    ).lean();
+    const stored = new Set(
+      existing.map((r) => `${r.sensorId}|${r.recordedAt.getTime()}`),
+    );
+    const fresh = unique
+      .filter(
+        (v) => !stored.has(`${v.sensorId}|${new Date(v.timestamp).getTime()}`),
+      )
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const summary = {
+      received: vitalsList.length,
+      inserted: fresh.length,
+      duplicates: vitalsList.length - fresh.length,
+      late: 0,
+      anomalies: 0,
+    };
+
+    if (fresh.length === 0) {
+      return summary;
+    }
+
+    // 2. Store in time order
+    const records = await HealthRecord.insertMany(
+      fresh.map((vitals) => this.toHealthRecord(patientId, vitals)),
+    );
+    const newIds = new Set(records.map((r) => r._id.toString()));
+    await recordReadings(patientId, patient?.baselineVitals, records);
+    for (const record of records) {
+      await this.webhookService.publish(
+        "vital.recorded",
+        patientId,
+        WebhookService.vitalPayload(record),
+      );
+    }
+
+    // 3. Rebuild the window from the readings around the new ones
+    const earliest = records[0].recordedAt;
+    const contextRecords = await HealthRecord.find({
+      patientId,
+      recordedAt: { $lt: earliest },
+    })
+      .sort({ recordedAt: -1 })
+      .limit(288)
+      .lean();
+    const timelineRecords = await HealthRecord.find({
+      patientId,
+      recordedAt: { $gte: earliest },
+    })
+      .sort({ recordedAt: 1 })
+      .lean();
+
+    const revisions = await ThresholdRevision.find({ patientId })
+      .sort({ effectiveFrom: 1 })
+      .lean();
+    const profile = await this.withDetectionProfile(
+      patientId,
+      patient,
+      earliest,
+    );
+
+    const replayed = this.anomalyDetector.replayReadings(
+      patientId,
+      contextRecords.reverse().map((r) => this.recordToVitals(r)),
+      timelineRecords.map((r) => ({
+        vitals: { ...this.recordToVitals(r), recordId: r._id },
+        isNew: newIds.has(r._id.toString()),
+      })),
+      profile,
+      revisions,
+    );
+
+    // 4. Handle anomalies and broadcast
+    const lateReadings = [];
+
+    for (const { vitals, detection } of replayed) {
+      const late = this.isLate(vitals.timestamp);
+      const { recordId, ...reading } = vitals;
+
+      if (late) {
+        summary.late++;
+        lateReadings.push(reading);
+      }
+      await this.endEpisodes(
+        patientId,
+        detection.alerts,
+        new Date(vitals.timestamp),
+        late,
+      );
+
+      if (detection.isAnomaly) {
+        summary.anomalies++;
+        await this.handleAnomaly(patientId, recordId, detection, {
+          late,
+          detectedAt: new Date(vitals.timestamp),
+        });
+      }
+
+      if (!late) {
+        await this.broadcastVitalUpdate(patientId, reading, detection);
+      }
+    }
+
+    if (lateReadings.length > 0) {
+      // Late episodes are historical: end those still open at their last reading
+      await Anomaly.updateMany({ patientId, late: true, endedAt: null }, [
+        { $set: { endedAt: "$lastSeenAt" } },
+      ]);
+      this.broadcastBackfill(patientId, lateReadings);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Drop in-memory state after a patient's baseline vitals change
+   * The simulator reseeds from the new baseline and the rolling window is
+   * reloaded from stored readings
+   */
+  async resetPatientState(patientId) {
+    this.dataGenerator.resetPatient(patientId);
+    this.anomalyDetector.resetPatient(patientId);
+    await this.anomalyDetector.loadHistoricalData(patientId);
+  }
+
+  /**
+   * Whether a reading is too old on arrival to alert as live
+   */
+  isLate(timestamp) {
+    return (
+      new Date(timestamp).getTime() < Date.now() - this.lateReadingThreshold
+    );
+  }
+
+  /**
+   * Attach the patient's detection limit overrides and the alert
+   * suppressions in force from `since` onward to their profile
+   * Falls back to built-in limits and no suppressions on error
+   */
+  async withDetectionProfile(patientId, patient, since = new Date()) {
+    try {
+      const detectionProfile = await loadDetectionProfile(patientId);
+      const suppressions = await AlertSuppression.find({
+        patientId,
+        cancelledAt: null,
+        endsAt: { $gt: since },
+      }).lean();
+      return { ...patient, detectionProfile, suppressions };
+    } catch (error) {
+      console.error(
+        `Error loading detection profile for ${patientId}:`,
+        error.message,
+      );
+      return patient;
+    }
+  }
+
+  /**
+   * Map a stored health record back to the vitals shape used by the detector
+   */
+  recordToVitals(record) {
+    return {
+      patientId: record.patientId,
+      heartRate: record.heartRate,
+      bloodPressure: record.bloodPressure,
+      spo2: record.spo2,
+      bodyTemperature: record.bodyTemperature,
+      motionLevel: record.motionLevel,
+      fallRiskScore: record.fallRiskScore,
+      sensorId: record.sensorId,
+      timestamp: record.recordedAt,
+    };
+  }
+
+  /**
+   * Build a health record document from vitals
+   */
+  toHealthRecord(patientId, vitals, httpbinResponse) {
+    return {
+      patientId,
+      heartRate: vitals.heartRate,
+      bloodPressure: vitals.bloodPressure,
+      spo2: vitals.spo2,
+      bodyTemperature: vitals.bodyTemperature,
+      motionLevel: vitals.motionLevel,
+      fallRiskScore: vitals.fallRiskScore,
+      sensorId: vitals.sensorId,
+      httpbinResponse,
+      recordedAt: new Date(vitals.timestamp),
+    };
+  }
+
   /**
    * Handle detected anomalies
+   * Readings that repeat an ongoing episode's alert categories extend that
+   * episode instead of creating a new anomaly
+   * Late readings only extend late episodes, which processBatch ends once
+   * the batch is replayed
+   * Late and suppressed anomalies are stored and logged but do not page anyone
    */
-  async handleAnomaly(patientId, healthRecordId, anomalyResult) {
+  async handleAnomaly(patientId, healthRecordId, anomalyResult, options = {}) {
+    const { late = false, detectedAt } = options;
+    const at = detectedAt || new Date();
+    const categories = anomalyResult.alerts.map((a) => a.category);
+
     try {
+      const episode = await this.findOngoingEpisode(
+        patientId,
+        categories,
+        at,
+        Boolean(anomalyResult.suppressed),
+        late,
+      );
+      if (episode) {
+        return await this.continueEpisode(
+          episode,
+          healthRecordId,
+          anomalyResult,
+          at,
+        );
+      }
+
       // 1. Save anomaly record
       const anomaly = new Anomaly({
         patientId,
         severity: anomalyResult.severity,
         alerts: anomalyResult.alerts,
         anomalyScore: anomalyResult.normalizedScore,
+        thresholds: anomalyResult.thresholds,
         recordId: healthRecordId,
+        late,
+        suppressed: Boolean(anomalyResult.suppressed),
+        detectedAt: at,
+        categories,
+        lastSeenAt: at,
+        lastNotifiedAt: late ? undefined : at,
       });
 
+      // Late anomalies are historical and suppressed ones expected;
+      // only live, unsuppressed ones escalate
+      if (!late && !anomaly.suppressed) {
+        anomaly.nextEscalationAt =
+          await this.escalationService.firstEscalationAt(anomaly);
+      }
+
       const savedAnomaly = await anomaly.save();
 
       // 2. Log critical alerts
-      for (const alert of anomalyResult.alerts) {
-        await new AlertLog({
-          patientId,
-          alertType: alert.category,
-          message: alert.message,
-          severity: alert.type,
-          actionTaken: "alert_triggered",
-        }).save();
+      let actionTaken = "alert_triggered";
+      if (late) {
+        actionTaken = "late_alert_logged";
+      } else if (savedAnomaly.suppressed) {
+        actionTaken = "alert_suppressed";
+      }
+      await this.logAlerts(savedAnomaly, anomalyResult, actionTaken);
+      await this.webhookService.publish(
+        "anomaly.created",
+        patientId,
+        savedAnomaly.toObject(),
+      );
+      this.dashboardPublisher.patientChanged(patientId, "anomaly_created");
+
+      // 3. Broadcast anomaly to clients (real-time alert) and notify
+      if (!late) {
+        await this.broadcastAnomaly(patientId, anomalyResult, savedAnomaly);
+        this.notifyAnomaly(savedAnomaly);
       }
-
-      // 3. Broadcast anomaly to clients (real-time alert)
-      this.broadcastAnomaly(patientId, anomalyResult);
 
       return savedAnomaly;
     } catch (error) {
@@ -244,15 +640,165 @@ class HealthMonitoringService {
     }
   }
 
+  /**
+   * The patient's ongoing episode sharing an alert category with a reading
+   * Live and late readings never share an episode
+   * Episodes already closed by staff, or whose suppression state differs
+   * (a snooze started or ran out), are ended so a new one starts
+   */
+  async findOngoingEpisode(patientId, categories, at, suppressed, late) {
+    const episode = await Anomaly.findOne({
+      patientId,
+      late: late ? true : { $ne: true },
+      endedAt: null,
+      categories: { $in: categories },
+      lastSeenAt: { $lte: at },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    if (
+      episode &&
+      (["resolved", "dismissed"].includes(episode.status) ||
+        Boolean(episode.suppressed) !== suppressed)
+    ) {
+      await Anomaly.updateOne({ _id: episode._id }, { endedAt: at });
+      return null;
+    }
+    return episode;
+  }
+
+  /**
+   * Add a reading to an ongoing episode and alert again if needed
+   */
+  async continueEpisode(episode, healthRecordId, anomalyResult, at) {
+    const reason = this.realertReason(episode, anomalyResult, at);
+    const update = {
+      $set: {
+        alerts: anomalyResult.alerts,
+        thresholds: anomalyResult.thresholds,
+        recordId: healthRecordId,
+        lastSeenAt: at,
+      },
+      $addToSet: {
+        categories: { $each: anomalyResult.alerts.map((a) => a.category) },
+      },
+      $inc: { occurrences: 1 },
+      $max: { anomalyScore: anomalyResult.normalizedScore },
+    };
+
+    if (
+      episode.late &&
+      SEVERITY_RANK[anomalyResult.severity] > SEVERITY_RANK[episode.severity]
+    ) {
+      // Historical: record the worst severity but never escalate
+      update.$set.severity = anomalyResult.severity;
+    }
+    if (reason === "severity_increased") {
+      update.$set.severity = anomalyResult.severity;
+      // Start escalating if the higher severity has a policy
+      if (!episode.acknowledged && !episode.nextEscalationAt) {
+        update.$set.nextEscalationAt =
+          await this.escalationService.firstEscalationAt({
+            ...episode,
+            severity: anomalyResult.severity,
+            alerts: anomalyResult.alerts,
+          });
+      }
+    }
+    if (reason) {
+      update.$set.lastNotifiedAt = at;
+    }
+
+    const anomaly = await Anomaly.findByIdAndUpdate(episode._id, update, {
+      new: true,
+    }).lean();
+    if (reason === "severity_increased") {
+      this.dashboardPublisher.patientChanged(
+        anomaly.patientId,
+        "anomaly_escalated",
+      );
+    }
+
+    if (reason) {
+      await this.logAlerts(anomaly, anomalyResult, reason);
+      await this.broadcastAnomaly(anomaly.patientId, anomalyResult, anomaly);
+      this.notifyAnomaly(anomaly);
+    }
+    return anomaly;
+  }
+
+  /**
+   * Why an ongoing episode should alert again, or null to stay quiet
+   * Returns: "severity_increased", "alert_repeated" or null
+   */
+  realertReason(episode, anomalyResult, at) {
+    if (anomalyResult.suppressed || episode.late) {
+      return null;
+    }
+    if (
+      SEVERITY_RANK[anomalyResult.severity] > SEVERITY_RANK[episode.severity]
+    ) {
+      return "severity_increased";
+    }
+
+    const lastNotifiedAt = new Date(
+      episode.lastNotifiedAt || episode.detectedAt,
+    ).getTime();
+    if (new Date(at).getTime() - lastNotifiedAt >= this.realertInterval) {
+      return "alert_repeated";
+    }
+    return null;
+  }
+
+  /**
+   * End the patient's ongoing episodes whose alert categories are no longer
+   * present in a reading; late readings only end late episodes
+   */
+  async endEpisodes(patientId, alerts, at, late = false) {
+    try {
+      await Anomaly.updateMany(
+        {
+          patientId,
+          late: late ? true : { $ne: true },
+          endedAt: null,
+          categories: { $nin: alerts.map((a) => a.category) },
+          lastSeenAt: { $lte: at },
+        },
+        { endedAt: at },
+      );
+    } catch (error) {
+      console.error(`Error ending episodes for ${patientId}:`, error.message);
+    }
+  }
+
+  /**
+   * Write one alert log entry per alert of a detection
+   */
+  async logAlerts(anomaly, anomalyResult, actionTaken) {
+    for (const alert of anomalyResult.alerts) {
+      await new AlertLog({
+        patientId: anomaly.patientId,
+        alertType: alert.category,
+        message: alert.message,
+        severity: alert.type,
+        actionTaken,
+        anomalyId: anomaly._id,
+      }).save();
+    }
+  }
+
   /**
    * Broadcast vital update via WebSocket
+   * Sent only to the patient's assigned users and admins
    */
-  broadcastVitalUpdate(patientId, vitals, anomalyResult) {
+  async broadcastVitalUpdate(patientId, vitals, anomalyResult) {
     if (!this.io) {
       return;
     }
 
-    this.io.emit("vital_update", {
+    const rooms = await roomsForPatient(patientId);
+    this.io.to(rooms).emit("vital_update", {
       patientId,
       vitals,
       anomaly: anomalyResult.isAnomaly ? anomalyResult : null,
@@ -261,21 +807,46 @@ class HealthMonitoringService {
   }
 
   /**
-   * Broadcast anomaly alert via WebSocket
+   * Notify clients that late readings were backfilled
+   * Sent to the patient room only; late readings never page
    */
-  broadcastAnomaly(patientId, anomalyResult) {
+  broadcastBackfill(patientId, readings) {
     if (!this.io) {
       return;
     }
 
-    const patient = PATIENTS.find((p) => p.id === patientId);
+    this.io.to(`patient_${patientId}`).emit("vitals_backfilled", {
+      patientId,
+      count: readings.length,
+      from: readings[0].timestamp,
+      to: readings[readings.length - 1].timestamp,
+      late: true,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Broadcast anomaly alert via WebSocket
+   * Sent only to the patient's assigned users and admins
+   * Suppressed anomalies are expected and page no one
+   */
+  async broadcastAnomaly(patientId, anomalyResult, anomaly) {
+    if (!this.io || anomalyResult.suppressed) {
+      return;
+    }
+
+    const patient = await Patient.findOne({ patientId }, { name: 1 }).lean();
+    const rooms = await roomsForPatient(patientId);
 
-    this.io.emit("anomaly_alert", {
+    this.io.to(rooms).emit("anomaly_alert", {
+      anomalyId: anomaly?._id,
       patientId,
       patientName: patient?.name || "Unknown",
       severity: anomalyResult.severity,
       alerts: anomalyResult.alerts,
       score: anomalyResult.normalizedScore,
+      ongoingSince: anomaly?.detectedAt,
+      occurrences: anomaly?.occurrences,
       timestamp: new Date().toISOString(),
     });
 
@@ -287,12 +858,137 @@ class HealthMonitoringService {
     });
   }
 
+  /**
+   * Send an anomaly to the care team's notification channels
+   * Delivery runs in the background; suppressed anomalies page no one
+   */
+  notifyAnomaly(anomaly) {
+    if (anomaly.suppressed) {
+      return;
+    }
+
+    this.notificationService.dispatch(
+      usersForPatient(anomaly.patientId),
+      "anomaly_alert",
+      anomaly,
+    );
+  }
+
+  /**
+   * A user was added to or removed from a patient's care team
+   * A removed user's sockets leave the patient room, so they stop getting
+   * its live events; admins keep access and stay. Dashboards move to the
+   * user's new scope
+   */
+  async careTeamChanged(user, patientId, { removed = false } = {}) {
+    if (removed && this.io && user.role !== "admin") {
+      try {
+        const sockets = await this.io.in(userRoom(user._id)).fetchSockets();
+        for (const socket of sockets) {
+          socket.leave(`patient_${patientId}`);
+        }
+      } catch (error) {
+        console.error("Error removing patient subscriptions:", error.message);
+      }
+    }
+    await this.dashboardPublisher.careTeamChanged(user._id);
+  }
+
+  /**
+   * Tell subscribed clients an anomaly was acknowledged
+   * Sent to the care team rooms and the patient room
+   */
+  async broadcastAcknowledgement(anomaly) {
+    await this.webhookService.publish(
+      "anomaly.acknowledged",
+      anomaly.patientId,
+      anomaly,
+    );
+    this.dashboardPublisher.patientChanged(
+      anomaly.patientId,
+      "anomaly_acknowledged",
+    );
+    if (!this.io) {
+      return;
+    }
+
+    const { patientId } = anomaly;
+    const rooms = await roomsForPatient(patientId);
+    rooms.push(`patient_${patientId}`);
+    this.io.to(rooms).emit("alert_acknowledged", {
+      anomalyId: anomaly._id,
+      patientId,
+      acknowledgedBy: anomaly.acknowledgedBy,
+      acknowledgedAt: anomaly.acknowledgedAt,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Tell subscribed clients an anomaly moved through its workflow
+   */
+  async broadcastStatusChange(anomaly) {
+    await this.webhookService.publish(
+      "anomaly.status_changed",
+      anomaly.patientId,
+      anomaly,
+    );
+    this.dashboardPublisher.patientChanged(
+      anomaly.patientId,
+      "anomaly_status_changed",
+    );
+    if (!this.io) {
+      return;
+    }
+
+    const { patientId } = anomaly;
+    const rooms = await roomsForPatient(patientId);
+    rooms.push(`patient_${patientId}`);
+    const lastChange = anomaly.statusHistory[anomaly.statusHistory.length - 1];
+    this.io.to(rooms).emit("anomaly_status_changed", {
+      anomalyId: anomaly._id,
+      patientId,
+      status: anomaly.status,
+      assignedTo: anomaly.assignedTo,
+      changedBy: lastChange?.by,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send a new clinical note to the patient room
+   */
+  broadcastNote(note) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`patient_${note.patientId}`).emit("note_added", {
+      noteId: note._id,
+      patientId: note.patientId,
+      anomalyId: note.anomalyId,
+      author: note.author,
+      authorRole: note.authorRole,
+      body: note.body,
+      createdAt: note.createdAt,
+    });
+  }
+
   /**
    * Get patient health summary
+   * options: { from, to } period for statistics (default last 24 hours)
+   * archivedDays lists days whose readings are archived and not counted
+   * Returns: null when the patient does not exist
    */
-  async getPatientSummary(patientId) {
+  async getPatientSummary(patientId, options = {}) {
     try {
+      const to = options.to || new Date();
+      const from = options.from || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
       const patient = await Patient.findOne({ patientId });
+      if (!patient) {
+        return null;
+      }
       const latestRecord = await HealthRecord.findOne({ patientId })
         .sort({ recordedAt: -1 })
         .lean();
@@ -305,6 +1001,12 @@ class HealthMonitoringService {
         patient,
         latestVitals: latestRecord,
         recentAnomalies,
+        period: { from, to },
+        archivedDays: await archivedDays(patientId, from, to),
+        vitals: await vitalStatistics(patientId, from, to),
+        trends: await vitalTrends(patientId, from, to),
+        anomalies: await anomalyCounts(patientId, from, to),
+        acknowledgements: await acknowledgementTrail(patientId, from, to),
       };
     } catch (error) {
       console.error(`Error getting summary for ${patientId}:`, error);
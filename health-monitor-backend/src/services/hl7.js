@@ -0,0 +1,391 @@
+/**
+ * HL7 v2 Messages
+ * Parses ORU^R01 observation messages from bedside monitors, maps OBX
+ * results to health record fields, and builds ACK/NAK replies
+ * Includes MLLP framing (<VT> message <FS><CR>) and a small client
+ */
+
+const net = require("net");
+
+// MLLP block characters
+const START_BLOCK = "\x0b";
+const END_BLOCK = "\x1c\r";
+
+/**
+ * OBX-3 observation identifiers -> reading fields
+ * LOINC codes and the IEEE 11073 (MDC) codes most monitors send
+ */
+const OBSERVATION_CODES = {
+  "8867-4": "heartRate",
+  147842: "heartRate", // MDC_ECG_HEART_RATE
+  149530: "heartRate", // MDC_PULS_OXIM_PULS_RATE
+  "8480-6": "systolic",
+  150021: "systolic", // MDC_PRESS_BLD_NONINV_SYS
+  "8462-4": "diastolic",
+  150022: "diastolic", // MDC_PRESS_BLD_NONINV_DIA
+  "85354-9": "bloodPressure", // Panel sent as one "S/D" value
+  "59408-5": "spo2",
+  "2708-6": "spo2",
+  150456: "spo2", // MDC_PULS_OXIM_SAT_O2
+  "8310-5": "bodyTemperature",
+  150364: "bodyTemperature", // MDC_TEMP_BODY
+};
+
+// OBX-11 result statuses that carry no usable value
+const SKIPPED_RESULT_STATUSES = ["D", "X", "W"];
+
+// HL7 table 0357 error codes sent in ERR-3
+const ERROR_CODES = {
+  requiredFieldMissing: "101^Required field missing^HL70357",
+  dataTypeError: "102^Data type error^HL70357",
+  segmentSequenceError: "100^Segment sequence error^HL70357",
+  unsupportedMessageType: "200^Unsupported message type^HL70357",
+  unknownKey: "204^Unknown key identifier^HL70357",
+  internalError: "207^Application internal error^HL70357",
+};
+
+/**
+ * Error answered with a negative acknowledgement
+ * ackCode: AE (application error, may be resent) or AR (rejected)
+ */
+class Hl7Error extends Error {
+  constructor(ackCode, message, errorCode = ERROR_CODES.internalError) {
+    super(message);
+    this.ackCode = ackCode;
+    this.errorCode = errorCode;
+  }
+}
+
+function unescape(text, separators) {
+  return text.replace(/\\([FSTRE])\\/g, (match, code) => {
+    const characters = {
+      F: separators.field,
+      S: separators.component,
+      T: separators.subcomponent,
+      R: separators.repetition,
+      E: separators.escape,
+    };
+    return characters[code];
+  });
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/\\/g, "\\E\\")
+    .replace(/\|/g, "\\F\\")
+    .replace(/\^/g, "\\S\\")
+    .replace(/&/g, "\\T\\")
+    .replace(/~/g, "\\R\\")
+    .replace(/[\r\n]+/g, " ");
+}
+
+/**
+ * Split a message into segments and fields
+ * segment.fields[n] is the raw SEG-n value (for MSH too)
+ */
+function parseMessage(raw) {
+  const lines = String(raw)
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (lines.length === 0 || !lines[0].startsWith("MSH")) {
+    throw new Hl7Error(
+      "AR",
+      "Message must start with an MSH segment",
+      ERROR_CODES.segmentSequenceError,
+    );
+  }
+
+  const header = lines[0];
+  const separators = {
+    field: header[3],
+    component: header[4] || "^",
+    repetition: header[5] || "~",
+    escape: header[6] || "\\",
+    subcomponent: header[7] || "&",
+  };
+
+  const segments = lines.map((line) => {
+    const fields = line.split(separators.field);
+    if (fields[0] === "MSH") {
+      fields.splice(1, 0, separators.field); // MSH-1 is the separator itself
+    }
+    return { name: fields[0], fields };
+  });
+
+  return { separators, segments };
+}
+
+function segment(message, name) {
+  return message.segments.find((s) => s.name === name);
+}
+
+/**
+ * Components of each repetition of a field, unescaped
+ */
+function repetitions(message, seg, index) {
+  const raw = seg?.fields[index];
+  if (!raw) {
+    return [];
+  }
+  const { separators } = message;
+  return raw
+    .split(separators.repetition)
+    .map((rep) =>
+      rep.split(separators.component).map((c) => unescape(c, separators)),
+    );
+}
+
+/**
+ * One component of the first repetition of a field ("" when absent)
+ */
+function value(message, seg, index, component = 1) {
+  return repetitions(message, seg, index)[0]?.[component - 1] || "";
+}
+
+/**
+ * Parse an HL7 timestamp: YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]
+ * Times without an offset are taken as UTC
+ */
+function parseTimestamp(text) {
+  const match =
+    /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.(\d{1,4}))?([+-]\d{4})?$/.exec(
+      text || "",
+    );
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00"] = match;
+  const second = match[6] || "00";
+  const fraction = (match[7] || "0").padEnd(3, "0").slice(0, 3);
+  const offset = match[8]
+    ? `${match[8].slice(0, 3)}:${match[8].slice(3)}`
+    : "Z";
+  const date = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}.${fraction}${offset}`,
+  );
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatTimestamp(date = new Date()) {
+  return `${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}+0000`;
+}
+
+/**
+ * Sender, type and control ID from the MSH segment
+ */
+function messageHeader(message) {
+  const msh = segment(message, "MSH");
+  return {
+    sendingApplication: value(message, msh, 3),
+    sendingFacility: value(message, msh, 4),
+    sentAt: parseTimestamp(value(message, msh, 7)),
+    messageType: value(message, msh, 9, 1),
+    triggerEvent: value(message, msh, 9, 2),
+    controlId: value(message, msh, 10),
+    version: value(message, msh, 12),
+  };
+}
+
+/**
+ * Patient identifiers from PID-3 (every repetition)
+ */
+function patientIdentifiers(message) {
+  return repetitions(message, segment(message, "PID"), 3)
+    .map((components) => components[0])
+    .filter(Boolean);
+}
+
+/**
+ * OBX results as { code, system, value, units, status, observedAt, equipment }
+ */
+function observations(message) {
+  return message.segments
+    .filter((s) => s.name === "OBX")
+    .map((obx) => ({
+      valueType: value(message, obx, 2),
+      code: value(message, obx, 3, 1),
+      text: value(message, obx, 3, 2),
+      system: value(message, obx, 3, 3),
+      value: value(message, obx, 5),
+      units: value(message, obx, 6),
+      status: value(message, obx, 11),
+      observedAt: parseTimestamp(value(message, obx, 14)),
+      equipment: value(message, obx, 18),
+    }));
+}
+
+function toCelsius(temperature, units) {
+  return /f/i.test(units) // degF, [degF]
+    ? Math.round((((temperature - 32) * 5) / 9) * 10) / 10
+    : temperature;
+}
+
+/**
+ * Map an ORU^R01 message to the reading shape accepted by the device
+ * ingestion endpoint; unknown OBX codes are ignored
+ * sensorId is OBX-18 (equipment instance) or "hl7-<sending application>"
+ */
+function toReading(message) {
+  const header = messageHeader(message);
+  const reading = {};
+  let systolic;
+  let diastolic;
+  let equipment;
+  let observedAt;
+
+  for (const obx of observations(message)) {
+    const field = OBSERVATION_CODES[obx.code];
+    if (!field || !obx.value || SKIPPED_RESULT_STATUSES.includes(obx.status)) {
+      continue;
+    }
+    equipment = equipment || obx.equipment;
+    if (obx.observedAt && (!observedAt || obx.observedAt > observedAt)) {
+      observedAt = obx.observedAt;
+    }
+
+    if (field === "bloodPressure") {
+      [systolic, diastolic] = obx.value.split("/").map(Number);
+      continue;
+    }
+
+    const number = Number(obx.value);
+    if (field === "systolic") {
+      systolic = number;
+    } else if (field === "diastolic") {
+      diastolic = number;
+    } else if (reading[field] === undefined) {
+      // First of several (e.g. ECG and pulse oximeter heart rate) wins
+      reading[field] =
+        field === "bodyTemperature" ? toCelsius(number, obx.units) : number;
+    }
+  }
+
+  if (systolic !== undefined && diastolic !== undefined) {
+    reading.bloodPressure = `${systolic}/${diastolic}`;
+  }
+
+  const obr = segment(message, "OBR");
+  const timestamp =
+    observedAt ||
+    parseTimestamp(value(message, obr, 7)) ||
+    header.sentAt ||
+    new Date();
+
+  return {
+    sensorId: equipment || `hl7-${header.sendingApplication || "unknown"}`,
+    ...reading,
+    timestamp: timestamp.toISOString(),
+  };
+}
+
+/**
+ * Build an ACK for a received message
+ * code: AA (accepted), AE (error) or AR (rejected); errors add an ERR segment
+ */
+function buildAck(header, code, { text = "", errorCode } = {}) {
+  const segments = [
+    [
+      "MSH",
+      "^~\\&",
+      "HEALTH-MONITOR",
+      "",
+      header.sendingApplication || "",
+      header.sendingFacility || "",
+      formatTimestamp(),
+      "",
+      `ACK^${header.triggerEvent || "R01"}^ACK`,
+      `ACK${Date.now()}`,
+      "P",
+      header.version || "2.5.1",
+    ].join("|"),
+    ["MSA", code, header.controlId || "", escape(text)].join("|"),
+  ];
+  if (code !== "AA") {
+    segments.push(
+      ["ERR", "", "", errorCode || ERROR_CODES.internalError, "E"].join("|"),
+    );
+  }
+  return segments.join("\r");
+}
+
+/**
+ * Acknowledgement code and text from a received ACK
+ */
+function parseAck(raw) {
+  const message = parseMessage(raw);
+  const msa = segment(message, "MSA");
+  return {
+    code: value(message, msa, 1),
+    controlId: value(message, msa, 2),
+    text: value(message, msa, 3),
+  };
+}
+
+function frame(message) {
+  return `${START_BLOCK}${message}${END_BLOCK}`;
+}
+
+/**
+ * Take complete MLLP frames off the front of a buffer
+ * Returns: { messages, rest } where rest is the incomplete remainder
+ */
+function unframe(buffer) {
+  const messages = [];
+  let rest = buffer;
+
+  let end;
+  while ((end = rest.indexOf(END_BLOCK)) !== -1) {
+    const start = rest.indexOf(START_BLOCK);
+    if (start !== -1 && start < end) {
+      messages.push(rest.slice(start + 1, end));
+    }
+    rest = rest.slice(end + END_BLOCK.length);
+  }
+  return { messages, rest };
+}
+
+/**
+ * Send one message over MLLP and resolve with the raw reply
+ */
+function sendMessage(host, port, message, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = "";
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy(new Error("Timed out waiting for ACK"));
+    });
+    socket.on("connect", () => socket.write(frame(message)));
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      const { messages } = unframe(buffer);
+      if (messages.length > 0) {
+        socket.end();
+        resolve(messages[0]);
+      }
+    });
+    socket.on("error", reject);
+    socket.on("close", () => reject(new Error("Connection closed before ACK")));
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  Hl7Error,
+  OBSERVATION_CODES,
+  buildAck,
+  formatTimestamp,
+  frame,
+  messageHeader,
+  observations,
+  parseAck,
+  parseMessage,
+  parseTimestamp,
+  patientIdentifiers,
+  sendMessage,
+  toReading,
+  unframe,
+};
@@ -0,0 +1,268 @@
+/**
+ * MLLP Server
+ * Receives HL7 v2 ORU^R01 messages from bedside monitors over TCP and
+ * feeds them into the monitoring pipeline
+ * Every message is answered with an ACK (AA) or NAK (AE/AR)
+ *
+ * MLLP has no authentication, so connections are only accepted from the
+ * source addresses in MLLP_ALLOWED_SOURCES and messages only from the
+ * sending facilities (MSH-4) in MLLP_ALLOWED_FACILITIES; at least one of
+ * the two must be set
+ */
+
+const net = require("net");
+const { HealthRecord, Patient, Sensor } = require("../models");
+const { validateReading, toVitals } = require("./vitalsValidator");
+const {
+  ERROR_CODES,
+  Hl7Error,
+  buildAck,
+  frame,
+  messageHeader,
+  parseMessage,
+  patientIdentifiers,
+  toReading,
+  unframe,
+} = require("./hl7");
+
+/**
+ * Comma-separated list from an environment variable
+ */
+function listSetting(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * IPv4 clients of a dual-stack listener appear as "::ffff:10.0.0.5"
+ */
+function normalizeAddress(address = "") {
+  return address.replace(/^::ffff:/, "");
+}
+
+class MllpServer {
+  constructor(healthService, options = {}) {
+    this.healthService = healthService;
+    this.server = null;
+    this.sockets = new Set();
+    this.allowedSources = (
+      options.allowedSources ?? listSetting(process.env.MLLP_ALLOWED_SOURCES)
+    ).map(normalizeAddress);
+    this.allowedFacilities =
+      options.allowedFacilities ??
+      listSetting(process.env.MLLP_ALLOWED_FACILITIES);
+    // Unframed data kept per connection before it is dropped
+    this.maxBufferSize =
+      options.maxBufferSize ??
+      (parseInt(process.env.MLLP_MAX_MESSAGE_SIZE) || 1048576); // 1 MB default
+  }
+
+  /**
+   * Start listening; resolves with the bound port
+   * Rejects when no allowlist is configured or the port cannot be bound
+   */
+  listen(port, host = "0.0.0.0") {
+    if (
+      this.allowedSources.length === 0 &&
+      this.allowedFacilities.length === 0
+    ) {
+      return Promise.reject(
+        new Error(
+          "MLLP_ALLOWED_SOURCES or MLLP_ALLOWED_FACILITIES must be set",
+        ),
+      );
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", (error) => {
+        this.server = null;
+        reject(error);
+      });
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        console.log(`🏥 MLLP listener on ${host}:${address.port}`);
+        resolve(address.port);
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Monitors keep one connection open and wait for each ACK, so messages
+   * on a connection are handled one at a time, in order
+   */
+  handleConnection(socket) {
+    const source = normalizeAddress(socket.remoteAddress);
+    if (
+      this.allowedSources.length > 0 &&
+      !this.allowedSources.includes(source)
+    ) {
+      console.warn(`⚠️ MLLP connection from ${source} refused`);
+      socket.destroy();
+      return;
+    }
+
+    this.sockets.add(socket);
+    let buffer = "";
+    let pending = Promise.resolve();
+
+    socket.on("data", (chunk) => {
+      const { messages, rest } = unframe(buffer + chunk.toString());
+      buffer = rest;
+      // A sender that never ends a frame would otherwise grow it forever
+      if (Buffer.byteLength(buffer) > this.maxBufferSize) {
+        console.warn(
+          `⚠️ MLLP message from ${source} exceeds ${this.maxBufferSize} bytes; dropping connection`,
+        );
+        socket.destroy();
+        return;
+      }
+      for (const raw of messages) {
+        pending = pending
+          .then(() => this.handleMessage(raw))
+          .then((ack) => {
+            if (!socket.destroyed) {
+              socket.write(frame(ack));
+            }
+          });
+      }
+    });
+    socket.on("error", (error) => {
+      console.error("MLLP connection error:", error.message);
+    });
+    socket.on("close", () => this.sockets.delete(socket));
+  }
+
+  /**
+   * Process one message and return the ACK to send back
+   * Never throws: failures become AE/AR acknowledgements
+   */
+  async handleMessage(raw) {
+    let header = {};
+    try {
+      const message = parseMessage(raw);
+      header = messageHeader(message);
+      if (header.messageType !== "ORU" || header.triggerEvent !== "R01") {
+        throw new Hl7Error(
+          "AR",
+          `Unsupported message type ${header.messageType}^${header.triggerEvent}`,
+          ERROR_CODES.unsupportedMessageType,
+        );
+      }
+      if (
+        this.allowedFacilities.length > 0 &&
+        !this.allowedFacilities.includes(header.sendingFacility)
+      ) {
+        throw new Hl7Error(
+          "AR",
+          `Sending facility ${header.sendingFacility || "(none)"} not allowed`,
+          ERROR_CODES.unknownKey,
+        );
+      }
+
+      const text = await this.ingest(message);
+      return buildAck(header, "AA", { text });
+    } catch (error) {
+      if (error instanceof Hl7Error) {
+        return buildAck(header, error.ackCode, {
+          text: error.message,
+          errorCode: error.errorCode,
+        });
+      }
+      console.error("❌ Error processing HL7 message:", error.message);
+      return buildAck(header, "AE", { text: error.message });
+    }
+  }
+
+  /**
+   * Resolve the patient from PID-3, map OBX results to a reading and run
+   * it through the same pipeline as the monitoring loop
+   * Returns: ACK text
+   */
+  async ingest(message) {
+    const identifiers = patientIdentifiers(message);
+    const patient = await Patient.findOne({
+      patientId: { $in: identifiers },
+      isActive: true,
+    }).lean();
+    if (!patient) {
+      throw new Hl7Error(
+        "AE",
+        `Unknown patient identifier ${identifiers.join(", ") || "(none)"}`,
+        ERROR_CODES.unknownKey,
+      );
+    }
+
+    const reading = toReading(message);
+    const errors = validateReading(reading);
+    if (errors.length > 0) {
+      const missing = errors.some((e) => e.endsWith("is required"));
+      throw new Hl7Error(
+        "AE",
+        errors.join("; "),
+        missing ? ERROR_CODES.requiredFieldMissing : ERROR_CODES.dataTypeError,
+      );
+    }
+
+    // A monitor resends when an ACK is lost; store the reading once
+    const { patientId } = patient;
+    const duplicate = await HealthRecord.exists({
+      patientId,
+      sensorId: reading.sensorId,
+      recordedAt: new Date(reading.timestamp),
+    });
+    if (duplicate) {
+      return "Duplicate message, already recorded";
+    }
+
+    // Patients added since startup have no rolling window yet
+    const { anomalyDetector } = this.healthService;
+    if (!anomalyDetector.dataWindow[patientId]) {
+      await anomalyDetector.loadHistoricalData(patientId);
+    }
+
+    const vitals = toVitals(patientId, reading);
+    let text;
+    if (this.healthService.isLate(vitals.timestamp)) {
+      // Old or backfilled results are logged as late, like device uploads,
+      // instead of paging the care team
+      const { anomalies } = await this.healthService.processBatch(
+        patientId,
+        patient,
+        [vitals],
+      );
+      text = anomalies > 0 ? "Recorded late, anomaly logged" : "Recorded late";
+    } else {
+      const { anomalyResult } = await this.healthService.processVitals(
+        patientId,
+        patient,
+        vitals,
+      );
+      text = anomalyResult.isAnomaly
+        ? `Recorded, ${anomalyResult.severity} anomaly detected`
+        : "Recorded";
+    }
+    await Sensor.updateOne(
+      { sensorId: reading.sensorId, patientId },
+      { lastSeenAt: new Date() },
+    );
+    return text;
+  }
+}
+
+module.exports = MllpServer;
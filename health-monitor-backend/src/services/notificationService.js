@@ -0,0 +1,236 @@
+/**
+ * Notification Service
+ * Delivers anomaly alerts and escalations to users' outbound channels
+ * (email, SMS, webhook, pager) according to their preferences
+ * Every delivery attempt is recorded in AlertLog
+ */
+
+const { AlertLog, Patient } = require("../models");
+const { createChannels } = require("./channels");
+
+// Webhooks make the server call a user-chosen URL, so family accounts
+// cannot use them
+const WEBHOOK_ROLES = ["nurse", "physician", "admin"];
+
+class NotificationService {
+  constructor(channels = createChannels()) {
+    this.channels = channels; // Transports keyed by channel type
+    this.pending = new Set(); // Dispatched notices still being delivered
+  }
+
+  /**
+   * Add or replace the transport for a channel type
+   */
+  registerChannel(type, channel) {
+    this.channels[type] = channel;
+  }
+
+  /**
+   * Whether a time falls inside a user's quiet hours
+   * Windows may wrap midnight (22:00 - 07:00)
+   */
+  inQuietHours(quietHours, now = new Date()) {
+    if (!quietHours?.start || !quietHours?.end) {
+      return false;
+    }
+
+    const localTime = new Intl.DateTimeFormat("en-GB", {
+      timeZone: quietHours.timezone || "UTC",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).format(now);
+
+    const { start, end } = quietHours;
+    if (start <= end) {
+      return localTime >= start && localTime < end;
+    }
+    return localTime >= start || localTime < end;
+  }
+
+  /**
+   * A user's enabled channels that want alerts of this severity
+   */
+  wantedChannels(user, severity) {
+    return (user.notifications?.channels || []).filter(
+      (c) =>
+        c.enabled !== false &&
+        (c.minSeverity !== "critical" || severity === "critical"),
+    );
+  }
+
+  /**
+   * Why a wanted channel cannot receive a notice now, or null to send it
+   */
+  skipReason(user, channel, severity, now) {
+    const quietHours = user.notifications?.quietHours;
+    if (
+      this.inQuietHours(quietHours, now) &&
+      !(severity === "critical" && quietHours.allowCritical !== false)
+    ) {
+      return "Quiet hours";
+    }
+
+    if (channel.type === "webhook" && !WEBHOOK_ROLES.includes(user.role)) {
+      return "Webhook channels are limited to staff";
+    }
+    const transport = this.channels[channel.type];
+    if (!transport || !transport.isConfigured()) {
+      return `No ${channel.type} transport configured`;
+    }
+    if (transport.accepts && !transport.accepts(channel.address)) {
+      return `${channel.type} address not allowed`;
+    }
+    return null;
+  }
+
+  /**
+   * Build the message sent on every channel for one notice
+   */
+  buildMessage(event, anomaly, patientName) {
+    const label =
+      event === "anomaly_escalated"
+        ? `ESCALATED L${anomaly.escalationLevel}`
+        : anomaly.severity.toUpperCase();
+    const subject = `[${label}] ${patientName} (${anomaly.patientId})`;
+    const categories = anomaly.alerts.map((a) => a.category).join(", ");
+
+    return {
+      event,
+      severity: anomaly.severity,
+      subject,
+      text: [
+        subject,
+        "",
+        ...anomaly.alerts.map((a) => a.message),
+        "",
+        `Detected at ${new Date(anomaly.detectedAt).toISOString()}`,
+      ].join("\n"),
+      short: `${subject}: ${categories}`,
+      data: {
+        event,
+        anomalyId: anomaly._id,
+        patientId: anomaly.patientId,
+        patientName,
+        severity: anomaly.severity,
+        alerts: anomaly.alerts,
+        escalationLevel: anomaly.escalationLevel,
+        detectedAt: anomaly.detectedAt,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Notify users about an anomaly on each of their channels
+   * Never throws; failures are logged as failed deliveries
+   * Returns: array of { username, channel, address, status, reference, error }
+   */
+  async notify(users, event, anomaly, now = new Date()) {
+    const deliveries = [];
+
+    try {
+      const recipients = users.filter(
+        (u) => u.notifications?.channels?.length > 0,
+      );
+      if (recipients.length === 0) {
+        return deliveries;
+      }
+
+      const patient = await Patient.findOne(
+        { patientId: anomaly.patientId },
+        { name: 1 },
+      ).lean();
+      const message = this.buildMessage(
+        event,
+        anomaly,
+        patient?.name || "Unknown",
+      );
+
+      const seen = new Set();
+      for (const user of recipients) {
+        if (seen.has(user.username)) {
+          continue;
+        }
+        seen.add(user.username);
+
+        for (const channel of this.wantedChannels(user, anomaly.severity)) {
+          const delivery = await this.deliver(user, channel, message, now);
+          await this.logDelivery(anomaly, delivery);
+          deliveries.push(delivery);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error sending notifications:", error.message);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Notify in the background so slow channels do not hold up the caller
+   * `users` may be a promise; errors are logged
+   */
+  dispatch(users, event, anomaly) {
+    const delivery = Promise.resolve(users)
+      .then((recipients) => this.notify(recipients, event, anomaly))
+      .catch((error) => {
+        console.error("❌ Error sending notifications:", error.message);
+      })
+      .finally(() => this.pending.delete(delivery));
+    this.pending.add(delivery);
+  }
+
+  /**
+   * Wait for dispatched notices to finish delivering
+   */
+  async idle() {
+    await Promise.all(this.pending);
+  }
+
+  /**
+   * Send one message on one of a user's channels
+   */
+  async deliver(user, channel, message, now = new Date()) {
+    const delivery = {
+      username: user.username,
+      channel: channel.type,
+      address: channel.address,
+    };
+
+    const reason = this.skipReason(user, channel, message.severity, now);
+    if (reason) {
+      return { ...delivery, status: "skipped", error: reason };
+    }
+
+    try {
+      const { reference } = await this.channels[channel.type].send(
+        channel.address,
+        message,
+      );
+      return { ...delivery, status: "sent", reference };
+    } catch (error) {
+      return { ...delivery, status: "failed", error: error.message };
+    }
+  }
+
+  async logDelivery(anomaly, delivery) {
+    await new AlertLog({
+      patientId: anomaly.patientId,
+      alertType: anomaly.alerts[0]?.category,
+      message: `${delivery.channel} notification to ${delivery.username} ${
+        delivery.status
+      }${delivery.error ? `: ${delivery.error}` : ""}`,
+      severity: anomaly.severity,
+      actionTaken: `notification_${delivery.status}`,
+      anomalyId: anomaly._id,
+      channel: delivery.channel,
+      recipient: delivery.username,
+      deliveryStatus: delivery.status,
+      deliveryReference: delivery.reference,
+    }).save();
+  }
+}
+
+NotificationService.WEBHOOK_ROLES = WEBHOOK_ROLES;
+
+module.exports = NotificationService;
@@ -0,0 +1,416 @@
+/**
+ * Patient Report
+ * Renders the patient summary as a printable PDF: demographics, vitals
+ * statistics and trend charts, anomaly counts and the acknowledgement trail
+ */
+
+const PDFDocument = require("pdfkit");
+const { dateFormatter } = require("./csvExport");
+
+const MARGIN = 50;
+const COLORS = {
+  text: "#222222",
+  muted: "#666666",
+  rule: "#cccccc",
+  band: "#e3f2e6",
+  series: ["#c0392b", "#2471a3"],
+};
+
+// Rows of the statistics table, with the baseline range they compare to
+const VITAL_ROWS = [
+  { key: "heartRate", label: "Heart rate (bpm)", baseline: "hr" },
+  { key: "systolic", label: "Systolic BP (mmHg)", baseline: "systolic" },
+  { key: "diastolic", label: "Diastolic BP (mmHg)", baseline: "diastolic" },
+  { key: "spo2", label: "SpO2 (%)", baseline: "spo2" },
+  { key: "bodyTemperature", label: "Temperature (°C)", baseline: "temp" },
+];
+
+const CHARTS = [
+  { title: "Heart rate (bpm)", series: ["heartRate"], baseline: ["hr"] },
+  {
+    title: "Blood pressure (mmHg) - systolic / diastolic",
+    series: ["systolic", "diastolic"],
+    baseline: ["systolic", "diastolic"],
+  },
+  { title: "SpO2 (%)", series: ["spo2"], baseline: ["spo2"] },
+  {
+    title: "Temperature (°C)",
+    series: ["bodyTemperature"],
+    baseline: ["temp"],
+  },
+];
+
+const display = (value) =>
+  value === null || value === undefined || value === "" ? "-" : String(value);
+
+const list = (values) => (values?.length ? values.join(", ") : "None recorded");
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+/**
+ * Start a new page when less than height is left on this one
+ * Returns: true when a page was added
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(COLORS.text).text(text);
+  const y = doc.y + 2;
+  doc
+    .moveTo(MARGIN, y)
+    .lineTo(MARGIN + contentWidth(doc), y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.moveDown(0.5);
+  doc.font("Helvetica").fontSize(10);
+}
+
+/**
+ * Draw a table; widths are fractions of the content width
+ */
+function table(doc, headers, rows, widths) {
+  const columnWidths = widths.map((w) => w * contentWidth(doc));
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height =
+      Math.max(
+        ...cells.map((cell, i) =>
+          doc.heightOfString(display(cell), { width: columnWidths[i] - 6 }),
+        ),
+      ) + 6;
+    if (ensureSpace(doc, height) && cells !== headers) {
+      drawRow(headers, "Helvetica-Bold"); // Repeat the header on each page
+      doc.font(font).fontSize(9);
+    }
+
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc
+        .fillColor(COLORS.text)
+        .text(display(cell), x + 3, y + 3, { width: columnWidths[i] - 6 });
+      x += columnWidths[i];
+    });
+    doc
+      .moveTo(MARGIN, y + height)
+      .lineTo(MARGIN + contentWidth(doc), y + height)
+      .lineWidth(0.5)
+      .strokeColor(COLORS.rule)
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+
+  drawRow(headers, "Helvetica-Bold");
+  rows.forEach((row) => drawRow(row, "Helvetica"));
+  doc.font("Helvetica").fontSize(10);
+}
+
+/**
+ * Line chart of one or more series over the report period, with the
+ * patient's baseline range shaded
+ */
+function chart(doc, { title, points, series, band, from, to, formatDate }) {
+  const width = contentWidth(doc);
+  const height = 90;
+  ensureSpace(doc, height + 40);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(9)
+    .fillColor(COLORS.text)
+    .text(title, MARGIN, doc.y);
+  const top = doc.y + 4;
+  const left = MARGIN + 30;
+  const plotWidth = width - 30;
+
+  const values = series.flatMap((key) =>
+    points.map((p) => p[key]).filter((v) => v !== null && v !== undefined),
+  );
+  if (values.length === 0) {
+    doc
+      .font("Helvetica")
+      .fillColor(COLORS.muted)
+      .text("No readings in this period", left, top + 10);
+    doc.x = MARGIN;
+    doc.y = top + 30;
+    return;
+  }
+
+  let low = Math.min(...values, ...(band ? [band.min] : []));
+  let high = Math.max(...values, ...(band ? [band.max] : []));
+  const padding = (high - low) * 0.1 || 1;
+  low -= padding;
+  high += padding;
+
+  const span = to - from || 1;
+  const xAt = (date) => left + ((date - from) / span) * plotWidth;
+  const yAt = (value) => top + height - ((value - low) / (high - low)) * height;
+
+  if (band) {
+    doc
+      .rect(left, yAt(band.max), plotWidth, yAt(band.min) - yAt(band.max))
+      .fillColor(COLORS.band)
+      .fill();
+  }
+  doc
+    .rect(left, top, plotWidth, height)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke();
+
+  series.forEach((key, i) => {
+    doc.lineWidth(1).strokeColor(COLORS.series[i % COLORS.series.length]);
+    let drawing = false;
+    for (const point of points) {
+      const value = point[key];
+      if (value === null || value === undefined) {
+        drawing = false;
+        continue;
+      }
+      if (drawing) {
+        doc.lineTo(xAt(point.at), yAt(value));
+      } else {
+        doc.moveTo(xAt(point.at), yAt(value));
+        drawing = true;
+      }
+    }
+    doc.stroke();
+  });
+
+  doc.font("Helvetica").fontSize(7).fillColor(COLORS.muted);
+  const digits = high - low < 10 ? 1 : 0;
+  doc.text(high.toFixed(digits), MARGIN, top - 3, { width: 26 });
+  doc.text(low.toFixed(digits), MARGIN, top + height - 6, { width: 26 });
+  doc.text(formatDate(from), left, top + height + 3);
+  doc.text(formatDate(to), left, top + height + 3, {
+    width: plotWidth,
+    align: "right",
+  });
+
+  doc.x = MARGIN;
+  doc.y = top + height + 18;
+}
+
+function demographics(doc, summary) {
+  const { patient, latestVitals } = summary;
+  const fields = [
+    ["Patient ID", patient.patientId],
+    ["Age", patient.age],
+    ["Status", patient.isActive === false ? "Inactive" : "Active"],
+    ["Conditions", list(patient.conditions)],
+    ["Medications", list(patient.medications)],
+    ["Risk factors", list(patient.riskFactors)],
+  ];
+  if (latestVitals) {
+    fields.push([
+      "Latest vitals",
+      `HR ${display(latestVitals.heartRate)} bpm, BP ${display(
+        latestVitals.bloodPressure,
+      )} mmHg, SpO2 ${display(latestVitals.spo2)}%, Temp ${display(
+        latestVitals.bodyTemperature,
+      )} °C`,
+    ]);
+  }
+
+  for (const [label, value] of fields) {
+    ensureSpace(doc, 14);
+    doc
+      .font("Helvetica-Bold")
+      .text(`${label}: `, { continued: true })
+      .font("Helvetica")
+      .text(display(value));
+  }
+}
+
+function vitalStatistics(doc, summary) {
+  const baseline = summary.patient.baselineVitals || {};
+  doc.text(`${summary.vitals.readings} readings in this period.`);
+  if (summary.archivedDays?.length > 0) {
+    doc.text(
+      `Readings from ${summary.archivedDays.length} archived day(s) are not included; restore them to report on the whole period.`,
+    );
+  }
+  doc.moveDown(0.3);
+  table(
+    doc,
+    ["Vital", "Min", "Max", "Mean", "Baseline range"],
+    VITAL_ROWS.map(({ key, label, baseline: range }) => {
+      const stats = summary.vitals[key];
+      const normal = baseline[range];
+      return [
+        label,
+        stats.min,
+        stats.max,
+        stats.mean,
+        normal ? `${normal.min} - ${normal.max}` : null,
+      ];
+    }),
+    [0.32, 0.14, 0.14, 0.14, 0.26],
+  );
+}
+
+/**
+ * Range covering the named baseline vitals, or null when none are set
+ */
+function baselineBand(baseline, ranges) {
+  const bands = ranges.map((range) => baseline[range]).filter(Boolean);
+  if (bands.length === 0) {
+    return null;
+  }
+  return {
+    min: Math.min(...bands.map((b) => b.min)),
+    max: Math.max(...bands.map((b) => b.max)),
+  };
+}
+
+function trendCharts(doc, summary, formatDate) {
+  const baseline = summary.patient.baselineVitals || {};
+  doc
+    .fontSize(8)
+    .fillColor(COLORS.muted)
+    .text(
+      `Averaged over ${summary.trends.bucketMinutes}-minute intervals. ` +
+        "The shaded band is the patient's baseline range.",
+    );
+  doc.moveDown(0.5);
+
+  for (const { title, series, baseline: ranges } of CHARTS) {
+    chart(doc, {
+      title,
+      points: summary.trends.points,
+      series,
+      band: baselineBand(baseline, ranges),
+      from: summary.period.from,
+      to: summary.period.to,
+      formatDate,
+    });
+  }
+}
+
+function anomalySection(doc, summary) {
+  const { total, suppressed, bySeverity, byCategory } = summary.anomalies;
+  doc
+    .fillColor(COLORS.text)
+    .text(
+      `${total} anomalies detected` +
+        (suppressed ? ` (plus ${suppressed} suppressed, not alerted).` : "."),
+    );
+  if (total === 0) {
+    return;
+  }
+
+  doc.moveDown(0.3);
+  table(doc, ["Severity", "Count"], Object.entries(bySeverity), [0.5, 0.5]);
+  doc.moveDown(0.5);
+  table(doc, ["Category", "Count"], Object.entries(byCategory), [0.5, 0.5]);
+}
+
+function acknowledgementSection(doc, summary, formatDate) {
+  if (summary.acknowledgements.length === 0) {
+    doc
+      .fillColor(COLORS.text)
+      .text("No anomalies were acknowledged or updated in this period.");
+    return;
+  }
+
+  table(
+    doc,
+    ["Time", "Anomaly", "Change", "By", "Note"],
+    summary.acknowledgements.map((entry) => [
+      formatDate(entry.at),
+      `${entry.severity}: ${list(entry.categories)} (detected ${formatDate(
+        entry.detectedAt,
+      )})`,
+      `${display(entry.from)} -> ${entry.to}`,
+      entry.by,
+      entry.note,
+    ]),
+    [0.17, 0.33, 0.17, 0.13, 0.2],
+  );
+}
+
+function pageNumbers(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise add a page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - 35, {
+        width: contentWidth(doc),
+        align: "center",
+      });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a summary from HealthMonitoringService.getPatientSummary
+ * options: { timezone } for printed times (default UTC)
+ * Returns: ended PDFDocument, a readable stream of the PDF bytes
+ */
+function renderPatientReport(summary, options = {}) {
+  const timezone = options.timezone || "UTC";
+  const formatDate = dateFormatter(timezone);
+  const format = (date) => formatDate(date).slice(0, 16); // To the minute
+  const { patient, period } = summary;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Clinical summary - ${patient.name}`,
+      Subject: `${patient.patientId}, ${format(period.from)} to ${format(period.to)}`,
+    },
+  });
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor(COLORS.text)
+    .text(`Clinical summary: ${patient.name}`);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor(COLORS.muted)
+    .text(
+      `Period ${format(period.from)} to ${format(period.to)} (${timezone}). ` +
+        `Generated ${format(new Date())}.`,
+    );
+  doc.fillColor(COLORS.text);
+
+  heading(doc, "Patient");
+  demographics(doc, summary);
+  heading(doc, "Vital signs");
+  vitalStatistics(doc, summary);
+  heading(doc, "Trends");
+  trendCharts(doc, summary, format);
+  heading(doc, "Anomalies");
+  anomalySection(doc, summary);
+  heading(doc, "Acknowledgement trail");
+  acknowledgementSection(doc, summary, format);
+
+  pageNumbers(doc);
+  doc.end();
+  return doc;
+}
+
+module.exports = { renderPatientReport };
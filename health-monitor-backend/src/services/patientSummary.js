@@ -0,0 +1,204 @@
+/**
+ * Patient Summary Statistics
+ * Aggregations behind the per-patient summary and PDF report: vitals
+ * statistics and trends, anomaly counts and the acknowledgement trail
+ */
+
+const { Anomaly, HealthRecord } = require("../models");
+
+const VITALS = [
+  "heartRate",
+  "systolic",
+  "diastolic",
+  "spo2",
+  "bodyTemperature",
+];
+
+// Trend charts are averaged into at most this many points
+const MAX_TREND_POINTS = 120;
+const MIN_TREND_BUCKET_MS = 5 * 60 * 1000;
+
+function round(value) {
+  return value === null || value === undefined
+    ? null
+    : Math.round(value * 10) / 10;
+}
+
+/**
+ * Min, max and mean of each vital over a period
+ * Returns: { readings, heartRate: { min, max, mean }, ... }
+ */
+async function vitalStatistics(patientId, from, to) {
+  const group = { _id: null, readings: { $sum: 1 } };
+  for (const vital of VITALS) {
+    group[`${vital}Min`] = { $min: `$${vital}` };
+    group[`${vital}Max`] = { $max: `$${vital}` };
+    group[`${vital}Mean`] = { $avg: `$${vital}` };
+  }
+
+  const [totals] = await HealthRecord.aggregate([
+    { $match: { patientId, recordedAt: { $gte: from, $lte: to } } },
+    { $group: group },
+  ]);
+
+  const statistics = { readings: totals?.readings || 0 };
+  for (const vital of VITALS) {
+    statistics[vital] = {
+      min: totals?.[`${vital}Min`] ?? null,
+      max: totals?.[`${vital}Max`] ?? null,
+      mean: round(totals?.[`${vital}Mean`]),
+    };
+  }
+  return statistics;
+}
+
+/**
+ * Vitals averaged over equal time buckets, for charting
+ * Returns: { bucketMinutes, points: [{ at, heartRate, ... }] }
+ */
+async function vitalTrends(patientId, from, to) {
+  const bucketMs = Math.max(
+    MIN_TREND_BUCKET_MS,
+    Math.ceil((to - from) / MAX_TREND_POINTS / 60000) * 60000,
+  );
+
+  const group = {
+    _id: {
+      $floor: { $divide: [{ $subtract: ["$recordedAt", from] }, bucketMs] },
+    },
+  };
+  for (const vital of VITALS) {
+    group[vital] = { $avg: `$${vital}` };
+  }
+
+  const buckets = await HealthRecord.aggregate([
+    { $match: { patientId, recordedAt: { $gte: from, $lte: to } } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return {
+    bucketMinutes: bucketMs / 60000,
+    points: buckets.map((bucket) => {
+      const point = { at: new Date(from.getTime() + bucket._id * bucketMs) };
+      for (const vital of VITALS) {
+        point[vital] = round(bucket[vital]);
+      }
+      return point;
+    }),
+  };
+}
+
+/**
+ * Anomalies detected in a period, counted by severity and category
+ * Suppressed anomalies are counted separately, as they were never alerted
+ */
+async function anomalyCounts(patientId, from, to) {
+  const [counts] = await Anomaly.aggregate([
+    { $match: { patientId, detectedAt: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        total: [{ $match: { suppressed: { $ne: true } } }, { $count: "n" }],
+        suppressed: [{ $match: { suppressed: true } }, { $count: "n" }],
+        bySeverity: [
+          { $match: { suppressed: { $ne: true } } },
+          { $group: { _id: "$severity", n: { $sum: 1 } } },
+        ],
+        byCategory: [
+          { $match: { suppressed: { $ne: true } } },
+          {
+            // Older anomalies only have the categories of their alerts
+            $project: {
+              categories: {
+                $setUnion: [
+                  { $ifNull: ["$categories", []] },
+                  { $ifNull: ["$alerts.category", []] },
+                ],
+              },
+            },
+          },
+          { $unwind: "$categories" },
+          { $group: { _id: "$categories", n: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const toObject = (groups) =>
+    Object.fromEntries(
+      groups
+        .filter((g) => g._id)
+        .sort((a, b) => b.n - a.n)
+        .map((g) => [g._id, g.n]),
+    );
+
+  return {
+    total: counts.total[0]?.n || 0,
+    suppressed: counts.suppressed[0]?.n || 0,
+    bySeverity: toObject(counts.bySeverity),
+    byCategory: toObject(counts.byCategory),
+  };
+}
+
+/**
+ * Status changes of anomalies detected in a period, oldest first
+ * Anomalies acknowledged before statusHistory existed contribute their
+ * acknowledgement
+ */
+async function acknowledgementTrail(patientId, from, to) {
+  const anomalies = await Anomaly.find({
+    patientId,
+    detectedAt: { $gte: from, $lte: to },
+    $or: [
+      { "statusHistory.0": { $exists: true } },
+      { acknowledgedAt: { $ne: null } },
+    ],
+  })
+    .select(
+      "severity categories detectedAt statusHistory acknowledgedBy acknowledgedAt",
+    )
+    .lean();
+
+  const trail = [];
+  for (const anomaly of anomalies) {
+    const entry = (change) => ({
+      anomalyId: anomaly._id,
+      severity: anomaly.severity,
+      categories: anomaly.categories || [],
+      detectedAt: anomaly.detectedAt,
+      ...change,
+    });
+
+    if (anomaly.statusHistory?.length) {
+      for (const change of anomaly.statusHistory) {
+        trail.push(
+          entry({
+            from: change.from,
+            to: change.to,
+            by: change.by,
+            at: change.at,
+            note: change.note,
+          }),
+        );
+      }
+    } else {
+      trail.push(
+        entry({
+          from: "open",
+          to: "acknowledged",
+          by: anomaly.acknowledgedBy,
+          at: anomaly.acknowledgedAt,
+        }),
+      );
+    }
+  }
+  return trail.sort((a, b) => a.at - b.at);
+}
+
+module.exports = {
+  VITALS,
+  acknowledgementTrail,
+  anomalyCounts,
+  vitalStatistics,
+  vitalTrends,
+};
@@ -0,0 +1,277 @@
+/**
+ * Data Retention
+ * Moves raw health records older than RETENTION_RAW_DAYS out of MongoDB into
+ * gzipped NDJSON files under ARCHIVE_DIR, one per patient and UTC day, and
+ * drops rollups older than RETENTION_ROLLUP_DAYS
+ *
+ * Lines are Extended JSON so ids and dates come back exactly. The
+ * RecordArchive manifest lists the ids in each file, so archived records
+ * can still be looked up (e.g. from an anomaly) and restored on demand.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { promisify } = require("util");
+const zlib = require("zlib");
+const mongoose = require("mongoose");
+const { HealthRecord, RecordArchive, VitalRollup } = require("../models");
+const { bucketStart } = require("./rollups");
+
+const { EJSON } = mongoose.mongo.BSON;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention settings from the environment
+ * rawDays of 0 (unset) disables archival; rollups are kept at least as
+ * long as raw records
+ */
+function retentionSettings(env = process.env) {
+  const rawDays = parseInt(env.RETENTION_RAW_DAYS) || 0;
+  return {
+    rawDays,
+    rollupDays: Math.max(parseInt(env.RETENTION_ROLLUP_DAYS) || 730, rawDays),
+    archiveDir: path.resolve(env.ARCHIVE_DIR || "archive"),
+  };
+}
+
+/**
+ * Start of the first UTC day to keep, `days` days before now
+ */
+function retentionCutoff(now, days) {
+  return bucketStart(new Date(now.getTime() - days * DAY_MS), "day");
+}
+
+/**
+ * Write records to a gzipped NDJSON file; returns its size in bytes
+ * Written under a temporary name first so a crash never leaves half a file
+ */
+async function writeArchive(file, records) {
+  const lines = records.map(
+    (record) => `${EJSON.stringify(record, { relaxed: true })}\n`,
+  );
+  const data = await gzip(lines.join(""));
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.partial`, data);
+  await fs.rename(`${file}.partial`, file);
+  return data.length;
+}
+
+/**
+ * Records stored in an archive file
+ */
+async function readArchive(file) {
+  const text = (await gunzip(await fs.readFile(file))).toString();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => EJSON.parse(line, { relaxed: true }));
+}
+
+/**
+ * Archive one patient's records of one UTC day, then delete them
+ * Records restored earlier are already in a file and are only deleted
+ * Returns: { archived, deleted, file }
+ */
+async function archiveDay(patientId, day, archiveDir) {
+  const end = new Date(day.getTime() + DAY_MS);
+  const records = await HealthRecord.find({
+    patientId,
+    recordedAt: { $gte: day, $lt: end },
+  })
+    .sort({ recordedAt: 1, _id: 1 })
+    .lean();
+  const ids = records.map((record) => record._id);
+
+  const previous = await RecordArchive.find(
+    { recordIds: { $in: ids } },
+    { recordIds: 1 },
+  ).lean();
+  const archivedIds = new Set(
+    previous.flatMap((archive) => archive.recordIds.map(String)),
+  );
+  const fresh = records.filter(
+    (record) => !archivedIds.has(String(record._id)),
+  );
+
+  let file = null;
+  if (fresh.length > 0) {
+    const name = `${day.toISOString().slice(0, 10)}-${Date.now()}.ndjson.gz`;
+    file = path.join(patientId.replace(/[^\w-]/g, "_"), name);
+    const bytes = await writeArchive(path.join(archiveDir, file), fresh);
+    await RecordArchive.create({
+      patientId,
+      day,
+      file,
+      count: fresh.length,
+      bytes,
+      recordIds: fresh.map((record) => record._id),
+    });
+  }
+
+  // Only after the file and manifest are safely stored
+  await HealthRecord.deleteMany({ _id: { $in: ids } });
+  return { archived: fresh.length, deleted: ids.length, file };
+}
+
+/**
+ * Archive and delete every raw record before the retention cutoff
+ * Returns: { cutoff, files, archived, deleted }
+ */
+async function archiveExpiredRecords(
+  now = new Date(),
+  settings = retentionSettings(),
+) {
+  const cutoff = retentionCutoff(now, settings.rawDays);
+  const days = await HealthRecord.aggregate([
+    { $match: { recordedAt: { $lt: cutoff } } },
+    {
+      $group: {
+        _id: {
+          patientId: "$patientId",
+          day: { $dateTrunc: { date: "$recordedAt", unit: "day" } },
+        },
+      },
+    },
+    { $sort: { "_id.day": 1, "_id.patientId": 1 } },
+  ]);
+
+  const result = { cutoff, files: 0, archived: 0, deleted: 0 };
+  for (const { _id } of days) {
+    const { archived, deleted, file } = await archiveDay(
+      _id.patientId,
+      _id.day,
+      settings.archiveDir,
+    );
+    result.files += file ? 1 : 0;
+    result.archived += archived;
+    result.deleted += deleted;
+  }
+  return result;
+}
+
+/**
+ * Delete hourly and daily rollups before the rollup retention cutoff
+ * Returns the number of rollups deleted
+ */
+async function pruneRollups(now = new Date(), settings = retentionSettings()) {
+  const { deletedCount } = await VitalRollup.deleteMany({
+    start: { $lt: retentionCutoff(now, settings.rollupDays) },
+  });
+  return deletedCount;
+}
+
+/**
+ * Apply the retention policy once
+ * Returns: { cutoff, files, archived, deleted, rollupsDeleted }, or null
+ * when retention is disabled
+ */
+async function runRetention(now = new Date()) {
+  const settings = retentionSettings();
+  if (!settings.rawDays) {
+    return null;
+  }
+  const records = await archiveExpiredRecords(now, settings);
+  const rollupsDeleted = await pruneRollups(now, settings);
+  return { ...records, rollupsDeleted };
+}
+
+/**
+ * Put a patient's archived records from..to back into the database
+ * Records already present are skipped; the next retention run removes
+ * them again without writing a new file
+ * Returns: { archives, restored }
+ */
+async function restoreRecords({ patientId, from, to }) {
+  const { archiveDir } = retentionSettings();
+  const archives = await RecordArchive.find({
+    patientId,
+    day: { $gte: bucketStart(from, "day"), $lte: to },
+  }).sort({ day: 1 });
+
+  let restored = 0;
+  for (const archive of archives) {
+    const archived = await readArchive(path.join(archiveDir, archive.file));
+    const records = archived.filter(
+      (record) => record.recordedAt >= from && record.recordedAt <= to,
+    );
+    const presentIds = await HealthRecord.distinct("_id", {
+      _id: { $in: records.map((record) => record._id) },
+    });
+    const present = new Set(presentIds.map(String));
+    const missing = records.filter(
+      (record) => !present.has(String(record._id)),
+    );
+
+    // Stored exactly as archived, without re-running schema hooks
+    if (missing.length > 0) {
+      await HealthRecord.collection.insertMany(missing);
+    }
+    restored += missing.length;
+    archive.restoredAt = new Date();
+    await archive.save();
+  }
+  return { archives: archives.length, restored };
+}
+
+/**
+ * UTC days from..to with archived records of a patient that are not in the
+ * database, so raw-record statistics and exports would miss them
+ * Returns: array of day start dates, oldest first
+ */
+async function archivedDays(patientId, from, to) {
+  const archives = await RecordArchive.find(
+    { patientId, day: { $gte: bucketStart(from, "day"), $lte: to } },
+    { day: 1, recordIds: 1 },
+  )
+    .sort({ day: 1 })
+    .lean();
+
+  const days = [];
+  for (const archive of archives) {
+    const present = await HealthRecord.countDocuments({
+      _id: { $in: archive.recordIds },
+    });
+    const day = archive.day.getTime();
+    if (present < archive.recordIds.length && days.at(-1) !== day) {
+      days.push(day);
+    }
+  }
+  return days.map((day) => new Date(day));
+}
+
+/**
+ * A health record by id, from the database or else from its archive file
+ * Archived records are marked with archived: true
+ */
+async function findRecord(recordId) {
+  const record = await HealthRecord.findById(recordId).lean();
+  if (record) {
+    return record;
+  }
+
+  const archive = await RecordArchive.findOne({ recordIds: recordId }).lean();
+  if (!archive) {
+    return null;
+  }
+  const { archiveDir } = retentionSettings();
+  const records = await readArchive(path.join(archiveDir, archive.file));
+  const archived = records.find((r) => r._id.equals(recordId));
+  return archived ? { ...archived, archived: true } : null;
+}
+
+module.exports = {
+  archiveExpiredRecords,
+  archivedDays,
+  findRecord,
+  pruneRollups,
+  readArchive,
+  restoreRecords,
+  retentionCutoff,
+  retentionSettings,
+  runRetention,
+  writeArchive,
+};
@@ -0,0 +1,369 @@
+/**
+ * Vitals Rollups
+ * Maintains hourly and daily per-patient aggregates of each vital: count,
+ * min, max, mean, standard deviation and time outside the baseline range
+ *
+ * Each reading covers the time since the patient's previous reading, up to
+ * ROLLUP_MAX_GAP_MINUTES, so gaps in monitoring are not counted as time in
+ * or out of range. Buckets are UTC hours and days.
+ */
+
+const { HealthRecord, Patient, VitalRollup } = require("../models");
+const { VITALS } = require("./patientSummary");
+
+const PERIODS = VitalRollup.PERIODS;
+
+// Patient.baselineVitals key for each vital
+const BASELINE_KEYS = {
+  heartRate: "hr",
+  systolic: "systolic",
+  diastolic: "diastolic",
+  spo2: "spo2",
+  bodyTemperature: "temp",
+};
+
+const maxGapMinutes = () => parseInt(process.env.ROLLUP_MAX_GAP_MINUTES) || 15;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Start of the UTC hour or day containing date
+ */
+function bucketStart(date, period) {
+  const start = new Date(date);
+  if (period === "day") {
+    start.setUTCHours(0, 0, 0, 0);
+  } else {
+    start.setUTCMinutes(0, 0, 0);
+  }
+  return start;
+}
+
+/**
+ * What one reading adds to its buckets
+ * Returns: { minutes, vitals: { heartRate: { value, outOfRange }, ... } }
+ */
+function contribution(record, previousAt, baseline = {}) {
+  const gap = previousAt ? (record.recordedAt - previousAt) / 60000 : 0;
+  const minutes = Math.min(Math.max(gap, 0), maxGapMinutes());
+
+  const vitals = {};
+  for (const vital of VITALS) {
+    const value = record[vital];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      continue;
+    }
+    const range = baseline?.[BASELINE_KEYS[vital]];
+    vitals[vital] = {
+      value,
+      outOfRange: Boolean(range) && (value < range.min || value > range.max),
+    };
+  }
+  return { minutes, vitals };
+}
+
+/**
+ * Add a contribution to an in-memory rollup document
+ */
+function accumulate(rollup, { minutes, vitals }) {
+  rollup.readings += 1;
+  rollup.minutes += minutes;
+  for (const [vital, { value, outOfRange }] of Object.entries(vitals)) {
+    const stats = (rollup.vitals[vital] ||= {
+      count: 0,
+      sum: 0,
+      sumSquares: 0,
+      min: value,
+      max: value,
+      outOfRange: 0,
+      minutesOutOfRange: 0,
+    });
+    stats.count += 1;
+    stats.sum += value;
+    stats.sumSquares += value * value;
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+    if (outOfRange) {
+      stats.outOfRange += 1;
+      stats.minutesOutOfRange += minutes;
+    }
+  }
+}
+
+/**
+ * The same contribution as an atomic upsert of a stored rollup
+ */
+function rollupUpdate({ minutes, vitals }) {
+  const update = { $inc: { readings: 1, minutes }, $min: {}, $max: {} };
+  for (const [vital, { value, outOfRange }] of Object.entries(vitals)) {
+    const path = `vitals.${vital}`;
+    Object.assign(update.$inc, {
+      [`${path}.count`]: 1,
+      [`${path}.sum`]: value,
+      [`${path}.sumSquares`]: value * value,
+      [`${path}.outOfRange`]: outOfRange ? 1 : 0,
+      [`${path}.minutesOutOfRange`]: outOfRange ? minutes : 0,
+    });
+    update.$min[`${path}.min`] = value;
+    update.$max[`${path}.max`] = value;
+  }
+  if (Object.keys(update.$min).length === 0) {
+    delete update.$min;
+    delete update.$max;
+  }
+  return update;
+}
+
+/**
+ * Merge rollups (e.g. the hours of the last day) into one
+ */
+function combineRollups(rollups) {
+  const combined = { readings: 0, minutes: 0, vitals: {} };
+  for (const rollup of rollups) {
+    combined.readings += rollup.readings || 0;
+    combined.minutes += rollup.minutes || 0;
+    for (const [vital, stats] of Object.entries(rollup.vitals || {})) {
+      if (!stats?.count) {
+        continue;
+      }
+      const total = (combined.vitals[vital] ||= {
+        count: 0,
+        sum: 0,
+        sumSquares: 0,
+        min: stats.min,
+        max: stats.max,
+        outOfRange: 0,
+        minutesOutOfRange: 0,
+      });
+      total.count += stats.count;
+      total.sum += stats.sum;
+      total.sumSquares += stats.sumSquares;
+      total.min = Math.min(total.min, stats.min);
+      total.max = Math.max(total.max, stats.max);
+      total.outOfRange += stats.outOfRange;
+      total.minutesOutOfRange += stats.minutesOutOfRange;
+    }
+  }
+  return combined;
+}
+
+/**
+ * API view of a rollup: derived mean, standard deviation and share of
+ * time out of range instead of raw sums
+ */
+function summarizeRollup(rollup) {
+  const vitals = {};
+  for (const vital of VITALS) {
+    const stats = rollup.vitals?.[vital];
+    if (!stats?.count) {
+      vitals[vital] = null;
+      continue;
+    }
+    const mean = stats.sum / stats.count;
+    const variance = Math.max(stats.sumSquares / stats.count - mean * mean, 0);
+    vitals[vital] = {
+      count: stats.count,
+      min: stats.min,
+      max: stats.max,
+      mean: round(mean),
+      std: round(Math.sqrt(variance)),
+      outOfRange: stats.outOfRange,
+      minutesOutOfRange: round(stats.minutesOutOfRange),
+      percentTimeOutOfRange: rollup.minutes
+        ? round((stats.minutesOutOfRange / rollup.minutes) * 100)
+        : null,
+    };
+  }
+
+  return {
+    ...(rollup.period && { period: rollup.period, start: rollup.start }),
+    readings: rollup.readings,
+    minutes: round(rollup.minutes),
+    vitals,
+  };
+}
+
+async function previousReadingAt(patientId, before) {
+  const previous = await HealthRecord.findOne({
+    patientId,
+    recordedAt: { $lt: before },
+  })
+    .sort({ recordedAt: -1 })
+    .select("recordedAt")
+    .lean();
+  return previous?.recordedAt;
+}
+
+/**
+ * Add newly stored readings of one patient to its rollups
+ * baseline: the patient's baselineVitals; records must be in time order
+ * Readings stored out of order (e.g. late device uploads) change the time
+ * covered by the reading after them, so their days are rebuilt instead
+ * Never throws, so storing readings does not fail because of a rollup
+ */
+async function recordReadings(patientId, baseline, records) {
+  if (records.length === 0) {
+    return;
+  }
+
+  try {
+    const first = records[0].recordedAt;
+    const last = records[records.length - 1].recordedAt;
+    const outOfOrder = await HealthRecord.exists({
+      patientId,
+      recordedAt: { $gt: first },
+      _id: { $nin: records.map((r) => r._id) },
+    });
+    if (outOfOrder) {
+      const next = await HealthRecord.findOne({
+        patientId,
+        recordedAt: { $gt: last },
+      })
+        .sort({ recordedAt: 1 })
+        .select("recordedAt")
+        .lean();
+      await rebuildRollups({
+        from: first,
+        to: next?.recordedAt || last,
+        patientId,
+      });
+      return;
+    }
+
+    let previousAt = await previousReadingAt(patientId, first);
+    const operations = [];
+    for (const record of records) {
+      const update = rollupUpdate(contribution(record, previousAt, baseline));
+      previousAt = record.recordedAt;
+      for (const period of PERIODS) {
+        operations.push({
+          updateOne: {
+            filter: {
+              patientId,
+              period,
+              start: bucketStart(record.recordedAt, period),
+            },
+            update,
+            upsert: true,
+          },
+        });
+      }
+    }
+    await VitalRollup.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    console.error(`Rollup update failed for ${patientId}:`, error.message);
+  }
+}
+
+/**
+ * Recompute rollups from the stored readings for whole UTC days
+ * covering from..to, for one patient or all of them
+ * Days before the raw retention cutoff are left alone: their readings are
+ * archived and the rollups are all that is left of them
+ * Uses each patient's current baseline ranges
+ * Returns: { from, to, patients, hours, days }
+ */
+async function rebuildRollups({ from, to, patientId }, now = new Date()) {
+  // Required here, since retention itself depends on this module
+  const { retentionCutoff, retentionSettings } = require("./retention");
+  const { rawDays } = retentionSettings();
+
+  let start = bucketStart(from, "day");
+  if (rawDays && start < retentionCutoff(now, rawDays)) {
+    start = retentionCutoff(now, rawDays);
+  }
+  const end = bucketStart(to, "day");
+  end.setUTCDate(end.getUTCDate() + 1);
+
+  const result = { from: start, to: end, patients: 0, hours: 0, days: 0 };
+  if (start >= end) {
+    return result;
+  }
+  const patients = await Patient.find(patientId ? { patientId } : {}).lean();
+
+  for (const patient of patients) {
+    const buckets = new Map();
+    let previousAt = await previousReadingAt(patient.patientId, start);
+
+    const cursor = HealthRecord.find({
+      patientId: patient.patientId,
+      recordedAt: { $gte: start, $lt: end },
+    })
+      .sort({ recordedAt: 1 })
+      .select(["recordedAt", ...VITALS])
+      .lean()
+      .cursor();
+
+    for await (const record of cursor) {
+      const added = contribution(record, previousAt, patient.baselineVitals);
+      previousAt = record.recordedAt;
+      for (const period of PERIODS) {
+        const bucket = bucketStart(record.recordedAt, period);
+        const key = `${period}|${bucket.getTime()}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, {
+            patientId: patient.patientId,
+            period,
+            start: bucket,
+            readings: 0,
+            minutes: 0,
+            vitals: {},
+          });
+        }
+        accumulate(buckets.get(key), added);
+      }
+    }
+
+    await VitalRollup.deleteMany({
+      patientId: patient.patientId,
+      start: { $gte: start, $lt: end },
+    });
+    const rollups = [...buckets.values()];
+    if (rollups.length > 0) {
+      await VitalRollup.insertMany(rollups);
+    }
+
+    result.patients += 1;
+    result.hours += rollups.filter((r) => r.period === "hour").length;
+    result.days += rollups.filter((r) => r.period === "day").length;
+  }
+  return result;
+}
+
+/**
+ * Combined rollup per patient over the last 24 hours (whole hours)
+ * Returns: { [patientId]: summary }
+ */
+async function last24Hours(patientIds, now = new Date()) {
+  const rollups = await VitalRollup.find({
+    patientId: { $in: patientIds },
+    period: "hour",
+    start: { $gte: bucketStart(now - 23 * 60 * 60 * 1000, "hour") },
+  }).lean();
+
+  const byPatient = {};
+  for (const rollup of rollups) {
+    (byPatient[rollup.patientId] ||= []).push(rollup);
+  }
+  return Object.fromEntries(
+    Object.entries(byPatient).map(([patientId, hours]) => [
+      patientId,
+      summarizeRollup(combineRollups(hours)),
+    ]),
+  );
+}
+
+module.exports = {
+  PERIODS,
+  accumulate,
+  bucketStart,
+  combineRollups,
+  contribution,
+  last24Hours,
+  rebuildRollups,
+  recordReadings,
+  rollupUpdate,
+  summarizeRollup,
+};
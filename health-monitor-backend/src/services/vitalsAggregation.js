@@ -0,0 +1,131 @@
+/**
+ * Vitals Aggregation
+ * Downsamples a patient's readings into time buckets with min, max, mean
+ * and percentiles per vital, computed in MongoDB so charts of weeks or
+ * months never pull the raw records
+ */
+
+const { HealthRecord } = require("../models");
+const { VITALS } = require("./patientSummary");
+
+// Bucket sizes accepted by the API, as $dateTrunc arguments
+const BUCKETS = {
+  "15m": { unit: "minute", binSize: 15, ms: 15 * 60 * 1000 },
+  "1h": { unit: "hour", binSize: 1, ms: 60 * 60 * 1000 },
+  "1d": { unit: "day", binSize: 1, ms: 24 * 60 * 60 * 1000 },
+};
+
+const DEFAULT_PERCENTILES = [5, 50, 95];
+
+// Upper bound on buckets per request; ask for a larger bucket instead
+const MAX_BUCKETS = 5000;
+
+/**
+ * Per-bucket statistics of one vital
+ * Values are sorted before grouping, so $push builds each bucket's list
+ * in order and percentiles are picked by nearest rank
+ */
+function vitalPipeline(vital, percentiles) {
+  const percentileFields = {};
+  for (const p of percentiles) {
+    percentileFields[`p${p}`] = {
+      $arrayElemAt: [
+        "$values",
+        {
+          $subtract: [
+            { $ceil: { $multiply: [p / 100, { $size: "$values" }] } },
+            1,
+          ],
+        },
+      ],
+    };
+  }
+
+  return [
+    { $match: { [vital]: { $ne: null } } },
+    { $sort: { [vital]: 1 } },
+    {
+      $group: {
+        _id: "$bucket",
+        values: { $push: `$${vital}` },
+        min: { $min: `$${vital}` },
+        max: { $max: `$${vital}` },
+        mean: { $avg: `$${vital}` },
+      },
+    },
+    {
+      $project: {
+        count: { $size: "$values" },
+        min: 1,
+        max: 1,
+        mean: { $round: ["$mean", 1] },
+        ...percentileFields,
+      },
+    },
+  ];
+}
+
+/**
+ * Bucketed statistics for a patient's vitals between from and to
+ * options: { from, to, bucket: "15m"|"1h"|"1d", timezone, percentiles }
+ * Buckets are aligned to the timezone (days start at local midnight)
+ * Returns: [{ start, readings, heartRate: { count, min, max, mean, p50 }, ... }]
+ */
+async function aggregateVitals(patientId, options) {
+  const {
+    from,
+    to,
+    bucket = "1h",
+    timezone = "UTC",
+    percentiles = DEFAULT_PERCENTILES,
+  } = options;
+  const { unit, binSize } = BUCKETS[bucket];
+
+  const facets = {
+    readings: [{ $group: { _id: "$bucket", n: { $sum: 1 } } }],
+  };
+  for (const vital of VITALS) {
+    facets[vital] = vitalPipeline(vital, percentiles);
+  }
+
+  const [result] = await HealthRecord.aggregate([
+    { $match: { patientId, recordedAt: { $gte: from, $lte: to } } },
+    {
+      $project: {
+        ...Object.fromEntries(VITALS.map((vital) => [vital, 1])),
+        bucket: {
+          $dateTrunc: { date: "$recordedAt", unit, binSize, timezone },
+        },
+      },
+    },
+    { $facet: facets },
+  ]).allowDiskUse(true);
+
+  const buckets = new Map(
+    result.readings.map(({ _id, n }) => [
+      _id.getTime(),
+      { start: _id, readings: n },
+    ]),
+  );
+  for (const vital of VITALS) {
+    for (const { _id, ...stats } of result[vital]) {
+      buckets.get(_id.getTime())[vital] = stats;
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start)
+    .map((entry) => {
+      for (const vital of VITALS) {
+        entry[vital] = entry[vital] || null;
+      }
+      return entry;
+    });
+}
+
+module.exports = {
+  BUCKETS,
+  DEFAULT_PERCENTILES,
+  MAX_BUCKETS,
+  aggregateVitals,
+};
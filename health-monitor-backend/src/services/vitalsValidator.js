@@ -0,0 +1,92 @@
+/**
+ * Vital Signs Validator
+ * Checks device-submitted readings before they enter the anomaly pipeline
+ */
+
+// Physiologically plausible ranges; anything outside is a sensor fault, not an anomaly
+const NUMERIC_RANGES = {
+  heartRate: { min: 20, max: 250, required: true },
+  spo2: { min: 50, max: 100, required: true },
+  bodyTemperature: { min: 30, max: 45, required: true },
+  motionLevel: { min: 0, max: 1, required: false },
+  fallRiskScore: { min: 0, max: 100, required: false },
+};
+
+const BLOOD_PRESSURE_PATTERN = /^(\d{2,3})\/(\d{2,3})$/;
+
+// Allow small clock drift between device and server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validate a single device reading
+ * Returns: array of error messages (empty when valid)
+ */
+function validateReading(reading) {
+  const errors = [];
+
+  if (!reading || typeof reading !== "object") {
+    return ["Reading must be an object"];
+  }
+
+  if (typeof reading.sensorId !== "string" || !reading.sensorId.trim()) {
+    errors.push("sensorId is required");
+  }
+
+  for (const [field, range] of Object.entries(NUMERIC_RANGES)) {
+    const value = reading[field];
+    if (value === undefined || value === null) {
+      if (range.required) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${field} must be a number`);
+    } else if (value < range.min || value > range.max) {
+      errors.push(`${field} must be between ${range.min} and ${range.max}`);
+    }
+  }
+
+  if (reading.bloodPressure === undefined || reading.bloodPressure === null) {
+    errors.push("bloodPressure is required");
+  } else {
+    const match = BLOOD_PRESSURE_PATTERN.exec(String(reading.bloodPressure));
+    if (!match) {
+      errors.push("bloodPressure must be formatted as systolic/diastolic");
+    } else if (parseInt(match[1]) <= parseInt(match[2])) {
+      errors.push("bloodPressure systolic must be greater than diastolic");
+    }
+  }
+
+  if (reading.timestamp !== undefined) {
+    const recordedAt = new Date(reading.timestamp);
+    if (isNaN(recordedAt.getTime())) {
+      errors.push("timestamp must be a valid ISO date string");
+    } else if (recordedAt.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+      errors.push("timestamp cannot be in the future");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a validated reading into the vitals shape used by the detector
+ */
+function toVitals(patientId, reading) {
+  return {
+    patientId,
+    heartRate: reading.heartRate,
+    bloodPressure: String(reading.bloodPressure),
+    spo2: reading.spo2,
+    bodyTemperature: reading.bodyTemperature,
+    motionLevel: reading.motionLevel,
+    fallRiskScore: reading.fallRiskScore,
+    timestamp: reading.timestamp
+      ? new Date(reading.timestamp).toISOString()
+      : new Date().toISOString(),
+    sensorId: reading.sensorId,
+  };
+}
+
+module.exports = { validateReading, toVitals };
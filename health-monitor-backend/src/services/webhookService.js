@@ -0,0 +1,271 @@
+/**
+ * Webhook Service
+ * Pushes monitoring events to subscribed external systems
+ * Deliveries are HMAC-signed, queued in Redis through bull and retried
+ * with exponential backoff; every attempt is stored on a WebhookDelivery
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const Queue = require("bull");
+const mongoose = require("mongoose");
+const { WebhookDelivery, WebhookSubscription } = require("../models");
+const {
+  isPrivateHost,
+  parseOrigins,
+  publicLookup,
+} = require("../utils/network");
+
+const QUEUE_NAME = "webhook-deliveries";
+
+/**
+ * Signature sent in X-Webhook-Signature
+ * Receivers recompute it over `${X-Webhook-Timestamp}.${raw body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * The vital.recorded payload: the reading itself, without internal fields
+ * such as the stored httpbin response
+ */
+function vitalPayload(record) {
+  return {
+    recordId: record._id,
+    patientId: record.patientId,
+    sensorId: record.sensorId,
+    recordedAt: record.recordedAt,
+    heartRate: record.heartRate,
+    bloodPressure: record.bloodPressure,
+    systolic: record.systolic,
+    diastolic: record.diastolic,
+    spo2: record.spo2,
+    bodyTemperature: record.bodyTemperature,
+    motionLevel: record.motionLevel,
+    fallRiskScore: record.fallRiskScore,
+  };
+}
+
+/**
+ * What is stored about a failed attempt: the receiver's status or the
+ * network error code, never the remote response or addresses
+ */
+function attemptError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return String(error.code || "Delivery failed").slice(0, 100);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+class WebhookService {
+  constructor(options = {}) {
+    this.redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+    this.queue = options.queue || null; // Created by start() unless injected
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.backoffDelay = parseInt(process.env.WEBHOOK_BACKOFF_DELAY) || 10000; // 10s, 20s, 40s...
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+    // Origins on private networks deliveries may still reach
+    this.internalOrigins =
+      options.internalOrigins ??
+      parseOrigins(process.env.WEBHOOK_INTERNAL_ORIGINS);
+  }
+
+  /**
+   * Connect the queue and start processing deliveries
+   * Webhooks stay disabled when REDIS_URL is not set
+   */
+  start() {
+    if (this.queue) {
+      return;
+    }
+    if (!this.redisUrl) {
+      console.warn("⚠️ REDIS_URL not set; webhook deliveries are disabled");
+      return;
+    }
+
+    this.queue = new Queue(QUEUE_NAME, this.redisUrl);
+    this.queue.on("error", (error) => {
+      console.error("❌ Webhook queue error:", error.message);
+    });
+    this.queue.process((job) => this.processDelivery(job));
+  }
+
+  async stop() {
+    if (!this.queue) {
+      return;
+    }
+    try {
+      await this.queue.close();
+    } catch (error) {
+      console.error("Error closing webhook queue:", error.message);
+    }
+    this.queue = null;
+  }
+
+  /**
+   * Record and queue an event for every active subscription that wants it
+   * Never throws, so the monitoring pipeline cannot fail on webhooks
+   * Returns: the created deliveries
+   */
+  async publish(event, patientId, data) {
+    if (!this.queue) {
+      return [];
+    }
+
+    try {
+      const subscriptions = await WebhookSubscription.find({
+        isActive: true,
+        events: event,
+        $or: [{ patientIds: { $size: 0 } }, { patientIds: patientId }],
+      }).lean();
+
+      const deliveries = [];
+      for (const subscription of subscriptions) {
+        const _id = new mongoose.Types.ObjectId();
+        const delivery = await WebhookDelivery.create({
+          _id,
+          subscriptionId: subscription._id,
+          event,
+          patientId,
+          payload: {
+            id: _id, // Stable across retries so receivers can de-duplicate
+            event,
+            patientId,
+            occurredAt: new Date(),
+            data,
+          },
+        });
+        this.enqueue(delivery);
+        deliveries.push(delivery);
+      }
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Error publishing ${event} webhooks:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Hand a delivery to the queue
+   * Not awaited by callers: bull waits for Redis, which must not stall them
+   */
+  enqueue(delivery) {
+    return this.queue
+      .add(
+        { deliveryId: String(delivery._id) },
+        {
+          attempts: this.maxAttempts,
+          backoff: { type: "exponential", delay: this.backoffDelay },
+          removeOnComplete: true,
+          removeOnFail: true,
+        },
+      )
+      .catch((error) => {
+        console.error("❌ Error queueing webhook delivery:", error.message);
+      });
+  }
+
+  /**
+   * Queue processor: make one attempt and record it
+   * Throws on failure so bull schedules the next retry
+   */
+  async processDelivery(job) {
+    const delivery = await WebhookDelivery.findById(job.data.deliveryId);
+    if (!delivery || delivery.status === "succeeded") {
+      return;
+    }
+
+    const subscription = await WebhookSubscription.findById(
+      delivery.subscriptionId,
+    )
+      .select("+secret")
+      .lean();
+    if (!subscription?.isActive) {
+      delivery.status = "cancelled";
+      await delivery.save();
+      return;
+    }
+
+    const attempt = { number: delivery.attempts.length + 1, at: new Date() };
+    try {
+      const response = await this.send(subscription, delivery);
+      attempt.statusCode = response.status;
+      delivery.status = "succeeded";
+      delivery.deliveredAt = new Date();
+    } catch (error) {
+      attempt.statusCode = error.response?.status;
+      attempt.error = attemptError(error);
+      const lastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      delivery.status = lastAttempt ? "failed" : "retrying";
+    }
+    attempt.durationMs = Date.now() - attempt.at.getTime();
+    delivery.attempts.push(attempt);
+    await delivery.save();
+
+    if (attempt.error) {
+      throw new Error(attempt.error);
+    }
+  }
+
+  /**
+   * POST the signed payload to the subscription URL
+   * Private addresses are refused, also when a public hostname resolves to
+   * one, unless the origin is internal; redirects are not followed
+   */
+  async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(subscription.url);
+    const internal = this.internalOrigins.includes(url.origin);
+    if (!internal && isPrivateHost(url.hostname)) {
+      const error = new Error("Webhook URL is on a private network");
+      error.code = "PRIVATE_ADDRESS";
+      throw error;
+    }
+
+    return axios.post(subscription.url, body, {
+      timeout: this.timeout,
+      maxRedirects: 0,
+      ...(!internal && { lookup: publicLookup }),
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(
+          subscription.secret,
+          timestamp,
+          body,
+        )}`,
+      },
+    });
+  }
+
+  /**
+   * Queue a delivery again, e.g. after the receiver was fixed
+   */
+  async redeliver(delivery) {
+    if (!this.queue) {
+      return false;
+    }
+    delivery.status = "pending";
+    await delivery.save();
+    this.enqueue(delivery);
+    return true;
+  }
+}
+
+WebhookService.signPayload = signPayload;
+WebhookService.generateSecret = generateSecret;
+WebhookService.vitalPayload = vitalPayload;
+WebhookService.attemptError = attemptError;
+
+module.exports = WebhookService;
@@ -0,0 +1,86 @@
+/**
+ * Network Helpers
+ * Keep requests to administrator-supplied URLs off loopback, link-local
+ * and private networks unless their origin is explicitly allowed
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet("0.0.0.0", 8);
+PRIVATE_RANGES.addSubnet("10.0.0.0", 8);
+PRIVATE_RANGES.addSubnet("100.64.0.0", 10); // Carrier-grade NAT
+PRIVATE_RANGES.addSubnet("127.0.0.0", 8);
+PRIVATE_RANGES.addSubnet("169.254.0.0", 16); // Link-local, cloud metadata
+PRIVATE_RANGES.addSubnet("172.16.0.0", 12);
+PRIVATE_RANGES.addSubnet("192.168.0.0", 16);
+PRIVATE_RANGES.addAddress("::", "ipv6");
+PRIVATE_RANGES.addAddress("::1", "ipv6");
+PRIVATE_RANGES.addSubnet("fc00::", 7, "ipv6"); // Unique local
+PRIVATE_RANGES.addSubnet("fe80::", 10, "ipv6"); // Link-local
+
+/**
+ * Whether an IP address is loopback, link-local or private
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  return type !== 0 && PRIVATE_RANGES.check(address, `ipv${type}`);
+}
+
+/**
+ * Whether a URL hostname names this machine or a private address
+ * Hostnames that only resolve to one are caught by publicLookup
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+}
+
+/**
+ * dns.lookup that refuses hostnames resolving to a private address,
+ * for the `lookup` option of outgoing requests
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = "PRIVATE_ADDRESS";
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Comma-separated origins (e.g. "https://ehr.hospital.local") as
+ * normalized origins; invalid entries are dropped
+ */
+function parseOrigins(value) {
+  return (value || "")
+    .split(",")
+    .map((origin) => {
+      try {
+        return new URL(origin.trim()).origin;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  parseOrigins,
+  publicLookup,
+};
@@ -0,0 +1,18 @@
+/**
+ * Time Zone Helpers
+ * Shared by the user schema and the routes that take a ?timezone
+ */
+
+/**
+ * Whether timezone is an IANA time zone name the runtime knows
+ */
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { isTimeZone };
@@ -0,0 +1,74 @@
+/**
+ * Test Suite for Alert Episodes
+ * Tests when an ongoing anomaly episode alerts the care team again
+ */
+
+const HealthMonitoringService = require("../src/services/healthMonitoringService");
+
+describe("Alert episodes", () => {
+  const service = new HealthMonitoringService(null);
+  service.realertInterval = 30 * 60000;
+
+  const start = new Date("2026-01-15T10:00:00Z");
+  const minutesLater = (m) => new Date(start.getTime() + m * 60000);
+
+  const episode = {
+    severity: "warning",
+    detectedAt: start,
+    lastNotifiedAt: start,
+  };
+  const detection = (severity) => ({
+    severity,
+    alerts: [{ type: severity, category: "tachycardia" }],
+  });
+
+  describe("realertReason", () => {
+    test("should stay quiet while the condition is unchanged", () => {
+      expect(
+        service.realertReason(episode, detection("warning"), minutesLater(5)),
+      ).toBeNull();
+    });
+
+    test("should alert again when severity goes up", () => {
+      expect(
+        service.realertReason(episode, detection("critical"), minutesLater(5)),
+      ).toBe("severity_increased");
+    });
+
+    test("should alert again once the re-alert interval has passed", () => {
+      expect(
+        service.realertReason(episode, detection("warning"), minutesLater(30)),
+      ).toBe("alert_repeated");
+    });
+
+    test("should stay quiet for suppressed detections", () => {
+      expect(
+        service.realertReason(
+          episode,
+          { ...detection("critical"), suppressed: true },
+          minutesLater(45),
+        ),
+      ).toBeNull();
+    });
+
+    test("should not treat a lower severity as a change", () => {
+      const critical = { ...episode, severity: "critical" };
+
+      expect(
+        service.realertReason(critical, detection("warning"), minutesLater(5)),
+      ).toBeNull();
+    });
+
+    test("should measure from detection when never notified", () => {
+      const unnotified = { ...episode, lastNotifiedAt: undefined };
+
+      expect(
+        service.realertReason(
+          unnotified,
+          detection("warning"),
+          minutesLater(31),
+        ),
+      ).toBe("alert_repeated");
+    });
+  });
+});
@@ -3,6 +3,7 @@
  * Tests core functionality: critical vitals, statistical anomalies, fall detection
  */
 
+const fs = require("fs");
 const AnomalyDetector = require("../src/services/anomalyDetector");
 const PATIENTS = require("../src/config/patients");
 
@@ -114,6 +115,73 @@ describe("AnomalyDetector", () => {
     });
   });
 
+  describe("Blood Pressure Components", () => {
+    test("should derive pulse pressure and MAP", () => {
+      expect(detector.parseBloodPressure("120/80")).toEqual({
+        systolic: 120,
+        diastolic: 80,
+        pulsePressure: 40,
+        meanArterialPressure: 93,
+      });
+    });
+
+    test("should detect diastolic hypertension", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, bloodPressure: "170/115" },
+        testPatient,
+      );
+
+      expect(result.severity).toBe("critical");
+      expect(
+        result.alerts.some((a) => a.category === "diastolic_hypertension"),
+      ).toBe(true);
+    });
+
+    test("should detect narrow pulse pressure", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, bloodPressure: "110/92" },
+        testPatient,
+      );
+
+      expect(
+        result.alerts.some((a) => a.category === "narrow_pulse_pressure"),
+      ).toBe(true);
+    });
+
+    test("should detect low mean arterial pressure", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, bloodPressure: "95/48" },
+        testPatient,
+      );
+
+      expect(result.alerts.some((a) => a.category === "low_map")).toBe(true);
+      expect(
+        result.alerts.some((a) => a.category === "diastolic_hypotension"),
+      ).toBe(true);
+    });
+
+    test("should skip component checks without thresholds", () => {
+      const profile = {
+        ...testPatient,
+        alertThresholds: {
+          hrCritical: [45, 130],
+          bpCritical: [180, 90],
+          spo2Critical: 92,
+        },
+      };
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, bloodPressure: "170/115" },
+        profile,
+      );
+
+      expect(result.isAnomaly).toBe(false);
+    });
+  });
+
   describe("Fall Detection", () => {
     test("should detect fall (high risk score)", () => {
       const fallVitals = { ...normalVitals, fallRiskScore: 95 };
@@ -182,6 +250,204 @@ describe("AnomalyDetector", () => {
     });
   });
 
+  describe("Replaying Late Readings", () => {
+    test("should detect late readings against the window at their own time", () => {
+      // Live window already saw a later SpO2 drop
+      for (let i = 0; i < 12; i++) {
+        detector.addToWindow(testPatient.id, { ...normalVitals, spo2: 90 });
+      }
+
+      const context = Array(12).fill(normalVitals);
+      const timeline = [
+        { vitals: { ...normalVitals, heartRate: 110 }, isNew: true },
+        { vitals: { ...normalVitals, spo2: 90 }, isNew: false },
+      ];
+      const results = detector.replayReadings(
+        testPatient.id,
+        context,
+        timeline,
+        testPatient,
+      );
+
+      expect(results).toHaveLength(1);
+      expect(
+        results[0].detection.alerts.some((a) => a.category === "hr_anomaly"),
+      ).toBe(true);
+      expect(detector.dataWindow[testPatient.id]).toHaveLength(14);
+      expect(detector.dataWindow[testPatient.id][13].spo2).toBe(90);
+    });
+  });
+
+  describe("Threshold History", () => {
+    const baseThresholds = PATIENTS[0].alertThresholds;
+    const revisions = [
+      {
+        effectiveFrom: new Date("2024-01-10T00:00:00Z"),
+        previousThresholds: baseThresholds,
+        alertThresholds: { ...baseThresholds, hrCritical: [40, 120] },
+      },
+      {
+        effectiveFrom: new Date("2024-01-20T00:00:00Z"),
+        previousThresholds: { ...baseThresholds, hrCritical: [40, 120] },
+        alertThresholds: { ...baseThresholds, hrCritical: [50, 110] },
+      },
+    ];
+
+    test("should use thresholds in force at the reading time", () => {
+      const fallback = testPatient.alertThresholds;
+
+      expect(
+        detector.resolveThresholdsAt(revisions, "2024-01-05T00:00:00Z", fallback)
+          .hrCritical,
+      ).toEqual([45, 130]);
+      expect(
+        detector.resolveThresholdsAt(revisions, "2024-01-15T00:00:00Z", fallback)
+          .hrCritical,
+      ).toEqual([40, 120]);
+      expect(
+        detector.resolveThresholdsAt(revisions, "2024-02-01T00:00:00Z", fallback)
+          .hrCritical,
+      ).toEqual([50, 110]);
+    });
+
+    test("should fall back to profile thresholds without history", () => {
+      expect(
+        detector.resolveThresholdsAt([], new Date(), testPatient.alertThresholds),
+      ).toBe(testPatient.alertThresholds);
+    });
+
+    test("should report the thresholds used for detection", () => {
+      const profile = detector.profileAt(
+        testPatient,
+        revisions,
+        "2024-01-25T00:00:00Z",
+      );
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, heartRate: 115 },
+        profile,
+      );
+
+      expect(result.alerts.some((a) => a.category === "tachycardia")).toBe(
+        true,
+      );
+      expect(result.thresholds.hrCritical).toEqual([50, 110]);
+    });
+  });
+
+  describe("Detection Profiles", () => {
+    test("should use built-in limits without a profile", () => {
+      expect(detector.resolveDetectionProfile(testPatient)).toEqual(
+        AnomalyDetector.DEFAULT_DETECTION_PROFILE,
+      );
+    });
+
+    test("should apply a lower fever limit", () => {
+      const profile = {
+        ...testPatient,
+        detectionProfile: { feverAbove: 38.0 },
+      };
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, bodyTemperature: 38.2 },
+        profile,
+      );
+
+      expect(result.alerts.some((a) => a.category === "fever")).toBe(true);
+      expect(result.detectionProfile.feverAbove).toBe(38.0);
+      expect(result.detectionProfile.hypothermiaBelow).toBe(35.0);
+    });
+
+    test("should apply a custom fall risk limit", () => {
+      const profile = { ...testPatient, detectionProfile: { fallRiskAbove: 60 } };
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, fallRiskScore: 65 },
+        profile,
+      );
+
+      expect(result.alerts.some((a) => a.category === "fall_detected")).toBe(
+        true,
+      );
+    });
+
+    test("should apply a custom z-score limit", () => {
+      for (let i = 0; i < 12; i++) {
+        detector.addToWindow(testPatient.id, normalVitals);
+      }
+
+      const profile = { ...testPatient, detectionProfile: { zScoreLimit: 100 } };
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, heartRate: 110 },
+        profile,
+      );
+
+      expect(result.alerts.some((a) => a.category === "hr_anomaly")).toBe(
+        false,
+      );
+    });
+  });
+
+  describe("Alert Suppressions", () => {
+    const hourAgo = new Date(Date.now() - 3600000);
+    const inAnHour = new Date(Date.now() + 3600000);
+    const snooze = (categories, startsAt, endsAt) => ({
+      ...testPatient,
+      suppressions: [{ _id: "s1", categories, startsAt, endsAt }],
+    });
+
+    test("should record but suppress a snoozed category", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, heartRate: 140 },
+        snooze(["tachycardia"], hourAgo, inAnHour),
+      );
+
+      expect(result.isAnomaly).toBe(true);
+      expect(result.suppressed).toBe(true);
+      expect(result.alerts[0].suppressionId).toBe("s1");
+    });
+
+    test("should not suppress when another category also alerts", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, heartRate: 140, bodyTemperature: 39.5 },
+        snooze(["tachycardia"], hourAgo, inAnHour),
+      );
+
+      expect(result.suppressed).toBe(false);
+      expect(result.alerts.find((a) => a.category === "fever").suppressed).toBe(
+        undefined,
+      );
+    });
+
+    test("should ignore suppressions outside the reading time", () => {
+      const result = detector.detectAnomalies(
+        testPatient.id,
+        { ...normalVitals, heartRate: 140 },
+        snooze(["tachycardia"], new Date(Date.now() + 60000), inAnHour),
+      );
+
+      expect(result.suppressed).toBe(false);
+    });
+
+    test("should list every category the detector raises", () => {
+      const source = fs.readFileSync(
+        require.resolve("../src/services/anomalyDetector"),
+        "utf8",
+      );
+      const raised = [...source.matchAll(/category: "(\w+)"/g)].map(
+        (m) => m[1],
+      );
+
+      expect(raised.length).toBeGreaterThan(0);
+      expect([...new Set(raised)].sort()).toEqual(
+        [...AnomalyDetector.ALERT_CATEGORIES].sort(),
+      );
+    });
+  });
+
   describe("Behavioral Anomalies", () => {
     test("should detect sustained inactivity during day", () => {
       // Build window with low motion
@@ -0,0 +1,207 @@
+/**
+ * Test Suite for CSV Export
+ * Tests value escaping, timezone formatting, column selection and
+ * streaming rows from a cursor with backpressure
+ */
+
+const { PassThrough } = require("stream");
+const {
+  DATASETS,
+  csvValue,
+  dateFormatter,
+  selectColumns,
+  streamCsv,
+} = require("../src/services/csvExport");
+
+/**
+ * Dataset over an in-memory list, queried the way streamCsv queries models
+ * `closed` tells whether the cursor was closed
+ */
+function listDataset(docs) {
+  const dataset = {
+    ...DATASETS.vitals,
+    closed: false,
+    model: {
+      find: () => ({
+        sort: () => ({
+          lean: () => ({
+            cursor: () =>
+              Object.assign(
+                (async function* () {
+                  yield* docs;
+                })(),
+                {
+                  close: async () => {
+                    dataset.closed = true;
+                  },
+                },
+              ),
+          }),
+        }),
+      }),
+    },
+  };
+  return dataset;
+}
+
+async function collect(stream) {
+  let text = "";
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe("CSV Export", () => {
+  const utc = dateFormatter("UTC");
+
+  describe("csvValue", () => {
+    test("should quote commas, quotes and line breaks", () => {
+      expect(csvValue("plain", utc)).toBe("plain");
+      expect(csvValue("a, b", utc)).toBe("\"a, b\"");
+      expect(csvValue("say \"hi\"", utc)).toBe("\"say \"\"hi\"\"\"");
+      expect(csvValue("line\nbreak", utc)).toBe("\"line\nbreak\"");
+    });
+
+    test("should stop spreadsheets evaluating formulas", () => {
+      expect(csvValue("=HYPERLINK(1)", utc)).toBe("'=HYPERLINK(1)");
+      expect(csvValue("+1", utc)).toBe("'+1");
+      expect(csvValue("@SUM(A1)", utc)).toBe("'@SUM(A1)");
+      expect(csvValue(-5, utc)).toBe("-5");
+    });
+
+    test("should format empty values, arrays and dates", () => {
+      expect(csvValue(null, utc)).toBe("");
+      expect(csvValue(undefined, utc)).toBe("");
+      expect(csvValue(false, utc)).toBe("false");
+      expect(csvValue(["tachycardia", "fever"], utc)).toBe(
+        "tachycardia; fever",
+      );
+      expect(csvValue(new Date("2026-01-15T10:30:05Z"), utc)).toBe(
+        "2026-01-15 10:30:05",
+      );
+    });
+  });
+
+  describe("timezones", () => {
+    test("should format dates in the requested timezone", () => {
+      const date = new Date("2026-07-01T23:30:00Z");
+
+      expect(dateFormatter("America/New_York")(date)).toBe(
+        "2026-07-01 19:30:00",
+      );
+      expect(dateFormatter("Asia/Dhaka")(date)).toBe("2026-07-02 05:30:00");
+    });
+  });
+
+  describe("selectColumns", () => {
+    test("should keep the requested order and report unknown columns", () => {
+      const { columns, unknown } = selectColumns(DATASETS.vitals, [
+        "spo2",
+        "recordedAt",
+        "password",
+      ]);
+
+      expect(columns.map((c) => c.key)).toEqual(["spo2", "recordedAt"]);
+      expect(unknown).toEqual(["password"]);
+    });
+
+    test("should default to every column", () => {
+      expect(selectColumns(DATASETS.alerts, []).columns).toBe(
+        DATASETS.alerts.columns,
+      );
+    });
+  });
+
+  describe("streamCsv", () => {
+    const docs = [
+      { recordedAt: new Date("2026-01-15T10:00:00Z"), heartRate: 72 },
+      { recordedAt: new Date("2026-01-15T10:05:00Z"), heartRate: 130 },
+    ];
+
+    test("should write a header row and CRLF-terminated rows", async () => {
+      const stream = new PassThrough();
+      const { columns } = selectColumns(DATASETS.vitals, [
+        "recordedAt",
+        "heartRate",
+        "spo2",
+      ]);
+
+      const [rows, text] = await Promise.all([
+        streamCsv(stream, listDataset(docs), {
+          columns,
+          timezone: "Europe/Paris",
+        }).then((count) => {
+          stream.end();
+          return count;
+        }),
+        collect(stream),
+      ]);
+
+      expect(rows).toBe(2);
+      expect(text).toBe(
+        "recordedAt,heartRate,spo2\r\n" +
+          "2026-01-15 11:00:00,72,\r\n" +
+          "2026-01-15 11:05:00,130,\r\n",
+      );
+    });
+
+    test("should start with a byte order mark for Excel", async () => {
+      const stream = new PassThrough();
+
+      await streamCsv(stream, listDataset([]), {
+        columns: DATASETS.vitals.columns.slice(0, 1),
+        bom: true,
+      });
+      stream.end();
+
+      expect(await collect(stream)).toBe("\ufeffrecordedAt\r\n");
+    });
+
+    test("should wait for the stream to drain before writing more", async () => {
+      const many = Array.from({ length: 5000 }, (_, i) => ({
+        recordedAt: new Date(Date.UTC(2026, 0, 1) + i * 300000),
+        heartRate: 70,
+        sensorId: "S".repeat(20),
+      }));
+      const stream = new PassThrough({ highWaterMark: 1024 });
+
+      const writing = streamCsv(stream, listDataset(many), {
+        columns: DATASETS.vitals.columns,
+      });
+      // Nothing reads yet, so the stream fills and writing pauses
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(stream.writableNeedDrain).toBe(true);
+
+      const [rows, text] = await Promise.all([
+        writing.then((count) => {
+          stream.end();
+          return count;
+        }),
+        collect(stream),
+      ]);
+
+      expect(rows).toBe(5000);
+      expect(text.split("\r\n")).toHaveLength(5002); // Header + rows + ""
+    });
+
+    test("should stop and close the cursor when the client disconnects", async () => {
+      const many = Array.from({ length: 5000 }, (_, i) => ({
+        recordedAt: new Date(Date.UTC(2026, 0, 1) + i * 300000),
+        heartRate: 70,
+      }));
+      const dataset = listDataset(many);
+      const stream = new PassThrough({ highWaterMark: 1024 });
+
+      const writing = streamCsv(stream, dataset, {
+        columns: DATASETS.vitals.columns,
+      });
+      // Blocked waiting for a drain that will never come
+      await new Promise((resolve) => setImmediate(resolve));
+      stream.destroy();
+
+      expect(await writing).toBeLessThan(5000);
+      expect(dataset.closed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Test Suite for the Dashboard Publisher
+ * Tests summary diffs, which scopes a change reaches, when pushes are sent
+ * and moving users whose care team changed
+ */
+
+const DashboardPublisher = require("../src/services/dashboardPublisher");
+
+describe("DashboardPublisher", () => {
+  let emitted;
+  let rooms;
+  let userSockets;
+  let publisher;
+
+  // Minimal Socket.io server: room membership and emitted events
+  const io = {
+    sockets: {
+      adapter: {
+        get rooms() {
+          return rooms;
+        },
+      },
+    },
+    to: (room) => ({
+      emit: (event, payload) => emitted.push({ room, event, payload }),
+    }),
+    in: (room) => ({ fetchSockets: async () => userSockets[room] || [] }),
+  };
+
+  const counts = (activeAnomalies, criticalCount = 0) => ({
+    totalPatients: 2,
+    activeAnomalies,
+    criticalCount,
+    warningCount: activeAnomalies - criticalCount,
+  });
+  const response = (summary, recentAnomalies = []) => ({
+    summary,
+    recentAnomalies,
+    timestamp: "2026-03-01T10:00:00.000Z",
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    userSockets = {};
+    rooms = new Map([
+      ["dashboard_all", new Set(["admin-socket"])],
+      ["dashboard_ward", new Set(["nurse-socket"])],
+    ]);
+    publisher = new DashboardPublisher(io);
+    publisher.scopes.set("all", {
+      patientIds: null,
+      sequence: 0,
+      last: response(counts(1)),
+    });
+    publisher.scopes.set("ward", {
+      patientIds: ["P001"],
+      sequence: 0,
+      last: response(counts(1)),
+    });
+  });
+
+  afterEach(() => {
+    publisher.stop();
+  });
+
+  describe("summaryChanges", () => {
+    test("should list only the counts that changed", () => {
+      expect(
+        DashboardPublisher.summaryChanges(counts(1), counts(2, 1)),
+      ).toEqual({
+        activeAnomalies: { from: 1, to: 2 },
+        criticalCount: { from: 0, to: 1 },
+      });
+    });
+
+    test("should report every count on the first summary", () => {
+      const changes = DashboardPublisher.summaryChanges(undefined, counts(0));
+
+      expect(Object.keys(changes)).toHaveLength(4);
+      expect(changes.totalPatients).toEqual({ from: null, to: 2 });
+    });
+  });
+
+  describe("patientChanged", () => {
+    test("should mark the scopes that include the patient", () => {
+      publisher.patientChanged("P002", "anomaly_created");
+
+      expect([...publisher.pending.keys()]).toEqual(["all"]);
+    });
+
+    test("should coalesce changes into one pending push", () => {
+      publisher.patientChanged("P001", "anomaly_created");
+      const timer = publisher.timer;
+      publisher.patientChanged("P001", "anomaly_acknowledged");
+
+      expect(publisher.timer).toBe(timer);
+      expect([...publisher.pending.get("ward")]).toEqual([
+        "anomaly_created",
+        "anomaly_acknowledged",
+      ]);
+    });
+
+    test("should do nothing without a Socket.io server", () => {
+      const offline = new DashboardPublisher(null);
+      offline.scopes.set("all", { patientIds: null, sequence: 0 });
+
+      offline.patientChanged("P001", "anomaly_created");
+
+      expect(offline.pending.size).toBe(0);
+      expect(offline.timer).toBeNull();
+    });
+  });
+
+  describe("flush", () => {
+    test("should push changed counts to the scope room", async () => {
+      publisher.refresh = async () =>
+        response(counts(2, 1), [{ _id: "a1", severity: "critical" }]);
+      publisher.patientChanged("P001", "anomaly_created");
+      publisher.stop();
+
+      await publisher.flush();
+
+      expect(emitted.map((e) => e.room)).toEqual([
+        "dashboard_all",
+        "dashboard_ward",
+      ]);
+      expect(emitted[1]).toMatchObject({
+        event: "dashboard_summary",
+        payload: {
+          sequence: 1,
+          reasons: ["anomaly_created"],
+          summary: counts(2, 1),
+          changes: {
+            activeAnomalies: { from: 1, to: 2 },
+            criticalCount: { from: 0, to: 1 },
+          },
+        },
+      });
+    });
+
+    test("should skip pushes when nothing visible changed", async () => {
+      publisher.refresh = async () => response(counts(1));
+      publisher.patientChanged("P001", "anomaly_status_changed");
+      publisher.stop();
+
+      await publisher.flush();
+
+      expect(emitted).toHaveLength(0);
+      expect(publisher.scopes.get("ward").sequence).toBe(0);
+    });
+
+    test("should forget scopes without subscribers", async () => {
+      rooms.delete("dashboard_ward");
+      publisher.refresh = async () => response(counts(3));
+      publisher.patientChanged("P001", "patient_activated");
+      publisher.stop();
+
+      await publisher.flush();
+
+      expect(publisher.scopes.has("ward")).toBe(false);
+      expect(emitted.map((e) => e.room)).toEqual(["dashboard_all"]);
+    });
+  });
+
+  describe("careTeamChanged", () => {
+    test("should move a user's dashboard sockets to their new scope", async () => {
+      const socket = (id, dashboardScope) => ({
+        data: { user: { _id: "u1", role: "nurse" }, dashboardScope },
+        emit: (event, payload) => emitted.push({ room: id, event, payload }),
+      });
+      userSockets.user_u1 = [socket("dashboard", "ward"), socket("other")];
+      publisher.subscribe = jest.fn(async (s, user, reason) => ({
+        reasons: [reason],
+      }));
+
+      await publisher.careTeamChanged("u1");
+
+      expect(publisher.subscribe).toHaveBeenCalledTimes(1);
+      expect(emitted).toEqual([
+        {
+          room: "dashboard",
+          event: "dashboard_summary",
+          payload: { reasons: ["care_team_changed"] },
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Test Suite for the Dashboard Summary
+ * Tests snapshot scope keys, snapshot expiry and the API view of a snapshot
+ */
+
+const { DashboardSummary } = require("../src/models");
+const {
+  scopeKey,
+  toSummaryResponse,
+} = require("../src/services/dashboardSummary");
+
+describe("Dashboard Summary", () => {
+  describe("Normal Cases", () => {
+    test("should share one snapshot for every patient", () => {
+      expect(scopeKey(null)).toBe("all");
+    });
+
+    test("should key care team scopes by their patients", () => {
+      const key = scopeKey(["P002", "P001"]);
+
+      expect(key).toMatch(/^patients:[0-9a-f]{40}$/);
+      expect(scopeKey(["P001", "P002"])).toBe(key);
+      expect(scopeKey(["P001"])).not.toBe(key);
+    });
+
+    test("should map a snapshot to the summary response", () => {
+      const lastUpdate = new Date("2026-03-01T10:00:00Z");
+
+      const response = toSummaryResponse(
+        {
+          scope: "all",
+          totalPatients: 5,
+          activeAlerts: 3,
+          criticalCount: 1,
+          warningCount: 2,
+          recentAnomalies: [{ severity: "critical" }],
+          latestVitals: [{ patientId: "P001", heartRate: 72 }],
+          vitalsLast24Hours: {},
+          lastUpdate,
+        },
+        true,
+      );
+
+      expect(response).toEqual({
+        summary: {
+          totalPatients: 5,
+          activeAnomalies: 3,
+          criticalCount: 1,
+          warningCount: 2,
+        },
+        recentAnomalies: [{ severity: "critical" }],
+        latestVitals: [{ patientId: "P001", heartRate: 72 }],
+        vitalsLast24Hours: {},
+        timestamp: "2026-03-01T10:00:00.000Z",
+        cached: true,
+      });
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should expire snapshots of scopes no longer viewed", () => {
+      const ttl = DashboardSummary.schema
+        .indexes()
+        .find(([fields]) => fields.lastUpdate === 1);
+
+      expect(ttl[1].expireAfterSeconds).toBe(
+        DashboardSummary.SNAPSHOT_TTL_HOURS * 60 * 60,
+      );
+    });
+
+    test("should give users without patients their own scope", () => {
+      expect(scopeKey([])).toMatch(/^patients:/);
+      expect(scopeKey([])).not.toBe(scopeKey(null));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Test Suite for Escalation Service
+ * Tests policy selection and escalation step timing
+ */
+
+const EscalationService = require("../src/services/escalationService");
+
+describe("EscalationService", () => {
+  const service = new EscalationService(null);
+
+  const severityWide = {
+    severity: "critical",
+    category: null,
+    levels: [
+      { afterMinutes: 5, notifyCareTeam: true },
+      { afterMinutes: 15, roles: ["physician"] },
+    ],
+  };
+  const hypoxemia = {
+    severity: "critical",
+    category: "hypoxemia",
+    levels: [{ afterMinutes: 2, usernames: ["charge.nurse"] }],
+  };
+
+  const anomaly = (severity, ...categories) => ({
+    severity,
+    alerts: categories.map((category) => ({ type: severity, category })),
+  });
+
+  describe("selectPolicy", () => {
+    test("should prefer a policy for the alert category", () => {
+      const policy = service.selectPolicy(
+        [severityWide, hypoxemia],
+        anomaly("critical", "tachycardia", "hypoxemia"),
+      );
+
+      expect(policy).toBe(hypoxemia);
+    });
+
+    test("should fall back to the severity-wide policy", () => {
+      const policy = service.selectPolicy(
+        [severityWide, hypoxemia],
+        anomaly("critical", "tachycardia"),
+      );
+
+      expect(policy).toBe(severityWide);
+    });
+
+    test("should return null when no policy matches the severity", () => {
+      expect(
+        service.selectPolicy([severityWide], anomaly("warning", "fever")),
+      ).toBeNull();
+    });
+
+    test("should ignore inactive policies", () => {
+      const policy = service.selectPolicy(
+        [{ ...hypoxemia, isActive: false }, severityWide],
+        anomaly("critical", "hypoxemia"),
+      );
+
+      expect(policy).toBe(severityWide);
+    });
+  });
+
+  describe("escalationTimeFor", () => {
+    const detectedAt = new Date("2024-01-15T10:00:00.000Z");
+
+    test("should measure each step from detection", () => {
+      expect(
+        service.escalationTimeFor(severityWide, detectedAt, 1).toISOString(),
+      ).toBe("2024-01-15T10:05:00.000Z");
+      expect(
+        service.escalationTimeFor(severityWide, detectedAt, 2).toISOString(),
+      ).toBe("2024-01-15T10:15:00.000Z");
+    });
+
+    test("should return null after the last step or without a policy", () => {
+      expect(service.escalationTimeFor(severityWide, detectedAt, 3)).toBeNull();
+      expect(service.escalationTimeFor(null, detectedAt, 1)).toBeNull();
+    });
+  });
+});
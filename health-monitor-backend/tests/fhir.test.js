@@ -0,0 +1,174 @@
+/**
+ * Test Suite for FHIR Mapping
+ * Tests conversion of patients, health records and anomalies into
+ * FHIR R4 resources
+ */
+
+const {
+  searchBundle,
+  toFhirDetectedIssue,
+  toFhirObservations,
+  toFhirPatient,
+} = require("../src/services/fhir");
+
+describe("FHIR mapping", () => {
+  const record = {
+    _id: "65a1f0c2e4b0a1b2c3d4e5f6",
+    patientId: "P001",
+    heartRate: 72,
+    systolic: 130,
+    diastolic: 85,
+    spo2: 97,
+    bodyTemperature: 36.8,
+    sensorId: "watch-01",
+    recordedAt: new Date("2026-01-15T10:00:00Z"),
+    updatedAt: new Date("2026-01-15T10:00:05Z"),
+  };
+
+  describe("toFhirPatient", () => {
+    test("should use the patientId as id and identifier", () => {
+      const patient = toFhirPatient({
+        patientId: "P001",
+        name: "Margaret Chen",
+        isActive: true,
+      });
+
+      expect(patient).toMatchObject({
+        resourceType: "Patient",
+        id: "P001",
+        identifier: [{ value: "P001" }],
+        active: true,
+        name: [{ text: "Margaret Chen" }],
+      });
+    });
+  });
+
+  describe("toFhirObservations", () => {
+    test("should create one LOINC-coded observation per vital sign", () => {
+      const observations = toFhirObservations(record);
+
+      expect(observations.map((o) => o.code.coding[0].code)).toEqual([
+        "8867-4",
+        "85354-9",
+        "59408-5",
+        "8310-5",
+      ]);
+      expect(observations[0]).toMatchObject({
+        id: `${record._id}-hr`,
+        status: "final",
+        subject: { reference: "Patient/P001" },
+        effectiveDateTime: "2026-01-15T10:00:00.000Z",
+        valueQuantity: { value: 72, code: "/min" },
+        meta: { lastUpdated: "2026-01-15T10:00:05.000Z" },
+      });
+      expect(observations[0].category[0].coding[0].code).toBe("vital-signs");
+    });
+
+    test("should report blood pressure as systolic and diastolic components", () => {
+      const [, bp] = toFhirObservations(record);
+
+      expect(bp.valueQuantity).toBeUndefined();
+      expect(
+        bp.component.map((c) => [c.code.coding[0].code, c.valueQuantity.value]),
+      ).toEqual([
+        ["8480-6", 130],
+        ["8462-4", 85],
+      ]);
+      expect(bp.component[0].valueQuantity.code).toBe("mm[Hg]");
+    });
+
+    test("should leave out vital signs missing from the record", () => {
+      const observations = toFhirObservations({
+        ...record,
+        systolic: undefined,
+        diastolic: undefined,
+        bodyTemperature: null,
+      });
+
+      expect(observations.map((o) => o.id.split("-").pop())).toEqual([
+        "hr",
+        "spo2",
+      ]);
+    });
+  });
+
+  describe("toFhirDetectedIssue", () => {
+    const anomaly = {
+      _id: "65a1f0c2e4b0a1b2c3d4e5f7",
+      patientId: "P001",
+      severity: "critical",
+      status: "resolved",
+      categories: ["hypoxemia"],
+      alerts: [{ category: "hypoxemia", message: "SpO2 88%" }],
+      recordId: record._id,
+      detectedAt: new Date("2026-01-15T10:00:00Z"),
+      acknowledgedBy: "nurse.jones",
+      acknowledgedAt: new Date("2026-01-15T10:02:00Z"),
+      resolvedBy: "dr.smith",
+      resolvedAt: new Date("2026-01-15T10:30:00Z"),
+      clinicalAction: "Oxygen started",
+    };
+
+    test("should map severity, status and categories", () => {
+      const issue = toFhirDetectedIssue(anomaly);
+
+      expect(issue).toMatchObject({
+        resourceType: "DetectedIssue",
+        id: anomaly._id,
+        status: "final",
+        severity: "high",
+        patient: { reference: "Patient/P001" },
+        identifiedDateTime: "2026-01-15T10:00:00.000Z",
+        detail: "SpO2 88%",
+      });
+      expect(issue.code.coding[0].code).toBe("hypoxemia");
+      expect(issue.evidence[0].detail[0].reference).toBe(
+        `Observation/${record._id}-hr`,
+      );
+    });
+
+    test("should report acknowledgement and resolution as mitigations", () => {
+      const issue = toFhirDetectedIssue(anomaly);
+
+      expect(issue.mitigation).toEqual([
+        {
+          action: { text: "Acknowledged" },
+          date: "2026-01-15T10:02:00.000Z",
+          author: { display: "nurse.jones" },
+        },
+        {
+          action: { text: "Oxygen started" },
+          date: "2026-01-15T10:30:00.000Z",
+          author: { display: "dr.smith" },
+        },
+      ]);
+    });
+
+    test("should mark open anomalies preliminary and dismissed ones cancelled", () => {
+      const open = { ...anomaly, status: "open", resolvedAt: undefined };
+
+      expect(toFhirDetectedIssue(open).status).toBe("preliminary");
+      expect(
+        toFhirDetectedIssue({ ...anomaly, status: "dismissed" }).status,
+      ).toBe("cancelled");
+    });
+  });
+
+  describe("searchBundle", () => {
+    test("should wrap resources with full URLs", () => {
+      const bundle = searchBundle([toFhirPatient({ patientId: "P001" })], {
+        baseUrl: "https://monitor.example.org/api/fhir",
+        total: 1,
+      });
+
+      expect(bundle).toMatchObject({
+        resourceType: "Bundle",
+        type: "searchset",
+        total: 1,
+      });
+      expect(bundle.entry[0].fullUrl).toBe(
+        "https://monitor.example.org/api/fhir/Patient/P001",
+      );
+    });
+  });
+});
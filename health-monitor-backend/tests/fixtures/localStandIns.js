@@ -0,0 +1,101 @@
+/**
+ * Local Stand-ins for Outbound Services
+ * Minimal SMTP sink and HTTP endpoint that record what they receive,
+ * so notification channels can be tested without real providers
+ */
+
+const http = require("http");
+const net = require("net");
+
+/**
+ * SMTP server that accepts every message
+ * Returns: { port, messages: [{ from, to, data }], close() }
+ */
+async function startSmtpSink() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let current = { to: [] };
+    let inData = false;
+
+    socket.write("220 localhost SMTP sink\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            messages.push(current);
+            current = { to: [] };
+            socket.write("250 Queued\r\n");
+          } else {
+            current.data = `${current.data || ""}${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          socket.write("250 localhost\r\n");
+        } else if (command === "MAIL") {
+          current.from = line.slice(10).replace(/[<>]/g, "");
+          socket.write("250 OK\r\n");
+        } else if (command === "RCPT") {
+          current.to.push(line.slice(8).replace(/[<>]/g, ""));
+          socket.write("250 OK\r\n");
+        } else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * HTTP server that records JSON requests and answers with `status`
+ * Returns: { url, requests: [{ path, headers, body }], status, close() }
+ */
+async function startHttpSink() {
+  const sink = { requests: [], status: 200 };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      sink.requests.push({
+        path: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      });
+      res.writeHead(sink.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ id: `msg-${sink.requests.length}` }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  sink.url = `http://127.0.0.1:${server.address().port}`;
+  sink.close = () => new Promise((resolve) => server.close(resolve));
+  return sink;
+}
+
+module.exports = { startSmtpSink, startHttpSink };
@@ -0,0 +1,231 @@
+/**
+ * Test Suite for HL7 v2 Ingestion
+ * Tests ORU^R01 parsing, OBX mapping, ACK/NAK building, MLLP framing
+ * and the listener's replies to messages it cannot accept
+ */
+
+const net = require("net");
+const {
+  buildAck,
+  frame,
+  messageHeader,
+  parseAck,
+  parseMessage,
+  parseTimestamp,
+  patientIdentifiers,
+  sendMessage,
+  toReading,
+  unframe,
+} = require("../src/services/hl7");
+const MllpServer = require("../src/services/mllpServer");
+const { sampleOru } = require("../scripts/hl7-harness");
+
+describe("HL7 v2", () => {
+  const timestamp = new Date("2026-01-15T10:30:00Z");
+
+  describe("parsing", () => {
+    test("should read the header and patient identifiers", () => {
+      const message = parseMessage(
+        sampleOru({ controlId: "MSG1", timestamp }).replace(
+          "P001^^^HOSPITAL^MR",
+          "MRN-77^^^HOSPITAL^MR~P001^^^MONITOR^PI",
+        ),
+      );
+
+      expect(messageHeader(message)).toMatchObject({
+        sendingApplication: "BEDSIDE",
+        messageType: "ORU",
+        triggerEvent: "R01",
+        controlId: "MSG1",
+        version: "2.5.1",
+        sentAt: timestamp,
+      });
+      expect(patientIdentifiers(message)).toEqual(["MRN-77", "P001"]);
+    });
+
+    test("should parse HL7 timestamps with and without offsets", () => {
+      expect(parseTimestamp("20260115103000")).toEqual(timestamp);
+      expect(parseTimestamp("20260115113000+0100")).toEqual(timestamp);
+      expect(parseTimestamp("202601151030")).toEqual(timestamp);
+      expect(parseTimestamp("not a date")).toBeNull();
+    });
+
+    test("should reject messages without an MSH segment", () => {
+      expect(() => parseMessage("PID|1||P001")).toThrow("MSH");
+    });
+  });
+
+  describe("toReading", () => {
+    test("should map LOINC-coded OBX results to reading fields", () => {
+      const reading = toReading(parseMessage(sampleOru({ timestamp })));
+
+      expect(reading).toEqual({
+        sensorId: "BEDSIDE-01",
+        heartRate: 72,
+        bloodPressure: "128/82",
+        spo2: 97,
+        bodyTemperature: 36.8,
+        timestamp: timestamp.toISOString(),
+      });
+    });
+
+    test("should convert Fahrenheit and accept IEEE 11073 codes", () => {
+      const message = [
+        "MSH|^~\\&|MONITOR|ICU|||20260115103000||ORU^R01|M2|P|2.6",
+        "PID|1||P001",
+        "OBX|1|NM|147842^MDC_ECG_HEART_RATE^MDC||88|/min",
+        "OBX|2|NM|150456^MDC_PULS_OXIM_SAT_O2^MDC||93|%",
+        "OBX|3|NM|8310-5^Body temperature^LN||100.4|[degF]",
+        "OBX|4|ST|85354-9^BP panel^LN||142/91|mm[Hg]",
+        "OBX|5|NM|9279-1^Respiratory rate^LN||18|/min",
+      ].join("\r");
+
+      const reading = toReading(parseMessage(message));
+
+      expect(reading).toMatchObject({
+        sensorId: "hl7-MONITOR",
+        heartRate: 88,
+        spo2: 93,
+        bodyTemperature: 38,
+        bloodPressure: "142/91",
+        timestamp: timestamp.toISOString(),
+      });
+    });
+
+    test("should skip results that could not be obtained", () => {
+      const message = sampleOru({ timestamp }).replace(
+        /(59408-5.*?\|\|\|\|\|)F/,
+        "$1X",
+      );
+
+      expect(toReading(parseMessage(message)).spo2).toBeUndefined();
+    });
+  });
+
+  describe("acknowledgements", () => {
+    const header = {
+      sendingApplication: "BEDSIDE",
+      sendingFacility: "WARD3",
+      triggerEvent: "R01",
+      controlId: "MSG1",
+      version: "2.5.1",
+    };
+
+    test("should echo the control ID in an AA acknowledgement", () => {
+      const ack = buildAck(header, "AA", { text: "Recorded" });
+
+      expect(ack).toMatch(/^MSH\|\^~\\&\|HEALTH-MONITOR\|\|BEDSIDE\|WARD3\|/);
+      expect(parseAck(ack)).toEqual({
+        code: "AA",
+        controlId: "MSG1",
+        text: "Recorded",
+      });
+      expect(ack).not.toContain("ERR|");
+    });
+
+    test("should add an ERR segment and escape text in a NAK", () => {
+      const ack = buildAck(header, "AE", {
+        text: "spo2 is required | check probe",
+      });
+
+      expect(ack).toContain("ERR|||207^Application internal error^HL70357|E");
+      expect(parseAck(ack).text).toBe("spo2 is required | check probe");
+    });
+  });
+
+  describe("MLLP framing", () => {
+    test("should split complete frames and keep the remainder", () => {
+      const { messages, rest } = unframe(
+        `${frame("MSH|one")}${frame("MSH|two")}\x0bMSH|thr`,
+      );
+
+      expect(messages).toEqual(["MSH|one", "MSH|two"]);
+      expect(rest).toBe("\x0bMSH|thr");
+    });
+  });
+
+  describe("MllpServer", () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      server = new MllpServer(null, {
+        allowedSources: ["127.0.0.1"],
+        allowedFacilities: ["WARD3"],
+        maxBufferSize: 1000,
+      });
+      port = await server.listen(0, "127.0.0.1");
+    });
+
+    afterAll(async () => {
+      await server.close();
+      console.log.mockRestore();
+    });
+
+    test("should reject unsupported message types with AR", async () => {
+      const reply = await sendMessage(
+        "127.0.0.1",
+        port,
+        sampleOru({ controlId: "ADT1", messageType: "ADT^A01^ADT_A01" }),
+      );
+
+      expect(parseAck(reply)).toMatchObject({ code: "AR", controlId: "ADT1" });
+      expect(reply).toContain("200^Unsupported message type");
+    });
+
+    test("should reject unparseable messages", async () => {
+      const reply = await sendMessage("127.0.0.1", port, "garbage");
+
+      expect(parseAck(reply).code).toBe("AR");
+    });
+
+    test("should reject messages from other sending facilities", async () => {
+      const reply = await sendMessage(
+        "127.0.0.1",
+        port,
+        sampleOru({ controlId: "F1" }).replace("|WARD3|", "|ELSEWHERE|"),
+      );
+
+      expect(parseAck(reply)).toMatchObject({ code: "AR", controlId: "F1" });
+      expect(reply).toContain("ELSEWHERE not allowed");
+    });
+
+    test("should drop connections that never finish a frame", async () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const socket = net.createConnection({ host: "127.0.0.1", port });
+      socket.on("error", () => {});
+
+      socket.write(`\x0b${"x".repeat(2000)}`);
+      await new Promise((resolve) => socket.on("close", resolve));
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("exceeds"));
+      warn.mockRestore();
+    });
+
+    test("should refuse connections from other addresses", async () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const other = new MllpServer(null, { allowedSources: ["10.0.0.5"] });
+      const otherPort = await other.listen(0, "127.0.0.1");
+
+      await expect(
+        sendMessage("127.0.0.1", otherPort, sampleOru()),
+      ).rejects.toThrow();
+      await other.close();
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("refused"));
+      warn.mockRestore();
+    });
+
+    test("should not listen without an allowlist", async () => {
+      const open = new MllpServer(null, {
+        allowedSources: [],
+        allowedFacilities: [],
+      });
+
+      await expect(open.listen(0, "127.0.0.1")).rejects.toThrow(
+        "MLLP_ALLOWED_SOURCES or MLLP_ALLOWED_FACILITIES must be set",
+      );
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Integration Tests for Anomaly Acknowledgement
+ * Tests POST /api/anomalies/:anomalyId/acknowledge persistence,
+ * alert logging and the alert_acknowledged broadcast
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const { AlertLog, Anomaly, CareTeamAssignment } = require("../../src/models");
+const anomaliesRouter = require("../../src/routes/anomalies");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Records what the service would send over Socket.IO
+const emitted = [];
+const fakeIo = {
+  to: (rooms) => ({
+    emit: (event, payload) => emitted.push({ rooms, event, payload }),
+  }),
+};
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.locals.healthService = new HealthMonitoringService(fakeIo);
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/anomalies", anomaliesRouter);
+
+const nurse = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "nurse.jones",
+  role: "nurse",
+};
+
+describe("Anomaly Acknowledgement Integration Tests", () => {
+  let anomaly;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    emitted.length = 0;
+
+    currentUser = nurse;
+    await CareTeamAssignment.create({
+      userId: nurse._id,
+      patientId: PATIENTS[0].id,
+    });
+    anomaly = await Anomaly.create({
+      patientId: PATIENTS[0].id,
+      severity: "critical",
+      alerts: [{ type: "critical", category: "hypoxemia" }],
+      nextEscalationAt: new Date(Date.now() + 60000),
+    });
+  });
+
+  const acknowledge = (anomalyId) =>
+    request(app).post(`/api/anomalies/${anomalyId}/acknowledge`).send({});
+
+  describe("Normal Cases", () => {
+    test("should record the acknowledging user and log it", async () => {
+      const response = await acknowledge(anomaly._id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.acknowledged).toBe(true);
+      expect(response.body.acknowledgedBy).toBe("nurse.jones");
+      expect(response.body.nextEscalationAt).toBeUndefined();
+
+      const logs = await AlertLog.find({ anomalyId: anomaly._id });
+      expect(logs).toHaveLength(1);
+      expect(logs[0].actionTaken).toBe("acknowledged");
+      expect(logs[0].performedBy).toBe("nurse.jones");
+    });
+
+    test("should notify the care team and patient room", async () => {
+      await acknowledge(anomaly._id);
+
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].event).toBe("alert_acknowledged");
+      expect(emitted[0].rooms).toEqual(
+        expect.arrayContaining([
+          `user_${nurse._id}`,
+          `patient_${PATIENTS[0].id}`,
+        ]),
+      );
+      expect(emitted[0].payload.acknowledgedBy).toBe("nurse.jones");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should reject a second acknowledgement", async () => {
+      await acknowledge(anomaly._id);
+
+      const response = await acknowledge(anomaly._id);
+
+      expect(response.status).toBe(409);
+      expect(await AlertLog.countDocuments()).toBe(1);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should return 404 for unknown or malformed ids", async () => {
+      expect((await acknowledge(new mongoose.Types.ObjectId())).status).toBe(
+        404,
+      );
+      expect((await acknowledge("not-an-id")).status).toBe(404);
+    });
+
+    test("should forbid users outside the care team", async () => {
+      currentUser = {
+        _id: new mongoose.Types.ObjectId(),
+        username: "nurse.other",
+        role: "nurse",
+      };
+
+      const response = await acknowledge(anomaly._id);
+
+      expect(response.status).toBe(403);
+      expect((await Anomaly.findById(anomaly._id)).acknowledged).toBe(false);
+    });
+
+    test("should forbid family viewers", async () => {
+      currentUser = { ...nurse, role: "family" };
+
+      const response = await acknowledge(anomaly._id);
+
+      expect(response.status).toBe(403);
+      expect(emitted).toHaveLength(0);
+    });
+  });
+});
@@ -11,6 +11,7 @@ const {
   Patient,
   HealthRecord,
   Anomaly,
+  DashboardSummary,
 } = require("../../src/models");
 const alertsRouter = require("../../src/routes/alerts");
 const dashboardRouter = require("../../src/routes/dashboard");
@@ -19,6 +20,12 @@ const { NORMAL_VITALS, PATIENTS } = require("../fixtures/testDatasets");
 // Create express app for testing
 const app = express();
 app.use(express.json());
+
+// Stand-in for the authenticate middleware; admins see every patient
+app.use((req, res, next) => {
+  req.user = { username: "admin", role: "admin" };
+  next();
+});
 app.use("/api/alerts", alertsRouter);
 app.use("/api/dashboard", dashboardRouter);
 
@@ -42,6 +49,7 @@ describe("Alerts & Dashboard API Integration Tests", () => {
     await Patient.deleteMany({});
     await HealthRecord.deleteMany({});
     await Anomaly.deleteMany({});
+    await DashboardSummary.deleteMany({});
   });
 
   describe("GET /api/alerts/history", () => {
@@ -620,5 +628,80 @@ describe("Alerts & Dashboard API Integration Tests", () => {
         );
       });
     });
+
+    describe("Cached Snapshot", () => {
+      const criticalAnomaly = () => ({
+        patientId: PATIENTS[0].id,
+        severity: "critical",
+        acknowledged: false,
+        detectedAt: new Date(),
+        alerts: [],
+      });
+
+      afterEach(() => {
+        delete process.env.DASHBOARD_CACHE_TTL;
+      });
+
+      test("should store the summary as a snapshot", async () => {
+        await Anomaly.create(criticalAnomaly());
+
+        const response = await request(app).get("/api/dashboard/summary");
+        const snapshot = await DashboardSummary.findOne({
+          scope: "all",
+        }).lean();
+
+        expect(response.body.cached).toBe(false);
+        expect(snapshot.activeAlerts).toBe(1);
+        expect(snapshot.lastUpdate.toISOString()).toBe(response.body.timestamp);
+      });
+
+      test("should serve the snapshot while it is fresh", async () => {
+        const first = await request(app).get("/api/dashboard/summary");
+        await Anomaly.create(criticalAnomaly());
+
+        const second = await request(app).get("/api/dashboard/summary");
+
+        expect(second.body.cached).toBe(true);
+        expect(second.body.timestamp).toBe(first.body.timestamp);
+        expect(second.body.summary.activeAnomalies).toBe(0);
+      });
+
+      test("should recompute on refresh or once the snapshot expires", async () => {
+        await request(app).get("/api/dashboard/summary");
+        await Anomaly.create(criticalAnomaly());
+
+        const refreshed = await request(app)
+          .get("/api/dashboard/summary")
+          .query({ refresh: "true" });
+        await Anomaly.create(criticalAnomaly());
+        process.env.DASHBOARD_CACHE_TTL = "1";
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        const expired = await request(app).get("/api/dashboard/summary");
+
+        expect(refreshed.body.cached).toBe(false);
+        expect(refreshed.body.summary.criticalCount).toBe(1);
+        expect(expired.body.cached).toBe(false);
+        expect(expired.body.summary.criticalCount).toBe(2);
+        expect(await DashboardSummary.countDocuments()).toBe(1);
+      });
+
+      test("should leave the raw device response out of latest vitals", async () => {
+        await Patient.create({
+          ...PATIENTS[0],
+          patientId: PATIENTS[0].id,
+        });
+        await HealthRecord.create({
+          ...NORMAL_VITALS.elderly_normal,
+          patientId: PATIENTS[0].id,
+          httpbinResponse: { url: "https://httpbin.org/anything" },
+          recordedAt: new Date(),
+        });
+
+        const response = await request(app).get("/api/dashboard/summary");
+
+        expect(response.body.latestVitals[0].heartRate).toBe(68);
+        expect(response.body.latestVitals[0].httpbinResponse).toBeUndefined();
+      });
+    });
   });
 });
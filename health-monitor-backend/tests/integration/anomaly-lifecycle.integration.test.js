@@ -0,0 +1,193 @@
+/**
+ * Integration Tests for the Anomaly Lifecycle
+ * Tests assign, resolve and dismiss transitions, the transition history
+ * and the status filter on GET /api/anomalies/patient/:patientId
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  CareTeamAssignment,
+  User,
+} = require("../../src/models");
+const anomaliesRouter = require("../../src/routes/anomalies");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/anomalies", anomaliesRouter);
+
+const patientId = PATIENTS[0].id;
+
+describe("Anomaly Lifecycle Integration Tests", () => {
+  let anomaly;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await User.deleteMany({});
+
+    for (const [username, role] of [
+      ["nurse.jones", "nurse"],
+      ["dr.smith", "physician"],
+      ["daughter", "family"],
+    ]) {
+      const user = await User.create({
+        username,
+        name: username,
+        role,
+        passwordHash: "unused",
+      });
+      await CareTeamAssignment.create({ userId: user._id, patientId });
+    }
+    currentUser = (await User.findOne({ username: "nurse.jones" })).toObject();
+
+    anomaly = await Anomaly.create({
+      patientId,
+      severity: "critical",
+      alerts: [{ type: "critical", category: "hypoxemia" }],
+    });
+  });
+
+  const post = (action, body = {}) =>
+    request(app).post(`/api/anomalies/${anomaly._id}/${action}`).send(body);
+
+  describe("Normal Cases", () => {
+    test("should walk through acknowledge, assign and resolve", async () => {
+      await post("acknowledge");
+      const assigned = await post("assign", { assignee: "dr.smith" });
+
+      expect(assigned.status).toBe(200);
+      expect(assigned.body.status).toBe("in_progress");
+      expect(assigned.body.assignedTo).toBe("dr.smith");
+
+      const resolved = await post("resolve", {
+        resolutionNote: "SpO2 back to 95% after repositioning",
+        clinicalAction: "Oxygen started at 2L",
+      });
+
+      expect(resolved.status).toBe(200);
+      expect(resolved.body.status).toBe("resolved");
+      expect(resolved.body.resolvedBy).toBe("nurse.jones");
+      expect(resolved.body.clinicalAction).toBe("Oxygen started at 2L");
+
+      const { body } = await request(app).get(`/api/anomalies/${anomaly._id}`);
+      expect(body.statusHistory.map((h) => [h.from, h.to])).toEqual([
+        ["open", "acknowledged"],
+        ["acknowledged", "in_progress"],
+        ["in_progress", "resolved"],
+      ]);
+
+      const logs = await AlertLog.find({ anomalyId: anomaly._id }).sort({
+        _id: 1,
+      });
+      expect(logs.map((l) => l.actionTaken)).toEqual([
+        "acknowledged",
+        "assigned",
+        "resolved",
+      ]);
+    });
+
+    test("should dismiss an open anomaly as a false positive", async () => {
+      const response = await post("dismiss", {
+        resolutionNote: "Sensor displaced during wash",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe("dismissed");
+      expect(response.body.acknowledged).toBe(true);
+      expect(response.body.acknowledgedBy).toBe("nurse.jones");
+    });
+
+    test("should filter patient anomalies by status", async () => {
+      await Anomaly.create({
+        patientId,
+        severity: "warning",
+        status: "resolved",
+        acknowledged: true,
+      });
+
+      const response = await request(app).get(
+        `/api/anomalies/patient/${patientId}?status=open,in_progress`,
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].status).toBe("open");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should assign to the caller when no assignee is given", async () => {
+      const response = await post("assign");
+
+      expect(response.body.assignedTo).toBe("nurse.jones");
+    });
+
+    test("should allow reassignment while in progress", async () => {
+      await post("assign");
+      const response = await post("assign", { assignee: "dr.smith" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.assignedTo).toBe("dr.smith");
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should not reopen a closed anomaly", async () => {
+      await post("dismiss", { resolutionNote: "Artefact" });
+
+      const response = await post("assign");
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should require a note and clinical action to resolve", async () => {
+      const response = await post("resolve", { resolutionNote: "Better" });
+
+      expect(response.status).toBe(400);
+      expect((await Anomaly.findById(anomaly._id)).status).toBe("open");
+    });
+
+    test("should reject family members as assignees", async () => {
+      const response = await post("assign", { assignee: "daughter" });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should reject an unknown status filter", async () => {
+      const response = await request(app).get(
+        `/api/anomalies/patient/${patientId}?status=closed`,
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Integration Tests for Authentication and Role Checks
+ * Tests login, token-protected routes and admin-only user management
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const { Patient, User } = require("../../src/models");
+const apiRouter = require("../../src/routes/api");
+const { hashPassword } = require("../../src/services/authService");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.use("/api", apiRouter);
+
+const PASSWORD = "correct-horse-battery";
+
+async function createUser(username, role) {
+  return User.create({
+    username,
+    name: username,
+    role,
+    passwordHash: await hashPassword(PASSWORD),
+  });
+}
+
+async function login(username, password = PASSWORD) {
+  return request(app).post("/api/auth/login").send({ username, password });
+}
+
+describe("Auth API Integration Tests", () => {
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Patient.deleteMany({});
+
+    await createUser("admin", "admin");
+    await createUser("nurse.jones", "nurse");
+  });
+
+  describe("Normal Cases", () => {
+    test("should issue a token that authenticates later requests", async () => {
+      const loginResponse = await login("nurse.jones");
+
+      expect(loginResponse.status).toBe(200);
+      expect(loginResponse.body.token).toBeDefined();
+      expect(loginResponse.body.user.role).toBe("nurse");
+
+      const response = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${loginResponse.body.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.username).toBe("nurse.jones");
+    });
+
+    test("should let admins create users", async () => {
+      const { body } = await login("admin");
+
+      const response = await request(app)
+        .post("/api/users")
+        .set("Authorization", `Bearer ${body.token}`)
+        .send({
+          username: "Dr.Smith",
+          name: "Dr. Smith",
+          role: "physician",
+          password: PASSWORD,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.username).toBe("dr.smith");
+      expect(response.body.passwordHash).toBeUndefined();
+      expect((await login("dr.smith")).status).toBe(200);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should reject tokens of deactivated users", async () => {
+      const { body } = await login("nurse.jones");
+      await User.updateOne({ username: "nurse.jones" }, { isActive: false });
+
+      const response = await request(app)
+        .get("/api/patients")
+        .set("Authorization", `Bearer ${body.token}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test("should keep the health check public", async () => {
+      const response = await request(app).get("/api/health");
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject a wrong password", async () => {
+      const response = await login("nurse.jones", "wrong-password");
+
+      expect(response.status).toBe(401);
+      expect(response.body.token).toBeUndefined();
+    });
+
+    test("should reject passwords that are not strings", async () => {
+      const { body } = await login("admin");
+      const nurse = await User.findOne({ username: "nurse.jones" });
+
+      const created = await request(app)
+        .post("/api/users")
+        .set("Authorization", `Bearer ${body.token}`)
+        .send({ username: "dr.who", role: "physician", password: 123456789 });
+      const updated = await request(app)
+        .put(`/api/users/${nurse._id}`)
+        .set("Authorization", `Bearer ${body.token}`)
+        .send({ password: ["long-enough-password"] });
+      const loggedIn = await login("nurse.jones", 123456789);
+
+      expect(created.status).toBe(400);
+      expect(created.body.error).toContain("string");
+      expect(updated.status).toBe(400);
+      expect(loggedIn.status).toBe(401);
+    });
+
+    test("should require a token for API routes", async () => {
+      const response = await request(app).get("/api/patients");
+
+      expect(response.status).toBe(401);
+    });
+
+    test("should reject malformed tokens", async () => {
+      const response = await request(app)
+        .get("/api/patients")
+        .set("Authorization", "Bearer not-a-token");
+
+      expect(response.status).toBe(401);
+    });
+
+    test("should forbid non-admins from managing users", async () => {
+      const { body } = await login("nurse.jones");
+
+      const response = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${body.token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Integration Tests for Care Team Assignments
+ * Tests assignment management and per-user filtering of patients,
+ * active anomalies, alert history and the dashboard summary, and that
+ * removed users leave the patient's live event room
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  CareTeamAssignment,
+  Patient,
+  User,
+} = require("../../src/models");
+const apiRouter = require("../../src/routes/api");
+const { hashPassword } = require("../../src/services/authService");
+const { userRoom } = require("../../src/services/careTeam");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.use("/api", apiRouter);
+
+// Minimal Socket.io server: connected sockets, their rooms and the events
+// emitted to those rooms
+let sockets = [];
+const inRoom = (room) => sockets.filter((s) => s.rooms.has(room));
+const io = {
+  in: (room) => ({ fetchSockets: async () => inRoom(room) }),
+  to: (room) => ({
+    emit: (event) => inRoom(room).forEach((s) => s.received.push(event)),
+  }),
+};
+app.locals.healthService = new HealthMonitoringService(io);
+
+function connectSocket(rooms) {
+  const socket = {
+    data: {},
+    rooms: new Set(rooms),
+    received: [],
+    leave: (room) => socket.rooms.delete(room),
+  };
+  sockets.push(socket);
+  return socket;
+}
+
+const PASSWORD = "correct-horse-battery";
+const [assigned, unassigned] = PATIENTS;
+
+async function createUser(username, role) {
+  return User.create({
+    username,
+    name: username,
+    role,
+    passwordHash: await hashPassword(PASSWORD),
+  });
+}
+
+async function tokenFor(username) {
+  const response = await request(app)
+    .post("/api/auth/login")
+    .send({ username, password: PASSWORD });
+  return `Bearer ${response.body.token}`;
+}
+
+describe("Care Team API Integration Tests", () => {
+  let adminToken;
+  let nurseToken;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Patient.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await Anomaly.deleteMany({});
+    await AlertLog.deleteMany({});
+    sockets = [];
+
+    for (const { id, ...profile } of [assigned, unassigned]) {
+      await Patient.create({ ...profile, patientId: id });
+    }
+    await createUser("admin", "admin");
+    await createUser("nurse.jones", "nurse");
+    adminToken = await tokenFor("admin");
+    nurseToken = await tokenFor("nurse.jones");
+  });
+
+  async function assign(patientId, username) {
+    return request(app)
+      .post(`/api/patients/${patientId}/care-team`)
+      .set("Authorization", adminToken)
+      .send({ username });
+  }
+
+  describe("Normal Cases", () => {
+    test("should assign a user and list the care team", async () => {
+      const response = await assign(assigned.id, "nurse.jones");
+      expect(response.status).toBe(201);
+
+      const team = await request(app)
+        .get(`/api/patients/${assigned.id}/care-team`)
+        .set("Authorization", nurseToken);
+
+      expect(team.status).toBe(200);
+      expect(team.body).toHaveLength(1);
+      expect(team.body[0].username).toBe("nurse.jones");
+      expect(team.body[0].assignedBy).toBe("admin");
+    });
+
+    test("should only list assigned patients and their data", async () => {
+      await assign(assigned.id, "nurse.jones");
+      await Anomaly.insertMany(
+        [assigned, unassigned].map((p) => ({
+          patientId: p.id,
+          severity: "critical",
+          acknowledged: false,
+          alerts: [{ type: "critical", category: "hypoxemia" }],
+        })),
+      );
+      await AlertLog.insertMany(
+        [assigned, unassigned].map((p) => ({
+          patientId: p.id,
+          alertType: "hypoxemia",
+          severity: "critical",
+        })),
+      );
+
+      const patients = await request(app)
+        .get("/api/patients")
+        .set("Authorization", nurseToken);
+      expect(patients.body.map((p) => p.patientId)).toEqual([assigned.id]);
+
+      const active = await request(app)
+        .get("/api/anomalies/active")
+        .set("Authorization", nurseToken);
+      expect(active.body.map((a) => a.patientId)).toEqual([assigned.id]);
+
+      const history = await request(app)
+        .get("/api/alerts/history")
+        .set("Authorization", nurseToken);
+      expect(history.body.map((a) => a.patientId)).toEqual([assigned.id]);
+
+      const dashboard = await request(app)
+        .get("/api/dashboard/summary")
+        .set("Authorization", nurseToken);
+      expect(dashboard.body.summary.totalPatients).toBe(1);
+      expect(dashboard.body.summary.activeAnomalies).toBe(1);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should show admins every patient without assignments", async () => {
+      const response = await request(app)
+        .get("/api/patients")
+        .set("Authorization", adminToken);
+
+      expect(response.body).toHaveLength(2);
+    });
+
+    test("should return nothing for an unassigned user", async () => {
+      const response = await request(app)
+        .get("/api/patients")
+        .set("Authorization", nurseToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([]);
+    });
+
+    test("should not return alerts for an unassigned patientId filter", async () => {
+      await assign(assigned.id, "nurse.jones");
+      await AlertLog.create({ patientId: unassigned.id, alertType: "fever" });
+
+      const response = await request(app)
+        .get(`/api/alerts/history?patientId=${unassigned.id}`)
+        .set("Authorization", nurseToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([]);
+    });
+
+    test("should revoke access when an assignment is removed", async () => {
+      await assign(assigned.id, "nurse.jones");
+
+      const removed = await request(app)
+        .delete(`/api/patients/${assigned.id}/care-team/nurse.jones`)
+        .set("Authorization", adminToken);
+      expect(removed.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/patients/${assigned.id}`)
+        .set("Authorization", nurseToken);
+      expect(response.status).toBe(403);
+    });
+
+    test("should stop live patient events for a removed user", async () => {
+      await assign(assigned.id, "nurse.jones");
+      const nurse = await User.findOne({ username: "nurse.jones" });
+      const room = `patient_${assigned.id}`;
+      const socket = connectSocket([userRoom(nurse._id), room]);
+
+      await request(app)
+        .delete(`/api/patients/${assigned.id}/care-team/nurse.jones`)
+        .set("Authorization", adminToken);
+      io.to(room).emit("critical_alert");
+
+      expect(socket.rooms.has(room)).toBe(false);
+      expect(socket.received).toEqual([]);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should forbid access to an unassigned patient", async () => {
+      await assign(assigned.id, "nurse.jones");
+
+      const response = await request(app)
+        .get(`/api/vitals/${unassigned.id}/latest`)
+        .set("Authorization", nurseToken);
+
+      expect(response.status).toBe(403);
+    });
+
+    test("should only let admins change the care team", async () => {
+      const response = await request(app)
+        .post(`/api/patients/${assigned.id}/care-team`)
+        .set("Authorization", nurseToken)
+        .send({ username: "nurse.jones" });
+
+      expect(response.status).toBe(403);
+      expect(await CareTeamAssignment.countDocuments()).toBe(0);
+    });
+
+    test("should reject duplicate assignments", async () => {
+      await assign(assigned.id, "nurse.jones");
+
+      const response = await assign(assigned.id, "nurse.jones");
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should return 404 for unknown users", async () => {
+      const response = await assign(assigned.id, "nobody");
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Integration Tests for Detection Profiles
+ * Tests reading, overriding and clearing the default and per-patient limits,
+ * and that patient profiles are limited to the patient's care team
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  CareTeamAssignment,
+  DetectionProfile,
+  Patient,
+} = require("../../src/models");
+const detectionProfilesRouter = require("../../src/routes/detectionProfiles");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/detection-profiles", detectionProfilesRouter);
+
+const [assigned, unassigned] = PATIENTS;
+const physician = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "dr.smith",
+  role: "physician",
+};
+const family = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "daughter",
+  role: "family",
+};
+
+describe("Detection Profile Integration Tests", () => {
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await CareTeamAssignment.deleteMany({});
+    await DetectionProfile.deleteMany({});
+    await Patient.deleteMany({});
+
+    currentUser = physician;
+    for (const { id, ...profile } of [assigned, unassigned]) {
+      await Patient.create({ ...profile, patientId: id });
+    }
+    await CareTeamAssignment.create({
+      userId: physician._id,
+      patientId: assigned.id,
+    });
+  });
+
+  describe("Normal Cases", () => {
+    test("should override and clear limits for an assigned patient", async () => {
+      const put = await request(app)
+        .put(`/api/detection-profiles/patients/${assigned.id}`)
+        .send({ feverAbove: 38.5 });
+      const cleared = await request(app).delete(
+        `/api/detection-profiles/patients/${assigned.id}`,
+      );
+
+      expect(put.status).toBe(200);
+      expect(put.body.overrides.feverAbove).toBe(38.5);
+      expect(put.body.updatedBy).toBe("dr.smith");
+      expect(cleared.status).toBe(200);
+      expect(cleared.body.overrides.feverAbove).toBeUndefined();
+    });
+
+    test("should let any user read the default scope", async () => {
+      currentUser = family;
+
+      const response = await request(app).get(
+        "/api/detection-profiles/default",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.scope).toBe("default");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should apply the default profile under a patient's overrides", async () => {
+      await request(app)
+        .put("/api/detection-profiles/default")
+        .send({ feverAbove: 37.5, fallRiskAbove: 60 });
+      await request(app)
+        .put(`/api/detection-profiles/patients/${assigned.id}`)
+        .send({ fallRiskAbove: 80 });
+
+      const response = await request(app).get(
+        `/api/detection-profiles/patients/${assigned.id}`,
+      );
+
+      expect(response.body.overrides).toEqual({ fallRiskAbove: 80 });
+      expect(response.body.effective).toMatchObject({
+        feverAbove: 37.5,
+        fallRiskAbove: 80,
+      });
+    });
+
+    test("should let admins manage any patient's limits", async () => {
+      currentUser = { username: "admin", role: "admin" };
+
+      const response = await request(app)
+        .put(`/api/detection-profiles/patients/${unassigned.id}`)
+        .send({ zScoreLimit: 3.5 });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should hide limits of unassigned patients", async () => {
+      currentUser = family;
+
+      const response = await request(app).get(
+        `/api/detection-profiles/patients/${assigned.id}`,
+      );
+
+      expect(response.status).toBe(403);
+    });
+
+    test("should not let physicians change unassigned patients", async () => {
+      await DetectionProfile.create({
+        scope: unassigned.id,
+        feverAbove: 38.5,
+      });
+
+      const put = await request(app)
+        .put(`/api/detection-profiles/patients/${unassigned.id}`)
+        .send({ feverAbove: 39 });
+      const removed = await request(app).delete(
+        `/api/detection-profiles/patients/${unassigned.id}`,
+      );
+
+      expect(put.status).toBe(403);
+      expect(removed.status).toBe(403);
+      expect(await DetectionProfile.countDocuments()).toBe(1);
+    });
+
+    test("should return 404 when deleting an unknown patient's limits", async () => {
+      currentUser = { username: "admin", role: "admin" };
+
+      const response = await request(app).delete(
+        "/api/detection-profiles/patients/P999",
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
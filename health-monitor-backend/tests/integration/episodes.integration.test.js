@@ -0,0 +1,175 @@
+/**
+ * Integration Tests for Alert Episodes
+ * Tests grouping of repeated detections into one anomaly episode and
+ * when the care team is alerted again
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const mongoose = require("mongoose");
+const { AlertLog, Anomaly } = require("../../src/models");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Records what the service would send over Socket.IO
+const emitted = [];
+const fakeIo = {
+  to: (rooms) => ({
+    emit: (event, payload) => emitted.push({ rooms, event, payload }),
+  }),
+};
+
+const patientId = PATIENTS[0].id;
+const start = new Date(Date.now() - 60 * 60000);
+const minutesLater = (m) => new Date(start.getTime() + m * 60000);
+
+const detection = (severity, ...categories) => ({
+  isAnomaly: true,
+  severity,
+  alerts: categories.map((category) => ({
+    type: severity,
+    category,
+    message: `${category} detected`,
+  })),
+  normalizedScore: severity === "critical" ? 0.9 : 0.5,
+});
+
+describe("Alert Episode Integration Tests", () => {
+  let service;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    emitted.length = 0;
+
+    service = new HealthMonitoringService(fakeIo);
+    service.realertInterval = 30 * 60000;
+  });
+
+  const detect = (minutes, result) =>
+    service.handleAnomaly(patientId, null, result, {
+      detectedAt: minutesLater(minutes),
+    });
+  const alerts = () => emitted.filter((e) => e.event === "anomaly_alert");
+
+  describe("Normal Cases", () => {
+    test("should group repeated detections into one episode", async () => {
+      await detect(0, detection("warning", "tachycardia"));
+      await detect(5, detection("warning", "tachycardia"));
+      await detect(10, detection("warning", "tachycardia"));
+
+      const episodes = await Anomaly.find({ patientId });
+      expect(episodes).toHaveLength(1);
+      expect(episodes[0].occurrences).toBe(3);
+      expect(episodes[0].detectedAt).toEqual(minutesLater(0));
+      expect(episodes[0].lastSeenAt).toEqual(minutesLater(10));
+      expect(episodes[0].endedAt).toBeNull();
+
+      expect(alerts()).toHaveLength(1);
+      expect(await AlertLog.countDocuments()).toBe(1);
+    });
+
+    test("should alert again when severity goes up", async () => {
+      await detect(0, detection("warning", "tachycardia"));
+      await detect(5, detection("critical", "tachycardia"));
+
+      const episode = await Anomaly.findOne({ patientId });
+      expect(episode.severity).toBe("critical");
+      expect(alerts()).toHaveLength(2);
+
+      const logs = await AlertLog.find({}).sort({ _id: 1 });
+      expect(logs.map((l) => l.actionTaken)).toEqual([
+        "alert_triggered",
+        "severity_increased",
+      ]);
+    });
+
+    test("should alert again after the re-alert interval", async () => {
+      for (let minutes = 0; minutes <= 35; minutes += 5) {
+        await detect(minutes, detection("warning", "tachycardia"));
+      }
+
+      expect(alerts()).toHaveLength(2);
+      expect(alerts()[1].payload.occurrences).toBe(7);
+      const episode = await Anomaly.findOne({ patientId });
+      expect(episode.lastNotifiedAt).toEqual(minutesLater(30));
+    });
+
+    test("should end the episode when a reading no longer shows it", async () => {
+      await detect(0, detection("warning", "tachycardia"));
+      await service.endEpisodes(patientId, [], minutesLater(5));
+      await detect(10, detection("warning", "tachycardia"));
+
+      const episodes = await Anomaly.find({ patientId }).sort({
+        detectedAt: 1,
+      });
+      expect(episodes).toHaveLength(2);
+      expect(episodes[0].endedAt).toEqual(minutesLater(5));
+      expect(episodes[1].endedAt).toBeNull();
+      expect(alerts()).toHaveLength(2);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should keep episodes for other categories separate", async () => {
+      await detect(0, detection("warning", "tachycardia"));
+      await detect(5, detection("warning", "fever"));
+
+      expect(await Anomaly.countDocuments({ patientId })).toBe(2);
+      // The tachycardia episode is still ongoing until a reading clears it
+      expect(await Anomaly.countDocuments({ endedAt: null })).toBe(2);
+    });
+
+    test("should only end episodes whose categories cleared", async () => {
+      await detect(0, detection("warning", "tachycardia"));
+      await detect(0, detection("warning", "fever"));
+
+      await service.endEpisodes(
+        patientId,
+        detection("warning", "fever").alerts,
+        minutesLater(5),
+      );
+
+      const ongoing = await Anomaly.find({ endedAt: null });
+      expect(ongoing.map((a) => a.categories)).toEqual([["fever"]]);
+    });
+
+    test("should start a new episode after staff closed the last one", async () => {
+      const first = await detect(0, detection("warning", "tachycardia"));
+      await Anomaly.updateOne({ _id: first._id }, { status: "dismissed" });
+
+      await detect(5, detection("warning", "tachycardia"));
+
+      expect(await Anomaly.countDocuments({ patientId })).toBe(2);
+      expect((await Anomaly.findById(first._id)).endedAt).toEqual(
+        minutesLater(5),
+      );
+    });
+
+    test("should not group late anomalies", async () => {
+      await service.handleAnomaly(
+        patientId,
+        null,
+        detection("warning", "tachycardia"),
+        { late: true, detectedAt: minutesLater(0) },
+      );
+      await detect(5, detection("warning", "tachycardia"));
+
+      expect(await Anomaly.countDocuments({ patientId })).toBe(2);
+      expect(alerts()).toHaveLength(1);
+    });
+  });
+});
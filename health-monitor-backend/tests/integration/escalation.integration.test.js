@@ -0,0 +1,216 @@
+/**
+ * Integration Tests for Alert Escalation
+ * Tests escalation of unacknowledged anomalies and the policy API
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  CareTeamAssignment,
+  EscalationPolicy,
+  Patient,
+  User,
+} = require("../../src/models");
+const escalationPoliciesRouter = require("../../src/routes/escalationPolicies");
+const EscalationService = require("../../src/services/escalationService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { username: "admin", role: "admin" };
+  next();
+});
+app.use("/api/escalation-policies", escalationPoliciesRouter);
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60000);
+
+const criticalPolicy = {
+  severity: "critical",
+  levels: [
+    { afterMinutes: 5, notifyCareTeam: true },
+    { afterMinutes: 15, roles: ["physician"] },
+  ],
+};
+
+describe("Escalation Integration Tests", () => {
+  let service;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await EscalationPolicy.deleteMany({});
+    await Patient.deleteMany({});
+    await User.deleteMany({});
+
+    await Patient.create({ ...PATIENTS[0], patientId: PATIENTS[0].id });
+    await EscalationPolicy.create(criticalPolicy);
+    service = new EscalationService(null);
+  });
+
+  async function createCritical(detectedAt, fields = {}) {
+    const anomaly = new Anomaly({
+      patientId: PATIENTS[0].id,
+      severity: "critical",
+      alerts: [{ type: "critical", category: "hypoxemia" }],
+      detectedAt,
+      ...fields,
+    });
+    anomaly.nextEscalationAt = await service.firstEscalationAt(anomaly);
+    return anomaly.save();
+  }
+
+  describe("Escalation", () => {
+    describe("Normal Cases", () => {
+      test("should escalate to level 2 and log the step", async () => {
+        const anomaly = await createCritical(minutesAgo(6));
+
+        expect(await service.checkEscalations()).toBe(1);
+
+        const updated = await Anomaly.findById(anomaly._id);
+        expect(updated.escalationLevel).toBe(2);
+        expect(updated.nextEscalationAt.getTime()).toBe(
+          anomaly.detectedAt.getTime() + 15 * 60000,
+        );
+
+        const logs = await AlertLog.find({ patientId: PATIENTS[0].id });
+        expect(logs.map((l) => l.actionTaken)).toEqual(["escalated_level_2"]);
+      });
+
+      test("should resume from the stored level after a restart", async () => {
+        await createCritical(minutesAgo(20));
+        await service.checkEscalations();
+
+        // New instance, as after a server restart
+        await new EscalationService(null).checkEscalations();
+
+        const logs = await AlertLog.find({}).sort({ _id: 1 });
+        expect(logs.map((l) => l.actionTaken)).toEqual([
+          "escalated_level_2",
+          "escalated_level_3",
+        ]);
+        const anomaly = await Anomaly.findOne({});
+        expect(anomaly.nextEscalationAt).toBeFalsy();
+      });
+    });
+
+    describe("Edge Cases", () => {
+      test("should not escalate before the first step is due", async () => {
+        await createCritical(minutesAgo(1));
+
+        expect(await service.checkEscalations()).toBe(0);
+        expect(await AlertLog.countDocuments()).toBe(0);
+      });
+
+      test("should not escalate acknowledged anomalies", async () => {
+        await createCritical(minutesAgo(10), { acknowledged: true });
+
+        await service.checkEscalations();
+
+        expect(await AlertLog.countDocuments()).toBe(0);
+      });
+
+      test("should only escalate to physicians on the care team", async () => {
+        const [onTeam, offTeam] = await User.create([
+          {
+            username: "dr.smith",
+            name: "Dr. Smith",
+            role: "physician",
+            passwordHash: "unused",
+          },
+          {
+            username: "dr.jones",
+            name: "Dr. Jones",
+            role: "physician",
+            passwordHash: "unused",
+          },
+        ]);
+        await CareTeamAssignment.create({
+          userId: onTeam._id,
+          patientId: PATIENTS[0].id,
+        });
+        const step = { afterMinutes: 15, roles: ["physician"] };
+
+        const rooms = await service.roomsForStep(PATIENTS[0].id, step);
+        const users = await service.usersForStep(PATIENTS[0].id, step);
+
+        expect(rooms).toEqual([`user_${onTeam._id}`]);
+        expect(rooms).not.toContain(`user_${offTeam._id}`);
+        expect(rooms).not.toContain("role_physician");
+        expect(users.map((u) => u.username)).toEqual(["dr.smith"]);
+      });
+
+      test("should not schedule anomalies without a matching policy", async () => {
+        const anomaly = await createCritical(minutesAgo(10), {
+          severity: "warning",
+        });
+
+        expect(anomaly.nextEscalationAt).toBeFalsy();
+      });
+    });
+  });
+
+  describe("Escalation Policy API", () => {
+    test("should create a category-specific policy", async () => {
+      const response = await request(app)
+        .post("/api/escalation-policies")
+        .send({ ...criticalPolicy, category: "hypoxemia" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.category).toBe("hypoxemia");
+      expect(response.body.updatedBy).toBe("admin");
+    });
+
+    test("should reject a second policy for the same scope", async () => {
+      const response = await request(app)
+        .post("/api/escalation-policies")
+        .send(criticalPolicy);
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should reject levels that are not in increasing order", async () => {
+      const response = await request(app)
+        .post("/api/escalation-policies")
+        .send({
+          severity: "warning",
+          levels: [
+            { afterMinutes: 15, notifyCareTeam: true },
+            { afterMinutes: 5, notifyCareTeam: true },
+          ],
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should return 404 when updating an unknown policy", async () => {
+      const response = await request(app)
+        .put(`/api/escalation-policies/${new mongoose.Types.ObjectId()}`)
+        .send({ isActive: false });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Integration Tests for CSV Exports
+ * Tests vitals, anomaly and alert log downloads: date ranges, column
+ * selection, timezones, the Excel variant and access control
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  CareTeamAssignment,
+  HealthRecord,
+  Patient,
+} = require("../../src/models");
+const exportsRouter = require("../../src/routes/exports");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/patients/:patientId/export", exportsRouter);
+
+const patientId = PATIENTS[0].id;
+const otherPatientId = PATIENTS[1].id;
+
+describe("CSV Export Integration Tests", () => {
+  const start = new Date("2026-03-01T00:00:00Z");
+  const range = {
+    from: start.toISOString(),
+    to: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+  };
+
+  const exportCsv = (dataset, query = {}, id = patientId) =>
+    request(app)
+      .get(`/api/patients/${id}/export/${dataset}`)
+      .query({ ...range, ...query });
+
+  const lines = (response) => response.text.split("\r\n").filter(Boolean);
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+
+    currentUser = { username: "admin", role: "admin" };
+    await Patient.create({ ...PATIENTS[0], patientId });
+    await Patient.create({ ...PATIENTS[1], patientId: otherPatientId });
+
+    // 5-minute readings for one hour, plus one outside the range
+    const records = Array.from({ length: 13 }, (_, i) => ({
+      patientId,
+      heartRate: 70 + i,
+      bloodPressure: "120/80",
+      systolic: 120,
+      diastolic: 80,
+      spo2: 97,
+      bodyTemperature: 36.8,
+      sensorId: "SENSOR-01",
+      recordedAt: new Date(start.getTime() + i * 5 * 60 * 1000),
+    }));
+    records.push({
+      ...records[0],
+      heartRate: 200,
+      recordedAt: new Date(start.getTime() - 60 * 1000),
+    });
+    await HealthRecord.insertMany(records);
+  });
+
+  describe("Normal Cases", () => {
+    test("should stream vitals in the range as CSV, oldest first", async () => {
+      const response = await exportCsv("vitals");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+      expect(response.headers["content-disposition"]).toBe(
+        `attachment; filename="${patientId}-vitals-2026-03-01-2026-03-01.csv"`,
+      );
+      const [header, first, ...rest] = lines(response);
+      expect(header).toBe(
+        "recordedAt,heartRate,bloodPressure,systolic,diastolic,spo2," +
+          "bodyTemperature,motionLevel,fallRiskScore,sensorId",
+      );
+      expect(first).toBe(
+        "2026-03-01 00:00:00,70,120/80,120,80,97,36.8,,,SENSOR-01",
+      );
+      expect(rest).toHaveLength(12);
+    });
+
+    test("should export only the selected columns in a timezone", async () => {
+      const response = await exportCsv("vitals", {
+        columns: "heartRate,recordedAt",
+        timezone: "America/New_York",
+      });
+
+      expect(lines(response).slice(0, 2)).toEqual([
+        "heartRate,recordedAt",
+        "70,2026-02-28 19:00:00",
+      ]);
+    });
+
+    test("should export anomalies and the alert log", async () => {
+      const anomaly = await Anomaly.create({
+        patientId,
+        severity: "critical",
+        alerts: [
+          { type: "critical", category: "hypoxemia", message: "SpO2 88%" },
+          { type: "warning", category: "tachycardia", message: "HR 125" },
+        ],
+        categories: ["hypoxemia", "tachycardia"],
+        detectedAt: new Date(start.getTime() + 10 * 60 * 1000),
+      });
+      await AlertLog.create({
+        patientId,
+        alertType: "critical",
+        severity: "critical",
+        message: "Critical, call the \"rapid response\" team",
+        actionTaken: "acknowledged",
+        performedBy: "nurse1",
+        anomalyId: anomaly._id,
+        timestamp: new Date(start.getTime() + 15 * 60 * 1000),
+      });
+
+      const anomalies = await exportCsv("anomalies", {
+        columns: "anomalyId,severity,categories,alerts",
+      });
+      const alerts = await exportCsv("alerts", {
+        columns: "timestamp,message,performedBy",
+      });
+
+      expect(lines(anomalies)[1]).toBe(
+        `${anomaly._id},critical,hypoxemia; tachycardia,SpO2 88%; HR 125`,
+      );
+      expect(lines(alerts)[1]).toBe(
+        "2026-03-01 00:15:00," +
+          "\"Critical, call the \"\"rapid response\"\" team\",nurse1",
+      );
+    });
+
+    test("should add a byte order mark for Excel", async () => {
+      const response = await exportCsv("vitals", { format: "excel" });
+
+      expect(response.text.startsWith("\ufeffrecordedAt,")).toBe(true);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should return only the header when nothing is in range", async () => {
+      const response = await exportCsv("anomalies", { columns: "severity" });
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe("severity\r\n");
+    });
+
+    test("should default to the last 24 hours", async () => {
+      await HealthRecord.create({
+        patientId,
+        heartRate: 88,
+        recordedAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/export/vitals`)
+        .query({ columns: "heartRate" });
+
+      expect(response.text).toBe("heartRate\r\n88\r\n");
+    });
+
+    test("should not include other patients' records", async () => {
+      const response = await exportCsv("vitals", {}, otherPatientId);
+
+      expect(lines(response)).toHaveLength(1);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject unknown datasets", async () => {
+      const response = await exportCsv("passwords");
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should reject unknown columns and list the available ones", async () => {
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/export/vitals`)
+        .query({ columns: "heartRate,ssn" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Unknown columns: ssn");
+      expect(response.body.columns).toContain("heartRate");
+    });
+
+    test("should reject invalid dates, timezones and formats", async () => {
+      const url = `/api/patients/${patientId}/export/vitals`;
+
+      expect((await request(app).get(url).query({ from: "soon" })).status).toBe(
+        400,
+      );
+      expect(
+        (await request(app).get(url).query({ timezone: "Mars/Olympus" }))
+          .status,
+      ).toBe(400);
+      expect(
+        (await request(app).get(url).query({ format: "pdf" })).status,
+      ).toBe(400);
+    });
+
+    test("should return 404 for unknown patients", async () => {
+      const response = await request(app).get(
+        "/api/patients/P999/export/vitals",
+      );
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should refuse family members and unassigned staff", async () => {
+      currentUser = {
+        _id: new mongoose.Types.ObjectId(),
+        username: "family1",
+        role: "family",
+      };
+      const family = await request(app).get(
+        `/api/patients/${patientId}/export/vitals`,
+      );
+
+      currentUser = {
+        _id: new mongoose.Types.ObjectId(),
+        username: "nurse2",
+        role: "nurse",
+      };
+      const nurse = await request(app).get(
+        `/api/patients/${patientId}/export/vitals`,
+      );
+
+      expect(family.status).toBe(403);
+      expect(nurse.status).toBe(403);
+    });
+  });
+});
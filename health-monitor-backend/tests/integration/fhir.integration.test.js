@@ -0,0 +1,213 @@
+/**
+ * Integration Tests for the FHIR API
+ * Tests Patient, Observation and DetectedIssue searches, incremental
+ * sync with _since, paging and care-team scoping
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  Anomaly,
+  CareTeamAssignment,
+  HealthRecord,
+  Patient,
+} = require("../../src/models");
+const fhirRouter = require("../../src/routes/fhir");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/fhir", fhirRouter);
+
+const admin = { username: "admin", role: "admin" };
+const nurse = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "nurse.jones",
+  role: "nurse",
+};
+
+describe("FHIR Integration Tests", () => {
+  let record;
+  let anomaly;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+
+    currentUser = admin;
+    await Patient.create([
+      { ...PATIENTS[0], patientId: PATIENTS[0].id },
+      { ...PATIENTS[1], patientId: PATIENTS[1].id },
+    ]);
+    await CareTeamAssignment.create({
+      userId: nurse._id,
+      patientId: PATIENTS[0].id,
+    });
+
+    record = await HealthRecord.create({
+      patientId: PATIENTS[0].id,
+      heartRate: 72,
+      bloodPressure: "130/85",
+      spo2: 88,
+      bodyTemperature: 36.8,
+      recordedAt: new Date("2026-01-15T10:00:00Z"),
+    });
+    await HealthRecord.create({
+      patientId: PATIENTS[1].id,
+      heartRate: 64,
+      recordedAt: new Date("2026-01-15T10:00:00Z"),
+    });
+    anomaly = await Anomaly.create({
+      patientId: PATIENTS[0].id,
+      severity: "critical",
+      alerts: [
+        { type: "critical", category: "hypoxemia", message: "SpO2 88%" },
+      ],
+      categories: ["hypoxemia"],
+      recordId: record._id,
+    });
+  });
+
+  describe("Normal Cases", () => {
+    test("should search patients as a searchset bundle", async () => {
+      const response = await request(app).get("/api/fhir/Patient");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain(
+        "application/fhir+json",
+      );
+      expect(response.body.type).toBe("searchset");
+      expect(response.body.total).toBe(2);
+      expect(response.body.entry.map((e) => e.resource.id).sort()).toEqual([
+        PATIENTS[0].id,
+        PATIENTS[1].id,
+      ]);
+    });
+
+    test("should search a patient's observations by LOINC code", async () => {
+      const response = await request(app).get(
+        `/api/fhir/Observation?patient=Patient/${PATIENTS[0].id}&code=http://loinc.org|85354-9`,
+      );
+
+      expect(response.body.entry).toHaveLength(1);
+      const bp = response.body.entry[0].resource;
+      expect(bp.id).toBe(`${record._id}-bp`);
+      expect(bp.component.map((c) => c.valueQuantity.value)).toEqual([130, 85]);
+    });
+
+    test("should read observations and detected issues by id", async () => {
+      const observation = await request(app).get(
+        `/api/fhir/Observation/${record._id}-spo2`,
+      );
+      const issue = await request(app).get(
+        `/api/fhir/DetectedIssue/${anomaly._id}`,
+      );
+
+      expect(observation.body.valueQuantity.value).toBe(88);
+      expect(issue.body.severity).toBe("high");
+      expect(issue.body.patient.reference).toBe(`Patient/${PATIENTS[0].id}`);
+    });
+
+    test("should return only resources updated since _since", async () => {
+      await Anomaly.create({
+        patientId: PATIENTS[1].id,
+        severity: "warning",
+        categories: ["tachycardia"],
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const since = new Date();
+      await Anomaly.updateOne({ _id: anomaly._id }, { status: "resolved" });
+
+      const response = await request(app).get(
+        `/api/fhir/DetectedIssue?_since=${since.toISOString()}`,
+      );
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.entry[0].resource.status).toBe("final");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should page with _count and a next link", async () => {
+      const first = await request(app).get("/api/fhir/Patient?_count=1");
+      const next = first.body.link.find((l) => l.relation === "next");
+      const second = await request(app).get(
+        new URL(next.url).pathname + new URL(next.url).search,
+      );
+
+      expect(first.body.entry).toHaveLength(1);
+      expect(second.body.entry).toHaveLength(1);
+      expect(second.body.link.some((l) => l.relation === "next")).toBe(false);
+      expect(second.body.entry[0].resource.id).not.toBe(
+        first.body.entry[0].resource.id,
+      );
+    });
+
+    test("should limit results to the user's assigned patients", async () => {
+      currentUser = nurse;
+
+      const patients = await request(app).get("/api/fhir/Patient");
+      const observations = await request(app).get(
+        `/api/fhir/Observation?patient=${PATIENTS[1].id}`,
+      );
+      const read = await request(app).get(
+        `/api/fhir/Patient/${PATIENTS[1].id}`,
+      );
+
+      expect(patients.body.entry.map((e) => e.resource.id)).toEqual([
+        PATIENTS[0].id,
+      ]);
+      expect(observations.body.entry).toHaveLength(0);
+      expect(read.status).toBe(404);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject an invalid _since with an OperationOutcome", async () => {
+      const response = await request(app).get(
+        "/api/fhir/Observation?_since=yesterday",
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.resourceType).toBe("OperationOutcome");
+      expect(response.body.issue[0].code).toBe("invalid");
+    });
+
+    test("should return 404 for unknown resources", async () => {
+      const observation = await request(app).get(
+        `/api/fhir/Observation/${record._id}-glucose`,
+      );
+      const issue = await request(app).get("/api/fhir/DetectedIssue/unknown");
+
+      expect(observation.status).toBe(404);
+      expect(issue.status).toBe(404);
+      expect(issue.body.issue[0].code).toBe("not-found");
+    });
+  });
+});
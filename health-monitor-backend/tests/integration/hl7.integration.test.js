@@ -0,0 +1,195 @@
+/**
+ * Integration Tests for HL7 v2 Ingestion
+ * Tests ORU^R01 messages sent over MLLP: storage, anomaly detection,
+ * duplicate resends and negative acknowledgements
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const net = require("net");
+const mongoose = require("mongoose");
+const { Anomaly, HealthRecord, Patient, Sensor } = require("../../src/models");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const MllpServer = require("../../src/services/mllpServer");
+const {
+  frame,
+  parseAck,
+  sendMessage,
+  unframe,
+} = require("../../src/services/hl7");
+const { sampleOru } = require("../../scripts/hl7-harness");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+const patientId = PATIENTS[0].id;
+
+describe("HL7 Integration Tests", () => {
+  let server;
+  let port;
+
+  const send = async (message) =>
+    parseAck(await sendMessage("127.0.0.1", port, message));
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+    await Sensor.deleteMany({});
+
+    await Patient.create({ ...PATIENTS[0], patientId });
+    server = new MllpServer(new HealthMonitoringService(null), {
+      allowedSources: ["127.0.0.1"],
+    });
+    port = await server.listen(0, "127.0.0.1");
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  describe("Normal Cases", () => {
+    test("should store an ORU^R01 reading and acknowledge it", async () => {
+      const timestamp = new Date(Date.now() - 60000);
+
+      const ack = await send(
+        sampleOru({ patientId, controlId: "M1", timestamp }),
+      );
+
+      expect(ack).toMatchObject({ code: "AA", controlId: "M1" });
+      const record = await HealthRecord.findOne({ patientId });
+      expect(record).toMatchObject({
+        heartRate: 72,
+        systolic: 128,
+        diastolic: 82,
+        spo2: 97,
+        bodyTemperature: 36.8,
+        sensorId: "BEDSIDE-01",
+      });
+      expect(record.recordedAt).toEqual(new Date(timestamp.toISOString()));
+    });
+
+    test("should run readings through anomaly detection", async () => {
+      const ack = await send(
+        sampleOru({
+          patientId,
+          spo2: 82,
+          temperature: 103,
+          temperatureUnits: "[degF]",
+        }),
+      );
+
+      expect(ack.code).toBe("AA");
+      expect(ack.text).toContain("critical anomaly detected");
+      const anomaly = await Anomaly.findOne({ patientId });
+      expect(anomaly.severity).toBe("critical");
+    });
+
+    test("should update the registered sensor's last contact", async () => {
+      await Sensor.create({ sensorId: "BEDSIDE-01", patientId });
+
+      await send(sampleOru({ patientId }));
+
+      expect((await Sensor.findOne({})).lastSeenAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should log old results as late instead of alerting", async () => {
+      const timestamp = new Date(Date.now() - 3 * 60 * 60000);
+
+      const ack = await send(sampleOru({ patientId, spo2: 82, timestamp }));
+
+      expect(ack).toMatchObject({
+        code: "AA",
+        text: "Recorded late, anomaly logged",
+      });
+      const anomaly = await Anomaly.findOne({ patientId });
+      expect(anomaly.late).toBe(true);
+      expect(anomaly.nextEscalationAt).toBeFalsy();
+    });
+
+    test("should store a resent message only once", async () => {
+      const message = sampleOru({ patientId, timestamp: new Date() });
+
+      await send(message);
+      const resend = await send(message);
+
+      expect(resend.code).toBe("AA");
+      expect(resend.text).toContain("Duplicate");
+      expect(await HealthRecord.countDocuments()).toBe(1);
+    });
+
+    test("should handle several messages on one connection in order", async () => {
+      const socket = net.createConnection({ host: "127.0.0.1", port });
+      const start = Date.now() - 120000;
+
+      const acks = await new Promise((resolve) => {
+        let buffer = "";
+        socket.on("data", (chunk) => {
+          buffer += chunk.toString();
+          const { messages } = unframe(buffer);
+          if (messages.length === 2) {
+            socket.end();
+            resolve(messages.map(parseAck));
+          }
+        });
+        const sent = ["A", "B"].map((controlId, i) =>
+          sampleOru({
+            patientId,
+            controlId,
+            timestamp: new Date(start + i * 60000),
+          }),
+        );
+        socket.write(sent.map(frame).join(""));
+      });
+
+      expect(acks.map((a) => [a.code, a.controlId])).toEqual([
+        ["AA", "A"],
+        ["AA", "B"],
+      ]);
+      expect(await HealthRecord.countDocuments()).toBe(2);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should NAK unknown patients with AE", async () => {
+      const ack = await send(sampleOru({ patientId: "P999", controlId: "X1" }));
+
+      expect(ack).toMatchObject({ code: "AE", controlId: "X1" });
+      expect(ack.text).toContain("Unknown patient");
+      expect(await HealthRecord.countDocuments()).toBe(0);
+    });
+
+    test("should NAK readings missing required vitals", async () => {
+      const message = sampleOru({ patientId })
+        .split("\r")
+        .filter((segment) => !segment.includes("59408-5"))
+        .join("\r");
+
+      const ack = await send(message);
+
+      expect(ack.code).toBe("AE");
+      expect(ack.text).toContain("spo2 is required");
+    });
+
+    test("should reject unsupported message types with AR", async () => {
+      const ack = await send(
+        sampleOru({ patientId, messageType: "ADT^A01^ADT_A01" }),
+      );
+
+      expect(ack.code).toBe("AR");
+    });
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * Integration Tests for Device Ingestion API
+ * Tests POST /api/vitals/ingest, /ingest/batch and sensor registration
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Patient,
+  HealthRecord,
+  Anomaly,
+  Sensor,
+} = require("../../src/models");
+const ingestRouter = require("../../src/routes/ingest");
+const sensorsRouter = require("../../src/routes/sensors");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing (no Socket.IO, broadcasts are skipped)
+const app = express();
+app.use(express.json());
+app.locals.healthService = new HealthMonitoringService(null);
+app.use("/api/vitals/ingest", ingestRouter);
+
+// Stand-in for the authenticate middleware
+app.use((req, res, next) => {
+  req.user = { username: "nurse.jones", role: "nurse" };
+  next();
+});
+app.use("/api/sensors", sensorsRouter);
+
+/**
+ * Register a sensor through the API and return its API key
+ */
+async function registerSensor(sensorId = "watch-P001") {
+  const response = await request(app)
+    .post("/api/sensors")
+    .send({ sensorId, patientId: PATIENTS[0].id });
+  return response.body.apiKey;
+}
+
+const validReading = {
+  sensorId: "watch-P001",
+  heartRate: 72,
+  bloodPressure: "138/86",
+  spo2: 97,
+  bodyTemperature: 36.8,
+  motionLevel: 0.3,
+  fallRiskScore: 12,
+};
+
+describe("Device Ingestion API Integration Tests", () => {
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear all collections before each test
+    await AlertLog.deleteMany({});
+    await Patient.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Anomaly.deleteMany({});
+    await Sensor.deleteMany({});
+
+    await Patient.create({ ...PATIENTS[0], patientId: PATIENTS[0].id });
+  });
+
+  describe("POST /api/sensors", () => {
+    test("should register a sensor for an existing patient", async () => {
+      const response = await request(app)
+        .post("/api/sensors")
+        .send({ sensorId: "watch-P001", patientId: PATIENTS[0].id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.sensorId).toBe("watch-P001");
+      expect(response.body.isActive).toBe(true);
+      expect(response.body.apiKey).toBeDefined();
+      expect(response.body.apiKeyHash).toBeUndefined();
+    });
+
+    test("should reject duplicate sensor registration", async () => {
+      await Sensor.create({ sensorId: "watch-P001", patientId: PATIENTS[0].id });
+
+      const response = await request(app)
+        .post("/api/sensors")
+        .send({ sensorId: "watch-P001", patientId: PATIENTS[0].id });
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should return 404 for unknown patient", async () => {
+      const response = await request(app)
+        .post("/api/sensors")
+        .send({ sensorId: "watch-X", patientId: "P999" });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/vitals/ingest", () => {
+    let apiKey;
+
+    beforeEach(async () => {
+      apiKey = await registerSensor();
+    });
+
+    describe("Normal Cases", () => {
+      test("should store a reading from a registered sensor", async () => {
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send(validReading);
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.anomaly).toBeNull();
+
+        const record = await HealthRecord.findById(response.body.recordId);
+        expect(record.patientId).toBe(PATIENTS[0].id);
+        expect(record.sensorId).toBe("watch-P001");
+
+        const sensor = await Sensor.findOne({ sensorId: "watch-P001" });
+        expect(sensor.lastSeenAt).toBeDefined();
+      });
+
+      test("should create an anomaly for critical readings", async () => {
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send({ ...validReading, spo2: 85 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.anomaly.severity).toBe("critical");
+        expect(
+          response.body.anomaly.alerts.some((a) => a.category === "hypoxemia"),
+        ).toBe(true);
+
+        const anomalies = await Anomaly.find({ patientId: PATIENTS[0].id });
+        expect(anomalies).toHaveLength(1);
+      });
+    });
+
+    describe("Edge Cases", () => {
+      test("should log old readings as late instead of alerting", async () => {
+        const timestamp = new Date(Date.now() - 3 * 60 * 60000).toISOString();
+
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send({ ...validReading, spo2: 85, timestamp });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({ late: true, anomalies: 1 });
+
+        const anomaly = await Anomaly.findOne({ patientId: PATIENTS[0].id });
+        expect(anomaly.late).toBe(true);
+        expect(anomaly.detectedAt.toISOString()).toBe(timestamp);
+
+        const logs = await AlertLog.find({ patientId: PATIENTS[0].id });
+        expect(logs.every((l) => l.actionTaken === "late_alert_logged")).toBe(
+          true,
+        );
+      });
+    });
+
+    describe("Error Cases", () => {
+      test("should reject readings with missing vitals", async () => {
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send({ sensorId: "watch-P001", heartRate: 72 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain("spo2 is required");
+      });
+
+      test("should reject requests without a sensor key", async () => {
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .send(validReading);
+
+        expect(response.status).toBe(401);
+        expect(await HealthRecord.countDocuments()).toBe(0);
+      });
+
+      test("should reject a key issued to another sensor", async () => {
+        await registerSensor("watch-P001-b");
+
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send({ ...validReading, sensorId: "watch-P001-b" });
+
+        expect(response.status).toBe(403);
+        expect(await HealthRecord.countDocuments()).toBe(0);
+      });
+
+      test("should reject keys that have been rotated", async () => {
+        await request(app).post("/api/sensors/watch-P001/rotate-key");
+
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send(validReading);
+
+        expect(response.status).toBe(401);
+      });
+
+      test("should reject deactivated sensors", async () => {
+        await request(app).delete("/api/sensors/watch-P001");
+
+        const response = await request(app)
+          .post("/api/vitals/ingest")
+          .set("X-Sensor-Key", apiKey)
+          .send(validReading);
+
+        expect(response.status).toBe(401);
+      });
+    });
+  });
+
+  describe("POST /api/vitals/ingest/batch", () => {
+    const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString();
+    let apiKey;
+
+    beforeEach(async () => {
+      apiKey = await registerSensor();
+    });
+
+    test("should store out-of-order readings in time order", async () => {
+      const response = await request(app)
+        .post("/api/vitals/ingest/batch")
+        .set("X-Sensor-Key", apiKey)
+        .send({
+          patientId: PATIENTS[0].id,
+          readings: [
+            { ...validReading, timestamp: minutesAgo(60) },
+            { ...validReading, timestamp: minutesAgo(120) },
+            { ...validReading, timestamp: minutesAgo(90) },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.inserted).toBe(3);
+      expect(response.body.late).toBe(3);
+
+      const records = await HealthRecord.find({}).sort({ _id: 1 }).lean();
+      const times = records.map((r) => r.recordedAt.getTime());
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+    });
+
+    test("should de-duplicate by sensorId and recordedAt", async () => {
+      const timestamp = minutesAgo(30);
+      const repeated = minutesAgo(25);
+      await HealthRecord.create({
+        patientId: PATIENTS[0].id,
+        ...validReading,
+        recordedAt: new Date(timestamp),
+      });
+
+      const response = await request(app)
+        .post("/api/vitals/ingest/batch")
+        .set("X-Sensor-Key", apiKey)
+        .send({
+          patientId: PATIENTS[0].id,
+          readings: [
+            { ...validReading, timestamp },
+            { ...validReading, timestamp: repeated },
+            { ...validReading, timestamp: repeated },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.inserted).toBe(1);
+      expect(response.body.duplicates).toBe(2);
+      expect(await HealthRecord.countDocuments()).toBe(2);
+    });
+
+    test("should flag anomalies from late readings as late", async () => {
+      const response = await request(app)
+        .post("/api/vitals/ingest/batch")
+        .set("X-Sensor-Key", apiKey)
+        .send({
+          patientId: PATIENTS[0].id,
+          readings: [{ ...validReading, spo2: 85, timestamp: minutesAgo(180) }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.anomalies).toBe(1);
+
+      const anomaly = await Anomaly.findOne({ patientId: PATIENTS[0].id });
+      expect(anomaly.late).toBe(true);
+
+      const logs = await AlertLog.find({ patientId: PATIENTS[0].id });
+      expect(logs.every((l) => l.actionTaken === "late_alert_logged")).toBe(
+        true,
+      );
+    });
+
+    test("should group consecutive late anomalies into episodes", async () => {
+      const times = [180, 175, 170, 165].map(minutesAgo);
+      const response = await request(app)
+        .post("/api/vitals/ingest/batch")
+        .set("X-Sensor-Key", apiKey)
+        .send({
+          patientId: PATIENTS[0].id,
+          readings: [
+            { ...validReading, spo2: 85, timestamp: times[0] },
+            { ...validReading, spo2: 84, timestamp: times[1] },
+            { ...validReading, timestamp: times[2] },
+            { ...validReading, spo2: 85, timestamp: times[3] },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.anomalies).toBe(3);
+
+      const episodes = await Anomaly.find({ patientId: PATIENTS[0].id })
+        .sort({ detectedAt: 1 })
+        .lean();
+      expect(episodes).toHaveLength(2);
+      expect(episodes[0]).toMatchObject({
+        late: true,
+        occurrences: 2,
+        detectedAt: new Date(times[0]),
+        lastSeenAt: new Date(times[1]),
+        endedAt: new Date(times[2]),
+      });
+      // Historical episodes never stay open
+      expect(episodes[1].endedAt).toEqual(new Date(times[3]));
+      expect(episodes.every((e) => !e.nextEscalationAt)).toBe(true);
+    });
+
+    test("should report invalid readings and keep the rest", async () => {
+      const response = await request(app)
+        .post("/api/vitals/ingest/batch")
+        .set("X-Sensor-Key", apiKey)
+        .send({
+          patientId: PATIENTS[0].id,
+          readings: [
+            { ...validReading, timestamp: minutesAgo(10) },
+            { ...validReading },
+            { ...validReading, sensorId: "other", timestamp: minutesAgo(5) },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.inserted).toBe(1);
+      expect(response.body.rejected.map((r) => r.index)).toEqual([1, 2]);
+    });
+  });
+});
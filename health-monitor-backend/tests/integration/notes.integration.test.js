@@ -0,0 +1,145 @@
+/**
+ * Integration Tests for Clinical Notes
+ * Tests notes on patients and anomalies and the note_added broadcast
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const { Anomaly, ClinicalNote, Patient } = require("../../src/models");
+const anomaliesRouter = require("../../src/routes/anomalies");
+const notesRouter = require("../../src/routes/notes");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Records what the service would send over Socket.IO
+const emitted = [];
+const fakeIo = {
+  to: (rooms) => ({
+    emit: (event, payload) => emitted.push({ rooms, event, payload }),
+  }),
+};
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.locals.healthService = new HealthMonitoringService(fakeIo);
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/anomalies", anomaliesRouter);
+app.use("/api/patients/:patientId/notes", notesRouter);
+
+const patientId = PATIENTS[0].id;
+
+describe("Clinical Notes Integration Tests", () => {
+  let anomaly;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await ClinicalNote.deleteMany({});
+    await Patient.deleteMany({});
+    emitted.length = 0;
+
+    currentUser = { username: "admin", role: "admin" };
+    await Patient.create({ ...PATIENTS[0], patientId });
+    anomaly = await Anomaly.create({
+      patientId,
+      severity: "critical",
+      alerts: [{ type: "critical", category: "hypoxemia" }],
+    });
+  });
+
+  describe("Normal Cases", () => {
+    test("should add a note to an anomaly and broadcast it", async () => {
+      const response = await request(app)
+        .post(`/api/anomalies/${anomaly._id}/notes`)
+        .send({ body: "Repositioned patient, SpO2 recovered to 95%" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.patientId).toBe(patientId);
+      expect(response.body.author).toBe("admin");
+
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].rooms).toBe(`patient_${patientId}`);
+      expect(emitted[0].event).toBe("note_added");
+      expect(String(emitted[0].payload.anomalyId)).toBe(String(anomaly._id));
+    });
+
+    test("should list patient notes including anomaly notes", async () => {
+      await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .send({ body: "Family informed about medication change" });
+      await request(app)
+        .post(`/api/anomalies/${anomaly._id}/notes`)
+        .send({ body: "Oxygen started" });
+
+      const all = await request(app).get(`/api/patients/${patientId}/notes`);
+      expect(all.status).toBe(200);
+      expect(all.body).toHaveLength(2);
+
+      const forAnomaly = await request(app).get(
+        `/api/anomalies/${anomaly._id}/notes`,
+      );
+      expect(forAnomaly.body.map((n) => n.body)).toEqual(["Oxygen started"]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should trim note bodies", async () => {
+      const response = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .send({ body: "  Slept well  " });
+
+      expect(response.body.body).toBe("Slept well");
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject empty notes", async () => {
+      const response = await request(app)
+        .post(`/api/anomalies/${anomaly._id}/notes`)
+        .send({ body: "   " });
+
+      expect(response.status).toBe(400);
+      expect(await ClinicalNote.countDocuments()).toBe(0);
+    });
+
+    test("should return 404 for notes on unknown anomalies", async () => {
+      const response = await request(app)
+        .post(`/api/anomalies/${new mongoose.Types.ObjectId()}/notes`)
+        .send({ body: "Checked" });
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should not let family viewers write notes", async () => {
+      currentUser = { username: "daughter", role: "family" };
+
+      const response = await request(app)
+        .post(`/api/patients/${patientId}/notes`)
+        .send({ body: "Visited today" });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
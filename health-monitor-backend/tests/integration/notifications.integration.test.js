@@ -0,0 +1,283 @@
+/**
+ * Integration Tests for Outbound Notifications
+ * Tests notification preferences, delivery to users' channels on new
+ * anomalies and escalations, and delivery records in the alert log
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  CareTeamAssignment,
+  EscalationPolicy,
+  Patient,
+  User,
+} = require("../../src/models");
+const notificationsRouter = require("../../src/routes/notifications");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { WebhookChannel } = require("../../src/services/channels");
+const { startHttpSink } = require("../fixtures/localStandIns");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/notifications", notificationsRouter);
+
+const patientId = PATIENTS[0].id;
+
+const detection = (severity) => ({
+  isAnomaly: true,
+  severity,
+  alerts: [{ type: severity, category: "hypoxemia", message: "SpO2 88%" }],
+  normalizedScore: 0.9,
+});
+
+describe("Notification Integration Tests", () => {
+  let service;
+  let webhookSink;
+  let sent;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+    webhookSink = await startHttpSink();
+    process.env.NOTIFICATION_WEBHOOK_ORIGINS = webhookSink.url;
+  });
+
+  afterAll(async () => {
+    await webhookSink.close();
+    delete process.env.NOTIFICATION_WEBHOOK_ORIGINS;
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await EscalationPolicy.deleteMany({});
+    await Patient.deleteMany({});
+    await User.deleteMany({});
+    webhookSink.requests.length = 0;
+
+    await Patient.create({ ...PATIENTS[0], patientId });
+    const nurse = await User.create({
+      username: "nurse.jones",
+      name: "Nurse Jones",
+      role: "nurse",
+      passwordHash: "unused",
+      notifications: {
+        channels: [
+          { type: "webhook", address: `${webhookSink.url}/jones` },
+          { type: "email", address: "jones@example.org" },
+        ],
+      },
+    });
+    await CareTeamAssignment.create({ userId: nurse._id, patientId });
+    currentUser = nurse.toObject();
+
+    // Record email deliveries in memory; webhooks go to the local sink
+    sent = [];
+    service = new HealthMonitoringService(null);
+    service.notificationService.registerChannel("email", {
+      isConfigured: () => true,
+      send: async (address, message) => {
+        sent.push({ address, message });
+        return { reference: `email-${sent.length}` };
+      },
+    });
+  });
+
+  describe("Normal Cases", () => {
+    test("should deliver a new anomaly to each channel and log it", async () => {
+      const anomaly = await service.handleAnomaly(
+        patientId,
+        null,
+        detection("critical"),
+      );
+      await service.notificationService.idle();
+
+      expect(webhookSink.requests).toHaveLength(1);
+      expect(webhookSink.requests[0].path).toBe("/jones");
+      expect(webhookSink.requests[0].body.patientId).toBe(patientId);
+      expect(sent[0].address).toBe("jones@example.org");
+      expect(sent[0].message.subject).toContain("[CRITICAL]");
+
+      const deliveries = await AlertLog.find({
+        anomalyId: anomaly._id,
+        deliveryStatus: { $exists: true },
+      }).sort({ _id: 1 });
+      expect(deliveries.map((d) => [d.channel, d.deliveryStatus])).toEqual([
+        ["webhook", "sent"],
+        ["email", "sent"],
+      ]);
+      expect(deliveries[1].recipient).toBe("nurse.jones");
+      expect(deliveries[1].deliveryReference).toBe("email-1");
+    });
+
+    test("should notify the users of an escalation step", async () => {
+      await User.create({
+        username: "dr.smith",
+        name: "Dr Smith",
+        role: "physician",
+        passwordHash: "unused",
+        notifications: { channels: [{ type: "email", address: "smith@x" }] },
+      });
+      await EscalationPolicy.create({
+        severity: "critical",
+        levels: [{ afterMinutes: 5, roles: ["physician"] }],
+      });
+      await service.handleAnomaly(patientId, null, detection("critical"), {
+        detectedAt: new Date(Date.now() - 10 * 60000),
+      });
+      await service.notificationService.idle();
+      sent.length = 0;
+
+      await service.escalationService.checkEscalations();
+      await service.notificationService.idle();
+
+      expect(sent.map((s) => s.address)).toEqual(["smith@x"]);
+      expect(sent[0].message.event).toBe("anomaly_escalated");
+    });
+
+    test("should save and return notification preferences", async () => {
+      const response = await request(app)
+        .put("/api/notifications/preferences")
+        .send({
+          channels: [
+            { type: "pager", address: "4411", minSeverity: "critical" },
+          ],
+          quietHours: {
+            start: "22:00",
+            end: "07:00",
+            timezone: "Europe/London",
+          },
+        });
+
+      expect(response.status).toBe(200);
+
+      const { body } = await request(app).get("/api/notifications/preferences");
+      expect(body.channels).toEqual([
+        {
+          type: "pager",
+          address: "4411",
+          minSeverity: "critical",
+          enabled: true,
+        },
+      ]);
+      expect(body.quietHours.allowCritical).toBe(true);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should log skipped deliveries during quiet hours", async () => {
+      await User.updateOne(
+        { username: "nurse.jones" },
+        {
+          "notifications.quietHours": {
+            start: "00:00",
+            end: "23:59",
+            timezone: "UTC",
+          },
+        },
+      );
+
+      await service.handleAnomaly(patientId, null, detection("warning"));
+      await service.notificationService.idle();
+
+      expect(webhookSink.requests).toHaveLength(0);
+      expect(
+        await AlertLog.countDocuments({ actionTaken: "notification_skipped" }),
+      ).toBe(2);
+    });
+
+    test("should record failed webhook deliveries", async () => {
+      webhookSink.status = 500;
+
+      await service.handleAnomaly(patientId, null, detection("critical"));
+      await service.notificationService.idle();
+      webhookSink.status = 200;
+
+      const failed = await AlertLog.findOne({ deliveryStatus: "failed" });
+      expect(failed.channel).toBe("webhook");
+      expect(sent).toHaveLength(1); // Email still delivered
+    });
+
+    test("should not notify for suppressed anomalies", async () => {
+      await service.handleAnomaly(patientId, null, {
+        ...detection("critical"),
+        suppressed: true,
+      });
+      await service.notificationService.idle();
+
+      expect(webhookSink.requests).toHaveLength(0);
+      expect(sent).toHaveLength(0);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject unknown channel types and timezones", async () => {
+      const badChannel = await request(app)
+        .put("/api/notifications/preferences")
+        .send({ channels: [{ type: "fax", address: "555" }] });
+      const badTimezone = await request(app)
+        .put("/api/notifications/preferences")
+        .send({
+          quietHours: { start: "22:00", end: "07:00", timezone: "Mars/Base" },
+        });
+
+      expect(badChannel.status).toBe(400);
+      expect(badTimezone.status).toBe(400);
+    });
+
+    test("should report notifications unavailable without the service", async () => {
+      const response = await request(app).post("/api/notifications/test");
+
+      expect(response.status).toBe(503);
+    });
+
+    test("should fail webhook deliveries to unreachable URLs", async () => {
+      const webhook = new WebhookChannel({
+        timeout: 2000,
+        allowedOrigins: ["http://127.0.0.1:9"],
+      });
+
+      await expect(
+        webhook.send("http://127.0.0.1:9/unreachable", { data: {} }),
+      ).rejects.toThrow("Webhook delivery failed");
+    });
+
+    test("should only accept webhooks from staff on allowed origins", async () => {
+      const internal = await request(app)
+        .put("/api/notifications/preferences")
+        .send({
+          channels: [{ type: "webhook", address: "http://169.254.169.254/" }],
+        });
+      currentUser = { ...currentUser, role: "family" };
+      const family = await request(app)
+        .put("/api/notifications/preferences")
+        .send({
+          channels: [{ type: "webhook", address: `${webhookSink.url}/x` }],
+        });
+
+      expect(internal.status).toBe(400);
+      expect(family.status).toBe(400);
+      expect(family.body.error).toContain("staff");
+    });
+  });
+});
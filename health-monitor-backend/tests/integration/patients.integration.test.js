@@ -0,0 +1,249 @@
+/**
+ * Integration Tests for Patient API Endpoints
+ * Tests patient create, update, deactivate, reactivate and threshold history
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const { Patient, ThresholdRevision } = require("../../src/models");
+const patientsRouter = require("../../src/routes/patients");
+const thresholdsRouter = require("../../src/routes/thresholds");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.locals.healthService = new HealthMonitoringService(null);
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+
+app.use("/api/patients", patientsRouter);
+app.use("/api/patients/:patientId/thresholds", thresholdsRouter);
+
+const { id: _id, ...profile } = PATIENTS[0];
+const newPatient = { ...profile, patientId: "P100", name: "Test Patient" };
+
+describe("Patient API Integration Tests", () => {
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    currentUser = { username: "dr.smith", role: "admin" };
+    await Patient.deleteMany({});
+    await ThresholdRevision.deleteMany({});
+  });
+
+  describe("POST /api/patients", () => {
+    test("should create a patient", async () => {
+      const response = await request(app).post("/api/patients").send(newPatient);
+
+      expect(response.status).toBe(201);
+      expect(response.body.patientId).toBe("P100");
+      expect(response.body.isActive).toBe(true);
+      expect(await Patient.countDocuments({ patientId: "P100" })).toBe(1);
+    });
+
+    test("should reject duplicate patientId", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app).post("/api/patients").send(newPatient);
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should reject invalid alert thresholds", async () => {
+      const response = await request(app)
+        .post("/api/patients")
+        .send({
+          ...newPatient,
+          alertThresholds: { hrCritical: [130, 45], spo2Critical: 92 },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((d) => d.field)).toContain(
+        "alertThresholds.hrCritical",
+      );
+    });
+
+    test("should reject missing baseline vitals", async () => {
+      const { baselineVitals: _baseline, ...withoutBaseline } = newPatient;
+      const response = await request(app)
+        .post("/api/patients")
+        .send(withoutBaseline);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("PUT /api/patients/:patientId", () => {
+    test("should update editable fields", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100")
+        .send({ age: 80, medications: ["Aspirin"] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.age).toBe(80);
+      expect(response.body.medications).toEqual(["Aspirin"]);
+      expect(response.body.name).toBe("Test Patient");
+    });
+
+    test("should reseed simulated vitals when the baseline changes", async () => {
+      const patient = await Patient.create(newPatient);
+      const { dataGenerator } = app.locals.healthService;
+      dataGenerator.generateVitals(patient.toObject());
+      const baselineVitals = {
+        ...newPatient.baselineVitals,
+        hr: { min: 90, max: 110, normal: 100 },
+      };
+
+      const response = await request(app)
+        .put("/api/patients/P100")
+        .send({ baselineVitals });
+
+      expect(response.status).toBe(200);
+      expect(dataGenerator.lastValues.P100).toBeUndefined();
+    });
+
+    test("should not allow changing patientId", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100")
+        .send({ patientId: "P200" });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should return 404 for unknown patient", async () => {
+      const response = await request(app)
+        .put("/api/patients/P999")
+        .send({ age: 80 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("Deactivate / Reactivate", () => {
+    test("should hide deactivated patients from the list", async () => {
+      await Patient.create(newPatient);
+
+      const deactivate = await request(app).post(
+        "/api/patients/P100/deactivate",
+      );
+      expect(deactivate.status).toBe(200);
+      expect(deactivate.body.isActive).toBe(false);
+
+      const active = await request(app).get("/api/patients");
+      expect(active.body).toHaveLength(0);
+
+      const all = await request(app).get("/api/patients?includeInactive=true");
+      expect(all.body).toHaveLength(1);
+    });
+
+    test("should reactivate a patient", async () => {
+      await Patient.create({ ...newPatient, isActive: false });
+
+      const response = await request(app).post(
+        "/api/patients/P100/reactivate",
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.isActive).toBe(true);
+    });
+  });
+
+  describe("Alert Thresholds", () => {
+    const revised = { hrCritical: [50, 120], bpCritical: [170, 90], spo2Critical: 90 };
+
+    test("should revise thresholds and record history", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100/thresholds")
+        .send({
+          alertThresholds: revised,
+          reason: "Medication change",
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.alertThresholds.hrCritical).toEqual([50, 120]);
+      expect(response.body.revision.previousThresholds.hrCritical).toEqual(
+        newPatient.alertThresholds.hrCritical,
+      );
+
+      const history = await request(app).get(
+        "/api/patients/P100/thresholds/history",
+      );
+      expect(history.body).toHaveLength(1);
+      expect(history.body[0].changedBy).toBe("dr.smith");
+      expect(history.body[0].reason).toBe("Medication change");
+    });
+
+    test("should require a reason", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100/thresholds")
+        .send({ alertThresholds: revised });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should reject invalid thresholds without recording a revision", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100/thresholds")
+        .send({
+          alertThresholds: { ...revised, spo2Critical: 120 },
+          reason: "Typo",
+        });
+
+      expect(response.status).toBe(400);
+      expect(await ThresholdRevision.countDocuments()).toBe(0);
+    });
+
+    test("should not let nurses revise thresholds", async () => {
+      await Patient.create(newPatient);
+      currentUser = { username: "nurse.jones", role: "nurse" };
+
+      const response = await request(app)
+        .put("/api/patients/P100/thresholds")
+        .send({ alertThresholds: revised, reason: "Medication change" });
+
+      expect(response.status).toBe(403);
+      expect(await ThresholdRevision.countDocuments()).toBe(0);
+    });
+
+    test("should not change thresholds through the profile update", async () => {
+      await Patient.create(newPatient);
+
+      const response = await request(app)
+        .put("/api/patients/P100")
+        .send({ alertThresholds: revised });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
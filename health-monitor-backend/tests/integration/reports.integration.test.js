@@ -0,0 +1,246 @@
+/**
+ * Integration Tests for Patient Reports
+ * Tests the period summary (vitals statistics, trends, anomaly counts,
+ * acknowledgement trail) and the PDF download
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const { Anomaly, HealthRecord, Patient } = require("../../src/models");
+const reportsRouter = require("../../src/routes/reports");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+app.locals.healthService = new HealthMonitoringService(null);
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/patients/:patientId/report", reportsRouter);
+
+const patientId = PATIENTS[0].id;
+
+describe("Patient Report Integration Tests", () => {
+  const start = new Date("2026-03-01T00:00:00Z");
+  const minutes = (n) => new Date(start.getTime() + n * 60 * 1000);
+  const range = { from: start.toISOString(), to: minutes(60).toISOString() };
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+
+    currentUser = { username: "admin", role: "admin" };
+    await Patient.create({ ...PATIENTS[0], patientId });
+
+    await HealthRecord.insertMany(
+      [70, 80, 90, 100].map((heartRate, i) => ({
+        patientId,
+        heartRate,
+        systolic: 120 + i,
+        diastolic: 80,
+        spo2: 96,
+        bodyTemperature: 36.8,
+        recordedAt: minutes(i * 5),
+      })),
+    );
+    // Outside the period
+    await HealthRecord.create({
+      patientId,
+      heartRate: 150,
+      recordedAt: minutes(-10),
+    });
+
+    await Anomaly.create([
+      {
+        patientId,
+        severity: "critical",
+        alerts: [{ type: "critical", category: "tachycardia" }],
+        categories: ["tachycardia", "hypertension"],
+        detectedAt: minutes(10),
+        status: "acknowledged",
+        statusHistory: [
+          { from: "open", to: "acknowledged", by: "nurse1", at: minutes(12) },
+          {
+            from: "acknowledged",
+            to: "resolved",
+            by: "dr1",
+            at: minutes(30),
+            note: "Rate controlled",
+          },
+        ],
+      },
+      {
+        patientId,
+        severity: "warning",
+        alerts: [{ type: "warning", category: "tachycardia" }],
+        detectedAt: minutes(20),
+        acknowledged: true,
+        acknowledgedBy: "nurse2",
+        acknowledgedAt: minutes(25),
+      },
+      {
+        patientId,
+        severity: "warning",
+        alerts: [{ type: "warning", category: "hypoxemia" }],
+        categories: ["hypoxemia"],
+        detectedAt: minutes(40),
+        suppressed: true,
+      },
+    ]);
+  });
+
+  describe("Normal Cases", () => {
+    test("should summarise vitals in the period", async () => {
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/report`)
+        .query(range);
+
+      expect(response.status).toBe(200);
+      expect(response.body.patient.name).toBe(PATIENTS[0].name);
+      expect(response.body.period).toEqual({
+        from: range.from,
+        to: range.to,
+      });
+      expect(response.body.vitals.readings).toBe(4);
+      expect(response.body.vitals.heartRate).toEqual({
+        min: 70,
+        max: 100,
+        mean: 85,
+      });
+      expect(response.body.vitals.systolic.mean).toBe(121.5);
+      expect(response.body.trends.bucketMinutes).toBe(5);
+      expect(response.body.trends.points.map((p) => p.heartRate)).toEqual([
+        70, 80, 90, 100,
+      ]);
+    });
+
+    test("should count anomalies by severity and category", async () => {
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/report`)
+        .query(range);
+
+      expect(response.body.anomalies).toEqual({
+        total: 2,
+        suppressed: 1,
+        bySeverity: { critical: 1, warning: 1 },
+        byCategory: { tachycardia: 2, hypertension: 1 },
+      });
+    });
+
+    test("should list the acknowledgement trail in order", async () => {
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/report`)
+        .query(range);
+
+      expect(
+        response.body.acknowledgements.map((a) => [a.to, a.by, a.note]),
+      ).toEqual([
+        ["acknowledged", "nurse1", undefined],
+        ["acknowledged", "nurse2", undefined],
+        ["resolved", "dr1", "Rate controlled"],
+      ]);
+    });
+
+    test("should download the report as a PDF", async () => {
+      const response = await request(app)
+        .get(`/api/patients/${patientId}/report/pdf`)
+        .query({ ...range, timezone: "Europe/London" })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("application/pdf");
+      expect(response.headers["content-disposition"]).toBe(
+        `attachment; filename="${patientId}-summary-2026-03-01-2026-03-01.pdf"`,
+      );
+      expect(response.body.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should default to the last 24 hours", async () => {
+      await HealthRecord.create({
+        patientId,
+        heartRate: 66,
+        recordedAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const response = await request(app).get(
+        `/api/patients/${patientId}/report`,
+      );
+
+      expect(response.body.vitals.readings).toBe(1);
+      expect(response.body.anomalies.total).toBe(0);
+      expect(response.body.latestVitals.heartRate).toBe(66);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject invalid periods and timezones", async () => {
+      const url = `/api/patients/${patientId}/report/pdf`;
+
+      const invalid = await request(app).get(url).query({ from: "soon" });
+      const reversed = await request(app)
+        .get(url)
+        .query({ from: range.to, to: range.from });
+      const tooLong = await request(app)
+        .get(url)
+        .query({ from: "2020-01-01", to: "2026-01-01" });
+      const timezone = await request(app)
+        .get(url)
+        .query({ timezone: "Mars/Olympus" });
+
+      expect(invalid.status).toBe(400);
+      expect(reversed.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+      expect(timezone.status).toBe(400);
+    });
+
+    test("should return 404 for unknown patients", async () => {
+      const response = await request(app).get("/api/patients/P999/report");
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should refuse users not on the care team", async () => {
+      currentUser = {
+        _id: new mongoose.Types.ObjectId(),
+        username: "nurse2",
+        role: "nurse",
+      };
+
+      const response = await request(app).get(
+        `/api/patients/${patientId}/report/pdf`,
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Integration Tests for Data Retention
+ * Tests archiving expired raw records to disk, resolving anomalies that
+ * reference archived records, restoring on demand, pruning rollups and
+ * flagging archived days in aggregates and exports
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  Anomaly,
+  HealthRecord,
+  Patient,
+  RecordArchive,
+  VitalRollup,
+} = require("../../src/models");
+const archivesRouter = require("../../src/routes/archives");
+const anomaliesRouter = require("../../src/routes/anomalies");
+const exportsRouter = require("../../src/routes/exports");
+const fhirRouter = require("../../src/routes/fhir");
+const vitalsRouter = require("../../src/routes/vitals");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/archives", archivesRouter);
+app.use("/api/anomalies", anomaliesRouter);
+app.use("/api/fhir", fhirRouter);
+app.use("/api/patients/:patientId/export", exportsRouter);
+app.use("/api/vitals", vitalsRouter);
+
+const patientId = PATIENTS[0].id;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Data Retention Integration Tests", () => {
+  const daysAgo = (n) => new Date(Date.now() - n * DAY);
+  // Midnight UTC 40 days ago; expired readings at fixed times of day
+  const day40 = new Date(Math.floor(daysAgo(40) / DAY) * DAY);
+  const at = (days, hours) =>
+    new Date(day40.getTime() + days * DAY + hours * 60 * 60 * 1000);
+  const firstDay = { from: day40, to: at(1, 0) };
+  const bothDays = { from: day40, to: at(6, 0) };
+  let archiveDir;
+  let expired;
+  let recent;
+
+  const runRetention = () => request(app).post("/api/archives/run");
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    delete process.env.RETENTION_RAW_DAYS;
+    delete process.env.RETENTION_ROLLUP_DAYS;
+    delete process.env.ARCHIVE_DIR;
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+    await RecordArchive.deleteMany({});
+    await VitalRollup.deleteMany({});
+
+    archiveDir = await fs.mkdtemp(path.join(os.tmpdir(), "archive-"));
+    process.env.RETENTION_RAW_DAYS = "30";
+    process.env.RETENTION_ROLLUP_DAYS = "365";
+    process.env.ARCHIVE_DIR = archiveDir;
+
+    currentUser = { username: "admin", role: "admin" };
+    await Patient.create({ ...PATIENTS[0], patientId });
+
+    expired = await HealthRecord.insertMany(
+      [at(0, 10), at(0, 10.5), at(5, 10)].map((recordedAt, i) => ({
+        patientId,
+        heartRate: 70 + i,
+        bloodPressure: "140/88",
+        spo2: 88,
+        httpbinResponse: { url: "https://httpbin.org/anything" },
+        recordedAt,
+      })),
+    );
+    recent = await HealthRecord.create({
+      patientId,
+      heartRate: 80,
+      recordedAt: daysAgo(1),
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(archiveDir, { recursive: true, force: true });
+  });
+
+  describe("Normal Cases", () => {
+    test("should archive expired records and keep recent ones", async () => {
+      const response = await runRetention();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ archived: 3, deleted: 3 });
+      expect(await HealthRecord.countDocuments()).toBe(1);
+      expect(await HealthRecord.exists({ _id: recent._id })).toBeTruthy();
+
+      const archives = await RecordArchive.find().sort({ day: 1 }).lean();
+      expect(archives.map((a) => [a.day, a.count])).toEqual([
+        [day40, 2],
+        [at(5, 0), 1],
+      ]);
+      expect(response.body.files).toBe(2);
+      for (const archive of archives) {
+        const stat = await fs.stat(path.join(archiveDir, archive.file));
+        expect(stat.size).toBe(archive.bytes);
+      }
+    });
+
+    test("should resolve anomalies that reference archived records", async () => {
+      const anomaly = await Anomaly.create({
+        patientId,
+        severity: "critical",
+        alerts: [{ type: "critical", category: "hypoxemia" }],
+        recordId: expired[0]._id,
+        detectedAt: expired[0].recordedAt,
+      });
+      await runRetention();
+
+      const record = await request(app).get(
+        `/api/anomalies/${anomaly._id}/record`,
+      );
+      const observation = await request(app).get(
+        `/api/fhir/Observation/${expired[0]._id}-spo2`,
+      );
+
+      expect(record.status).toBe(200);
+      expect(record.body).toMatchObject({
+        _id: expired[0]._id.toString(),
+        heartRate: 70,
+        systolic: 140,
+        recordedAt: expired[0].recordedAt.toISOString(),
+        httpbinResponse: { url: "https://httpbin.org/anything" },
+        archived: true,
+      });
+      expect(observation.status).toBe(200);
+      expect(observation.body.valueQuantity.value).toBe(88);
+    });
+
+    test("should restore archived records on demand", async () => {
+      await runRetention();
+
+      const response = await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, ...firstDay });
+      const restored = await HealthRecord.find({
+        _id: { $in: expired.map((r) => r._id) },
+      })
+        .sort({ recordedAt: 1 })
+        .lean();
+
+      expect(response.status).toBe(200);
+      expect(response.body.restored).toBe(2);
+      expect(restored.map((r) => r.heartRate)).toEqual([70, 71]);
+      expect(restored[0].recordedAt).toEqual(expired[0].recordedAt);
+    });
+
+    test("should prune rollups past their own retention", async () => {
+      await VitalRollup.create([
+        { patientId, period: "day", start: daysAgo(400), readings: 1 },
+        { patientId, period: "day", start: daysAgo(40), readings: 1 },
+      ]);
+
+      const response = await runRetention();
+
+      expect(response.body.rollupsDeleted).toBe(1);
+      expect(await VitalRollup.countDocuments()).toBe(1);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should not write restored records to a new file", async () => {
+      await runRetention();
+      await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, ...bothDays });
+
+      const rerun = await runRetention();
+
+      expect(rerun.body).toMatchObject({ files: 0, archived: 0, deleted: 3 });
+      expect(await RecordArchive.countDocuments()).toBe(2);
+      expect(await HealthRecord.countDocuments()).toBe(1);
+    });
+
+    test("should skip records already in the database on restore", async () => {
+      await runRetention();
+      await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, ...bothDays });
+
+      const again = await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, ...bothDays });
+
+      expect(again.body.restored).toBe(0);
+      expect(await HealthRecord.countDocuments()).toBe(4);
+    });
+
+    test("should flag archived days until they are restored", async () => {
+      await runRetention();
+      const query = { from: day40.toISOString(), to: new Date().toISOString() };
+
+      const exported = await request(app)
+        .get(`/api/patients/${patientId}/export/vitals`)
+        .query(query);
+      await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, ...firstDay });
+      const aggregate = await request(app)
+        .get(`/api/vitals/${patientId}/aggregate`)
+        .query({ ...query, bucket: "1d" });
+
+      expect(exported.status).toBe(409);
+      expect(exported.body.archivedDays).toEqual([
+        day40.toISOString(),
+        at(5, 0).toISOString(),
+      ]);
+      expect(aggregate.status).toBe(200);
+      expect(aggregate.body.archivedDays).toEqual([at(5, 0).toISOString()]);
+    });
+
+    test("should list archives without their record ids", async () => {
+      await runRetention();
+
+      const response = await request(app)
+        .get("/api/archives")
+        .query({ patientId });
+
+      expect(response.status).toBe(200);
+      expect(response.body.retention.rawDays).toBe(30);
+      expect(response.body.archives.length).toBeGreaterThan(0);
+      expect(response.body.archives[0].recordIds).toBeUndefined();
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should refuse to run when retention is disabled", async () => {
+      delete process.env.RETENTION_RAW_DAYS;
+
+      const response = await runRetention();
+
+      expect(response.status).toBe(409);
+      expect(await HealthRecord.countDocuments()).toBe(4);
+    });
+
+    test("should validate restore requests", async () => {
+      const missing = await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId });
+      const invalid = await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId, from: "soon", to: daysAgo(1) });
+      const unknown = await request(app)
+        .post("/api/archives/restore")
+        .send({ patientId: "P999", ...bothDays });
+
+      expect(missing.status).toBe(400);
+      expect(invalid.status).toBe(400);
+      expect(unknown.status).toBe(404);
+    });
+
+    test("should return 404 for anomalies without a stored record", async () => {
+      const anomaly = await Anomaly.create({
+        patientId,
+        severity: "warning",
+        recordId: new mongoose.Types.ObjectId(),
+      });
+
+      const response = await request(app).get(
+        `/api/anomalies/${anomaly._id}/record`,
+      );
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should only let admins manage archives", async () => {
+      currentUser = { username: "nurse1", role: "nurse" };
+
+      const response = await runRetention();
+
+      expect(response.status).toBe(403);
+      expect(await HealthRecord.countDocuments()).toBe(4);
+    });
+  });
+});
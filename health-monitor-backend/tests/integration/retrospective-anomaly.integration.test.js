@@ -1,6 +1,7 @@
 /**
  * Integration Tests for Retrospective Anomaly Detection API
- * Tests the POST /api/anomalies/retrospective endpoint
+ * Tests the POST /api/anomalies/retrospective endpoint and that clinicians
+ * can only scan their care team's patients
  */
 
 require("./setup"); // Import test setup (timeouts, etc.)
@@ -10,6 +11,7 @@ const express = require("express");
 const mongoose = require("mongoose");
 const {
   AlertLog,
+  CareTeamAssignment,
   Patient,
   HealthRecord,
   Anomaly,
@@ -20,6 +22,13 @@ const { NORMAL_VITALS, PATIENTS } = require("../fixtures/testDatasets");
 // Create express app for testing
 const app = express();
 app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
 app.use("/api/anomalies", anomaliesRouter);
 
 describe("Retrospective Anomaly Detection API Integration Tests", () => {
@@ -42,6 +51,9 @@ describe("Retrospective Anomaly Detection API Integration Tests", () => {
     await Patient.deleteMany({});
     await HealthRecord.deleteMany({});
     await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+
+    currentUser = { username: "admin", role: "admin" };
   });
 
   describe("POST /api/anomalies/retrospective", () => {
@@ -521,6 +533,36 @@ describe("Retrospective Anomaly Detection API Integration Tests", () => {
     });
 
     describe("Error Cases", () => {
+      test("should limit clinicians to their care team's patients", async () => {
+        const physician = {
+          _id: new mongoose.Types.ObjectId(),
+          username: "dr.smith",
+          role: "physician",
+        };
+        await Patient.insertMany(
+          PATIENTS.slice(0, 2).map((p) => ({ ...p, patientId: p.id })),
+        );
+        await CareTeamAssignment.create({
+          userId: physician._id,
+          patientId: PATIENTS[0].id,
+        });
+        currentUser = physician;
+
+        const all = await request(app)
+          .post("/api/anomalies/retrospective")
+          .send({});
+        const unassigned = await request(app)
+          .post("/api/anomalies/retrospective")
+          .send({ patientId: PATIENTS[1].id });
+        const assigned = await request(app)
+          .post("/api/anomalies/retrospective")
+          .send({ patientId: PATIENTS[0].id });
+
+        expect(all.status).toBe(403);
+        expect(unassigned.status).toBe(403);
+        expect(assigned.status).toBe(200);
+      });
+
       test("should return error for invalid startDate format", async () => {
         const response = await request(app)
           .post("/api/anomalies/retrospective")
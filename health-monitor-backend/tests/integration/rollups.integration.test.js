@@ -0,0 +1,306 @@
+/**
+ * Integration Tests for Vitals Rollups
+ * Tests incremental updates on insert, rebuilding from stored readings,
+ * the rollups API and the dashboard's last 24 hours statistics
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  Anomaly,
+  DashboardSummary,
+  HealthRecord,
+  Patient,
+  VitalRollup,
+} = require("../../src/models");
+const vitalsRouter = require("../../src/routes/vitals");
+const dashboardRouter = require("../../src/routes/dashboard");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/vitals", vitalsRouter);
+app.use("/api/dashboard", dashboardRouter);
+
+const patientId = PATIENTS[0].id; // Baseline heart rate 60-80
+
+describe("Vitals Rollups Integration Tests", () => {
+  const service = new HealthMonitoringService(null);
+  const start = new Date("2026-03-01T10:00:00Z");
+  const minutes = (n) => new Date(start.getTime() + n * 60 * 1000);
+  let patient;
+
+  const reading = (n, heartRate) => ({
+    sensorId: "watch-P001",
+    heartRate,
+    bloodPressure: "140/88",
+    spo2: 98,
+    bodyTemperature: 36.8,
+    timestamp: minutes(n).toISOString(),
+  });
+
+  const getRollups = (query) =>
+    request(app).get(`/api/vitals/${patientId}/rollups`).query(query);
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await Anomaly.deleteMany({});
+    await DashboardSummary.deleteMany({});
+    await HealthRecord.deleteMany({});
+    await Patient.deleteMany({});
+    await VitalRollup.deleteMany({});
+
+    currentUser = { username: "admin", role: "admin" };
+    patient = await Patient.create({ ...PATIENTS[0], patientId });
+  });
+
+  describe("Normal Cases", () => {
+    test("should update hourly and daily rollups on insert", async () => {
+      await service.processBatch(patientId, patient, [
+        reading(0, 70),
+        reading(5, 90),
+        reading(10, 75),
+      ]);
+
+      const hours = await getRollups({
+        period: "hour",
+        from: minutes(0).toISOString(),
+        to: minutes(59).toISOString(),
+      });
+      const days = await getRollups({
+        period: "day",
+        from: minutes(0).toISOString(),
+        to: minutes(59).toISOString(),
+      });
+
+      expect(hours.status).toBe(200);
+      expect(hours.body.count).toBe(1);
+      expect(hours.body.rollups[0]).toMatchObject({
+        period: "hour",
+        start: "2026-03-01T10:00:00.000Z",
+        readings: 3,
+        minutes: 10,
+      });
+      expect(hours.body.rollups[0].vitals.heartRate).toEqual({
+        count: 3,
+        min: 70,
+        max: 90,
+        mean: 78.3,
+        std: 8.5,
+        outOfRange: 1,
+        minutesOutOfRange: 5,
+        percentTimeOutOfRange: 50,
+      });
+      expect(days.body.rollups[0]).toMatchObject({
+        start: "2026-03-01T00:00:00.000Z",
+        readings: 3,
+      });
+    });
+
+    test("should extend rollups with single readings", async () => {
+      await service.processBatch(patientId, patient, [reading(0, 70)]);
+      await service.processVitals(patientId, patient, reading(10, 100));
+
+      const response = await getRollups({
+        from: minutes(0).toISOString(),
+        to: minutes(59).toISOString(),
+      });
+
+      expect(response.body.rollups[0].readings).toBe(2);
+      expect(response.body.rollups[0].minutes).toBe(10);
+      expect(response.body.rollups[0].vitals.heartRate.max).toBe(100);
+    });
+
+    test("should rebuild the same rollups from stored readings", async () => {
+      await service.processBatch(patientId, patient, [
+        reading(0, 70),
+        reading(40, 85),
+        reading(70, 72),
+      ]);
+      const query = {
+        period: "hour",
+        from: minutes(0).toISOString(),
+        to: minutes(120).toISOString(),
+      };
+      const incremental = await getRollups(query);
+
+      const rebuild = await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ from: query.from, to: query.to });
+      const rebuilt = await getRollups(query);
+
+      expect(rebuild.status).toBe(200);
+      expect(rebuild.body).toMatchObject({ patients: 1, hours: 2, days: 1 });
+      expect(rebuilt.body.rollups).toEqual(incremental.body.rollups);
+    });
+
+    test("should include vitals of the last 24 hours on the dashboard", async () => {
+      const now = Date.now();
+      await service.processBatch(patientId, patient, [
+        { ...reading(0, 70), timestamp: new Date(now - 3 * 60 * 60 * 1000) },
+        { ...reading(0, 110), timestamp: new Date(now - 2 * 60 * 60 * 1000) },
+      ]);
+
+      const response = await request(app).get("/api/dashboard/summary");
+
+      expect(response.status).toBe(200);
+      expect(response.body.vitalsLast24Hours[patientId]).toMatchObject({
+        readings: 2,
+        minutes: 15,
+      });
+      expect(
+        response.body.vitalsLast24Hours[patientId].vitals.heartRate,
+      ).toMatchObject({ min: 70, max: 110, mean: 90, outOfRange: 1 });
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should pick up readings stored without rollups on rebuild", async () => {
+      await HealthRecord.insertMany([
+        { patientId, heartRate: 70, recordedAt: minutes(0) },
+        { patientId, heartRate: 72, recordedAt: minutes(1) },
+      ]);
+      const query = {
+        period: "day",
+        from: minutes(0).toISOString(),
+        to: minutes(1).toISOString(),
+      };
+      const before = await getRollups(query);
+
+      await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ patientId, from: query.from, to: query.to });
+      const after = await getRollups(query);
+
+      expect(before.body.count).toBe(0);
+      expect(after.body.rollups[0].readings).toBe(2);
+      expect(after.body.rollups[0].vitals.systolic).toBeNull();
+    });
+
+    test("should leave rollups outside the rebuilt days alone", async () => {
+      await service.processBatch(patientId, patient, [
+        reading(0, 70),
+        reading(24 * 60, 72),
+      ]);
+
+      await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ from: minutes(0), to: minutes(0) });
+      const response = await getRollups({
+        period: "day",
+        from: minutes(0).toISOString(),
+        to: minutes(24 * 60).toISOString(),
+      });
+
+      expect(response.body.rollups.map((r) => r.start)).toEqual([
+        "2026-03-01T00:00:00.000Z",
+        "2026-03-02T00:00:00.000Z",
+      ]);
+    });
+
+    test("should not count time twice for a reading stored out of order", async () => {
+      await service.processBatch(patientId, patient, [
+        reading(0, 70),
+        reading(10, 75),
+      ]);
+      await service.processBatch(patientId, patient, [reading(5, 90)]);
+
+      const response = await getRollups({
+        from: minutes(0).toISOString(),
+        to: minutes(59).toISOString(),
+      });
+
+      expect(response.body.rollups[0]).toMatchObject({
+        readings: 3,
+        minutes: 10,
+      });
+      expect(response.body.rollups[0].vitals.heartRate).toMatchObject({
+        max: 90,
+        outOfRange: 1,
+        minutesOutOfRange: 5,
+      });
+    });
+
+    test("should not rebuild days whose readings are archived", async () => {
+      await service.processBatch(patientId, patient, [reading(0, 70)]);
+      await HealthRecord.deleteMany({}); // As the retention job does
+      process.env.RETENTION_RAW_DAYS = "30";
+
+      try {
+        const rebuild = await request(app)
+          .post("/api/vitals/rollups/rebuild")
+          .send({ from: minutes(0), to: new Date() });
+        const response = await getRollups({
+          period: "day",
+          from: minutes(0).toISOString(),
+          to: minutes(1).toISOString(),
+        });
+
+        expect(new Date(rebuild.body.from).getTime()).toBeGreaterThan(
+          Date.now() - 31 * 24 * 60 * 60 * 1000,
+        );
+        expect(response.body.rollups[0].readings).toBe(1);
+      } finally {
+        delete process.env.RETENTION_RAW_DAYS;
+      }
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject invalid periods and ranges", async () => {
+      const period = await getRollups({ period: "week" });
+      const range = await getRollups({ from: "later" });
+
+      expect(period.status).toBe(400);
+      expect(range.status).toBe(400);
+    });
+
+    test("should validate rebuild requests", async () => {
+      const missing = await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ from: minutes(0) });
+      const unknown = await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ patientId: "P999", from: minutes(0), to: minutes(1) });
+
+      expect(missing.status).toBe(400);
+      expect(unknown.status).toBe(404);
+    });
+
+    test("should only let admins rebuild rollups", async () => {
+      currentUser = { username: "nurse1", role: "nurse" };
+
+      const response = await request(app)
+        .post("/api/vitals/rollups/rebuild")
+        .send({ from: minutes(0), to: minutes(1) });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
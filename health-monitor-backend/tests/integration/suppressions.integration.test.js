@@ -0,0 +1,244 @@
+/**
+ * Integration Tests for Alert Suppressions
+ * Tests the suppression API and that suppressed anomalies are recorded
+ * without paging anyone or counting on the dashboard
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  AlertLog,
+  AlertSuppression,
+  Anomaly,
+  CareTeamAssignment,
+  Patient,
+} = require("../../src/models");
+const dashboardRouter = require("../../src/routes/dashboard");
+const suppressionsRouter = require("../../src/routes/suppressions");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Records what the service would send over Socket.IO
+const emitted = [];
+const fakeIo = {
+  to: (rooms) => ({
+    emit: (event, payload) => emitted.push({ rooms, event, payload }),
+  }),
+};
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/dashboard", dashboardRouter);
+app.use("/api/patients/:patientId/suppressions", suppressionsRouter);
+
+const patientId = PATIENTS[0].id;
+const physician = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "dr.smith",
+  role: "physician",
+};
+const nurse = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "nurse.jones",
+  role: "nurse",
+};
+const inMinutes = (m) => new Date(Date.now() + m * 60000);
+
+describe("Alert Suppression Integration Tests", () => {
+  let service;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await AlertLog.deleteMany({});
+    await AlertSuppression.deleteMany({});
+    await Anomaly.deleteMany({});
+    await CareTeamAssignment.deleteMany({});
+    await Patient.deleteMany({});
+    emitted.length = 0;
+
+    currentUser = physician;
+    await Patient.create({ ...PATIENTS[0], patientId });
+    await CareTeamAssignment.create([
+      { userId: physician._id, patientId },
+      { userId: nurse._id, patientId },
+    ]);
+    service = new HealthMonitoringService(fakeIo);
+  });
+
+  const snooze = (body) =>
+    request(app)
+      .post(`/api/patients/${patientId}/suppressions`)
+      .send({
+        categories: ["tachycardia"],
+        endsAt: inMinutes(60),
+        reason: "Physiotherapy session",
+        ...body,
+      });
+
+  // Run a tachycardia reading through detection and anomaly handling
+  const detectTachycardia = async () => {
+    const profile = await service.withDetectionProfile(patientId, PATIENTS[0]);
+    const result = service.anomalyDetector.detectAnomalies(
+      patientId,
+      {
+        patientId,
+        heartRate: 140,
+        bloodPressure: "140/88",
+        spo2: 98,
+        bodyTemperature: 36.8,
+        motionLevel: 0.3,
+        fallRiskScore: 10,
+        timestamp: new Date().toISOString(),
+      },
+      profile,
+    );
+    return service.handleAnomaly(patientId, null, result);
+  };
+
+  describe("Normal Cases", () => {
+    test("should create a suppression as the signed-in user", async () => {
+      const response = await snooze();
+
+      expect(response.status).toBe(201);
+      expect(response.body.createdBy).toBe("dr.smith");
+      expect(response.body.categories).toEqual(["tachycardia"]);
+    });
+
+    test("should record suppressed anomalies without paging", async () => {
+      await snooze();
+
+      const anomaly = await detectTachycardia();
+
+      expect(anomaly.suppressed).toBe(true);
+      expect(anomaly.nextEscalationAt).toBeFalsy();
+      expect(emitted.filter((e) => e.event === "anomaly_alert")).toHaveLength(
+        0,
+      );
+      const logs = await AlertLog.find({ anomalyId: anomaly._id });
+      expect(logs.map((l) => l.actionTaken)).toEqual(["alert_suppressed"]);
+    });
+
+    test("should leave suppressed anomalies out of dashboard counts", async () => {
+      await snooze();
+      await detectTachycardia();
+
+      currentUser = { username: "admin", role: "admin" };
+      const response = await request(app).get("/api/dashboard/summary");
+
+      expect(response.body.summary.activeAnomalies).toBe(0);
+      expect(response.body.recentAnomalies).toHaveLength(0);
+    });
+
+    test("should page again once the suppression is cancelled", async () => {
+      const { body } = await snooze();
+      await detectTachycardia();
+
+      const cancelled = await request(app).delete(
+        `/api/patients/${patientId}/suppressions/${body._id}`,
+      );
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.cancelledBy).toBe("dr.smith");
+
+      const anomaly = await detectTachycardia();
+
+      expect(anomaly.suppressed).toBe(false);
+      expect(emitted.some((e) => e.event === "anomaly_alert")).toBe(true);
+      // The suppressed episode ends when paging resumes
+      expect(await Anomaly.countDocuments({ endedAt: null })).toBe(1);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should only list suppressions that have not ended", async () => {
+      await snooze();
+      await AlertSuppression.create({
+        patientId,
+        categories: ["fever"],
+        startsAt: inMinutes(-120),
+        endsAt: inMinutes(-60),
+        reason: "Post-operative",
+        createdBy: "dr.smith",
+      });
+
+      const active = await request(app).get(
+        `/api/patients/${patientId}/suppressions`,
+      );
+      const all = await request(app).get(
+        `/api/patients/${patientId}/suppressions?all=true`,
+      );
+
+      expect(active.body).toHaveLength(1);
+      expect(all.body).toHaveLength(2);
+    });
+
+    test("should not suppress before a scheduled suppression starts", async () => {
+      await snooze({ startsAt: inMinutes(30) });
+
+      const anomaly = await detectTachycardia();
+
+      expect(anomaly.suppressed).toBe(false);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject a range that ends before it starts", async () => {
+      const response = await snooze({ endsAt: inMinutes(-5) });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should require a reason and categories", async () => {
+      expect((await snooze({ reason: "" })).status).toBe(400);
+      expect((await snooze({ categories: [] })).status).toBe(400);
+    });
+
+    test("should reject unknown alert categories", async () => {
+      const response = await snooze({ categories: ["tachycardya"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("tachycardya");
+      expect(response.body.categories).toContain("tachycardia");
+    });
+
+    test("should not let nurses create suppressions", async () => {
+      currentUser = nurse;
+
+      const response = await snooze();
+
+      expect(response.status).toBe(403);
+    });
+
+    test("should return 404 when cancelling twice", async () => {
+      const { body } = await snooze();
+      const url = `/api/patients/${patientId}/suppressions/${body._id}`;
+
+      await request(app).delete(url);
+      const response = await request(app).delete(url);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Integration Tests for Outbound Webhooks
+ * Tests subscription management, event publishing, signed delivery with
+ * recorded attempts, and the delivery listing API
+ */
+
+require("./setup"); // Import test setup (timeouts, etc.)
+
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  Anomaly,
+  Patient,
+  WebhookDelivery,
+  WebhookSubscription,
+} = require("../../src/models");
+const webhooksRouter = require("../../src/routes/webhooks");
+const HealthMonitoringService = require("../../src/services/healthMonitoringService");
+const WebhookService = require("../../src/services/webhookService");
+const { startHttpSink } = require("../fixtures/localStandIns");
+const { PATIENTS } = require("../fixtures/testDatasets");
+
+// Create express app for testing
+const app = express();
+app.use(express.json());
+
+// Stand-in for the authenticate middleware
+let currentUser;
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use("/api/webhooks", webhooksRouter);
+
+const patientId = PATIENTS[0].id;
+const admin = { username: "admin", role: "admin" };
+
+const detection = {
+  isAnomaly: true,
+  severity: "critical",
+  alerts: [{ type: "critical", category: "hypoxemia", message: "SpO2 88%" }],
+  normalizedScore: 0.9,
+};
+
+/**
+ * Queue stand-in that keeps jobs in memory instead of Redis
+ */
+function memoryQueue() {
+  const jobs = [];
+  return {
+    jobs,
+    add: async (data, opts) => {
+      jobs.push({ data, opts, attemptsMade: 0 });
+    },
+  };
+}
+
+describe("Webhook Integration Tests", () => {
+  let service;
+  let queue;
+  let receiver;
+
+  // Database setup
+  beforeAll(async () => {
+    const mongoUri =
+      process.env.MONGODB_COMPLETE_URI ||
+      process.env.MONGODB_URI ||
+      "mongodb://localhost:27017/health-monitor-test";
+    await mongoose.connect(mongoUri);
+    receiver = await startHttpSink();
+    // The local receiver stands in for an on-premises EHR
+    process.env.WEBHOOK_INTERNAL_ORIGINS = receiver.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_INTERNAL_ORIGINS;
+    await receiver.close();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Anomaly.deleteMany({});
+    await Patient.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await WebhookSubscription.deleteMany({});
+    receiver.requests.length = 0;
+    receiver.status = 200;
+    currentUser = admin;
+
+    await Patient.create({ ...PATIENTS[0], patientId });
+    queue = memoryQueue();
+    service = new HealthMonitoringService(null);
+    service.webhookService = new WebhookService({ queue });
+    app.locals.healthService = service;
+  });
+
+  const subscribe = (body) =>
+    request(app)
+      .post("/api/webhooks")
+      .send({
+        url: `${receiver.url}/ehr`,
+        events: ["anomaly.created"],
+        ...body,
+      });
+
+  describe("Normal Cases", () => {
+    test("should return the signing secret only on creation", async () => {
+      const created = await subscribe({ description: "EHR" });
+      const list = await request(app).get("/api/webhooks");
+
+      expect(created.status).toBe(201);
+      expect(created.body.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(created.body.createdBy).toBe("admin");
+      expect(list.body.subscriptions).toHaveLength(1);
+      expect(list.body.subscriptions[0].secret).toBeUndefined();
+    });
+
+    test("should queue and deliver a signed anomaly.created event", async () => {
+      const { body: subscription } = await subscribe();
+
+      const anomaly = await service.handleAnomaly(patientId, null, detection);
+      expect(queue.jobs).toHaveLength(1);
+      expect(queue.jobs[0].opts.backoff.type).toBe("exponential");
+
+      await service.webhookService.processDelivery(queue.jobs[0]);
+
+      const { headers, body } = receiver.requests[0];
+      expect(body.event).toBe("anomaly.created");
+      expect(body.data._id).toBe(String(anomaly._id));
+      expect(headers["x-webhook-signature"]).toBe(
+        `sha256=${WebhookService.signPayload(
+          subscription.secret,
+          headers["x-webhook-timestamp"],
+          JSON.stringify(body),
+        )}`,
+      );
+
+      const deliveries = await request(app).get(
+        `/api/webhooks/${subscription._id}/deliveries`,
+      );
+      expect(deliveries.body).toHaveLength(1);
+      expect(deliveries.body[0].status).toBe("succeeded");
+      expect(deliveries.body[0].attempts).toMatchObject([
+        { number: 1, statusCode: 200 },
+      ]);
+    });
+
+    test("should record each failed attempt until the last one", async () => {
+      const { body: subscription } = await subscribe();
+      await service.handleAnomaly(patientId, null, detection);
+      const job = { ...queue.jobs[0], opts: { attempts: 2 } };
+      receiver.status = 500;
+
+      await expect(service.webhookService.processDelivery(job)).rejects.toThrow(
+        "500",
+      );
+      let delivery = await WebhookDelivery.findOne({});
+      expect(delivery.status).toBe("retrying");
+
+      job.attemptsMade = 1;
+      await expect(
+        service.webhookService.processDelivery(job),
+      ).rejects.toThrow();
+      delivery = await WebhookDelivery.findOne({});
+      expect(delivery.status).toBe("failed");
+      expect(delivery.attempts.map((a) => a.statusCode)).toEqual([500, 500]);
+      expect(delivery.attempts[0].error).toBe("HTTP 500");
+
+      const failed = await request(app).get(
+        `/api/webhooks/${subscription._id}/deliveries?status=failed`,
+      );
+      expect(failed.body).toHaveLength(1);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should only publish events for subscribed patients", async () => {
+      await subscribe({ patientIds: ["P999"] });
+
+      await service.handleAnomaly(patientId, null, detection);
+
+      expect(queue.jobs).toHaveLength(0);
+      expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+
+    test("should cancel queued deliveries of a deactivated subscription", async () => {
+      const { body: subscription } = await subscribe();
+      await service.handleAnomaly(patientId, null, detection);
+
+      await request(app).delete(`/api/webhooks/${subscription._id}`);
+      await service.webhookService.processDelivery(queue.jobs[0]);
+
+      expect(receiver.requests).toHaveLength(0);
+      expect((await WebhookDelivery.findOne({})).status).toBe("cancelled");
+    });
+
+    test("should redeliver with the same payload", async () => {
+      const { body: subscription } = await subscribe();
+      await service.handleAnomaly(patientId, null, detection);
+      const delivery = await WebhookDelivery.findOne({});
+
+      const response = await request(app).post(
+        `/api/webhooks/${subscription._id}/deliveries/${delivery._id}/redeliver`,
+      );
+
+      expect(response.status).toBe(202);
+      expect(queue.jobs).toHaveLength(2);
+      expect(queue.jobs[1].data.deliveryId).toBe(String(delivery._id));
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject unknown events and non-http URLs", async () => {
+      const badEvent = await subscribe({ events: ["patient.deleted"] });
+      const badUrl = await subscribe({ url: "ftp://ehr.example.org" });
+
+      expect(badEvent.status).toBe(400);
+      expect(badUrl.status).toBe(400);
+    });
+
+    test("should reject private and loopback URLs that are not internal", async () => {
+      for (const url of [
+        "http://localhost:9000/hooks",
+        "http://169.254.169.254/latest/meta-data",
+        "http://10.0.0.5/ehr",
+        "http://[::1]/ehr",
+      ]) {
+        const response = await subscribe({ url });
+        expect(response.status).toBe(400);
+      }
+      expect(await WebhookSubscription.countDocuments()).toBe(0);
+    });
+
+    test("should return 404 for unknown subscriptions", async () => {
+      const response = await request(app).get(
+        `/api/webhooks/${new mongoose.Types.ObjectId()}/deliveries`,
+      );
+
+      expect(response.status).toBe(404);
+    });
+
+    test("should only allow admins", async () => {
+      currentUser = { username: "nurse.jones", role: "nurse" };
+
+      const response = await request(app).get("/api/webhooks");
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
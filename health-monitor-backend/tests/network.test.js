@@ -0,0 +1,57 @@
+/**
+ * Test Suite for Network Helpers
+ * Tests which hosts count as private and parsing of origin lists
+ */
+
+const {
+  isPrivateAddress,
+  isPrivateHost,
+  parseOrigins,
+} = require("../src/utils/network");
+
+describe("Network Helpers", () => {
+  describe("Normal Cases", () => {
+    test("should treat loopback, link-local and RFC 1918 hosts as private", () => {
+      for (const url of [
+        "http://localhost:5000",
+        "http://127.0.0.1",
+        "http://10.1.2.3",
+        "http://172.16.0.1",
+        "http://192.168.1.10",
+        "http://169.254.169.254",
+        "http://[::1]",
+        "http://[fe80::1]",
+        "http://[fd00::1]",
+        "http://[::ffff:127.0.0.1]",
+      ]) {
+        expect(isPrivateHost(new URL(url).hostname)).toBe(true);
+      }
+    });
+
+    test("should allow public hosts", () => {
+      expect(isPrivateHost("ehr.example.org")).toBe(false);
+      expect(isPrivateHost("8.8.8.8")).toBe(false);
+      expect(isPrivateHost("172.32.0.1")).toBe(false);
+    });
+
+    test("should normalize listed origins", () => {
+      expect(
+        parseOrigins(" https://ehr.hospital.local/, http://10.0.0.5:8080"),
+      ).toEqual(["https://ehr.hospital.local", "http://10.0.0.5:8080"]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should catch IP addresses written in other notations", () => {
+      // The URL parser turns these into dotted 127.0.0.1
+      expect(isPrivateHost(new URL("http://2130706433").hostname)).toBe(true);
+      expect(isPrivateHost(new URL("http://0x7f.1").hostname)).toBe(true);
+    });
+
+    test("should not treat hostnames as addresses", () => {
+      expect(isPrivateAddress("localhost")).toBe(false);
+      expect(parseOrigins("")).toEqual([]);
+      expect(parseOrigins("not a url")).toEqual([]);
+    });
+  });
+});
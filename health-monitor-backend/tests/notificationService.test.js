@@ -0,0 +1,272 @@
+/**
+ * Test Suite for Notification Channels
+ * Tests quiet hours, channel selection and the transports against
+ * a local SMTP sink and HTTP endpoint
+ */
+
+const NotificationService = require("../src/services/notificationService");
+const {
+  EmailChannel,
+  PagerChannel,
+  SmsChannel,
+  WebhookChannel,
+} = require("../src/services/channels");
+const { startSmtpSink, startHttpSink } = require("./fixtures/localStandIns");
+
+describe("NotificationService", () => {
+  const service = new NotificationService({});
+
+  const message = {
+    event: "anomaly_alert",
+    severity: "critical",
+    subject: "[CRITICAL] Margaret Chen (P001)",
+    text: "[CRITICAL] Margaret Chen (P001)\n\nSpO2 88%",
+    short: "[CRITICAL] Margaret Chen (P001): hypoxemia",
+    data: { event: "anomaly_alert", patientId: "P001" },
+  };
+
+  describe("inQuietHours", () => {
+    const night = { start: "22:00", end: "07:00", timezone: "UTC" };
+
+    test("should handle windows that wrap midnight", () => {
+      expect(
+        service.inQuietHours(night, new Date("2026-01-15T23:30:00Z")),
+      ).toBe(true);
+      expect(
+        service.inQuietHours(night, new Date("2026-01-15T06:59:00Z")),
+      ).toBe(true);
+      expect(
+        service.inQuietHours(night, new Date("2026-01-15T07:00:00Z")),
+      ).toBe(false);
+    });
+
+    test("should use the user's timezone", () => {
+      const newYork = { ...night, timezone: "America/New_York" };
+
+      // 23:30 UTC is 18:30 in New York
+      expect(
+        service.inQuietHours(newYork, new Date("2026-01-15T23:30:00Z")),
+      ).toBe(false);
+    });
+
+    test("should be off without quiet hours", () => {
+      expect(service.inQuietHours(null)).toBe(false);
+    });
+  });
+
+  describe("channel selection", () => {
+    const user = {
+      username: "nurse.jones",
+      notifications: {
+        channels: [
+          { type: "email", address: "jones@example.org" },
+          { type: "pager", address: "4411", minSeverity: "critical" },
+          { type: "sms", address: "+15550100", enabled: false },
+        ],
+        quietHours: { start: "00:00", end: "23:59", timezone: "UTC" },
+      },
+    };
+
+    test("should leave out disabled and critical-only channels", () => {
+      expect(
+        service.wantedChannels(user, "warning").map((c) => c.type),
+      ).toEqual(["email"]);
+      expect(
+        service.wantedChannels(user, "critical").map((c) => c.type),
+      ).toEqual(["email", "pager"]);
+    });
+
+    test("should skip warnings but not critical alerts in quiet hours", () => {
+      const withEmail = new NotificationService({
+        email: { isConfigured: () => true },
+      });
+      const channel = user.notifications.channels[0];
+      const now = new Date("2026-01-15T12:00:00Z");
+
+      expect(withEmail.skipReason(user, channel, "warning", now)).toBe(
+        "Quiet hours",
+      );
+      expect(withEmail.skipReason(user, channel, "critical", now)).toBeNull();
+    });
+
+    test("should skip channels without a configured transport", async () => {
+      const delivery = await service.deliver(
+        { username: "dr.smith" },
+        { type: "sms", address: "+15550100" },
+        message,
+      );
+
+      expect(delivery.status).toBe("skipped");
+      expect(delivery.error).toBe("No sms transport configured");
+    });
+
+    test("should skip webhooks of non-staff and refused addresses", () => {
+      const withWebhook = new NotificationService({
+        webhook: new WebhookChannel({
+          allowedOrigins: ["https://hooks.example.org"],
+        }),
+      });
+      const allowed = {
+        type: "webhook",
+        address: "https://hooks.example.org/a",
+      };
+      const internal = { type: "webhook", address: "http://10.0.0.5/admin" };
+
+      expect(
+        withWebhook.skipReason({ role: "family" }, allowed, "critical"),
+      ).toBe("Webhook channels are limited to staff");
+      expect(
+        withWebhook.skipReason({ role: "nurse" }, internal, "critical"),
+      ).toBe("webhook address not allowed");
+      expect(
+        withWebhook.skipReason({ role: "nurse" }, allowed, "critical"),
+      ).toBeNull();
+    });
+
+    test("should report transport errors as failed deliveries", async () => {
+      const failing = new NotificationService({
+        email: {
+          isConfigured: () => true,
+          send: () => Promise.reject(new Error("Connection refused")),
+        },
+      });
+
+      const delivery = await failing.deliver(
+        { username: "dr.smith" },
+        { type: "email", address: "smith@example.org" },
+        message,
+      );
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.error).toBe("Connection refused");
+    });
+  });
+
+  describe("dispatch", () => {
+    test("should deliver in the background until idle", async () => {
+      const background = new NotificationService({});
+      let finish;
+      background.notify = jest.fn(
+        () => new Promise((resolve) => (finish = resolve)),
+      );
+
+      background.dispatch(Promise.resolve([]), "anomaly_alert", {});
+      await Promise.resolve();
+      expect(background.pending.size).toBe(1);
+
+      const idle = background.idle();
+      finish([]);
+      await idle;
+      expect(background.notify).toHaveBeenCalledWith([], "anomaly_alert", {});
+      expect(background.pending.size).toBe(0);
+    });
+
+    test("should log recipient lookup failures", async () => {
+      const background = new NotificationService({});
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      background.dispatch(Promise.reject(new Error("db down")), "x", {});
+      await background.idle();
+
+      expect(error).toHaveBeenCalledWith(
+        "❌ Error sending notifications:",
+        "db down",
+      );
+      error.mockRestore();
+    });
+  });
+
+  describe("transports", () => {
+    let smtp;
+    let gateway;
+
+    beforeAll(async () => {
+      smtp = await startSmtpSink();
+      gateway = await startHttpSink();
+    });
+
+    afterAll(async () => {
+      await smtp.close();
+      await gateway.close();
+    });
+
+    beforeEach(() => {
+      gateway.requests.length = 0;
+      gateway.status = 200;
+    });
+
+    test("should send email through SMTP", async () => {
+      const email = new EmailChannel({
+        host: "127.0.0.1",
+        port: smtp.port,
+        from: "alerts@example.org",
+        timeout: 5000,
+      });
+
+      await email.send("jones@example.org", message);
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].to).toEqual(["jones@example.org"]);
+      expect(smtp.messages[0].data).toContain(message.subject);
+    });
+
+    test("should post SMS to the gateway with its token", async () => {
+      const sms = new SmsChannel({
+        gatewayUrl: `${gateway.url}/sms`,
+        token: "secret",
+      });
+
+      const { reference } = await sms.send("+15550100", message);
+
+      expect(reference).toBe("msg-1");
+      expect(gateway.requests[0].headers.authorization).toBe("Bearer secret");
+      expect(gateway.requests[0].body).toEqual({
+        to: "+15550100",
+        message: message.short,
+      });
+    });
+
+    test("should page critical alerts at high priority", async () => {
+      const pager = new PagerChannel({ gatewayUrl: `${gateway.url}/page` });
+
+      await pager.send("4411", message);
+
+      expect(gateway.requests[0].body.priority).toBe("high");
+      expect(gateway.requests[0].body.pagerId).toBe("4411");
+    });
+
+    test("should post the payload to a webhook URL", async () => {
+      const webhook = new WebhookChannel({ allowedOrigins: [gateway.url] });
+
+      const result = await webhook.send(`${gateway.url}/hook`, message);
+
+      expect(gateway.requests[0].path).toBe("/hook");
+      expect(gateway.requests[0].body).toEqual(message.data);
+      expect(result.reference).toBeUndefined(); // Remote status not reported
+    });
+
+    test("should reject when the endpoint returns an error", async () => {
+      gateway.status = 500;
+      const webhook = new WebhookChannel({ allowedOrigins: [gateway.url] });
+
+      await expect(
+        webhook.send(`${gateway.url}/hook`, message),
+      ).rejects.toThrow("Webhook delivery failed");
+    });
+
+    test("should not post to origins that are not allowed", async () => {
+      const webhook = new WebhookChannel({
+        allowedOrigins: ["https://hooks.example.org/"],
+      });
+
+      await expect(
+        webhook.send(`${gateway.url}/hook`, message),
+      ).rejects.toThrow("not on an allowed origin");
+      expect(gateway.requests).toHaveLength(0);
+      expect(webhook.accepts("https://hooks.example.org/alerts")).toBe(true);
+      expect(webhook.accepts("http://hooks.example.org/alerts")).toBe(false);
+      expect(webhook.accepts("https://user:pw@hooks.example.org/")).toBe(false);
+      expect(new WebhookChannel().isConfigured()).toBe(false);
+    });
+  });
+});
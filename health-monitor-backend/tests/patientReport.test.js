@@ -0,0 +1,106 @@
+/**
+ * Test Suite for the Patient Report PDF
+ * Tests rendering a summary, an empty period, and page breaks in a long
+ * acknowledgement trail
+ */
+
+const { renderPatientReport } = require("../src/services/patientReport");
+const PATIENTS = require("../src/config/patients");
+
+async function toBuffer(doc) {
+  const chunks = [];
+  for await (const chunk of doc) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const pageCount = (pdf) =>
+  (pdf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+
+describe("Patient Report", () => {
+  const from = new Date("2026-03-01T00:00:00Z");
+  const to = new Date("2026-03-02T00:00:00Z");
+  const stats = (min, max, mean) => ({ min, max, mean });
+
+  const summary = (overrides = {}) => ({
+    patient: { ...PATIENTS[0], patientId: PATIENTS[0].id },
+    latestVitals: null,
+    period: { from, to },
+    vitals: {
+      readings: 0,
+      heartRate: stats(null, null, null),
+      systolic: stats(null, null, null),
+      diastolic: stats(null, null, null),
+      spo2: stats(null, null, null),
+      bodyTemperature: stats(null, null, null),
+    },
+    trends: { bucketMinutes: 15, points: [] },
+    anomalies: { total: 0, suppressed: 0, bySeverity: {}, byCategory: {} },
+    acknowledgements: [],
+    ...overrides,
+  });
+
+  test("should render a period with readings and anomalies", async () => {
+    const points = Array.from({ length: 96 }, (_, i) => ({
+      at: new Date(from.getTime() + i * 15 * 60 * 1000),
+      heartRate: 70 + (i % 20),
+      systolic: 130,
+      diastolic: 82,
+      spo2: i === 40 ? null : 96,
+      bodyTemperature: 36.8,
+    }));
+
+    const pdf = await toBuffer(
+      renderPatientReport(
+        summary({
+          latestVitals: { heartRate: 80, bloodPressure: "130/82", spo2: 96 },
+          vitals: {
+            readings: 288,
+            heartRate: stats(70, 89, 79.5),
+            systolic: stats(130, 130, 130),
+            diastolic: stats(82, 82, 82),
+            spo2: stats(96, 96, 96),
+            bodyTemperature: stats(36.8, 36.8, 36.8),
+          },
+          trends: { bucketMinutes: 15, points },
+          anomalies: {
+            total: 3,
+            suppressed: 1,
+            bySeverity: { warning: 2, critical: 1 },
+            byCategory: { tachycardia: 3 },
+          },
+        }),
+        { timezone: "Europe/London" },
+      ),
+    );
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.toString("latin1")).toContain("%%EOF");
+  });
+
+  test("should render a period without readings", async () => {
+    const pdf = await toBuffer(renderPatientReport(summary()));
+
+    expect(pageCount(pdf)).toBe(1);
+  });
+
+  test("should continue a long acknowledgement trail on new pages", async () => {
+    const acknowledgements = Array.from({ length: 80 }, (_, i) => ({
+      anomalyId: `a${i}`,
+      severity: "warning",
+      categories: ["tachycardia"],
+      detectedAt: new Date(from.getTime() + i * 60000),
+      from: "open",
+      to: "acknowledged",
+      by: "nurse1",
+      at: new Date(from.getTime() + i * 60000 + 30000),
+    }));
+
+    const pdf = await toBuffer(
+      renderPatientReport(summary({ acknowledgements })),
+    );
+
+    expect(pageCount(pdf)).toBeGreaterThan(2);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Test Suite for Data Retention
+ * Tests retention settings, the cutoff day and archive files round-tripping
+ * ids, dates and nested data
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const {
+  readArchive,
+  retentionCutoff,
+  retentionSettings,
+  writeArchive,
+} = require("../src/services/retention");
+
+describe("Data Retention", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "archive-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe("Normal Cases", () => {
+    test("should read retention settings from the environment", () => {
+      const settings = retentionSettings({
+        RETENTION_RAW_DAYS: "30",
+        RETENTION_ROLLUP_DAYS: "365",
+        ARCHIVE_DIR: dir,
+      });
+
+      expect(settings).toEqual({
+        rawDays: 30,
+        rollupDays: 365,
+        archiveDir: dir,
+      });
+    });
+
+    test("should keep whole UTC days", () => {
+      const now = new Date("2026-03-31T15:20:00Z");
+
+      expect(retentionCutoff(now, 30).toISOString()).toBe(
+        "2026-03-01T00:00:00.000Z",
+      );
+    });
+
+    test("should round-trip records through an archive file", async () => {
+      const records = [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          patientId: "P001",
+          heartRate: 72,
+          bodyTemperature: 36.8,
+          recordedAt: new Date("2026-03-01T10:00:00Z"),
+          httpbinResponse: { headers: { Host: "httpbin.org" }, json: null },
+        },
+        {
+          _id: new mongoose.Types.ObjectId(),
+          patientId: "P001",
+          heartRate: 75,
+          recordedAt: new Date("2026-03-01T10:05:00Z"),
+        },
+      ];
+      const file = path.join(dir, "P001", "2026-03-01.ndjson.gz");
+
+      const bytes = await writeArchive(file, records);
+      const restored = await readArchive(file);
+
+      expect(bytes).toBe((await fs.stat(file)).size);
+      expect(restored).toEqual(records);
+      expect(restored[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(restored[0].recordedAt).toBeInstanceOf(Date);
+      expect(await fs.readdir(path.join(dir, "P001"))).toEqual([
+        "2026-03-01.ndjson.gz",
+      ]);
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should disable archival when no raw retention is set", () => {
+      const settings = retentionSettings({});
+
+      expect(settings.rawDays).toBe(0);
+      expect(settings.rollupDays).toBe(730);
+      expect(settings.archiveDir).toBe(path.resolve("archive"));
+    });
+
+    test("should keep rollups at least as long as raw records", () => {
+      const settings = retentionSettings({
+        RETENTION_RAW_DAYS: "90",
+        RETENTION_ROLLUP_DAYS: "30",
+      });
+
+      expect(settings.rollupDays).toBe(90);
+    });
+
+    test("should write an empty archive", async () => {
+      const file = path.join(dir, "empty.ndjson.gz");
+
+      await writeArchive(file, []);
+
+      expect(await readArchive(file)).toEqual([]);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should fail on a missing archive file", async () => {
+      await expect(
+        readArchive(path.join(dir, "missing.ndjson.gz")),
+      ).rejects.toThrow(/ENOENT/);
+    });
+  });
+});
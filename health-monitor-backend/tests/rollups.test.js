@@ -0,0 +1,191 @@
+/**
+ * Test Suite for Vitals Rollups
+ * Tests bucket alignment, time-in-range accounting and that in-memory
+ * accumulation, atomic updates and combined buckets agree
+ */
+
+const {
+  accumulate,
+  bucketStart,
+  combineRollups,
+  contribution,
+  rollupUpdate,
+  summarizeRollup,
+} = require("../src/services/rollups");
+
+const baseline = {
+  hr: { min: 60, max: 100 },
+  spo2: { min: 95, max: 100 },
+};
+
+const at = (time) => new Date(`2026-03-01T${time}Z`);
+
+function emptyRollup() {
+  return { readings: 0, minutes: 0, vitals: {} };
+}
+
+describe("Vitals Rollups", () => {
+  describe("Normal Cases", () => {
+    test("should align buckets to the UTC hour and day", () => {
+      const date = at("13:47:12.500");
+
+      expect(bucketStart(date, "hour").toISOString()).toBe(
+        "2026-03-01T13:00:00.000Z",
+      );
+      expect(bucketStart(date, "day").toISOString()).toBe(
+        "2026-03-01T00:00:00.000Z",
+      );
+    });
+
+    test("should count the time since the previous reading", () => {
+      const added = contribution(
+        { recordedAt: at("10:05:00"), heartRate: 120, spo2: 97 },
+        at("10:00:00"),
+        baseline,
+      );
+
+      expect(added).toEqual({
+        minutes: 5,
+        vitals: {
+          heartRate: { value: 120, outOfRange: true },
+          spo2: { value: 97, outOfRange: false },
+        },
+      });
+    });
+
+    test("should summarise mean, std and time out of range", () => {
+      const rollup = emptyRollup();
+      const readings = [
+        ["10:00:00", 70],
+        ["10:05:00", 90],
+        ["10:10:00", 110],
+        ["10:15:00", 130],
+      ];
+      let previousAt;
+      for (const [time, heartRate] of readings) {
+        accumulate(
+          rollup,
+          contribution(
+            { recordedAt: at(time), heartRate },
+            previousAt,
+            baseline,
+          ),
+        );
+        previousAt = at(time);
+      }
+
+      const summary = summarizeRollup(rollup);
+
+      expect(summary.readings).toBe(4);
+      expect(summary.minutes).toBe(15);
+      expect(summary.vitals.heartRate).toEqual({
+        count: 4,
+        min: 70,
+        max: 130,
+        mean: 100,
+        std: 22.4,
+        outOfRange: 2,
+        minutesOutOfRange: 10,
+        percentTimeOutOfRange: 66.7,
+      });
+      expect(summary.vitals.spo2).toBeNull();
+    });
+
+    test("should build the same totals as an atomic update", () => {
+      const added = contribution(
+        { recordedAt: at("10:05:00"), heartRate: 120, systolic: 130 },
+        at("10:00:00"),
+        baseline,
+      );
+
+      expect(rollupUpdate(added)).toEqual({
+        $inc: {
+          readings: 1,
+          minutes: 5,
+          "vitals.heartRate.count": 1,
+          "vitals.heartRate.sum": 120,
+          "vitals.heartRate.sumSquares": 14400,
+          "vitals.heartRate.outOfRange": 1,
+          "vitals.heartRate.minutesOutOfRange": 5,
+          "vitals.systolic.count": 1,
+          "vitals.systolic.sum": 130,
+          "vitals.systolic.sumSquares": 16900,
+          "vitals.systolic.outOfRange": 0,
+          "vitals.systolic.minutesOutOfRange": 0,
+        },
+        $min: { "vitals.heartRate.min": 120, "vitals.systolic.min": 130 },
+        $max: { "vitals.heartRate.max": 120, "vitals.systolic.max": 130 },
+      });
+    });
+
+    test("should combine buckets into the same result as one bucket", () => {
+      const whole = emptyRollup();
+      const first = emptyRollup();
+      const second = emptyRollup();
+      const minute = (n) => new Date(at("10:00:00").getTime() + n * 60000);
+      const values = [72, 85, 101, 66, 93, 120];
+      values.forEach((heartRate, i) => {
+        const added = contribution(
+          { recordedAt: minute(i), heartRate },
+          i > 0 ? minute(i - 1) : undefined,
+          baseline,
+        );
+        accumulate(whole, added);
+        accumulate(i < 3 ? first : second, added);
+      });
+
+      expect(summarizeRollup(combineRollups([first, second]))).toEqual(
+        summarizeRollup(whole),
+      );
+    });
+  });
+
+  describe("Edge Cases", () => {
+    test("should cap gaps in monitoring", () => {
+      const added = contribution(
+        { recordedAt: at("12:00:00"), heartRate: 80 },
+        at("08:00:00"),
+      );
+
+      expect(added.minutes).toBe(15);
+    });
+
+    test("should give the first reading no time", () => {
+      expect(
+        contribution({ recordedAt: at("12:00:00"), heartRate: 80 }).minutes,
+      ).toBe(0);
+    });
+
+    test("should not flag vitals without a baseline range", () => {
+      const added = contribution(
+        { recordedAt: at("12:00:00"), heartRate: 200, bodyTemperature: 41 },
+        at("11:59:00"),
+        baseline,
+      );
+
+      expect(added.vitals.heartRate.outOfRange).toBe(true);
+      expect(added.vitals.bodyTemperature.outOfRange).toBe(false);
+    });
+
+    test("should skip missing vitals in updates", () => {
+      const update = rollupUpdate(
+        contribution({ recordedAt: at("12:00:00"), heartRate: null }),
+      );
+
+      expect(update).toEqual({ $inc: { readings: 1, minutes: 0 } });
+    });
+
+    test("should report no time share without covered time", () => {
+      const rollup = emptyRollup();
+      accumulate(
+        rollup,
+        contribution({ recordedAt: at("12:00:00"), heartRate: 80 }),
+      );
+
+      expect(summarizeRollup(rollup).vitals.heartRate).toMatchObject({
+        std: 0,
+        percentTimeOutOfRange: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Test Suite for Time Zone Helpers
+ */
+
+const { isTimeZone } = require("../src/utils/timeZone");
+
+describe("Time Zone Helpers", () => {
+  describe("Normal Cases", () => {
+    test("should recognise IANA timezone names", () => {
+      expect(isTimeZone("Europe/London")).toBe(true);
+      expect(isTimeZone("Asia/Dhaka")).toBe(true);
+    });
+  });
+
+  describe("Error Cases", () => {
+    test("should reject unknown names", () => {
+      expect(isTimeZone("Mars/Olympus")).toBe(false);
+      expect(isTimeZone("")).toBe(false);
+    });
+  });
+});
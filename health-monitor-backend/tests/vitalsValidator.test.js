@@ -0,0 +1,86 @@
+/**
+ * Test Suite for Vitals Validator
+ * Tests device reading validation and normalization
+ */
+
+const {
+  validateReading,
+  toVitals,
+} = require("../src/services/vitalsValidator");
+
+describe("vitalsValidator", () => {
+  const validReading = {
+    sensorId: "watch-P001",
+    heartRate: 72,
+    bloodPressure: "138/86",
+    spo2: 97,
+    bodyTemperature: 36.8,
+  };
+
+  describe("validateReading", () => {
+    test("should accept a complete reading", () => {
+      expect(validateReading(validReading)).toEqual([]);
+    });
+
+    test("should require sensorId and core vitals", () => {
+      const errors = validateReading({});
+
+      expect(errors).toContain("sensorId is required");
+      expect(errors).toContain("heartRate is required");
+      expect(errors).toContain("bloodPressure is required");
+      expect(errors).toContain("spo2 is required");
+      expect(errors).toContain("bodyTemperature is required");
+    });
+
+    test("should reject out-of-range values", () => {
+      const errors = validateReading({
+        ...validReading,
+        spo2: 120,
+        motionLevel: 3,
+      });
+
+      expect(errors).toContain("spo2 must be between 50 and 100");
+      expect(errors).toContain("motionLevel must be between 0 and 1");
+    });
+
+    test("should reject malformed blood pressure", () => {
+      expect(
+        validateReading({ ...validReading, bloodPressure: "high" }),
+      ).toContain("bloodPressure must be formatted as systolic/diastolic");
+      expect(
+        validateReading({ ...validReading, bloodPressure: "80/120" }),
+      ).toContain("bloodPressure systolic must be greater than diastolic");
+    });
+
+    test("should reject non-numeric vitals", () => {
+      expect(validateReading({ ...validReading, heartRate: "72" })).toContain(
+        "heartRate must be a number",
+      );
+    });
+
+    test("should reject future timestamps", () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      expect(validateReading({ ...validReading, timestamp: future })).toContain(
+        "timestamp cannot be in the future",
+      );
+    });
+  });
+
+  describe("toVitals", () => {
+    test("should keep the device timestamp", () => {
+      const timestamp = "2024-01-15T10:30:00.000Z";
+      const vitals = toVitals("P001", { ...validReading, timestamp });
+
+      expect(vitals.patientId).toBe("P001");
+      expect(vitals.timestamp).toBe(timestamp);
+      expect(vitals.sensorId).toBe("watch-P001");
+    });
+
+    test("should default timestamp to now", () => {
+      const vitals = toVitals("P001", validReading);
+      expect(Date.now() - new Date(vitals.timestamp).getTime()).toBeLessThan(
+        1000,
+      );
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Test Suite for Webhook Delivery
+ * Tests payload signing, the vital.recorded payload, the signed request
+ * sent to a local endpoint and what is stored about failed attempts
+ */
+
+const crypto = require("crypto");
+const { WebhookDelivery } = require("../src/models");
+const WebhookService = require("../src/services/webhookService");
+const { startHttpSink } = require("./fixtures/localStandIns");
+
+describe("WebhookService", () => {
+  let endpoint;
+
+  beforeAll(async () => {
+    endpoint = await startHttpSink();
+  });
+
+  afterAll(async () => {
+    await endpoint.close();
+  });
+
+  beforeEach(() => {
+    endpoint.requests.length = 0;
+    endpoint.status = 200;
+  });
+
+  const delivery = {
+    _id: "65a1f0c2e4b0a1b2c3d4e5f6",
+    event: "anomaly.created",
+    payload: {
+      id: "65a1f0c2e4b0a1b2c3d4e5f6",
+      event: "anomaly.created",
+      patientId: "P001",
+      data: { severity: "critical" },
+    },
+  };
+
+  describe("signPayload", () => {
+    test("should sign the timestamp and body with HMAC-SHA256", () => {
+      const body = JSON.stringify({ a: 1 });
+      const expected = crypto
+        .createHmac("sha256", "secret")
+        .update(`1700000000.${body}`)
+        .digest("hex");
+
+      expect(WebhookService.signPayload("secret", 1700000000, body)).toBe(
+        expected,
+      );
+    });
+
+    test("should generate distinct 256-bit secrets", () => {
+      const secret = WebhookService.generateSecret();
+
+      expect(secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(WebhookService.generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe("vitalPayload", () => {
+    test("should send the reading without internal fields", () => {
+      const payload = WebhookService.vitalPayload({
+        _id: "65a1f0c2e4b0a1b2c3d4e5f6",
+        patientId: "P001",
+        heartRate: 72,
+        bloodPressure: "120/80",
+        httpbinResponse: { headers: { Host: "httpbin.org" } },
+      });
+
+      expect(payload).toMatchObject({
+        recordId: "65a1f0c2e4b0a1b2c3d4e5f6",
+        patientId: "P001",
+        heartRate: 72,
+      });
+      expect(payload.httpbinResponse).toBeUndefined();
+    });
+
+    test("should expire delivery history", () => {
+      const ttl = WebhookDelivery.schema
+        .indexes()
+        .find(([fields]) => fields.createdAt === 1);
+
+      expect(ttl[1].expireAfterSeconds).toBe(
+        WebhookDelivery.RETENTION_DAYS * 24 * 60 * 60,
+      );
+    });
+  });
+
+  describe("send", () => {
+    test("should post a payload the receiver can verify", async () => {
+      const service = new WebhookService({
+        redisUrl: "",
+        internalOrigins: [endpoint.url],
+      });
+
+      await service.send(
+        { url: `${endpoint.url}/hooks`, secret: "shared-secret" },
+        delivery,
+      );
+
+      const { path, headers, body } = endpoint.requests[0];
+      expect(path).toBe("/hooks");
+      expect(body).toEqual(delivery.payload);
+      expect(headers["x-webhook-event"]).toBe("anomaly.created");
+      expect(headers["x-webhook-delivery"]).toBe(delivery._id);
+
+      const signature = WebhookService.signPayload(
+        "shared-secret",
+        headers["x-webhook-timestamp"],
+        JSON.stringify(body),
+      );
+      expect(headers["x-webhook-signature"]).toBe(`sha256=${signature}`);
+    });
+
+    test("should reject when the receiver returns an error", async () => {
+      endpoint.status = 503;
+      const service = new WebhookService({
+        redisUrl: "",
+        internalOrigins: [endpoint.url],
+      });
+
+      await expect(
+        service.send({ url: endpoint.url, secret: "s" }, delivery),
+      ).rejects.toThrow("503");
+    });
+
+    test("should refuse private addresses unless the origin is internal", async () => {
+      const service = new WebhookService({ redisUrl: "" });
+
+      await expect(
+        service.send({ url: endpoint.url, secret: "s" }, delivery),
+      ).rejects.toThrow("private network");
+      expect(endpoint.requests).toHaveLength(0);
+    });
+  });
+
+  describe("attemptError", () => {
+    test("should store the status or error code, not the remote message", () => {
+      const refused = Object.assign(
+        new Error("connect ECONNREFUSED 10.0.0.7:8080"),
+        { code: "ECONNREFUSED" },
+      );
+      const rejected = Object.assign(new Error("<html>internal</html>"), {
+        response: { status: 500, data: "stack trace" },
+      });
+
+      expect(WebhookService.attemptError(refused)).toBe("ECONNREFUSED");
+      expect(WebhookService.attemptError(rejected)).toBe("HTTP 500");
+      expect(WebhookService.attemptError(new Error("odd"))).toBe(
+        "Delivery failed",
+      );
+    });
+  });
+
+  describe("without Redis", () => {
+    test("should stay disabled and publish nothing", async () => {
+      const service = new WebhookService({ redisUrl: "" });
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      service.start();
+
+      expect(service.queue).toBeNull();
+      expect(await service.publish("vital.recorded", "P001", {})).toEqual([]);
+      warn.mockRestore();
+    });
+  });
+});
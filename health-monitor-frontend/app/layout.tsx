@@ -1,5 +1,6 @@
 import type { Metadata } from "next";
 import { Inter } from "next/font/google";
+import LogoutButton from "@/components/LogoutButton";
 import "./globals.css";
 
 const inter = Inter({ subsets: ["latin"] });
@@ -32,6 +33,7 @@ export default function RootLayout({
                     <span className="h-2 w-2 animate-pulse rounded-full bg-green-500"></span>
                     System Active
                   </span>
+                  <LogoutButton />
                 </div>
               </div>
             </div>
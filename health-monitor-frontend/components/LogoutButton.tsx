@@ -0,0 +1,14 @@
+"use client";
+
+import { logout } from "@/lib/api";
+
+export default function LogoutButton() {
+  return (
+    <button
+      onClick={logout}
+      className="rounded px-3 py-1 text-sm text-gray-600 hover:bg-gray-100"
+    >
+      Sign out
+    </button>
+  );
+}
@@ -1,5 +1,6 @@
 // API client for backend communication
 import axios from 'axios';
+import { clearToken, getToken, redirectToLogin, setToken } from './auth';
 import { AlertHistory, Anomaly, DashboardSummary, HealthRecord, Patient } from './types';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
@@ -11,6 +12,38 @@ const api = axios.create({
     },
 });
 
+// Every route except login requires the session token
+api.interceptors.request.use((config) => {
+    const token = getToken();
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+// A missing or expired token means signing in again
+api.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        if (error.response?.status === 401) {
+            clearToken();
+            redirectToLogin();
+        }
+        return Promise.reject(error);
+    }
+);
+
+// Auth
+export const login = async (username: string, password: string): Promise<void> => {
+    const { data } = await api.post('/auth/login', { username, password });
+    setToken(data.token);
+};
+
+export const logout = (): void => {
+    clearToken();
+    redirectToLogin();
+};
+
 // Patients
 export const getPatients = async (): Promise<Patient[]> => {
     const { data } = await api.get('/patients');
@@ -48,8 +81,9 @@ export const getPatientAnomalies = async (patientId: string): Promise<Anomaly[]>
     return data;
 };
 
-export const acknowledgeAnomaly = async (anomalyId: string, acknowledgedBy: string = 'Web User'): Promise<void> => {
-    await api.post(`/anomalies/${anomalyId}/acknowledge`, { acknowledgedBy });
+// The server records the signed-in user as acknowledging
+export const acknowledgeAnomaly = async (anomalyId: string): Promise<void> => {
+    await api.post(`/anomalies/${anomalyId}/acknowledge`);
 };
 
 // Dashboard
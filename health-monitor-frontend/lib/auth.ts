@@ -0,0 +1,25 @@
+// Session token storage; the backend requires it on every API call and
+// on the WebSocket handshake
+const TOKEN_KEY = 'healthMonitorToken';
+
+export const getToken = (): string | null => {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+    return window.localStorage.getItem(TOKEN_KEY);
+};
+
+export const setToken = (token: string): void => {
+    window.localStorage.setItem(TOKEN_KEY, token);
+};
+
+export const clearToken = (): void => {
+    window.localStorage.removeItem(TOKEN_KEY);
+};
+
+// Send the user to the login page, e.g. when the token has expired
+export const redirectToLogin = (): void => {
+    if (typeof window !== 'undefined' && window.location.pathname !== '/login') {
+        window.location.href = '/login';
+    }
+};
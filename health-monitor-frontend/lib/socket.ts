@@ -1,5 +1,6 @@
 // WebSocket client for real-time updates
 import { io, Socket } from 'socket.io-client';
+import { clearToken, getToken, redirectToLogin } from './auth';
 
 const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'http://localhost:5000';
 
@@ -8,6 +9,8 @@ let socket: Socket | null = null;
 export const initializeSocket = (): Socket => {
     if (!socket) {
         socket = io(WS_URL, {
+            // Read on every (re)connect, so a new login is picked up
+            auth: (cb) => cb({ token: getToken() }),
             transports: ['websocket', 'polling'],
             reconnection: true,
             reconnectionAttempts: 5,
@@ -24,6 +27,11 @@ export const initializeSocket = (): Socket => {
 
         socket.on('connect_error', (error) => {
             console.error('WebSocket connection error:', error);
+            // Refused at the handshake: no token, or it has expired
+            if (error.message === 'Authentication required') {
+                clearToken();
+                redirectToLogin();
+            }
         });
     }
 